@@ -0,0 +1,457 @@
+/**
+ * MSO AI Meta Description Block Editor Panel
+ *
+ * Registers a document settings panel in the block editor to edit the meta description
+ * through the registered post meta. The value is saved together with the post.
+ * Generation, counter rules and error parsing are shared with MSO_AI_Admin (mso-ai-main.js).
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+((wp, admin) => {
+    'use strict';
+
+    if (!wp?.plugins || !wp?.data || !admin) {
+        return;
+    }
+
+    const { createElement: el, Fragment, useState, useRef, useEffect } = wp.element;
+    const { useSelect, useDispatch } = wp.data;
+    const { TextareaControl, TextControl, SelectControl, Button, Spinner } = wp.components;
+    const { sprintf } = wp.i18n;
+    const PluginDocumentSettingPanel = wp.editor?.PluginDocumentSettingPanel || wp.editPost?.PluginDocumentSettingPanel;
+
+    if (!PluginDocumentSettingPanel) {
+        return;
+    }
+
+    /**
+     * Returns the plugin configuration (localized script vars merged over the defaults).
+     * @returns {object} Configuration object.
+     */
+    const getConfig = () => ({ ...admin.config, ...(window.msoAiScriptVars || {}) });
+
+    /**
+     * Document settings panel holding the meta description field and the generate buttons.
+     * @returns {?object} The panel element, or null if the post type does not support the meta.
+     */
+    const MetaDescriptionPanel = () => {
+        const config = getConfig();
+        const metaKey = config.metaKey;
+        const [isGenerating, setIsGenerating] = useState(false);
+        const [error, setError] = useState('');
+        const [notice, setNotice] = useState('');
+        const [candidates, setCandidates] = useState([]);
+        const [candidatesProvider, setCandidatesProvider] = useState('');
+        const [history, setHistory] = useState([]);
+        const [autoStatus, setAutoStatus] = useState(null);
+        const [translations, setTranslations] = useState(null);
+        const [targetLanguage, setTargetLanguage] = useState('');
+        const [translateSource, setTranslateSource] = useState('');
+        const [duplicates, setDuplicates] = useState([]);
+        const abortControllerRef = useRef(null);
+        const lastAutoStatusRef = useRef('');
+
+        const meta = useSelect((select) => select('core/editor').getEditedPostAttribute('meta'), []);
+        const postId = useSelect((select) => select('core/editor').getCurrentPostId(), []);
+        const postTitle = useSelect((select) => select('core/editor').getEditedPostAttribute('title'), []);
+        const isSaving = useSelect((select) => select('core/editor').isSavingPost() && !select('core/editor').isAutosavingPost(), []);
+        const { editPost } = useDispatch('core/editor');
+        const { createNotice } = useDispatch('core/notices');
+        const focusKeywordMetaKey = Object.prototype.hasOwnProperty.call(meta || {}, config.focusKeywordMetaKey) ? config.focusKeywordMetaKey : '';
+        const socialMetaKey = Object.prototype.hasOwnProperty.call(meta || {}, config.socialMetaKey) ? config.socialMetaKey : '';
+
+        const loadHistory = () => admin.apiRequest(`/posts/${postId}/history`).then(setHistory).catch(() => setHistory([]));
+
+        // The history is loaded with the panel, then reloaded after each save.
+        useEffect(() => {
+            if (postId && !isSaving) {
+                loadHistory();
+            }
+        }, [postId, isSaving]);
+
+        // The duplicates of the description are checked once the user stops typing.
+        const description = (metaKey && meta?.[metaKey]) || '';
+        useEffect(() => {
+            let cancelled = false;
+            const timer = setTimeout(() => {
+                admin.requestDuplicates(postId, description)
+                    .then((posts) => !cancelled && setDuplicates(posts))
+                    .catch(() => !cancelled && setDuplicates([]));
+            }, admin.DUPLICATES_CHECK_DELAY);
+
+            return () => {
+                cancelled = true;
+                clearTimeout(timer);
+            };
+        }, [postId, description]);
+
+        // The language of the post and its translations are loaded with the panel, on multilingual sites only.
+        useEffect(() => {
+            if (postId && config.multilingual) {
+                admin.apiRequest(`/posts/${postId}/translations`).then(setTranslations).catch(() => setTranslations(null));
+            }
+        }, [postId]);
+
+        // The automatic generation status is read after each save, then polled while the post is queued.
+        useEffect(() => {
+            if (!postId || isSaving) {
+                return undefined;
+            }
+
+            return admin.pollAutoStatus(postId, (status) => {
+                setAutoStatus(status);
+
+                if (lastAutoStatusRef.current === 'queued' && status.status !== 'queued') {
+                    createNotice(status.status === 'failed' ? 'error' : 'success', status.label, { id: 'mso-ai-auto-status', type: 'snackbar' });
+
+                    const editedMeta = wp.data.select('core/editor').getEditedPostAttribute('meta') || {};
+                    if (status.status === 'generated' && !editedMeta[metaKey]) {
+                        editPost({ meta: { [metaKey]: status.description } });
+                    }
+                    loadHistory();
+                }
+                lastAutoStatusRef.current = status.status;
+            });
+        }, [postId, isSaving]);
+
+        if (!metaKey || !meta || !Object.prototype.hasOwnProperty.call(meta, metaKey)) {
+            return null;
+        }
+
+        const value = meta[metaKey] || '';
+        const { color, text } = admin.getLengthStatus(value.length, admin.getDescriptionWidth(value));
+
+        const setValue = (newValue) => editPost({ meta: { [metaKey]: newValue } });
+        const qualityIssues = config.qualityIssues || {};
+        const issues = admin.getQualityIssues(value, {
+            title: postTitle || '',
+            focusKeyword: focusKeywordMetaKey ? meta[focusKeywordMetaKey] || '' : ''
+        });
+        const duplicateWarnings = ['duplicate', 'near_duplicate']
+            .map((code) => ({ code, posts: duplicates.filter((post) => post.exact === (code === 'duplicate')) }))
+            .filter((warning) => warning.posts.length > 0);
+
+        /**
+         * Runs a generation request against the post content, handling busy and error states.
+         * @param {function(string): Promise<void>} callback - Receives the plain text content.
+         */
+        const runGeneration = async (callback) => {
+            setIsGenerating(true);
+            setError('');
+            setNotice('');
+
+            try {
+                const plainText = admin.getPostContentAsText();
+                if (!plainText) {
+                    throw new Error('Content is empty or could not be retrieved.');
+                }
+
+                await callback(plainText);
+            } catch (err) {
+                setError(admin.parseApiError(err.message || 'Failed to generate summary.', 'Error'));
+            } finally {
+                setIsGenerating(false);
+            }
+        };
+
+        /**
+         * Streams a description generated with the given provider into the post meta.
+         * The previous value is restored if the generation fails or is cancelled.
+         * @param {string} provider - AI provider identifier.
+         */
+        const generate = (provider) => runGeneration(async (plainText) => {
+            const previousValue = value;
+            let streamedText = '';
+            abortControllerRef.current = new AbortController();
+
+            try {
+                const result = await admin.streamRequest({
+                    ...admin.getPostContext(),
+                    action: 'mso_ai_stream_summary',
+                    content: plainText,
+                    provider: provider
+                }, (delta) => {
+                    streamedText += delta;
+                    setValue(streamedText);
+                }, abortControllerRef.current.signal, (providerTitle) => {
+                    streamedText = '';
+                    setValue('');
+                    setNotice(sprintf(config.i18n_retrying_with, providerTitle));
+                });
+
+                setValue(result.summary);
+                setNotice(sprintf(config.i18n_generated_by, result.providerTitle));
+            } catch (err) {
+                setValue(previousValue);
+                setNotice('');
+                if (err.name !== 'AbortError') {
+                    throw err;
+                }
+            } finally {
+                abortControllerRef.current = null;
+            }
+        });
+
+        /**
+         * Translates the description of another translation of the post into the post meta.
+         * Unlike the other generations, it does not need the post content.
+         * @param {number} sourcePostId - ID of the translation whose description is translated.
+         */
+        const translate = async (sourcePostId) => {
+            setIsGenerating(true);
+            setError('');
+            setNotice('');
+
+            try {
+                const result = await admin.requestTranslation(sourcePostId);
+
+                setValue(result.summary);
+                setNotice(sprintf(config.i18n_generated_by, result.providerTitle));
+            } catch (err) {
+                setError(admin.parseApiError(err.message || 'Failed to generate summary.', 'Error'));
+            } finally {
+                setIsGenerating(false);
+            }
+        };
+
+        /**
+         * Chooses the language of the generated descriptions, shared with the requests of MSO_AI_Admin.
+         * @param {string} language - Language code, empty for the language of the post.
+         */
+        const changeTargetLanguage = (language) => {
+            admin.targetLanguage = language;
+            setTargetLanguage(language);
+        };
+
+        /**
+         * Requests candidate descriptions and lists them under the field.
+         * @param {string} provider - AI provider identifier, or the "all providers" value.
+         */
+        const suggestCandidates = (provider) => runGeneration(async (plainText) => {
+            setCandidates(await admin.requestCandidates(provider, plainText));
+        });
+
+        /**
+         * Generates the social description into its post meta.
+         */
+        const generateSocial = () => runGeneration(async (plainText) => {
+            editPost({ meta: { [socialMetaKey]: await admin.requestSocialDescription(plainText) } });
+        });
+
+        const providers = Array.isArray(config.providers) ? config.providers : [];
+        const allOverBudget = providers.every((provider) => provider.overBudget);
+        const candidatesOptions = providers.map((provider) => ({ value: provider.name, label: provider.title, disabled: provider.overBudget }));
+        if (providers.length > 1) {
+            candidatesOptions.push({ value: config.allProviders, label: config.i18n_all_providers });
+        }
+        const selectedCandidatesProvider = candidatesProvider || candidatesOptions.find((option) => !option.disabled)?.value || '';
+        const multilingual = translations?.active ? translations : null;
+        const languageOptions = multilingual ? [
+            { value: '', label: config.i18n_post_language },
+            ...multilingual.languages
+                .filter((language) => language.code !== multilingual.language)
+                .map((language) => ({ value: language.code, label: language.name }))
+        ] : [];
+        const translationOptions = multilingual ? multilingual.translations.map((translation) => ({ value: String(translation.postId), label: translation.languageName })) : [];
+        const selectedTranslateSource = translateSource || translationOptions[0]?.value || '';
+
+        return el(
+            PluginDocumentSettingPanel,
+            {
+                name: 'mso-ai-meta-description-panel',
+                title: config.i18n_panel_title,
+                className: 'mso-ai-editor-panel'
+            },
+            el(TextareaControl, {
+                label: config.i18n_meta_description,
+                value: value,
+                rows: 4,
+                onChange: setValue,
+                help: sprintf(config.i18n_recommended_length, admin.MIN_DESCRIPTION_LENGTH, admin.MAX_DESCRIPTION_LENGTH)
+            }),
+            el(
+                'p',
+                { className: 'mso-ai-editor-count' },
+                `${config.i18n_current_count} ${value.length} `,
+                el('span', { className: 'mso-ai-length-indicator', style: { color } }, text)
+            ),
+            (issues.length > 0 || duplicateWarnings.length > 0) && el(
+                'div',
+                { className: 'mso-ai-quality-warnings' },
+                el('p', null, el('strong', null, config.i18n_quality_warnings)),
+                el(
+                    'ul',
+                    null,
+                    duplicateWarnings.map((warning) => el(
+                        'li',
+                        { key: warning.code },
+                        `${qualityIssues[warning.code] || warning.code}: `,
+                        warning.posts.map((post, index) => el(
+                            Fragment,
+                            { key: post.postId },
+                            index > 0 && ', ',
+                            el('a', { href: post.editLink, target: '_blank' }, post.title)
+                        ))
+                    )),
+                    issues.map((code) => el('li', { key: code }, qualityIssues[code] || code))
+                )
+            ),
+            autoStatus?.label && el('p', { className: 'mso-ai-auto-status', 'data-status': autoStatus.status }, autoStatus.label),
+            history.length > 0 && el(
+                'details',
+                { className: 'mso-ai-history' },
+                el('summary', null, sprintf(config.i18n_history, history.length)),
+                el(
+                    'ul',
+                    null,
+                    history.map((entry, index) => el(
+                        'li',
+                        { key: index, className: 'mso-ai-history-entry' },
+                        el(
+                            'p',
+                            { className: 'description' },
+                            [entry.date, entry.author, entry.source].filter(Boolean).join(' · '),
+                            entry.value === value && el('strong', null, ` ${config.i18n_current}`)
+                        ),
+                        el(
+                            'p',
+                            { className: 'mso-ai-history-diff' },
+                            admin.diffWords(value, entry.value).map((part, partIndex) => el(
+                                { insert: 'ins', delete: 'del' }[part.type] || 'span',
+                                { key: partIndex },
+                                part.text
+                            ))
+                        ),
+                        el(Button, { variant: 'secondary', size: 'small', onClick: () => setValue(entry.value) }, config.i18n_restore)
+                    ))
+                )
+            ),
+            focusKeywordMetaKey && el(TextControl, {
+                label: config.i18n_focus_keyword,
+                value: meta[focusKeywordMetaKey] || '',
+                onChange: (newValue) => editPost({ meta: { [focusKeywordMetaKey]: newValue } })
+            }),
+            providers.length > 0 && el(
+                Fragment,
+                null,
+                el('p', null, el('strong', null, config.i18n_generate_with_ai)),
+                allOverBudget && el('p', { className: 'description' }, config.i18n_budget_exceeded),
+                multilingual && el(
+                    'div',
+                    { className: 'mso-ai-multilingual' },
+                    multilingual.language && el('p', { className: 'description' }, sprintf(config.i18n_language, multilingual.languageName)),
+                    el(SelectControl, {
+                        label: config.i18n_generate_in,
+                        value: targetLanguage,
+                        options: languageOptions,
+                        onChange: changeTargetLanguage
+                    }),
+                    translationOptions.length > 0 && el(SelectControl, {
+                        label: config.i18n_translate_from,
+                        value: selectedTranslateSource,
+                        options: translationOptions,
+                        onChange: setTranslateSource
+                    }),
+                    translationOptions.length > 0 && el(
+                        Button,
+                        {
+                            variant: 'secondary',
+                            disabled: isGenerating || allOverBudget,
+                            onClick: () => translate(selectedTranslateSource)
+                        },
+                        config.i18n_translate
+                    )
+                ),
+                el(
+                    'div',
+                    { className: 'mso-ai-editor-buttons' },
+                    el(
+                        Button,
+                        {
+                            variant: 'primary',
+                            disabled: isGenerating || allOverBudget,
+                            onClick: () => generate(config.autoProvider)
+                        },
+                        config.i18n_generate_auto
+                    ),
+                    providers.map((provider) => el(
+                        Button,
+                        {
+                            key: provider.name,
+                            variant: 'secondary',
+                            disabled: isGenerating || provider.overBudget,
+                            onClick: () => generate(provider.name)
+                        },
+                        sprintf(config.i18n_generate_with, provider.title)
+                    )),
+                    isGenerating && el(Spinner),
+                    isGenerating && abortControllerRef.current && el(
+                        Button,
+                        { variant: 'tertiary', onClick: () => abortControllerRef.current?.abort() },
+                        config.i18n_cancel
+                    )
+                ),
+                el(SelectControl, {
+                    label: config.i18n_suggest_variants_with,
+                    value: selectedCandidatesProvider,
+                    options: candidatesOptions,
+                    onChange: setCandidatesProvider
+                }),
+                el(
+                    Button,
+                    {
+                        variant: 'secondary',
+                        disabled: isGenerating || allOverBudget,
+                        onClick: () => suggestCandidates(selectedCandidatesProvider)
+                    },
+                    config.i18n_suggest_variants
+                ),
+                candidates.length > 0 && el(
+                    'ul',
+                    { className: 'mso-ai-candidates' },
+                    candidates.map((candidate, index) => {
+                        const status = admin.getLengthStatus(candidate.text.length);
+
+                        return el(
+                            'li',
+                            { key: index, className: 'mso-ai-candidate' },
+                            el('span', { className: 'mso-ai-candidate-text' }, candidate.text),
+                            el(
+                                'span',
+                                { className: 'mso-ai-candidate-meta' },
+                                `${candidate.provider} · ${sprintf(config.i18n_characters, candidate.text.length)} `,
+                                el('span', { className: 'mso-ai-length-indicator', style: { color: status.color } }, status.text)
+                            ),
+                            el(Button, { variant: 'link', onClick: () => setValue(candidate.text) }, config.i18n_use_candidate)
+                        );
+                    })
+                ),
+                notice && el('p', { className: 'description mso-ai-generated-by' }, notice),
+                error && el('p', { className: 'mso-ai-error mso-ai-model-error' }, error)
+            ),
+            socialMetaKey && el(TextareaControl, {
+                label: config.i18n_social_description,
+                value: meta[socialMetaKey] || '',
+                rows: 3,
+                onChange: (newValue) => editPost({ meta: { [socialMetaKey]: newValue } }),
+                help: config.i18n_social_description_help
+            }),
+            socialMetaKey && providers.length > 0 && el(
+                Button,
+                {
+                    variant: 'secondary',
+                    disabled: isGenerating || allOverBudget,
+                    onClick: generateSocial
+                },
+                config.i18n_generate_social
+            )
+        );
+    };
+
+    wp.plugins.registerPlugin('mso-ai-meta-description', {
+        render: MetaDescriptionPanel
+    });
+
+})(window.wp, window.MSO_AI_Admin);
@@ -16,20 +16,87 @@
     const MSO_AI_Admin = {
         MIN_DESCRIPTION_LENGTH: 120,
         MAX_DESCRIPTION_LENGTH: 160,
+        /**
+         * Google search result sizes. Descriptions are truncated by rendered width
+         * (two lines on desktop, about three on mobile), not by character count.
+         */
+        SERP_DEVICES: {
+            desktop: { titleWidth: 600, titleFont: '20px Arial', descriptionWidth: 920, descriptionFont: '14px Arial' },
+            mobile: { titleWidth: 520, titleFont: '18px Arial', descriptionWidth: 680, descriptionFont: '14px Arial' }
+        },
+        SERP_ELLIPSIS: ' ...',
+        /** Polling of the automatic generation status: delay between requests (ms) and maximum number of requests. */
+        AUTO_STATUS_POLL_INTERVAL: 5000,
+        AUTO_STATUS_MAX_POLLS: 60,
+        /** Delay (ms) after the last keystroke before the duplicates of the description are requested. */
+        DUPLICATES_CHECK_DELAY: 800,
+        serpDevice: 'desktop',
+        canvasContext: null,
         elements: {},
+        candidates: [],
+        /** Language code chosen in the "Generate in" field (WPML, Polylang), empty for the language of the post. */
+        targetLanguage: '',
+        /** Posts having the same or a similar description, from the last duplicates check. */
+        duplicates: [],
+        duplicatesTimer: null,
+        abortController: null,
+        bulk: {
+            items: [],
+            queue: [],
+            active: 0,
+            paused: false
+        },
         config: {
             selectedModels: {},
+            providers: [],
+            allProviders: '__all',
+            candidateCount: 3,
+            postType: '',
+            lengthRules: {},
             selectModel: '-- Select a Model --',
             errorLoadingModels: 'Error loading models.',
             apiKeyMissingError: 'API key not set for this provider.',
             status: ['(Too short)', '(Too long)', '(Good)'],
+            focusKeywordMetaKey: '_mso_ai_focus_keyword',
+            socialMetaKey: '_mso_ai_social_description',
+            socialVariant: 'social',
             ajaxUrl: '',
+            restNamespace: 'mso-ai/v1',
             nonce: '',
             action: 'save_mso_ai_settings',
             saving_text: 'Saving...',
             error_text: 'An error occurred.',
             i18n_show_password: 'Show password',
-            i18n_hide_password: 'Hide password'
+            i18n_hide_password: 'Hide password',
+            i18n_use_candidate: 'Use this',
+            i18n_characters: '%d characters',
+            i18n_pixel_width: '%1$d / %2$d px',
+            autoProvider: '__auto',
+            i18n_generate_auto: 'Generate (auto)',
+            i18n_generated_by: 'Generated by %s.',
+            i18n_retrying_with: 'Retrying with %s...',
+            i18n_no_title: '(no title)',
+            bulkMaxConcurrency: 5,
+            i18n_bulk_pending: 'Pending',
+            i18n_bulk_processing: 'Processing...',
+            i18n_bulk_done: 'Done',
+            i18n_bulk_failed: 'Failed',
+            i18n_bulk_retry: 'Retry',
+            i18n_bulk_no_posts: 'All the posts of the selected types have a meta description.',
+            i18n_bulk_progress: '%1$d / %2$d processed, %3$d failed',
+            i18n_context_window: '%s tokens',
+            i18n_model_deprecated: 'deprecated',
+            i18n_model_unavailable: '%s (no longer available)',
+            i18n_model_unavailable_warning: 'The saved model "%s" is no longer available. Select another model.',
+            i18n_testing_connection: 'Testing connection...',
+            i18n_import_actions: { import: 'New', overwrite: 'Replaced', skip: 'Skipped' },
+            i18n_import_progress: '%1$d / %2$d posts',
+            i18n_import_preview_done: 'Preview: %1$d new, %2$d replaced, %3$d skipped. Nothing was saved.',
+            i18n_import_done: 'Import complete: %1$d new, %2$d replaced, %3$d skipped.',
+            i18n_settings_exported: 'Settings exported.',
+            i18n_select_settings_file: 'Select a settings file to import.',
+            i18n_invalid_settings_file: 'The file is not a valid JSON file.',
+            qualityIssues: {}
         },
 
         /**
@@ -40,11 +107,26 @@
                 this.config = { ...this.config, ...msoAiScriptVars };
             }
 
+            this.applyLengthRules();
+
             this.cacheElements();
             this.bindEvents();
             this.initPageSpecificFeatures();
         },
 
+        /**
+         * Uses the length limits configured for the current post type (Options tab),
+         * so the counter and status colours follow the same rules as the prompt.
+         */
+        applyLengthRules() {
+            const rules = this.config.lengthRules?.[this.config.postType];
+
+            if (rules) {
+                this.MIN_DESCRIPTION_LENGTH = parseInt(rules.min, 10) || this.MIN_DESCRIPTION_LENGTH;
+                this.MAX_DESCRIPTION_LENGTH = parseInt(rules.max, 10) || this.MAX_DESCRIPTION_LENGTH;
+            }
+        },
+
         /**
          * Caches frequently used DOM elements.
          */
@@ -53,9 +135,29 @@
                 $metaBoxField: $('#mso_ai_meta_description_field'),
                 $charCountSpan: $('.mso-ai-char-count'),
                 $lengthIndicatorSpan: $('.mso-ai-length-indicator'),
-                $generateButtons: $('.mso-ai-generate-button'),
+                $pixelWidthSpan: $('.mso-ai-pixel-width'),
+                $qualityWarnings: $('.mso-ai-quality-warnings'),
+                $focusKeywordField: $('#mso_ai_focus_keyword_field'),
+                $serpPreview: $('.mso-ai-serp-preview'),
+                $titleField: $('#title'),
+                // Buttons of the providers over their monthly budget stay disabled.
+                $generateButtons: $('.mso-ai-generate-button, .mso-ai-candidates-button, .mso-ai-social-generate, .mso-ai-translate-button').not('[data-over-budget]'),
+                $history: $('.mso-ai-history'),
+                $autoStatus: $('.mso-ai-auto-status'),
+                $autoNotice: $('.mso-ai-auto-notice'),
+                $socialField: $('#mso_ai_social_description_field'),
+                $socialGenerateButton: $('.mso-ai-social-generate'),
+                $socialSpinner: $('.mso-ai-social-spinner'),
+                $socialError: $('.mso-ai-social-error'),
+                $objectDescriptions: $('.mso-ai-object-description'),
+                $candidatesProvider: $('#mso-ai-candidates-provider'),
+                $targetLanguage: $('#mso-ai-target-language'),
+                $translateSource: $('#mso-ai-translate-source'),
+                $candidatesList: $('.mso-ai-candidates'),
                 $metaBoxGenerator: $('.mso-ai-generator'), 
                 $metaBoxSpinner: $('.mso-ai-generator .spinner'),
+                $cancelButton: $('.mso-ai-cancel-button'),
+                $generatedBy: $('.mso-ai-generated-by'),
                 $aiErrorContainer: $('#mso-ai-error'),
                 $content: $('#content'),
                 $settingsForm: $('#mso-ai-settings-form'),
@@ -64,7 +166,35 @@
                 $navTabs: $('.nav-tab-wrapper a.nav-tab'),
                 $passwordToggleButtons: $('.wp-hide-pw'),
                 $togglePromptLinks: $('.mso-ai-toggle-prompt'),
-                $modelSelects: $('.mso-model-select')
+                $modelSelects: $('.mso-model-select'),
+                $bulkScreen: $('#mso-ai-bulk'),
+                $bulkRows: $('#mso-ai-bulk-rows'),
+                $bulkTable: $('.mso-ai-bulk-table'),
+                $bulkSpinner: $('#mso-ai-bulk .spinner'),
+                $bulkFindButton: $('#mso-ai-bulk-find'),
+                $bulkStartButton: $('#mso-ai-bulk-start'),
+                $bulkPauseButton: $('#mso-ai-bulk-pause'),
+                $bulkResumeButton: $('#mso-ai-bulk-resume'),
+                $bulkProgress: $('.mso-ai-bulk-progress'),
+                $bulkProgressBar: $('#mso-ai-bulk-progress-bar'),
+                $bulkProgressText: $('#mso-ai-bulk-progress-text'),
+                $bulkErrors: $('#mso-ai-bulk-errors'),
+                $importScreen: $('#mso-ai-import'),
+                $importSource: $('#mso-ai-import-source'),
+                $importPreviewButton: $('#mso-ai-import-preview'),
+                $importStartButton: $('#mso-ai-import-start'),
+                $importSpinner: $('#mso-ai-import .spinner'),
+                $importProgress: $('.mso-ai-import-progress'),
+                $importProgressBar: $('#mso-ai-import-progress-bar'),
+                $importProgressText: $('#mso-ai-import-progress-text'),
+                $importTable: $('.mso-ai-import-table'),
+                $importRows: $('#mso-ai-import-rows'),
+                $transferScreen: $('#mso-ai-transfer'),
+                $exportSettingsButton: $('#mso-ai-export-settings'),
+                $importSettingsButton: $('#mso-ai-import-settings'),
+                $importSettingsFile: $('#mso-ai-import-settings-file'),
+                $transferSpinner: $('#mso-ai-transfer .spinner'),
+                $postsList: $('#the-list')
             };
         },
 
@@ -75,6 +205,26 @@
             if (this.elements.$metaBoxField.length) {
                 this.elements.$metaBoxField.on('keyup input paste change', this.updateCharacterCount.bind(this));
                 this.elements.$metaBoxGenerator.on('click', '.mso-ai-generate-button', this.handleGenerateClick.bind(this));
+                this.elements.$metaBoxGenerator.on('click', '.mso-ai-candidates-button', this.handleCandidatesClick.bind(this));
+                this.elements.$cancelButton.on('click', this.handleCancelClick.bind(this));
+                this.elements.$candidatesList.on('click', '.mso-ai-use-candidate', this.handleUseCandidateClick.bind(this));
+                this.elements.$targetLanguage.on('change', this.handleTargetLanguageChange.bind(this));
+                this.elements.$metaBoxGenerator.on('click', '.mso-ai-translate-button', this.handleTranslateClick.bind(this));
+                this.elements.$socialGenerateButton.on('click', this.handleSocialGenerateClick.bind(this));
+                this.elements.$metaBoxField.on('input change', this.updateHistoryDiffs.bind(this));
+                this.elements.$metaBoxField.on('input change', this.scheduleDuplicatesCheck.bind(this));
+                this.elements.$titleField.add(this.elements.$focusKeywordField).on('input', this.updateQualityWarnings.bind(this));
+                this.elements.$history.on('click', '.mso-ai-history-restore', this.handleHistoryRestoreClick.bind(this));
+            }
+
+            if (this.elements.$objectDescriptions.length) {
+                this.elements.$objectDescriptions.on('keyup input paste change', '.mso-ai-object-field', this.handleObjectFieldInput.bind(this));
+                this.elements.$objectDescriptions.on('click', '.mso-ai-object-generate', this.handleObjectGenerateClick.bind(this));
+            }
+
+            if (this.elements.$serpPreview.length) {
+                this.elements.$serpPreview.on('click', '.mso-ai-serp-device', this.handleSerpDeviceClick.bind(this));
+                this.elements.$titleField.on('input', this.updateSerpPreview.bind(this));
             }
             
             if (this.elements.$settingsForm.length) {
@@ -85,6 +235,38 @@
 
             if (this.elements.$settingsForm.length) {
                 this.elements.$settingsForm.on('click', '.mso-ai-toggle-prompt', this.handleTogglePromptClick.bind(this));
+                this.elements.$settingsForm.on('click', '.mso-ai-fallback-move', this.handleFallbackMoveClick.bind(this));
+                this.elements.$settingsForm.on('click', '.mso-ai-prompt-template-add', this.handlePromptTemplateAddClick.bind(this));
+                this.elements.$settingsForm.on('click', '.mso-ai-prompt-template-remove', this.handlePromptTemplateRemoveClick.bind(this));
+                this.elements.$settingsForm.on('click', '.mso-ai-prompt-test-button', this.handlePromptTestClick.bind(this));
+                this.elements.$settingsForm.on('click', '.mso-ai-refresh-models', this.handleRefreshModelsClick.bind(this));
+                this.elements.$settingsForm.on('click', '.mso-ai-test-connection', this.handleTestConnectionClick.bind(this));
+            }
+
+            if (this.elements.$bulkScreen.length) {
+                this.elements.$bulkFindButton.on('click', this.handleBulkFindClick.bind(this));
+                this.elements.$bulkStartButton.on('click', this.handleBulkStartClick.bind(this));
+                this.elements.$bulkPauseButton.on('click', this.handleBulkPauseClick.bind(this));
+                this.elements.$bulkResumeButton.on('click', this.handleBulkResumeClick.bind(this));
+                this.elements.$bulkRows.on('click', '.mso-ai-bulk-retry', this.handleBulkRetryClick.bind(this));
+                this.elements.$bulkErrors.on('click', '#mso-ai-bulk-retry-failed', this.handleBulkRetryFailedClick.bind(this));
+            }
+
+            if (this.elements.$importScreen.length) {
+                this.elements.$importPreviewButton.on('click', this.handleImportClick.bind(this));
+                this.elements.$importStartButton.on('click', this.handleImportClick.bind(this));
+            }
+
+            if (this.elements.$transferScreen.length) {
+                this.elements.$exportSettingsButton.on('click', this.handleExportSettingsClick.bind(this));
+                this.elements.$importSettingsButton.on('click', this.handleImportSettingsClick.bind(this));
+            }
+
+            if (this.elements.$postsList.length && window.inlineEditPost) {
+                this.elements.$postsList.on('keyup input paste change', '.mso-ai-quick-edit-field', this.handleQuickEditInput.bind(this));
+                this.elements.$postsList.on('click', '.mso-ai-quick-edit-generate', this.handleQuickEditGenerateClick.bind(this));
+                this.elements.$postsList.on('click', '.mso-ai-bulk-edit-generate', this.handleBulkEditGenerateClick.bind(this));
+                this.extendInlineEdit();
             }
         },
 
@@ -107,43 +289,422 @@
             }
         },
 
+        /**
+         * Adds an empty row to the prompt templates table, from the row template.
+         */
+        handlePromptTemplateAddClick() {
+            const rowTemplate = $('#mso-ai-prompt-template-row').html() || '';
+            $('.mso-ai-prompt-templates tbody').append(rowTemplate.replace(/__index__/g, `new${Date.now()}`));
+        },
+
+        /**
+         * Removes a row of the prompt templates table.
+         * @param {Event} e - The click event object.
+         */
+        handlePromptTemplateRemoveClick(e) {
+            $(e.currentTarget).closest('tr').remove();
+        },
+
+        /**
+         * Runs the prompt of the provider tab (selected shared template, or custom prompt as typed)
+         * against the chosen post, and shows the prompt sent and the output.
+         * @param {Event} e - The click event object.
+         */
+        async handlePromptTestClick(e) {
+            const $bench = $(e.currentTarget).closest('.mso-ai-prompt-test');
+            const provider = $bench.data('provider');
+            const $spinner = $bench.find('.spinner');
+            const $error = $bench.find('.mso-ai-prompt-test-error');
+            const $result = $bench.find('.mso-ai-prompt-test-result');
+
+            $spinner.css('visibility', 'visible');
+            $error.text('');
+            $result.prop('hidden', true);
+            $(e.currentTarget).prop('disabled', true);
+
+            try {
+                const result = await this.apiRequest('/prompts/test', {
+                    method: 'POST',
+                    data: {
+                        provider: provider,
+                        post_id: parseInt($bench.find('.mso-ai-prompt-test-post').val(), 10) || 0,
+                        template_id: this.elements.$settingsForm.find('.mso-ai-prompt-template-select').val() || '',
+                        template: this.elements.$settingsForm.find('.mso-ai-custom-prompt').val() || ''
+                    }
+                });
+
+                $bench.find('.mso-ai-prompt-test-prompt').text(result.prompt);
+                $bench.find('.mso-ai-prompt-test-output').text(result.output);
+                $result.prop('hidden', false);
+
+                if (result.error) {
+                    $error.text(this.parseApiError(result.error, 'Error'));
+                }
+            } catch (err) {
+                $error.text(this.parseApiError(err.message || 'Failed to generate summary.', 'Error'));
+            } finally {
+                $spinner.css('visibility', 'hidden');
+                $(e.currentTarget).prop('disabled', false);
+            }
+        },
+
+        /**
+         * Fetches the models of a provider from its API again, instead of the cached list.
+         * @param {Event} e - The click event object.
+         */
+        handleRefreshModelsClick(e) {
+            const apiType = $(e.currentTarget).data('provider');
+            const $select = this.elements.$modelSelects.filter(`[data-provider="${apiType}"]`);
+
+            this.populateModelSelect({
+                apiType: apiType,
+                $select: $select,
+                defaultModel: $select.val() || this.config.selectedModels[apiType] || null,
+                refresh: true
+            });
+        },
+
+        /**
+         * Tests the connection to a provider with its saved settings, and shows the result.
+         * @param {Event} e - The click event object.
+         */
+        async handleTestConnectionClick(e) {
+            const $button = $(e.currentTarget);
+            const apiType = $button.data('provider');
+            const $result = $('#mso-connection-result-' + apiType);
+
+            $button.prop('disabled', true);
+            $result.removeClass('mso-ai-connection-success mso-ai-connection-warning mso-ai-connection-error')
+                .text(this.config.i18n_testing_connection);
+
+            try {
+                const result = await this.apiRequest(`/providers/${encodeURIComponent(apiType)}/test`, { method: 'POST' });
+                let resultClass = 'mso-ai-connection-error';
+
+                if (result.success) {
+                    resultClass = result.model && !result.modelAvailable ? 'mso-ai-connection-warning' : 'mso-ai-connection-success';
+                }
+                $result.addClass(resultClass).text(result.success ? result.message : this.parseApiError(result.message, 'Error'));
+            } catch (err) {
+                $result.addClass('mso-ai-connection-error').text(this.parseApiError(err.message || 'Unknown error', 'Error'));
+            } finally {
+                $button.prop('disabled', false);
+            }
+        },
+
+        /**
+         * Moves a provider up or down in the fallback order list.
+         * @param {Event} e - The click event object.
+         */
+        handleFallbackMoveClick(e) {
+            const $button = $(e.currentTarget);
+            const $item = $button.closest('li');
+
+            if ($button.data('direction') === 'up') {
+                $item.prev().before($item);
+            } else {
+                $item.next().after($item);
+            }
+            $button.trigger('focus');
+        },
+
         /**
          * Initializes features specific to the current page (Meta Box or Settings).
          */
         initPageSpecificFeatures() {
             if (this.elements.$metaBoxField.length) {
                 this.updateCharacterCount(); 
+                this.updateHistoryDiffs();
+                this.checkDuplicates();
+
+                if (this.elements.$autoStatus.attr('data-status') === 'queued') {
+                    this.pollAutoStatus(parseInt($('#post_ID').val(), 10) || 0, this.handleAutoStatus.bind(this));
+                }
             }
 
             if (this.elements.$settingsForm.length) {
                 this.populateAllModelSelects();
             }
+
+            this.elements.$objectDescriptions.each((index, wrapper) => this.updateObjectCount($(wrapper)));
+        },
+
+        /**
+         * Computes the length status of a meta description.
+         * Shared by the meta box counter and the block editor panel.
+         * @param {number} length - Number of characters of the description.
+         * @param {number} [width=0] - Rendered width in pixels on desktop results, if measured.
+         * @returns {{color: string, text: string}} Indicator color and status label.
+         */
+        getLengthStatus(length, width = 0) {
+            if (length === 0) {
+                return { color: 'inherit', text: '' };
+            }
+            if (length > this.MAX_DESCRIPTION_LENGTH || width > this.SERP_DEVICES.desktop.descriptionWidth) {
+                return { color: 'red', text: this.config.status[1] };
+            }
+            if (length < this.MIN_DESCRIPTION_LENGTH) {
+                return { color: 'orange', text: this.config.status[0] };
+            }
+
+            return { color: 'green', text: this.config.status[2] };
         },
 
         /**
-         * Updates the character count display and color indicator.
+         * Updates the character count display, the pixel width and the color indicator.
          */
         updateCharacterCount() {
             const value = this.elements.$metaBoxField.val() || '';
             const length = value.length;
-            let color = 'inherit';
-            let indicatorText = '';
-
-            if (length > 0) {
-                if (length < this.MIN_DESCRIPTION_LENGTH) {
-                    color = 'orange';
-                    indicatorText = this.config.status[0]; 
-                } else if (length > this.MAX_DESCRIPTION_LENGTH) {
-                    color = 'red';
-                    indicatorText = this.config.status[1]; 
+            const width = this.getDescriptionWidth(value);
+            const { color, text } = this.getLengthStatus(length, width);
+
+            this.elements.$charCountSpan.text(length);
+            this.elements.$lengthIndicatorSpan.text(text).css('color', color);
+            this.elements.$pixelWidthSpan.text(this.config.i18n_pixel_width
+                .replace('%1$d', Math.round(width))
+                .replace('%2$d', this.SERP_DEVICES.desktop.descriptionWidth));
+            this.updateSerpPreview();
+            this.updateQualityWarnings();
+        },
+
+        /**
+         * Normalizes a text for comparisons: lowercase words and numbers separated by single spaces.
+         * Same rules as DescriptionQuality::normalize().
+         * @param {string} text - The text.
+         * @returns {string} The normalized text.
+         */
+        normalizeText(text) {
+            return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        },
+
+        /**
+         * Runs the quality checks of a description, all but the duplicates (see DescriptionQuality::check()).
+         * Shared by the meta box and the block editor panel.
+         * @param {string} description - The meta description.
+         * @param {{title: string, focusKeyword: string}} post - The post title and focus keyword.
+         * @returns {Array<string>} The codes of the issues found.
+         */
+        getQualityIssues(description, { title, focusKeyword }) {
+            const issues = [];
+            const length = description.length;
+            const normalized = this.normalizeText(description);
+            const keyword = this.normalizeText(focusKeyword);
+            const trimmed = description.trim();
+
+            if (!length) {
+                return issues;
+            }
+            if (normalized && normalized === this.normalizeText(title)) {
+                issues.push('same_as_title');
+            }
+            if (keyword && !` ${normalized} `.includes(` ${keyword} `)) {
+                issues.push('missing_keyword');
+            }
+            if (/["“”„«»]/.test(description)) {
+                issues.push('quotes');
+            }
+            if (/<\/?[a-z][^>]*>|&[a-z]+;|&#\d+;/i.test(description)) {
+                issues.push('html');
+            }
+            if (/(\.{2,}|…|[-–—,;:])$/u.test(trimmed) || (length >= this.MAX_DESCRIPTION_LENGTH && /[\p{L}\p{N}]$/u.test(trimmed))) {
+                issues.push('truncated');
+            }
+            if (length < this.MIN_DESCRIPTION_LENGTH || length > this.MAX_DESCRIPTION_LENGTH) {
+                issues.push('length');
+            }
+
+            return issues;
+        },
+
+        /**
+         * Requests the other posts having the same or a similar description.
+         * Shared by the meta box and the block editor panel.
+         * @param {number} postId - ID of the post being edited.
+         * @param {string} description - The meta description.
+         * @returns {Promise<Array<{postId: number, title: string, editLink: string, exact: boolean}>>} The posts.
+         */
+        requestDuplicates(postId, description) {
+            if (!postId || !description.trim()) {
+                return Promise.resolve([]);
+            }
+
+            return this.apiRequest(`/posts/${postId}/duplicates?description=${encodeURIComponent(description)}`);
+        },
+
+        /**
+         * Checks the duplicates of the meta box description once the user stops typing.
+         */
+        scheduleDuplicatesCheck() {
+            clearTimeout(this.duplicatesTimer);
+            this.duplicatesTimer = setTimeout(this.checkDuplicates.bind(this), this.DUPLICATES_CHECK_DELAY);
+        },
+
+        /**
+         * Checks the duplicates of the meta box description, then updates the warnings.
+         * Responses to outdated descriptions are ignored.
+         */
+        async checkDuplicates() {
+            const description = this.elements.$metaBoxField.val() || '';
+
+            try {
+                const duplicates = await this.requestDuplicates(parseInt($('#post_ID').val(), 10) || 0, description);
+
+                if (description === (this.elements.$metaBoxField.val() || '')) {
+                    this.duplicates = duplicates;
+                    this.updateQualityWarnings();
+                }
+            } catch {
+                this.duplicates = [];
+            }
+        },
+
+        /**
+         * Lists the quality issues of the meta box description under its counter.
+         */
+        updateQualityWarnings() {
+            const $warnings = this.elements.$qualityWarnings;
+            if (!$warnings.length) {
+                return;
+            }
+
+            const issues = this.getQualityIssues(this.elements.$metaBoxField.val() || '', {
+                title: this.elements.$titleField.val() || '',
+                focusKeyword: this.elements.$focusKeywordField.val() || ''
+            });
+            const $list = $warnings.find('ul').empty();
+
+            ['duplicate', 'near_duplicate'].forEach((code) => {
+                const posts = this.duplicates.filter(post => post.exact === (code === 'duplicate'));
+                if (!posts.length) {
+                    return;
+                }
+
+                const $item = $('<li>').text(`${this.config.qualityIssues[code] || code}: `);
+                posts.forEach((post, index) => {
+                    $item.append(index ? ', ' : '', $('<a>', { href: post.editLink, target: '_blank' }).text(post.title));
+                });
+                $list.append($item);
+            });
+            issues.forEach((code) => {
+                $list.append($('<li>').text(this.config.qualityIssues[code] || code));
+            });
+
+            $warnings.prop('hidden', $list.children().length === 0);
+        },
+
+        /**
+         * Measures the rendered width of a text with canvas text metrics.
+         * @param {string} text - The text to measure.
+         * @param {string} font - CSS font shorthand used to render the text.
+         * @returns {number} The width in pixels.
+         */
+        measureTextWidth(text, font) {
+            if (!this.canvasContext) {
+                this.canvasContext = document.createElement('canvas').getContext('2d');
+            }
+
+            this.canvasContext.font = font;
+
+            return this.canvasContext.measureText(text).width;
+        },
+
+        /**
+         * Measures the width of a description as rendered in desktop search results.
+         * Shared by the meta box counter and the block editor panel.
+         * @param {string} description - The meta description.
+         * @returns {number} The width in pixels.
+         */
+        getDescriptionWidth(description) {
+            return this.measureTextWidth(description, this.SERP_DEVICES.desktop.descriptionFont);
+        },
+
+        /**
+         * Splits a text at the point where Google truncates it: the longest prefix that fits
+         * in the available width once followed by the ellipsis.
+         * @param {string} text - The text to truncate.
+         * @param {number} maxWidth - Available width in pixels.
+         * @param {string} font - CSS font shorthand used to render the text.
+         * @returns {{visible: string, overflow: string}} The displayed part and the truncated part.
+         */
+        truncateToWidth(text, maxWidth, font) {
+            if (this.measureTextWidth(text, font) <= maxWidth) {
+                return { visible: text, overflow: '' };
+            }
+
+            const availableWidth = maxWidth - this.measureTextWidth(this.SERP_ELLIPSIS, font);
+            let low = 0;
+            let high = text.length;
+
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (this.measureTextWidth(text.slice(0, middle), font) <= availableWidth) {
+                    low = middle;
                 } else {
-                    color = 'green';
-                    indicatorText = this.config.status[2]; 
+                    high = middle - 1;
                 }
             }
 
-            this.elements.$charCountSpan.text(length);
-            this.elements.$lengthIndicatorSpan.text(indicatorText).css('color', color);
+            return { visible: text.slice(0, low), overflow: text.slice(low) };
+        },
+
+        /**
+         * Formats a permalink like the breadcrumb displayed in search results.
+         * @param {string} url - The permalink.
+         * @returns {string} The formatted URL.
+         */
+        formatSerpUrl(url) {
+            try {
+                const { hostname, pathname } = new URL(url);
+
+                return [hostname, ...pathname.split('/').filter(Boolean)].join(' › ');
+            } catch {
+                return url || '';
+            }
+        },
+
+        /**
+         * Renders the search result preview for the selected device.
+         * The truncated part of the title and description is shown after the ellipsis.
+         */
+        updateSerpPreview() {
+            const $preview = this.elements.$serpPreview;
+            if (!$preview.length) return;
+
+            const device = this.SERP_DEVICES[this.serpDevice];
+            const title = (this.elements.$titleField.val() ?? $preview.data('title') ?? '').toString().trim() || this.config.i18n_no_title;
+            const description = this.elements.$metaBoxField.val() || '';
+
+            const renderTruncated = ($target, text, maxWidth, font) => {
+                const { visible, overflow } = this.truncateToWidth(text, maxWidth, font);
+
+                $target.empty().append(document.createTextNode(visible));
+                if (overflow) {
+                    $target
+                        .append($('<span>', { class: 'mso-ai-serp-ellipsis' }).text(this.SERP_ELLIPSIS))
+                        .append($('<span>', { class: 'mso-ai-serp-overflow' }).text(overflow));
+                }
+            };
+
+            $preview.find('.mso-ai-serp-result').attr('data-device', this.serpDevice);
+            $preview.find('.mso-ai-serp-url').text(this.formatSerpUrl($preview.data('url')));
+            renderTruncated($preview.find('.mso-ai-serp-title'), title, device.titleWidth, device.titleFont);
+            renderTruncated($preview.find('.mso-ai-serp-description'), description, device.descriptionWidth, device.descriptionFont);
+        },
+
+        /**
+         * Switches the search result preview between desktop and mobile.
+         * @param {Event} e - The click event object.
+         */
+        handleSerpDeviceClick(e) {
+            const device = $(e.currentTarget).data('device');
+            if (!this.SERP_DEVICES[device]) return;
+
+            this.serpDevice = device;
+            this.elements.$serpPreview.find('.mso-ai-serp-device').each((index, el) => {
+                $(el).attr('aria-pressed', $(el).data('device') === device ? 'true' : 'false');
+            });
+            this.updateSerpPreview();
         },
 
         /**
@@ -159,12 +720,20 @@
 
         /**
          * Generates a summary of post content using the specified AI provider.
+         * The summary is streamed into the field as it is produced; the previous value
+         * is restored if the generation fails or is cancelled.
          * @param {string} provider - AI provider identifier.
          */
         async summarizeContent(provider) {
+            const $field = this.elements.$metaBoxField;
+            const previousValue = $field.val();
+
+            this.abortController = new AbortController();
             this.elements.$metaBoxSpinner.css('visibility', 'visible');
             this.elements.$aiErrorContainer.text('');
             this.elements.$generateButtons.prop('disabled', true);
+            this.elements.$cancelButton.prop('hidden', false);
+            this.elements.$generatedBy.prop('hidden', true).text('');
 
             try {
                 const plainText = this.getPostContentAsText();
@@ -172,22 +741,492 @@
                     throw new Error('Content is empty or could not be retrieved.');
                 }
 
-                const result = await this.ajaxRequest({
-                    action: 'mso_ai_generate_summary',
+                let streamedText = '';
+                $field.val('');
+
+                const result = await this.streamRequest({
+                    ...this.getPostContext(),
+                    action: 'mso_ai_stream_summary',
                     content: plainText,
                     provider: provider
+                }, (delta) => {
+                    streamedText += delta;
+                    $field.val(streamedText).trigger('input');
+                }, this.abortController.signal, (providerTitle) => {
+                    streamedText = '';
+                    $field.val('').trigger('input');
+                    this.elements.$generatedBy.prop('hidden', false).text(this.config.i18n_retrying_with.replace('%s', providerTitle));
+                });
+
+                $field.val(result.summary).trigger('input');
+                this.elements.$generatedBy.prop('hidden', false).text(this.config.i18n_generated_by.replace('%s', result.providerTitle));
+
+            } catch (err) {
+                $field.val(previousValue).trigger('input');
+                this.elements.$generatedBy.prop('hidden', true).text('');
+                if (err.name !== 'AbortError') {
+                    const displayError = this.parseApiError(err.message || 'Failed to generate summary.', 'Error');
+                    this.elements.$aiErrorContainer.text(displayError);
+                }
+            } finally {
+                this.abortController = null;
+                this.elements.$metaBoxSpinner.css('visibility', 'hidden');
+                this.elements.$generateButtons.prop('disabled', false);
+                this.elements.$cancelButton.prop('hidden', true);
+                this.updateCharacterCount();
+            }
+        },
+
+        /**
+         * Handles click events on the "Cancel" button, aborting the running generation.
+         */
+        handleCancelClick() {
+            this.abortController?.abort();
+        },
+
+        /**
+         * Handles click events on the "Suggest variants" button.
+         */
+        handleCandidatesClick() {
+            const provider = this.elements.$candidatesProvider.val();
+            if (provider) {
+                this.suggestCandidates(provider);
+            }
+        },
+
+        /**
+         * Requests candidate descriptions and lists them under the meta box field.
+         * @param {string} provider - AI provider identifier, or the "all providers" value.
+         */
+        async suggestCandidates(provider) {
+            this.elements.$metaBoxSpinner.css('visibility', 'visible');
+            this.elements.$aiErrorContainer.text('');
+            this.elements.$generateButtons.prop('disabled', true);
+
+            try {
+                const plainText = this.getPostContentAsText();
+                if (!plainText) {
+                    throw new Error('Content is empty or could not be retrieved.');
+                }
+
+                this.candidates = await this.requestCandidates(provider, plainText);
+                this.renderCandidates();
+            } catch (err) {
+                const displayError = this.parseApiError(err.message || 'Failed to generate summary.', 'Error');
+                this.elements.$aiErrorContainer.text(displayError);
+            } finally {
+                this.elements.$metaBoxSpinner.css('visibility', 'hidden');
+                this.elements.$generateButtons.prop('disabled', false);
+            }
+        },
+
+        /**
+         * Requests candidate descriptions, either several from one provider,
+         * or one from each configured provider in parallel.
+         * Shared by the meta box and the block editor panel.
+         * @param {string} provider - AI provider identifier, or the "all providers" value.
+         * @param {string} content - Plain text content to summarize.
+         * @returns {Promise<Array<{text: string, provider: string}>>} The candidates.
+         */
+        async requestCandidates(provider, content) {
+            const getTitle = (name) => this.config.providers.find(p => p.name === name)?.title || name;
+            const context = this.getPostContext();
+
+            if (provider === this.config.allProviders) {
+                const results = await Promise.allSettled(this.config.providers.map(p =>
+                    this.apiRequest('/generate', {
+                        method: 'POST',
+                        data: { ...context, content: content, provider: p.name }
+                    }).then(result => ({ text: result.summary, provider: p.title }))
+                ));
+
+                const candidates = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+                if (!candidates.length) {
+                    throw results.find(r => r.status === 'rejected')?.reason || new Error('Failed to generate summary.');
+                }
+
+                return candidates;
+            }
+
+            const result = await this.apiRequest('/generate', {
+                method: 'POST',
+                data: { ...context, content: content, provider: provider, count: this.config.candidateCount }
+            });
+
+            const summaries = Array.isArray(result.summaries) ? result.summaries : [result.summary];
+
+            return summaries.map(text => ({ text, provider: getTitle(provider) }));
+        },
+
+        /**
+         * Renders the list of candidates with their length status.
+         */
+        renderCandidates() {
+            const $list = this.elements.$candidatesList.empty();
+
+            this.candidates.forEach((candidate, index) => {
+                const { color, text } = this.getLengthStatus(candidate.text.length);
+                const $meta = $('<span>', { class: 'mso-ai-candidate-meta' })
+                    .text(`${candidate.provider} · ${this.config.i18n_characters.replace('%d', candidate.text.length)} `)
+                    .append($('<span>', { class: 'mso-ai-length-indicator' }).text(text).css('color', color));
+
+                $('<li>', { class: 'mso-ai-candidate' })
+                    .append($('<span>', { class: 'mso-ai-candidate-text' }).text(candidate.text))
+                    .append($meta)
+                    .append($('<button>', {
+                        type: 'button',
+                        class: 'button button-small mso-ai-use-candidate',
+                        'data-index': index
+                    }).text(this.config.i18n_use_candidate))
+                    .appendTo($list);
+            });
+
+            $list.prop('hidden', this.candidates.length === 0);
+        },
+
+        /**
+         * Applies the clicked candidate to the meta box field.
+         * @param {Event} e - The click event object.
+         */
+        handleUseCandidateClick(e) {
+            const candidate = this.candidates[$(e.currentTarget).data('index')];
+            if (candidate) {
+                this.elements.$metaBoxField.val(candidate.text).trigger('input');
+            }
+        },
+
+        /**
+         * Polls the status of the automatic generation of a post while it is queued.
+         * Shared by the meta box and the block editor panel.
+         * @param {number} postId - The post ID.
+         * @param {function(object): void} onStatus - Called with each status received ('status', 'label', 'description').
+         * @returns {function(): void} Stops the polling.
+         */
+        pollAutoStatus(postId, onStatus) {
+            let timer = null;
+            let stopped = false;
+            let polls = 0;
+
+            const poll = async () => {
+                try {
+                    const status = await this.apiRequest(`/posts/${postId}/auto-status`);
+                    if (stopped) {
+                        return;
+                    }
+
+                    onStatus(status);
+                    if (status.status !== 'queued' || ++polls >= this.AUTO_STATUS_MAX_POLLS) {
+                        return;
+                    }
+                } catch {
+                    // Stop polling on errors (e.g. expired nonce), the status is read again on the next page load.
+                    return;
+                }
+
+                timer = setTimeout(poll, this.AUTO_STATUS_POLL_INTERVAL);
+            };
+
+            if (postId) {
+                poll();
+            }
+
+            return () => {
+                stopped = true;
+                clearTimeout(timer);
+            };
+        },
+
+        /**
+         * Refreshes the meta box badge and the admin notice with the automatic generation status.
+         * The generated description is put in the field if it is still empty, so saving the post keeps it.
+         * @param {object} status - Status returned by the auto-status route.
+         */
+        handleAutoStatus(status) {
+            this.elements.$autoStatus.attr('data-status', status.status).prop('hidden', !status.label).text(status.label);
+
+            const noticeClass = { generated: 'notice-success', failed: 'notice-error' }[status.status] || 'notice-info';
+            this.elements.$autoNotice.removeClass('notice-info notice-success notice-error').addClass(noticeClass).find('p').text(status.label);
+
+            if (status.status === 'generated' && !this.elements.$metaBoxField.val()) {
+                this.elements.$metaBoxField.val(status.description).trigger('input');
+            }
+        },
+
+        /**
+         * Shows, for each history entry of the meta box, the words that restoring it would change.
+         */
+        updateHistoryDiffs() {
+            const current = this.elements.$metaBoxField.val() || '';
+
+            this.elements.$history.find('.mso-ai-history-entry').each((index, entry) => {
+                const $diff = $(entry).find('.mso-ai-history-diff').empty();
+
+                this.diffWords(current, $(entry).attr('data-value') || '').forEach((part) => {
+                    const tag = { insert: '<ins>', delete: '<del>' }[part.type] || '<span>';
+                    $diff.append($(tag).text(part.text));
                 });
+            });
+        },
+
+        /**
+         * Puts the value of the clicked history entry back in the meta box field.
+         * @param {Event} e - The click event object.
+         */
+        handleHistoryRestoreClick(e) {
+            const value = $(e.currentTarget).closest('.mso-ai-history-entry').attr('data-value') || '';
+            this.elements.$metaBoxField.val(value).trigger('input');
+        },
+
+        /**
+         * Computes a word-level diff between two texts (longest common subsequence of words).
+         * Shared by the meta box and the block editor panel.
+         * @param {string} from - Original text.
+         * @param {string} to - New text.
+         * @returns {Array<{type: string, text: string}>} Parts of type 'equal', 'delete' (only in from) or 'insert' (only in to).
+         */
+        diffWords(from, to) {
+            const a = from.split(/(\s+)/).filter(Boolean);
+            const b = to.split(/(\s+)/).filter(Boolean);
+            const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+            for (let i = a.length - 1; i >= 0; i--) {
+                for (let j = b.length - 1; j >= 0; j--) {
+                    lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+
+            const parts = [];
+            const push = (type, text) => {
+                const last = parts[parts.length - 1];
+                if (last && last.type === type) {
+                    last.text += text;
+                } else {
+                    parts.push({ type, text });
+                }
+            };
+
+            let i = 0;
+            let j = 0;
+            while (i < a.length || j < b.length) {
+                if (i < a.length && j < b.length && a[i] === b[j]) {
+                    push('equal', a[i]);
+                    i++;
+                    j++;
+                } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+                    push('insert', b[j++]);
+                } else {
+                    push('delete', a[i++]);
+                }
+            }
+
+            return parts;
+        },
+
+        /**
+         * Handles change events on the "Generate in" field of the meta box (WPML, Polylang).
+         * @param {Event} e - The change event object.
+         */
+        handleTargetLanguageChange(e) {
+            this.targetLanguage = $(e.currentTarget).val() || '';
+        },
+
+        /**
+         * Handles click events on the "Translate description" button of the meta box (WPML, Polylang).
+         * The description of the selected translation is translated into the language of the post,
+         * or the language chosen in the "Generate in" field, using the fallback order.
+         */
+        async handleTranslateClick() {
+            const $field = this.elements.$metaBoxField;
+
+            this.elements.$metaBoxSpinner.css('visibility', 'visible');
+            this.elements.$aiErrorContainer.text('');
+            this.elements.$generateButtons.prop('disabled', true);
+            this.elements.$generatedBy.prop('hidden', true).text('');
+
+            try {
+                const result = await this.requestTranslation(this.elements.$translateSource.val());
+
+                $field.val(result.summary).trigger('input');
+                this.elements.$generatedBy.prop('hidden', false).text(this.config.i18n_generated_by.replace('%s', result.providerTitle));
+            } catch (err) {
+                this.elements.$aiErrorContainer.text(this.parseApiError(err.message || 'Failed to generate summary.', 'Error'));
+            } finally {
+                this.elements.$metaBoxSpinner.css('visibility', 'hidden');
+                this.elements.$generateButtons.prop('disabled', false);
+                this.updateCharacterCount();
+            }
+        },
+
+        /**
+         * Requests the translation of the description of another translation of the post.
+         * Shared by the meta box and the block editor panel.
+         * @param {number|string} sourcePostId - ID of the translation whose description is translated.
+         * @returns {Promise<object>} The generation result (summary, provider, providerTitle).
+         */
+        requestTranslation(sourcePostId) {
+            return this.apiRequest('/generate', {
+                method: 'POST',
+                data: {
+                    ...this.getPostContext(),
+                    provider: this.config.autoProvider,
+                    translate_from: parseInt(sourcePostId, 10) || 0
+                }
+            });
+        },
+
+        /**
+         * Handles click events on the "Generate social variant" button of the meta box.
+         */
+        async handleSocialGenerateClick() {
+            this.elements.$socialSpinner.css('visibility', 'visible');
+            this.elements.$socialError.text('');
+            this.elements.$generateButtons.prop('disabled', true);
+
+            try {
+                const plainText = this.getPostContentAsText();
+                if (!plainText) {
+                    throw new Error('Content is empty or could not be retrieved.');
+                }
+
+                this.elements.$socialField.val(await this.requestSocialDescription(plainText));
+            } catch (err) {
+                this.elements.$socialError.text(this.parseApiError(err.message || 'Failed to generate summary.', 'Error'));
+            } finally {
+                this.elements.$socialSpinner.css('visibility', 'hidden');
+                this.elements.$generateButtons.prop('disabled', false);
+            }
+        },
+
+        /**
+         * Requests a social description (Open Graph and Twitter Card tags), using the fallback order.
+         * Shared by the meta box and the block editor panel.
+         * @param {string} content - Plain text content to summarize.
+         * @returns {Promise<string>} The social description.
+         */
+        async requestSocialDescription(content) {
+            const result = await this.apiRequest('/generate', {
+                method: 'POST',
+                data: {
+                    ...this.getPostContext(),
+                    content: content,
+                    provider: this.config.autoProvider,
+                    variant: this.config.socialVariant
+                }
+            });
+
+            return result.summary;
+        },
+
+        /**
+         * Handles input events on a term, author or archive description field.
+         * @param {Event} e - The input event object.
+         */
+        handleObjectFieldInput(e) {
+            this.updateObjectCount($(e.currentTarget).closest('.mso-ai-object-description'));
+        },
+
+        /**
+         * Updates the character count and the color indicator of a term, author or archive description.
+         * @param {jQuery} $wrapper - The description wrapper.
+         */
+        updateObjectCount($wrapper) {
+            const length = ($wrapper.find('.mso-ai-object-field').val() || '').length;
+            const { color, text } = this.getLengthStatus(length);
+
+            $wrapper.find('.mso-ai-object-count').text(length);
+            $wrapper.find('.mso-ai-object-indicator').text(text).css('color', color);
+        },
+
+        /**
+         * Handles click events on the generate buttons of a term, author or archive description.
+         * The server builds the content from the object (name, description and titles of its top posts).
+         * @param {Event} e - The click event object.
+         */
+        async handleObjectGenerateClick(e) {
+            const $wrapper = $(e.currentTarget).closest('.mso-ai-object-description');
+            const $buttons = $wrapper.find('.mso-ai-object-generate');
+            const $spinner = $wrapper.find('.spinner');
+            const $error = $wrapper.find('.mso-ai-object-error');
+
+            $spinner.css('visibility', 'visible');
+            $error.text('');
+            $buttons.prop('disabled', true);
+
+            try {
+                const result = await this.apiRequest('/generate', {
+                    method: 'POST',
+                    data: {
+                        provider: $(e.currentTarget).data('provider'),
+                        object_type: $wrapper.data('object-type'),
+                        object_id: String($wrapper.data('object-id'))
+                    }
+                });
+
+                $wrapper.find('.mso-ai-object-field').val(result.summary).trigger('input');
+            } catch (err) {
+                $error.text(this.parseApiError(err.message || 'Failed to generate summary.', 'Error'));
+            } finally {
+                $spinner.css('visibility', 'hidden');
+                $buttons.prop('disabled', false);
+            }
+        },
+
+        /**
+         * Returns the block editor store, if the block editor is loaded.
+         * @returns {?object} The 'core/editor' selectors, or null.
+         */
+        getBlockEditor() {
+            const editor = typeof wp !== 'undefined' ? wp.data?.select('core/editor') : null;
+            return editor?.getEditedPostContent ? editor : null;
+        },
+
+        /**
+         * Retrieves the HTML post content from the editor (Gutenberg or Classic).
+         * @returns {string} HTML content.
+         */
+        getPostContentHtml() {
+            const editor = this.getBlockEditor();
+            if (editor) {
+                return editor.getEditedPostContent() || '';
+            }
 
-                this.elements.$metaBoxField.val(result.summary).trigger('input');
+            return this.elements.$content.length ? this.elements.$content.val() || '' : '';
+        },
 
-            } catch (err) {
-                const displayError = this.parseApiError(err.message || 'Failed to generate summary.', 'Error');
-                this.elements.$aiErrorContainer.text(displayError);
-            } finally {
-                this.elements.$metaBoxSpinner.css('visibility', 'hidden');
-                this.elements.$generateButtons.prop('disabled', false);
-                this.updateCharacterCount();
+        /**
+         * Retrieves the structured context of the post being edited, sent with the content:
+         * post ID and type, title, excerpt, H1-H3 outline (one "H2: Heading" per line), focus keyword
+         * and, on multilingual sites, the target language. The server completes it with the saved taxonomy terms.
+         * @returns {object} Request parameters.
+         */
+        getPostContext() {
+            const editor = this.getBlockEditor();
+            const context = { post_type: this.config.postType };
+
+            if (editor) {
+                context.post_id = editor.getCurrentPostId() || 0;
+                context.title = editor.getEditedPostAttribute('title') || '';
+                context.excerpt = editor.getEditedPostAttribute('excerpt') || '';
+                context.focus_keyword = editor.getEditedPostAttribute('meta')?.[this.config.focusKeywordMetaKey] || '';
+            } else {
+                context.post_id = parseInt($('#post_ID').val(), 10) || 0;
+                context.title = this.elements.$titleField.val() || '';
+                context.excerpt = $('#excerpt').val() || '';
+                context.focus_keyword = $('#mso_ai_focus_keyword_field').val() || '';
+            }
+
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = this.getPostContentHtml();
+            context.outline = Array.from(tempDiv.querySelectorAll('h1, h2, h3'))
+                .map(heading => `${heading.tagName}: ${heading.textContent.replace(/\s+/g, ' ').trim()}`)
+                .filter(line => !line.endsWith(': '))
+                .join('\n');
+
+            if (this.targetLanguage) {
+                context.language = this.targetLanguage;
             }
+
+            return context;
         },
 
         /**
@@ -195,12 +1234,7 @@
          * @returns {string} Plain text content.
          */
         getPostContentAsText() {
-            let htmlContent = '';
-            if (typeof wp !== 'undefined' && wp.data?.select('core/editor')?.getEditedPostContent) {
-                htmlContent = wp.data.select('core/editor').getEditedPostContent() || '';
-            } else if (this.elements.$content.length) {
-                htmlContent = this.elements.$content.val() || '';
-            }
+            const htmlContent = this.getPostContentHtml();
 
             if (!htmlContent) return '';
 
@@ -252,10 +1286,12 @@
         },
 
         /**
-         * Populates a single model selection dropdown.
+         * Populates a single model selection dropdown, with the context window and deprecation of the models.
+         * When the saved model is no longer returned by the API, it stays selected and a warning is shown.
          * @param {object} options - Configuration options.
+         * @param {boolean} [options.refresh=false] - Whether to fetch the models from the API instead of the cache.
          */
-        async populateModelSelect({ apiType, $select, defaultModel = null }) {
+        async populateModelSelect({ apiType, $select, defaultModel = null, refresh = false }) {
             const apiKeyInputId = `mso_ai_meta_description_${apiType}_api_key_id`;
             const $apiKeyInput = $(`#${apiKeyInputId}`);
             const currentApiKey = $apiKeyInput.val() || '';
@@ -264,9 +1300,11 @@
 
             $select.empty().append($('<option>', { value: '', text: this.config.selectModel }));
             $errorContainer.text('');
-            $select.prop('disabled', false);
+            // Locked when the model is defined in wp-config.php.
+            $select.prop('disabled', Boolean($select.data('locked')));
 
-            if (!currentApiKey) {
+            // The saved key is not printed in the field, which stays empty until a new key is typed.
+            if (!currentApiKey && !$apiKeyInput.data('saved') && $apiKeyInput.data('required') !== 0) {
                 $errorContainer.text(this.config.apiKeyMissingError);
                 $select.prop('disabled', true);
                 return;
@@ -275,10 +1313,7 @@
             $spinner.css('visibility', 'visible');
 
             try {
-                const models = await this.ajaxRequest({
-                    action: 'mso_ai_fetch_models',
-                    apiType: apiType
-                });
+                const models = await this.apiRequest(`/models/${encodeURIComponent(apiType)}${refresh ? '?refresh=1' : ''}`);
 
                 if (!Array.isArray(models) || models.length === 0) {
                     $select.append($('<option>', { value: '', text: 'No models found' }));
@@ -292,11 +1327,19 @@
                     if (model?.id) {
                         $select.append($('<option>', {
                             value: model.id,
-                            text: model.displayName || model.id
+                            text: this.getModelLabel(model)
                         }));
                     }
                 });
 
+                if (modelToSelect && !models.some(model => model?.id === modelToSelect)) {
+                    $select.append($('<option>', {
+                        value: modelToSelect,
+                        text: this.config.i18n_model_unavailable.replace('%s', modelToSelect)
+                    }));
+                    $errorContainer.text(this.config.i18n_model_unavailable_warning.replace('%s', modelToSelect));
+                }
+
                 if (modelToSelect && $select.find(`option[value="${modelToSelect}"]`).length) {
                     $select.val(modelToSelect);
                 } else if (currentSelectedValue && $select.find(`option[value="${currentSelectedValue}"]`).length) {
@@ -314,6 +1357,25 @@
             }
         },
 
+        /**
+         * Builds the label of a model option, e.g. "Mistral Small (32,000 tokens, deprecated)".
+         * @param {{id: string, displayName?: string, contextWindow?: number, deprecated?: boolean}} model - The model.
+         * @returns {string} The label.
+         */
+        getModelLabel(model) {
+            const details = [];
+
+            if (model.contextWindow > 0) {
+                details.push(this.config.i18n_context_window.replace('%s', model.contextWindow.toLocaleString()));
+            }
+            if (model.deprecated) {
+                details.push(this.config.i18n_model_deprecated);
+            }
+
+            const name = model.displayName || model.id;
+            return details.length ? `${name} (${details.join(', ')})` : name;
+        },
+
         /**
          * Handles the submission of the settings form via AJAX.
          * @param {Event} e - The submit event object.
@@ -346,6 +1408,13 @@
 
                     const $selectToRefresh = $(`#mso_ai_meta_description_${activeTabSlug}_model_id`);
                     if ($selectToRefresh.length) {
+                        const $apiKeyInput = $(`#mso_ai_meta_description_${activeTabSlug}_api_key_id`);
+                        $apiKeyInput.data('required', response.saved_data?.api_key_required === false ? 0 : 1);
+                        if (!$apiKeyInput.data('locked')) {
+                            $apiKeyInput.val('').data('saved', response.saved_data?.api_key_saved ? 1 : 0);
+                            $apiKeyInput.siblings('.mso-ai-saved-api-key').toggle(Boolean(response.saved_data?.api_key_saved))
+                                .find('input[type="checkbox"]').prop('checked', false);
+                        }
                         const savedModelOptionName = `mso_ai_meta_description_${activeTabSlug}_model`;
                         const newlySavedModel = response.saved_data?.[savedModelOptionName] || null;
                         this.populateModelSelect({
@@ -415,6 +1484,507 @@
             }
         },
 
+        /**
+         * Extends the core Quick Edit and Bulk Edit handlers (inline-edit-post.js)
+         * to populate the meta description fields when they are opened.
+         */
+        extendInlineEdit() {
+            const inlineEditPost = window.inlineEditPost;
+            const originalEdit = inlineEditPost.edit;
+            const originalSetBulk = inlineEditPost.setBulk;
+            const self = this;
+
+            inlineEditPost.edit = function (id) {
+                const result = originalEdit.apply(this, arguments);
+                const postId = parseInt(typeof id === 'object' ? this.getId(id) : id, 10);
+
+                if (postId > 0) {
+                    self.populateQuickEdit(postId);
+                }
+
+                return result;
+            };
+
+            inlineEditPost.setBulk = function () {
+                const result = originalSetBulk.apply(this, arguments);
+                $('#bulk-edit .mso-ai-bulk-edit-results').empty();
+
+                return result;
+            };
+        },
+
+        /**
+         * Fills the Quick Edit field with the description displayed in the post row.
+         * @param {number} postId - The ID of the post being edited.
+         */
+        populateQuickEdit(postId) {
+            const $box = $(`#edit-${postId} .mso-ai-quick-edit`);
+
+            $box.find('.mso-ai-quick-edit-field').val($(`#post-${postId} .mso-ai-column-value`).text());
+            $box.find('.mso-ai-quick-edit-error').text('');
+            this.updateInlineCount($box);
+        },
+
+        /**
+         * Updates the character count of the Quick Edit box.
+         * @param {jQuery} $box - The Quick Edit fieldset.
+         */
+        updateInlineCount($box) {
+            const length = ($box.find('.mso-ai-quick-edit-field').val() || '').length;
+            const { color, text } = this.getLengthStatus(length);
+
+            $box.find('.mso-ai-char-count').text(length);
+            $box.find('.mso-ai-length-indicator').text(text).css('color', color);
+        },
+
+        /**
+         * Handles input in the Quick Edit field.
+         * @param {Event} e - The input event object.
+         */
+        handleQuickEditInput(e) {
+            this.updateInlineCount($(e.currentTarget).closest('.mso-ai-quick-edit'));
+        },
+
+        /**
+         * Generates the description of the post opened in Quick Edit, from its saved content.
+         * @param {Event} e - The click event object.
+         */
+        async handleQuickEditGenerateClick(e) {
+            const $button = $(e.currentTarget);
+            const $box = $button.closest('.mso-ai-quick-edit');
+            const $buttons = $box.find('.mso-ai-quick-edit-generate');
+            const $spinner = $box.find('.spinner');
+            const $error = $box.find('.mso-ai-quick-edit-error');
+            const postId = parseInt(($box.closest('tr').attr('id') || '').replace('edit-', ''), 10);
+
+            $buttons.prop('disabled', true);
+            $spinner.css('visibility', 'visible');
+            $error.text('');
+
+            try {
+                const result = await this.apiRequest('/generate', {
+                    method: 'POST',
+                    data: { post_id: postId, provider: $button.data('provider') }
+                });
+                $box.find('.mso-ai-quick-edit-field').val(result.summary);
+                this.updateInlineCount($box);
+            } catch (err) {
+                $error.text(this.parseApiError(err.message || 'Failed to generate summary.', 'Error'));
+            } finally {
+                $buttons.prop('disabled', false);
+                $spinner.css('visibility', 'hidden');
+            }
+        },
+
+        /**
+         * Generates a description for each post selected for Bulk Edit.
+         * Requests are sent one at a time; each result is listed in an editable field
+         * submitted with the Bulk Edit form.
+         * @param {Event} e - The click event object.
+         */
+        async handleBulkEditGenerateClick(e) {
+            const $button = $(e.currentTarget);
+            const $box = $button.closest('.mso-ai-bulk-edit');
+            const $buttons = $box.find('.mso-ai-bulk-edit-generate');
+            const $spinner = $box.find('.spinner');
+            const $results = $box.find('.mso-ai-bulk-edit-results').empty();
+            const posts = this.elements.$postsList.find('input[name="post[]"]:checked').map((index, el) => ({
+                id: parseInt(el.value, 10),
+                title: $(`#post-${el.value} .row-title`).text()
+            })).get();
+
+            $buttons.prop('disabled', true);
+            $spinner.css('visibility', 'visible');
+
+            for (const post of posts) {
+                const $item = $('<li>').append($('<strong>').text(post.title)).appendTo($results);
+
+                try {
+                    const result = await this.apiRequest('/generate', {
+                        method: 'POST',
+                        data: { post_id: post.id, provider: $button.data('provider') }
+                    });
+                    $item.append($('<input>', {
+                        type: 'text',
+                        name: `mso_ai_bulk_descriptions[${post.id}]`,
+                        value: result.summary
+                    }));
+                } catch (err) {
+                    $item.append($('<br>'), $('<span>', { class: 'mso-ai-model-error' }).text(this.parseApiError(err.message || 'Failed to generate summary.', 'Error')));
+                }
+            }
+
+            $buttons.prop('disabled', false);
+            $spinner.css('visibility', 'hidden');
+        },
+
+        /**
+         * Handles click on the bulk "Find posts" button: lists all the posts without description.
+         */
+        async handleBulkFindClick() {
+            const postTypes = this.elements.$bulkScreen.find('.mso-ai-bulk-post-type:checked').map((index, el) => el.value).get();
+
+            this.elements.$bulkFindButton.prop('disabled', true);
+            this.elements.$bulkStartButton.prop('disabled', true);
+            this.elements.$bulkSpinner.css('visibility', 'visible');
+            this.elements.$messagesDiv.empty().hide();
+
+            try {
+                const items = [];
+                let page = 1;
+                let totalPages = 1;
+
+                do {
+                    const result = await this.ajaxRequest({
+                        action: 'mso_ai_bulk_list_posts',
+                        page: page
+                    }, $.param({ post_types: postTypes }));
+
+                    result.posts.forEach(post => items.push({ ...post, status: 'pending', message: '' }));
+                    totalPages = result.totalPages;
+                    page++;
+                } while (page <= totalPages);
+
+                this.bulk = { items, queue: [], active: 0, paused: false };
+                this.renderBulkRows();
+
+                if (!items.length) {
+                    this.displayMessage('success', this.config.i18n_bulk_no_posts);
+                }
+            } catch (err) {
+                this.displayMessage('error', this.parseApiError(err.message, this.config.error_text));
+            } finally {
+                this.elements.$bulkFindButton.prop('disabled', false);
+                this.elements.$bulkSpinner.css('visibility', 'hidden');
+            }
+        },
+
+        /**
+         * Renders one table row per listed post.
+         */
+        renderBulkRows() {
+            this.elements.$bulkRows.empty();
+
+            this.bulk.items.forEach((item, index) => {
+                item.$row = $('<tr>')
+                    .append($('<td>').append($('<a>', { href: item.editLink, target: '_blank' }).text(item.title)))
+                    .append($('<td>').text(item.type))
+                    .append($('<td>', { class: 'mso-ai-bulk-status' }))
+                    .append($('<td>', { class: 'mso-ai-bulk-description' }))
+                    .append($('<td>').append($('<button>', {
+                        type: 'button',
+                        class: 'button button-small mso-ai-bulk-retry',
+                        'data-index': index,
+                        hidden: true
+                    }).text(this.config.i18n_bulk_retry)))
+                    .appendTo(this.elements.$bulkRows);
+
+                this.updateBulkRow(item);
+            });
+
+            this.elements.$bulkTable.prop('hidden', !this.bulk.items.length);
+            this.elements.$bulkStartButton.prop('disabled', !this.bulk.items.length);
+            this.updateBulkProgress();
+        },
+
+        /**
+         * Updates the status cell, description and retry button of a row.
+         * @param {object} item - The queue item.
+         */
+        updateBulkRow(item) {
+            const labels = {
+                pending: this.config.i18n_bulk_pending,
+                processing: this.config.i18n_bulk_processing,
+                done: this.config.i18n_bulk_done,
+                failed: this.config.i18n_bulk_failed
+            };
+            const $status = item.$row.find('.mso-ai-bulk-status').text(labels[item.status]);
+
+            $status.toggleClass('mso-ai-model-error', item.status === 'failed');
+            if (item.status === 'failed' && item.message) {
+                $status.append($('<br>'), $('<small>').text(item.message));
+            }
+
+            item.$row.find('.mso-ai-bulk-description').text(item.summary || '');
+            item.$row.find('.mso-ai-bulk-retry').prop('hidden', item.status !== 'failed');
+        },
+
+        /**
+         * Starts processing all the pending posts.
+         */
+        handleBulkStartClick() {
+            this.bulk.queue = this.bulk.items.filter(item => item.status === 'pending');
+            this.bulk.paused = false;
+            this.elements.$bulkStartButton.prop('disabled', true);
+            this.elements.$bulkFindButton.prop('disabled', true);
+            this.pumpBulkQueue();
+        },
+
+        /**
+         * Pauses the queue. Requests already sent are completed.
+         */
+        handleBulkPauseClick() {
+            this.bulk.paused = true;
+            this.updateBulkControls();
+        },
+
+        /**
+         * Resumes the paused queue.
+         */
+        handleBulkResumeClick() {
+            this.bulk.paused = false;
+            this.pumpBulkQueue();
+        },
+
+        /**
+         * Queues a failed post again.
+         * @param {Event} e - The click event object.
+         */
+        handleBulkRetryClick(e) {
+            const item = this.bulk.items[$(e.currentTarget).data('index')];
+            if (item) {
+                this.retryBulkItems([item]);
+            }
+        },
+
+        /**
+         * Queues all the failed posts again.
+         */
+        handleBulkRetryFailedClick() {
+            this.retryBulkItems(this.bulk.items.filter(item => item.status === 'failed'));
+        },
+
+        /**
+         * Resets the given items to pending and adds them to the queue.
+         * @param {Array<object>} items - The queue items to retry.
+         */
+        retryBulkItems(items) {
+            items.forEach(item => {
+                item.status = 'pending';
+                item.message = '';
+                this.updateBulkRow(item);
+                this.bulk.queue.push(item);
+            });
+            this.updateBulkProgress();
+            this.pumpBulkQueue();
+        },
+
+        /**
+         * Starts as many queued requests as the concurrency limit allows.
+         */
+        pumpBulkQueue() {
+            const requestedConcurrency = parseInt(this.elements.$bulkScreen.find('#mso-ai-bulk-concurrency').val(), 10) || 1;
+            const concurrency = Math.min(Math.max(1, requestedConcurrency), this.config.bulkMaxConcurrency);
+
+            while (!this.bulk.paused && this.bulk.active < concurrency && this.bulk.queue.length) {
+                const item = this.bulk.queue.shift();
+                this.bulk.active++;
+                this.processBulkItem(item).finally(() => {
+                    this.bulk.active--;
+                    this.updateBulkProgress();
+                    this.pumpBulkQueue();
+                });
+            }
+
+            this.updateBulkControls();
+        },
+
+        /**
+         * Generates and saves the description of a single post.
+         * @param {object} item - The queue item.
+         * @returns {Promise<void>} Resolves once the request is complete (never rejects).
+         */
+        async processBulkItem(item) {
+            item.status = 'processing';
+            this.updateBulkRow(item);
+
+            try {
+                const result = await this.ajaxRequest({
+                    action: 'mso_ai_bulk_generate',
+                    post_id: item.id,
+                    provider: this.elements.$bulkScreen.find('#mso-ai-bulk-provider').val()
+                });
+                item.status = 'done';
+                item.summary = result.summary;
+            } catch (err) {
+                item.status = 'failed';
+                item.message = this.parseApiError(err.message, 'Error');
+            }
+
+            this.updateBulkRow(item);
+        },
+
+        /**
+         * Shows the pause/resume buttons matching the queue state.
+         */
+        updateBulkControls() {
+            const isRunning = this.bulk.active > 0 || this.bulk.queue.length > 0;
+
+            this.elements.$bulkPauseButton.prop('hidden', !isRunning || this.bulk.paused);
+            this.elements.$bulkResumeButton.prop('hidden', !isRunning || !this.bulk.paused || !this.bulk.queue.length);
+            this.elements.$bulkFindButton.prop('disabled', isRunning);
+        },
+
+        /**
+         * Updates the progress bar and the error report.
+         */
+        updateBulkProgress() {
+            const total = this.bulk.items.length;
+            const failed = this.bulk.items.filter(item => item.status === 'failed');
+            const processed = this.bulk.items.filter(item => item.status === 'done').length + failed.length;
+
+            this.elements.$bulkProgress.prop('hidden', !total);
+            this.elements.$bulkProgressBar.attr({ max: total, value: processed });
+            this.elements.$bulkProgressText.text(this.config.i18n_bulk_progress
+                .replace('%1$d', processed)
+                .replace('%2$d', total)
+                .replace('%3$d', failed.length));
+
+            const $errorList = this.elements.$bulkErrors.find('ul').empty();
+            failed.forEach(item => {
+                $('<li>')
+                    .append($('<a>', { href: item.editLink, target: '_blank' }).text(item.title))
+                    .append(document.createTextNode(`: ${item.message}`))
+                    .appendTo($errorList);
+            });
+            this.elements.$bulkErrors.prop('hidden', !failed.length);
+        },
+
+        /**
+         * Previews (dry run) or runs the import of the descriptions of another SEO plugin,
+         * batch by batch, and lists the outcome for each post.
+         * @param {Event} e - The click event object.
+         */
+        async handleImportClick(e) {
+            const dryRun = e.currentTarget === this.elements.$importPreviewButton[0];
+            const $buttons = this.elements.$importPreviewButton.add(this.elements.$importStartButton);
+            const counts = { import: 0, overwrite: 0, skip: 0 };
+            let processed = 0;
+            let page = 1;
+            let totalPages = 1;
+
+            $buttons.prop('disabled', true);
+            this.elements.$importSpinner.css('visibility', 'visible');
+            this.elements.$importRows.empty();
+            this.elements.$importTable.prop('hidden', true);
+            this.elements.$messagesDiv.empty().hide();
+
+            try {
+                do {
+                    const result = await this.ajaxRequest({
+                        action: 'mso_ai_import_descriptions',
+                        source: this.elements.$importSource.val(),
+                        overwrite: this.elements.$importScreen.find('[name="mso-ai-import-overwrite"]:checked').val() || '0',
+                        dry_run: dryRun ? '1' : '0',
+                        page: page
+                    });
+
+                    result.rows.forEach(row => {
+                        counts[row.action]++;
+                        this.renderImportRow(row);
+                    });
+                    processed += result.rows.length;
+                    totalPages = result.totalPages;
+                    this.updateImportProgress(processed, result.total);
+                    page++;
+                } while (page <= totalPages);
+
+                this.displayMessage('success', (dryRun ? this.config.i18n_import_preview_done : this.config.i18n_import_done)
+                    .replace('%1$d', counts.import)
+                    .replace('%2$d', counts.overwrite)
+                    .replace('%3$d', counts.skip));
+            } catch (err) {
+                this.displayMessage('error', this.parseApiError(err.message, this.config.error_text));
+            } finally {
+                $buttons.prop('disabled', false);
+                this.elements.$importSpinner.css('visibility', 'hidden');
+            }
+        },
+
+        /**
+         * Adds the row of an imported (or previewed) post to the import table.
+         * @param {{title: string, editLink: string, current: string, imported: string, action: string}} row - The post.
+         */
+        renderImportRow(row) {
+            $('<tr>', { class: `mso-ai-import-${row.action}` })
+                .append($('<td>').append($('<a>', { href: row.editLink, target: '_blank' }).text(row.title)))
+                .append($('<td>').text(row.current))
+                .append($('<td>').text(row.imported))
+                .append($('<td>').text(this.config.i18n_import_actions[row.action] || row.action))
+                .appendTo(this.elements.$importRows);
+
+            this.elements.$importTable.prop('hidden', false);
+        },
+
+        /**
+         * Updates the progress bar of the import.
+         * @param {number} processed - Number of posts processed.
+         * @param {number} total - Number of posts to process.
+         */
+        updateImportProgress(processed, total) {
+            this.elements.$importProgress.prop('hidden', !total);
+            this.elements.$importProgressBar.attr({ max: total, value: processed });
+            this.elements.$importProgressText.text(this.config.i18n_import_progress
+                .replace('%1$d', processed)
+                .replace('%2$d', total));
+        },
+
+        /**
+         * Downloads the exported settings as a JSON file.
+         */
+        async handleExportSettingsClick() {
+            this.elements.$exportSettingsButton.prop('disabled', true);
+            this.elements.$messagesDiv.empty().hide();
+
+            try {
+                const data = await this.ajaxRequest({ action: 'mso_ai_export_settings' });
+                const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+
+                $('<a>', { href: url, download: `mso-ai-meta-description-settings-${data.exported.slice(0, 10)}.json` })[0].click();
+                URL.revokeObjectURL(url);
+                this.displayMessage('success', this.config.i18n_settings_exported);
+            } catch (err) {
+                this.displayMessage('error', this.parseApiError(err.message, this.config.error_text));
+            } finally {
+                this.elements.$exportSettingsButton.prop('disabled', false);
+            }
+        },
+
+        /**
+         * Imports the settings of the selected JSON file.
+         */
+        async handleImportSettingsClick() {
+            const file = this.elements.$importSettingsFile[0].files[0];
+            this.elements.$messagesDiv.empty().hide();
+
+            if (!file) {
+                this.displayMessage('error', this.config.i18n_select_settings_file);
+                return;
+            }
+
+            const settings = await file.text();
+            try {
+                JSON.parse(settings);
+            } catch {
+                this.displayMessage('error', this.config.i18n_invalid_settings_file);
+                return;
+            }
+
+            this.elements.$importSettingsButton.prop('disabled', true);
+            this.elements.$transferSpinner.css('visibility', 'visible');
+
+            try {
+                const result = await this.ajaxRequest({ action: 'mso_ai_import_settings', settings });
+                this.displayMessage('success', result.message);
+                this.elements.$importSettingsFile.val('');
+            } catch (err) {
+                this.displayMessage('error', this.parseApiError(err.message, this.config.error_text));
+            } finally {
+                this.elements.$importSettingsButton.prop('disabled', false);
+                this.elements.$transferSpinner.css('visibility', 'hidden');
+            }
+        },
+
         /**
          * Displays a dismissible notice message.
          * @param {string} type - 'success' or 'error'.
@@ -491,6 +2061,136 @@
             return result.data;
         },
 
+        /**
+         * Performs a request to the plugin REST routes through wp.apiFetch,
+         * which adds the REST nonce and the API root.
+         *
+         * @param {string} path - Route path, relative to the plugin namespace (e.g. '/generate').
+         * @param {object} [options] - Request options.
+         * @param {string} [options.method='GET'] - HTTP method.
+         * @param {object} [options.data] - Body of the request.
+         * @returns {Promise<any>} Resolves with the response body, rejects with an Error on failure.
+         */
+        async apiRequest(path, { method = 'GET', data } = {}) {
+            try {
+                return await window.wp.apiFetch({
+                    path: `/${this.config.restNamespace}${path}`,
+                    method,
+                    data
+                });
+            } catch (err) {
+                throw new Error(err?.message || `HTTP error ${err?.data?.status || ''}`.trim());
+            }
+        },
+
+        /**
+         * Performs a streaming AJAX request and reads the server-sent events of the response.
+         * Automatically includes the nonce. Errors returned before the stream starts
+         * use the standard JSON error structure.
+         *
+         * @param {object} data - Data to send (must include the action; the nonce is added automatically).
+         * @param {function(string): void} onDelta - Called with each text fragment.
+         * @param {AbortSignal} [signal] - Signal used to cancel the request.
+         * @param {function(string): void} [onReset] - Called with the provider title when a failed attempt is retried;
+         *                                             the text received so far must be discarded.
+         * @returns {Promise<{summary: string, provider: string, providerTitle: string}>} Resolves with the full summary
+         *                                             and the provider that generated it, rejects with an Error on failure.
+         */
+        async streamRequest(data, onDelta, signal, onReset) {
+            const requestData = {
+                action: this.config.action,
+                nonce: this.config.nonce,
+                ...data
+            };
+
+            const response = await fetch(this.config.ajaxUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+                },
+                body: new URLSearchParams(requestData).toString(),
+                signal: signal,
+            });
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!response.ok || !contentType.includes('text/event-stream')) {
+                let errorData = null;
+                try {
+                    errorData = await response.json();
+                } catch {}
+                throw new Error(errorData?.data?.message || `HTTP error ${response.status}`);
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let result = null;
+
+            for (;;) {
+                const { value, done } = await reader.read();
+
+                // The whole buffer is normalized, as a CRLF can be split across reads.
+                // At the end of the stream, the last event may not be followed by a blank line.
+                buffer += done ? decoder.decode() + '\n\n' : decoder.decode(value, { stream: true });
+                buffer = buffer.replace(/\r\n/g, '\n');
+
+                let position;
+                while ((position = buffer.indexOf('\n\n')) !== -1) {
+                    const event = this.parseServerSentEvent(buffer.slice(0, position));
+                    buffer = buffer.slice(position + 2);
+
+                    if (event.name === 'delta') {
+                        onDelta(event.data.text || '');
+                    } else if (event.name === 'reset') {
+                        onReset?.(event.data.providerTitle || event.data.provider || '');
+                    } else if (event.name === 'error') {
+                        throw new Error(event.data.message || 'Failed to generate summary.');
+                    } else if (event.name === 'done') {
+                        result = {
+                            summary: event.data.summary || '',
+                            provider: event.data.provider || '',
+                            providerTitle: event.data.providerTitle || event.data.provider || ''
+                        };
+                    }
+                }
+
+                if (done) {
+                    break;
+                }
+            }
+
+            if (result === null) {
+                throw new Error('The generation stream ended unexpectedly.');
+            }
+
+            return result;
+        },
+
+        /**
+         * Parses a single server-sent event block.
+         * @param {string} block - The raw event lines.
+         * @returns {{name: string, data: object}} The event name and its decoded JSON data.
+         */
+        parseServerSentEvent(block) {
+            let name = 'message';
+            const dataLines = [];
+
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    name = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).trim());
+                }
+            });
+
+            let data = {};
+            try {
+                data = JSON.parse(dataLines.join('\n')) || {};
+            } catch {}
+
+            return { name, data };
+        },
+
         /**
          * Parses API error messages, attempting to extract nested JSON details.
          * @param {string} rawMessage - The raw error message string.
@@ -533,6 +2233,8 @@
         }
     };
 
+    window.MSO_AI_Admin = MSO_AI_Admin;
+
     $(document).ready(() => {
         MSO_AI_Admin.init();
     });
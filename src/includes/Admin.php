@@ -14,7 +14,12 @@
 
 namespace MSO_AI_Meta_Description;
 
+use MSO_AI_Meta_Description\Api\ApiClient;
 use MSO_AI_Meta_Description\Providers\ProviderInterface;
+use MSO_AI_Meta_Description\Utils\DescriptionQuality;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
+use MSO_AI_Meta_Description\Utils\PostContent;
+use MSO_AI_Meta_Description\Utils\ProviderCredentials;
 
 if (! defined('ABSPATH')) {
     die;
@@ -69,7 +74,8 @@ class Admin
      * Enqueue admin scripts and styles.
      *
      * Loads the necessary JavaScript and CSS files for the plugin's admin interface,
-     * specifically on post edit screens and the plugin's settings page.
+     * specifically on post edit screens, posts list tables, term edit and user profile screens
+     * and the plugin's settings page.
      * Also localizes script variables for use in JavaScript.
      *
      * @param string $hook_suffix The hook suffix of the current admin page.
@@ -78,10 +84,12 @@ class Admin
     {
         $screen = get_current_screen();
         $is_post_edit_page = $screen && $screen->base === 'post';
+        $is_posts_list_page = $screen && $screen->base === 'edit' && in_array($screen->post_type, BlockEditor::get_supported_post_types(), true);
         $settings_page_hook = 'toplevel_page_' . SettingsPage::PAGE_SLUG;
         $is_settings_page = $hook_suffix === $settings_page_hook;
+        $is_term_or_profile_page = $screen && in_array($screen->base, ['term', 'profile', 'user-edit'], true);
 
-        if (! $is_post_edit_page && ! $is_settings_page) {
+        if (! $is_post_edit_page && ! $is_posts_list_page && ! $is_settings_page && ! $is_term_or_profile_page) {
             return;
         }
 
@@ -90,7 +98,7 @@ class Admin
         wp_enqueue_script(
             'mso-ai-admin-script',
             plugin_dir_url(dirname(__FILE__)) . 'assets/js/mso-ai-main.js',
-            ['jquery'],
+            ['jquery', 'wp-api-fetch'],
             $plugin_version,
             true
         );
@@ -107,20 +115,63 @@ class Admin
 
         foreach ($this->providers as $provider) {
             $provider_name = $provider->get_name();
-            $option_name = $option_prefix . $provider_name . '_model';
-            $selected_models[$provider_name] = (string) get_option($option_name, '');
+            $selected_models[$provider_name] = ProviderCredentials::get_model($provider_name);
+        }
+
+        $generate_providers = [];
+        foreach ($this->meta_box->get_configured_providers() as $provider_name => $provider) {
+            $generate_providers[] = [
+                'name' => $provider_name,
+                'title' => ucfirst($provider->get_title()),
+                'overBudget' => UsageTracker::is_over_budget($provider_name),
+            ];
         }
 
         $script_vars = [
             'selectedModels' => $selected_models,
+            'providers' => $generate_providers,
+            'metaKey' => MSO_AI_Meta_Description::META_KEY,
+            'focusKeywordMetaKey' => MSO_AI_Meta_Description::FOCUS_KEYWORD_META_KEY,
+            'socialMetaKey' => MSO_AI_Meta_Description::SOCIAL_META_KEY,
+            'socialVariant' => PostContent::SOCIAL_VARIANT,
+            'allProviders' => MetaBox::ALL_PROVIDERS,
+            'autoProvider' => ApiClient::AUTO_PROVIDER,
+            'postType' => $screen ? $screen->post_type : '',
+            'lengthRules' => GenerationRules::get_all(),
+            'multilingual' => Multilingual::is_active(),
+            'qualityIssues' => DescriptionQuality::get_labels(),
+            'candidateCount' => (int) get_option($option_prefix . 'candidate_count', MSO_AI_Meta_Description::DEFAULT_CANDIDATE_COUNT),
             'status' => [
                 __('(Too short)', 'mso-ai-meta-description'),
                 __('(Too long)', 'mso-ai-meta-description'),
                 __('(Good)', 'mso-ai-meta-description'),
             ],
             'ajaxUrl' => admin_url('admin-ajax.php'),
+            'restNamespace' => RestController::NAMESPACE,
             'selectModel' => __('-- Select a Model --', 'mso-ai-meta-description'),
             'errorLoadingModels' => __('Error loading models.', 'mso-ai-meta-description'),
+            /* translators: %s: Context window of a model, in tokens (e.g., 128,000) */
+            'i18n_context_window' => __('%s tokens', 'mso-ai-meta-description'),
+            'i18n_model_deprecated' => __('deprecated', 'mso-ai-meta-description'),
+            /* translators: %s: Model ID */
+            'i18n_model_unavailable' => __('%s (no longer available)', 'mso-ai-meta-description'),
+            /* translators: %s: Model ID */
+            'i18n_model_unavailable_warning' => __('The saved model "%s" is no longer available. Select another model.', 'mso-ai-meta-description'),
+            'i18n_testing_connection' => __('Testing connection...', 'mso-ai-meta-description'),
+            'i18n_import_actions' => [
+                'import' => __('New', 'mso-ai-meta-description'),
+                'overwrite' => __('Replaced', 'mso-ai-meta-description'),
+                'skip' => __('Skipped', 'mso-ai-meta-description'),
+            ],
+            /* translators: 1: Number of processed posts, 2: Total number of posts */
+            'i18n_import_progress' => __('%1$d / %2$d posts', 'mso-ai-meta-description'),
+            /* translators: 1: Number of new descriptions, 2: Number of replaced descriptions, 3: Number of skipped posts */
+            'i18n_import_preview_done' => __('Preview: %1$d new, %2$d replaced, %3$d skipped. Nothing was saved.', 'mso-ai-meta-description'),
+            /* translators: 1: Number of new descriptions, 2: Number of replaced descriptions, 3: Number of skipped posts */
+            'i18n_import_done' => __('Import complete: %1$d new, %2$d replaced, %3$d skipped.', 'mso-ai-meta-description'),
+            'i18n_settings_exported' => __('Settings exported.', 'mso-ai-meta-description'),
+            'i18n_select_settings_file' => __('Select a settings file to import.', 'mso-ai-meta-description'),
+            'i18n_invalid_settings_file' => __('The file is not a valid JSON file.', 'mso-ai-meta-description'),
             'nonce' => wp_create_nonce(MSO_AI_Meta_Description::AJAX_NONCE_ACTION),
             'action' => MSO_AI_Meta_Description::AJAX_NONCE_ACTION,
             'saving_text' => __('Saving...', 'mso-ai-meta-description'),
@@ -128,6 +179,54 @@ class Admin
             'error_text' => __('Error Saving Settings', 'mso-ai-meta-description'),
             'i18n_show_prompt' => __('Customize the prompt', 'mso-ai-meta-description'),
             'i18n_hide_prompt' => __('Hide custom prompt', 'mso-ai-meta-description'),
+            'i18n_panel_title' => __('MSO AI Meta Description', 'mso-ai-meta-description'),
+            'i18n_meta_description' => __('Meta Description', 'mso-ai-meta-description'),
+            'i18n_focus_keyword' => __('Focus keyword (optional)', 'mso-ai-meta-description'),
+            'i18n_social_description' => __('Social description (optional)', 'mso-ai-meta-description'),
+            'i18n_social_description_help' => __('Used by the Open Graph and Twitter Card tags instead of the meta description, when these tags are enabled.', 'mso-ai-meta-description'),
+            'i18n_generate_social' => __('Generate social variant', 'mso-ai-meta-description'),
+            /* translators: %d: Number of history entries */
+            'i18n_history' => __('History (%d)', 'mso-ai-meta-description'),
+            'i18n_current' => __('(current)', 'mso-ai-meta-description'),
+            'i18n_restore' => __('Restore', 'mso-ai-meta-description'),
+            /* translators: 1: Minimum recommended characters, 2: Maximum recommended characters */
+            'i18n_recommended_length' => __('Recommended length: %1$d-%2$d characters.', 'mso-ai-meta-description'),
+            'i18n_current_count' => __('Current count:', 'mso-ai-meta-description'),
+            'i18n_generate_with_ai' => __('Generate with AI:', 'mso-ai-meta-description'),
+            /* translators: %s: Provider title */
+            'i18n_generate_with' => __('Generate with %s', 'mso-ai-meta-description'),
+            'i18n_suggest_variants_with' => __('Suggest variants with:', 'mso-ai-meta-description'),
+            'i18n_suggest_variants' => __('Suggest variants', 'mso-ai-meta-description'),
+            'i18n_all_providers' => __('All enabled providers (one each)', 'mso-ai-meta-description'),
+            'i18n_budget_exceeded' => __('The monthly budget of the AI providers is exceeded.', 'mso-ai-meta-description'),
+            'i18n_use_candidate' => __('Use this', 'mso-ai-meta-description'),
+            'i18n_cancel' => __('Cancel', 'mso-ai-meta-description'),
+            'i18n_generate_auto' => __('Generate (auto)', 'mso-ai-meta-description'),
+            /* translators: %s: Provider title */
+            'i18n_generated_by' => __('Generated by %s.', 'mso-ai-meta-description'),
+            /* translators: %s: Provider title */
+            'i18n_retrying_with' => __('Retrying with %s...', 'mso-ai-meta-description'),
+            'bulkMaxConcurrency' => BulkGenerator::MAX_CONCURRENCY,
+            'i18n_bulk_pending' => __('Pending', 'mso-ai-meta-description'),
+            'i18n_bulk_processing' => __('Processing...', 'mso-ai-meta-description'),
+            'i18n_bulk_done' => __('Done', 'mso-ai-meta-description'),
+            'i18n_bulk_failed' => __('Failed', 'mso-ai-meta-description'),
+            'i18n_bulk_retry' => __('Retry', 'mso-ai-meta-description'),
+            'i18n_bulk_no_posts' => __('All the posts of the selected types have a meta description.', 'mso-ai-meta-description'),
+            /* translators: 1: Number of processed posts, 2: Total number of posts, 3: Number of failed posts */
+            'i18n_bulk_progress' => __('%1$d / %2$d processed, %3$d failed', 'mso-ai-meta-description'),
+            /* translators: 1: Pixel width of the description, 2: Maximum pixel width displayed by Google on desktop */
+            'i18n_pixel_width' => __('%1$d / %2$d px', 'mso-ai-meta-description'),
+            'i18n_no_title' => __('(no title)', 'mso-ai-meta-description'),
+            /* translators: %d: Number of characters */
+            'i18n_characters' => __('%d characters', 'mso-ai-meta-description'),
+            /* translators: %s: Language name (e.g., French) */
+            'i18n_language' => __('Language of this translation: %s.', 'mso-ai-meta-description'),
+            'i18n_generate_in' => __('Generate in:', 'mso-ai-meta-description'),
+            'i18n_post_language' => __('The language of the post', 'mso-ai-meta-description'),
+            'i18n_translate_from' => __('Translate from:', 'mso-ai-meta-description'),
+            'i18n_translate' => __('Translate description', 'mso-ai-meta-description'),
+            'i18n_quality_warnings' => __('Quality warnings:', 'mso-ai-meta-description'),
         ];
 
         wp_localize_script('mso-ai-admin-script', 'msoAiScriptVars', $script_vars);
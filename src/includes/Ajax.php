@@ -13,6 +13,8 @@
 namespace MSO_AI_Meta_Description;
 
 use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+use MSO_AI_Meta_Description\Utils\PostContent;
 
 if (! defined('ABSPATH')) {
     die;
@@ -63,14 +65,22 @@ class Ajax
     public function register_hooks(): void
     {
         add_action('wp_ajax_mso_ai_generate_summary', [$this, 'handle_generate_summary']);
+        add_action('wp_ajax_mso_ai_stream_summary', [$this, 'handle_stream_summary']);
         add_action('wp_ajax_mso_ai_fetch_models', [$this, 'handle_fetch_models']);
     }
 
     /**
      * AJAX handler for generating a meta description summary via an AI provider.
      *
-     * Expects 'content', 'provider', and 'nonce' in the POST request.
-     * Returns a JSON response with the generated summary or an error message.
+     * Expects 'content', 'provider', and 'nonce' in the POST request, and optionally 'count'
+     * to request several candidates (capped to MSO_AI_Meta_Description::MAX_CANDIDATE_COUNT).
+     * Instead of 'content', a 'post_id' can be sent to summarize the saved content of a post
+     * (used from the posts list table, where the content is not loaded).
+     * The optional 'post_type' selects the generation rules (length, language, tone).
+     * 'provider' may be ApiClient::AUTO_PROVIDER to follow the fallback order.
+     * Returns a JSON response with the generated summary, the list of candidates ('summaries')
+     * and, for a single summary, the provider that generated it ('provider', 'providerTitle'),
+     * or an error message.
      */
     public function handle_generate_summary(): void
     {
@@ -84,16 +94,32 @@ class Ajax
 
         $content = isset($_POST['content']) ? sanitize_text_field(wp_unslash($_POST['content'])) : '';
         $provider = isset($_POST['provider']) ? sanitize_text_field(wp_unslash($_POST['provider'])) : '';
+        $count = isset($_POST['count']) ? absint($_POST['count']) : 1;
+        $count = min(max(1, $count), MSO_AI_Meta_Description::MAX_CANDIDATE_COUNT);
+        $post_id = isset($_POST['post_id']) ? absint($_POST['post_id']) : 0;
+
+        if ($post_id && ! current_user_can('edit_post', $post_id)) {
+            wp_send_json_error(['message' => __('Permission denied.', 'mso-ai-meta-description')], 403);
+        }
+
+        if (empty($content) && $post_id) {
+            $post = get_post($post_id);
+            $content = $post ? PostContent::get_plain_text($post) : '';
+        }
 
         if (empty($content)) {
             wp_send_json_error(['message' => __('Content cannot be empty.', 'mso-ai-meta-description')], 400);
         }
 
-        if (empty($provider) || ! in_array($provider, $this->registered_providers)) {
+        if (! $this->is_valid_provider($provider)) {
             wp_send_json_error(['message' => __('Invalid AI provider specified.', 'mso-ai-meta-description')], 400);
         }
 
-        $result = $this->api_client->generate_summary($provider, $content);
+        $context = $this->get_generation_context($post_id);
+
+        $result = $count > 1 && $provider !== ApiClient::AUTO_PROVIDER
+            ? $this->api_client->generate_summaries($provider, $content, $count, $context)
+            : $this->api_client->generate_summary($provider, $content, $context);
 
         if (is_wp_error($result)) {
             $error_data = $result->get_error_data();
@@ -108,17 +134,168 @@ class Ajax
             }
 
             wp_send_json_error(['message' => $result->get_error_message()], $status_code);
+        } elseif (isset($result['summary'])) {
+            wp_send_json_success([
+                'summary' => $result['summary'],
+                'summaries' => [$result['summary']],
+                'provider' => $result['provider'],
+                'providerTitle' => $this->get_provider_title($result['provider']),
+            ]);
+        } elseif (empty($result)) {
+            wp_send_json_error(['message' => __('The AI provider returned no description.', 'mso-ai-meta-description')], 502);
         } else {
-            $summary = $result;
+            wp_send_json_success([
+                'summary' => $result[0],
+                'summaries' => $result,
+            ]);
+        }
+    }
 
-            wp_send_json_success(['summary' => $summary]);
+    /**
+     * AJAX handler streaming a meta description summary as server-sent events.
+     *
+     * Expects the same parameters as handle_generate_summary(). Validation errors are returned
+     * as regular JSON errors; once the stream has started, the response emits 'delta' events
+     * (text fragments), then a 'done' event with the full summary and the provider that generated it,
+     * or an 'error' event. A 'reset' event is emitted when a failed attempt is retried, with the same
+     * provider or, with ApiClient::AUTO_PROVIDER, the next one: the text received so far must be discarded.
+     */
+    public function handle_stream_summary(): void
+    {
+        if (! check_ajax_referer($this->nonce_action, 'nonce', false)) {
+            wp_send_json_error(['message' => __('Invalid nonce.', 'mso-ai-meta-description')], 403);
         }
+
+        if (! current_user_can('edit_posts')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'mso-ai-meta-description')], 403);
+        }
+
+        $content = isset($_POST['content']) ? sanitize_text_field(wp_unslash($_POST['content'])) : '';
+        $provider = isset($_POST['provider']) ? sanitize_text_field(wp_unslash($_POST['provider'])) : '';
+        $post_id = isset($_POST['post_id']) ? absint($_POST['post_id']) : 0;
+
+        if ($post_id && ! current_user_can('edit_post', $post_id)) {
+            wp_send_json_error(['message' => __('Permission denied.', 'mso-ai-meta-description')], 403);
+        }
+
+        if (empty($content)) {
+            wp_send_json_error(['message' => __('Content cannot be empty.', 'mso-ai-meta-description')], 400);
+        }
+
+        if (! $this->is_valid_provider($provider)) {
+            wp_send_json_error(['message' => __('Invalid AI provider specified.', 'mso-ai-meta-description')], 400);
+        }
+
+        $this->start_event_stream();
+
+        $result = $this->api_client->stream_summary(
+            $provider,
+            $content,
+            function (string $delta): void {
+                $this->send_event('delta', ['text' => $delta]);
+            },
+            $this->get_generation_context($post_id),
+            function (string $next_provider): void {
+                $this->send_event('reset', ['provider' => $next_provider, 'providerTitle' => $this->get_provider_title($next_provider)]);
+            }
+        );
+
+        if (is_wp_error($result)) {
+            $this->send_event('error', ['message' => $result->get_error_message()]);
+        } else {
+            $this->send_event('done', [
+                'summary' => $result['summary'],
+                'provider' => $result['provider'],
+                'providerTitle' => $this->get_provider_title($result['provider']),
+            ]);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Checks that the requested provider is registered, or is the automatic fallback.
+     *
+     * @param string $provider The requested provider name.
+     * @return bool True if the provider can be used.
+     * @private
+     */
+    private function is_valid_provider(string $provider): bool
+    {
+        return $provider === ApiClient::AUTO_PROVIDER || in_array($provider, $this->registered_providers, true);
+    }
+
+    /**
+     * Get the display title of a provider.
+     *
+     * @param string $provider_name The provider name.
+     * @return string The provider title, or the name if the provider is not registered.
+     * @private
+     */
+    private function get_provider_title(string $provider_name): string
+    {
+        $provider = ProviderManager::get_provider($provider_name);
+
+        return $provider ? ucfirst($provider->get_title()) : $provider_name;
+    }
+
+    /**
+     * Builds the generation context from the request: the post type and the structured
+     * context fields edited in the editor ('title', 'excerpt', 'outline', 'focus_keyword'),
+     * the target language and the translation to translate from ('language', 'translate_from'),
+     * completed with the saved post (terms, etc.) when 'post_id' is known.
+     *
+     * @param int $post_id The ID of the post being summarized, if known; its post type takes precedence.
+     * @return array<string, mixed> The generation context.
+     * @private
+     */
+    private function get_generation_context(int $post_id = 0): array
+    {
+        $fields = [];
+        foreach (['post_type', 'title', 'excerpt', 'outline', 'focus_keyword', 'language', 'translate_from'] as $key) {
+            // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in the calling handler, sanitized by PostContent::get_context().
+            $fields[$key] = isset($_POST[$key]) ? wp_unslash($_POST[$key]) : '';
+        }
+
+        return PostContent::get_context($post_id ? get_post($post_id) : null, $fields);
+    }
+
+    /**
+     * Sends the server-sent events headers and disables output buffering.
+     * @private
+     */
+    private function start_event_stream(): void
+    {
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: text/event-stream; charset=' . get_option('blog_charset'));
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+        nocache_headers();
+    }
+
+    /**
+     * Writes a single server-sent event and flushes it to the browser.
+     *
+     * @param string               $event The event name ('delta', 'reset', 'done' or 'error').
+     * @param array<string, mixed> $data  The event data, JSON encoded.
+     * @private
+     */
+    private function send_event(string $event, array $data): void
+    {
+        echo 'event: ' . esc_html($event) . "\n";
+        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- JSON payload of a text/event-stream response.
+        echo 'data: ' . wp_json_encode($data) . "\n\n";
+        flush();
     }
 
     /**
      * AJAX handler for fetching available AI models for a specific provider.
      *
-     * Expects 'apiType' (provider name) and 'nonce' in the POST request.
+     * Expects 'apiType' (provider name) and 'nonce' in the POST request, and optionally 'refresh'
+     * to fetch the list from the API instead of the cache.
      * Returns a JSON response with an array of available models or an error message.
      */
     public function handle_fetch_models(): void
@@ -137,7 +314,7 @@ class Ajax
             wp_send_json_error(['message' => __('Invalid API type specified.', 'mso-ai-meta-description')], 400);
         }
 
-        $result = $this->api_client->fetch_models($api_type);
+        $result = $this->api_client->fetch_models($api_type, ! empty($_POST['refresh']));
 
         if (is_wp_error($result)) {
             $error_data = $result->get_error_data();
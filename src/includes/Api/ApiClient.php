@@ -6,6 +6,9 @@
  * Acts as a facade for interacting with various AI provider APIs.
  * It uses the ProviderManager to get the appropriate provider instance
  * and delegates API calls (like fetching models or generating summaries) to it.
+ * Summary generation retries rate-limited or failed requests with exponential backoff. With the
+ * automatic provider, it then falls back to the next configured provider of the fallback order (Options tab).
+ * Model lists are cached in transients, refreshed on demand and when the provider settings are saved.
  *
  * @package MSO_AI_Meta_Description
  * @since   1.0.0
@@ -13,8 +16,11 @@
 
 namespace MSO_AI_Meta_Description\Api;
 
+use MSO_AI_Meta_Description\MSO_AI_Meta_Description;
 use MSO_AI_Meta_Description\Providers\ProviderInterface;
 use MSO_AI_Meta_Description\Providers\ProviderManager;
+use MSO_AI_Meta_Description\UsageTracker;
+use MSO_AI_Meta_Description\Utils\Logger;
 use WP_Error;
 
 /**
@@ -22,44 +28,360 @@ use WP_Error;
  */
 class ApiClient
 {
+    /**
+     * Provider name requesting the first available provider of the fallback order.
+     */
+    public const string AUTO_PROVIDER = '__auto';
+
+    /**
+     * Option name suffix (after the plugin option prefix) storing the fallback order.
+     */
+    public const string FALLBACK_ORDER_OPTION = 'fallback_order';
+
+    /**
+     * Maximum number of attempts per provider for retryable errors (rate limit, server errors, timeouts).
+     */
+    private const int MAX_ATTEMPTS = 3;
+
+    /**
+     * Delay before the first retry, in milliseconds. Doubled at each attempt.
+     */
+    private const int RETRY_BASE_DELAY_MS = 1000;
+
+    /**
+     * Lifetime of the cached model lists, in seconds.
+     */
+    private const int MODELS_CACHE_TTL = DAY_IN_SECONDS;
+
     /**
      * Fetches the list of available models for a specific provider.
      *
-     * Retrieves the provider instance using the ProviderManager and calls its fetch_models() method.
+     * Retrieves the provider instance using the ProviderManager and calls its fetch_models() method,
+     * unless the list is cached. Errors are not cached.
      *
      * @param string $provider_name The unique name of the provider (e.g., 'gemini', 'openai').
-     * @return array<string, string>|WP_Error An array of model data on success, or a WP_Error object on failure
+     * @param bool   $refresh       Whether to ignore the cached list and fetch it from the API.
+     * @return array<int, array<string, mixed>>|WP_Error An array of model data on success, or a WP_Error object on failure
      *                        (e.g., if provider not found or API call fails).
      */
-    public function fetch_models(string $provider_name): array|WP_Error
+    public function fetch_models(string $provider_name, bool $refresh = false): array|WP_Error
+    {
+        $provider = $this->resolve_provider($provider_name);
+
+        if (is_wp_error($provider)) {
+            return $provider;
+        }
+
+        $transient = self::get_models_transient_name($provider_name);
+        $models = $refresh ? false : get_transient($transient);
+        if (is_array($models)) {
+            return $models;
+        }
+
+        $models = $provider->fetch_models();
+        if (! is_wp_error($models)) {
+            set_transient($transient, $models, self::MODELS_CACHE_TTL);
+        }
+
+        return $models;
+    }
+
+    /**
+     * Tests the connection to a provider with its saved settings: fetches its models from the API
+     * (refreshing the cached list) and checks that the selected model is one of them.
+     *
+     * @param string $provider_name The unique name of the provider (e.g., 'gemini', 'openai').
+     * @return array{model: string, modelAvailable: bool, modelCount: int, duration: int}|WP_Error
+     *         The selected model, whether it is available, the number of models and the duration
+     *         of the request in milliseconds, or the connection error.
+     */
+    public function test_connection(string $provider_name): array|WP_Error
+    {
+        $provider = $this->resolve_provider($provider_name);
+
+        if (is_wp_error($provider)) {
+            return $provider;
+        }
+
+        $started_at = microtime(true);
+        $models = $this->fetch_models($provider_name, true);
+        if (is_wp_error($models)) {
+            return $models;
+        }
+
+        $model = $provider->get_model();
+
+        return [
+            'model' => $model,
+            'modelAvailable' => in_array($model, array_column($models, 'id'), true),
+            'modelCount' => count($models),
+            'duration' => (int) round((microtime(true) - $started_at) * 1000),
+        ];
+    }
+
+    /**
+     * Clears the cached model list of a provider, e.g. when its API key changes.
+     *
+     * @param string $provider_name The unique name of the provider (e.g., 'gemini', 'openai').
+     */
+    public static function clear_models_cache(string $provider_name): void
+    {
+        delete_transient(self::get_models_transient_name($provider_name));
+    }
+
+    /**
+     * Generates a meta description summary with a specific provider, or with the fallback order.
+     *
+     * Retryable errors are retried with exponential backoff. With AUTO_PROVIDER, the next configured
+     * provider of the fallback order is then used; a named provider returns its own error.
+     *
+     * @param string               $provider_name The unique name of the provider (e.g., 'gemini', 'openai'), or AUTO_PROVIDER.
+     * @param string               $content       The content to summarize.
+     * @param array<string, mixed> $context       Generation context (e.g. 'post_type').
+     * @return array{summary: string, provider: string}|WP_Error The summary and the name of the provider that generated it,
+     *                                                           or the last error if every provider failed.
+     */
+    public function generate_summary(string $provider_name, string $content, array $context = []): array|WP_Error
+    {
+        return $this->run_with_fallback(
+            $provider_name,
+            fn (ProviderInterface $provider) => $provider->generate_summary($content, $context)
+        );
+    }
+
+    /**
+     * Generates several candidate meta descriptions using a specific provider.
+     *
+     * @param string $provider_name The unique name of the provider (e.g., 'gemini', 'openai').
+     * @param string $content       The content to summarize.
+     * @param int    $count         The number of candidates requested.
+     * @param array<string, mixed> $context Generation context (e.g. 'post_type').
+     * @return array<int, string>|WP_Error The list of candidates on success, or a WP_Error object on failure
+     *                                     (including when the monthly budget of the provider is exceeded).
+     */
+    public function generate_summaries(string $provider_name, string $content, int $count, array $context = []): array|WP_Error
     {
+        $provider = $this->resolve_provider($provider_name);
+
+        if (is_wp_error($provider)) {
+            return $provider;
+        }
+
+        $budget = self::check_budget($provider_name);
+        if (is_wp_error($budget)) {
+            return $budget;
+        }
+
+        return $provider->generate_summaries($content, $count, $context);
+    }
+
+    /**
+     * Checks the monthly budget of a provider, for the calls with a named provider.
+     *
+     * @param string $provider_name The unique name of the provider (e.g., 'gemini', 'openai').
+     * @return true|WP_Error True if the provider can be used, or a WP_Error if its budget is exceeded.
+     */
+    public static function check_budget(string $provider_name): true|WP_Error
+    {
+        if (! UsageTracker::is_over_budget($provider_name)) {
+            return true;
+        }
+
         $provider = ProviderManager::get_provider($provider_name);
 
-        if (! $provider instanceof ProviderInterface) {
+        return new WP_Error(
+            'budget_exceeded',
+            /* translators: %s: Provider title (e.g., Gemini) */
+            sprintf(__('The monthly budget of %s is exceeded.', 'mso-ai-meta-description'), $provider ? ucfirst($provider->get_title()) : $provider_name),
+            ['status' => 403]
+        );
+    }
+
+    /**
+     * Generates a meta description summary, streaming the text as it is produced.
+     *
+     * Uses the same retry and fallback rules as generate_summary(). Text already streamed by a failed
+     * attempt must be discarded: $on_retry is called before each new attempt.
+     *
+     * @param string               $provider_name The unique name of the provider (e.g., 'gemini', 'openai'), or AUTO_PROVIDER.
+     * @param string               $content       The content to summarize.
+     * @param callable             $on_delta      Callback receiving each text fragment (string).
+     * @param array<string, mixed> $context       Generation context (e.g. 'post_type').
+     * @param callable|null        $on_retry      Callback receiving the name of the provider of the next attempt.
+     * @return array{summary: string, provider: string}|WP_Error The full summary and the name of the provider that generated it,
+     *                                                           or the last error if every provider failed.
+     */
+    public function stream_summary(string $provider_name, string $content, callable $on_delta, array $context = [], ?callable $on_retry = null): array|WP_Error
+    {
+        return $this->run_with_fallback(
+            $provider_name,
+            fn (ProviderInterface $provider) => $provider->stream_summary($content, $on_delta, $context),
+            $on_retry
+        );
+    }
+
+    /**
+     * Get the fallback order of the providers: the saved order, followed by the providers
+     * registered since it was saved.
+     *
+     * @return array<int, string> Provider names.
+     */
+    public static function get_fallback_order(): array
+    {
+        $registered_names = ProviderManager::get_provider_names();
+        $saved_order = (array) get_option(MSO_AI_Meta_Description::get_option_prefix() . self::FALLBACK_ORDER_OPTION, []);
+        $order = array_values(array_intersect($saved_order, $registered_names));
+
+        return array_merge($order, array_values(array_diff($registered_names, $order)));
+    }
+
+    /**
+     * Sanitizes a fallback order: the names of the registered providers, without duplicates.
+     * Registered as the sanitize callback of the fallback order option.
+     *
+     * @param mixed $value The submitted or imported provider names.
+     * @return array<int, string> The provider names.
+     */
+    public static function sanitize_fallback_order(mixed $value): array
+    {
+        $names = array_map('sanitize_key', array_filter((array) $value, 'is_string'));
+
+        return array_values(array_unique(array_intersect($names, ProviderManager::get_provider_names())));
+    }
+
+    /**
+     * Runs a generation with each provider of the chain until one succeeds.
+     *
+     * @param string        $provider_name The provider to try first, or AUTO_PROVIDER.
+     * @param callable      $generate      Callback receiving a ProviderInterface, returning string|WP_Error.
+     * @param callable|null $on_retry      Callback receiving the provider name before each attempt but the first.
+     * @return array{summary: string, provider: string}|WP_Error The summary and the provider name, or the last error.
+     * @private
+     */
+    private function run_with_fallback(string $provider_name, callable $generate, ?callable $on_retry = null): array|WP_Error
+    {
+        $chain = $this->get_fallback_chain($provider_name);
+
+        if (is_wp_error($chain)) {
+            return $chain;
+        }
+
+        $last_error = null;
+        $is_first_attempt = true;
+
+        foreach ($chain as $provider) {
+            for ($attempt = 1; $attempt <= self::MAX_ATTEMPTS; $attempt++) {
+                if (! $is_first_attempt && $on_retry !== null) {
+                    $on_retry($provider->get_name());
+                }
+                $is_first_attempt = false;
+
+                $result = $generate($provider);
+
+                if (! is_wp_error($result)) {
+                    return ['summary' => $result, 'provider' => $provider->get_name()];
+                }
+
+                $last_error = $result;
+
+                if ($attempt === self::MAX_ATTEMPTS || ! $this->is_retryable_error($result) || connection_aborted()) {
+                    break;
+                }
+
+                usleep(self::RETRY_BASE_DELAY_MS * (2 ** ($attempt - 1)) * 1000);
+            }
+
+            Logger::debug('Summary generation failed, trying the next provider', ['provider' => $provider->get_name(), 'error' => $last_error->get_error_message()]);
+        }
+
+        return $last_error;
+    }
+
+    /**
+     * Builds the ordered list of providers to try: the requested provider only, or with AUTO_PROVIDER
+     * the configured providers in the fallback order, skipping those over their monthly budget.
+     *
+     * @param string $provider_name The provider to try first, or AUTO_PROVIDER.
+     * @return array<int, ProviderInterface>|WP_Error The providers, or a WP_Error if none is available
+     *                                                (including when the requested provider is over budget).
+     * @private
+     */
+    private function get_fallback_chain(string $provider_name): array|WP_Error
+    {
+        if ($provider_name !== self::AUTO_PROVIDER) {
+            // A named provider is never replaced by another vendor: it answers or returns its own error.
+            $provider = $this->resolve_provider($provider_name);
+
+            if (is_wp_error($provider)) {
+                return $provider;
+            }
+
+            // An exceeded budget disables the provider, the spending is not moved to another one.
+            $budget = self::check_budget($provider_name);
+            if (is_wp_error($budget)) {
+                return $budget;
+            }
+
+            return [$provider];
+        }
+
+        $chain = [];
+        $configured_providers = ProviderManager::get_configured_providers();
+        foreach (self::get_fallback_order() as $name) {
+            if (isset($configured_providers[$name])) {
+                $chain[$name] = $configured_providers[$name];
+            }
+        }
+
+        $available_chain = array_filter($chain, fn (string $name) => ! UsageTracker::is_over_budget($name), ARRAY_FILTER_USE_KEY);
+
+        if (empty($available_chain) && ! empty($chain)) {
             return new WP_Error(
-                'provider_not_found',
-                sprintf(
-                    /* translators: %s: Provider name (e.g., Mistral) */
-                    __('AI provider "%s" is not registered or supported.', 'mso-ai-meta-description'),
-                    $provider_name
-                )
+                'budget_exceeded',
+                __('The monthly budget of the AI providers is exceeded.', 'mso-ai-meta-description'),
+                ['status' => 403]
+            );
+        }
+
+        $chain = $available_chain;
+
+        if (empty($chain)) {
+            return new WP_Error(
+                'no_provider_configured',
+                __('No AI provider is enabled and configured.', 'mso-ai-meta-description'),
+                ['status' => 400]
             );
         }
 
-        return $provider->fetch_models();
+        return array_values($chain);
     }
 
     /**
-     * Generates a meta description summary using a specific provider.
+     * Checks whether an error is worth retrying: rate limit (429), server error (5xx) or network error/timeout.
      *
-     * Retrieves the provider instance using the ProviderManager and calls its generate_summary() method.
+     * @param WP_Error $error The error returned by the provider.
+     * @return bool True if the request may succeed when retried.
+     * @private
+     */
+    private function is_retryable_error(WP_Error $error): bool
+    {
+        if ($error->get_error_code() === 'http_request_failed') {
+            return true;
+        }
+
+        $error_data = $error->get_error_data();
+        $status = is_array($error_data) && isset($error_data['status']) ? (int) $error_data['status'] : 0;
+
+        return $status === 429 || $status >= 500;
+    }
+
+    /**
+     * Retrieves a registered provider instance by name.
      *
-     * @param string $provider_name The unique name of the provider (e.g., 'gemini', 'openai').
-     * @param string $content       The content to summarize.
-     * @return string|WP_Error The generated summary string on success, or a WP_Error object on failure
-     *                         (e.g., if provider not found or API call fails).
+     * @param string $provider_name The unique name of the provider.
+     * @return ProviderInterface|WP_Error The provider instance, or a WP_Error if it is not registered.
      */
-    public function generate_summary(string $provider_name, string $content): string|WP_Error
+    private function resolve_provider(string $provider_name): ProviderInterface|WP_Error
     {
         $provider = ProviderManager::get_provider($provider_name);
 
@@ -74,6 +396,18 @@ class ApiClient
             );
         }
 
-        return $provider->generate_summary($content);
+        return $provider;
+    }
+
+    /**
+     * Get the name of the transient caching the model list of a provider.
+     *
+     * @param string $provider_name The unique name of the provider.
+     * @return string The transient name.
+     * @private
+     */
+    private static function get_models_transient_name(string $provider_name): string
+    {
+        return MSO_AI_Meta_Description::get_option_prefix() . 'models_' . $provider_name;
     }
 }
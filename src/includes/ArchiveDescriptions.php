@@ -0,0 +1,426 @@
+<?php
+
+/**
+ * MSO AI Meta Description Archive Descriptions
+ *
+ * Manages the meta descriptions of the pages that are not backed by a post:
+ * - Taxonomy terms (categories, tags, custom taxonomies): field on the term edit screen, stored in term meta.
+ * - Authors: field on the user profile screen, stored in user meta.
+ * - Post type archives and date archives: table on the Options tab, stored in a single option.
+ *
+ * Generation is based on the name and description of the term, author or post type,
+ * and on the titles of its top posts (see get_generation_input()).
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+use WP_Error;
+use WP_Term;
+use WP_User;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Handles the term, author and archive descriptions.
+ */
+class ArchiveDescriptions
+{
+    /**
+     * Option name suffix (after the plugin option prefix) storing the archive descriptions, keyed by post type.
+     */
+    public const string OPTION_NAME = 'archive_descriptions';
+
+    /**
+     * Key of the date archives description in the archive descriptions option.
+     * Post type names cannot start with an underscore in practice, so it cannot clash with one.
+     */
+    public const string DATE_ARCHIVE_KEY = '_date';
+
+    /**
+     * Object types accepted by the generation endpoint.
+     * @var array<string>
+     */
+    public const array OBJECT_TYPES = ['term', 'user', 'archive'];
+
+    /**
+     * Number of posts whose titles are sent to the AI provider.
+     */
+    private const int TOP_POSTS_COUNT = 10;
+
+    /**
+     * Name of the description field on the term and user screens.
+     */
+    private const string FIELD_NAME = 'mso_ai_object_description';
+
+    /**
+     * The meta key used to store the description in term and user meta.
+     */
+    private string $meta_key;
+
+    /**
+     * The action name for the nonce verification.
+     */
+    private string $nonce_action;
+
+    /**
+     * The name attribute of the nonce field.
+     */
+    private string $nonce_name;
+
+    /**
+     * Constructor.
+     *
+     * @param string $meta_key     The key used for storing the meta description.
+     * @param string $nonce_action The action string for nonce verification.
+     * @param string $nonce_name   The name attribute of the nonce field.
+     */
+    public function __construct(string $meta_key, string $nonce_action, string $nonce_name)
+    {
+        $this->meta_key = $meta_key;
+        $this->nonce_action = $nonce_action;
+        $this->nonce_name = $nonce_name;
+    }
+
+    /**
+     * Registers the term and user profile hooks.
+     */
+    public function register_hooks(): void
+    {
+        add_action('admin_init', [$this, 'register_term_hooks']);
+        add_action('edited_term', [$this, 'save_term_description'], 10, 3);
+        add_action('show_user_profile', [$this, 'render_user_field']);
+        add_action('edit_user_profile', [$this, 'render_user_field']);
+        add_action('personal_options_update', [$this, 'save_user_description']);
+        add_action('edit_user_profile_update', [$this, 'save_user_description']);
+    }
+
+    /**
+     * Adds the description field to the edit screen of every public taxonomy.
+     */
+    public function register_term_hooks(): void
+    {
+        foreach (get_taxonomies(['public' => true, 'show_ui' => true]) as $taxonomy) {
+            add_action($taxonomy . '_edit_form_fields', [$this, 'render_term_field']);
+        }
+    }
+
+    /**
+     * Renders the description row of the term edit form.
+     *
+     * @param WP_Term $term The term being edited.
+     */
+    public function render_term_field(WP_Term $term): void
+    {
+        ?>
+        <tr class="form-field">
+            <th scope="row"><label for="mso_ai_term_description_field"><?php esc_html_e('Meta Description', 'mso-ai-meta-description'); ?></label></th>
+            <td>
+                <?php
+                wp_nonce_field($this->nonce_action, $this->nonce_name);
+                self::render_field(
+                    self::FIELD_NAME,
+                    'mso_ai_term_description_field',
+                    (string) get_term_meta($term->term_id, $this->meta_key, true),
+                    'term',
+                    (string) $term->term_id
+                );
+                ?>
+            </td>
+        </tr>
+        <?php
+    }
+
+    /**
+     * Saves the description of a term.
+     *
+     * @param int    $term_id  The term ID.
+     * @param int    $tt_id    The term taxonomy ID.
+     * @param string $taxonomy The taxonomy slug.
+     */
+    public function save_term_description(int $term_id, int $tt_id, string $taxonomy): void
+    {
+        if (! $this->verify_nonce() || ! current_user_can('edit_term', $term_id) || ! isset($_POST[self::FIELD_NAME])) {
+            return;
+        }
+
+        $description = sanitize_text_field(wp_unslash($_POST[self::FIELD_NAME]));
+
+        if ($description === '') {
+            delete_term_meta($term_id, $this->meta_key);
+        } else {
+            update_term_meta($term_id, $this->meta_key, $description);
+        }
+    }
+
+    /**
+     * Renders the description section of the user profile, for users who can write posts.
+     *
+     * @param WP_User $user The user being edited.
+     */
+    public function render_user_field(WP_User $user): void
+    {
+        if (! user_can($user, 'edit_posts')) {
+            return;
+        }
+        ?>
+        <h2><?php esc_html_e('Author archive', 'mso-ai-meta-description'); ?></h2>
+        <table class="form-table" role="presentation">
+            <tr>
+                <th scope="row"><label for="mso_ai_user_description_field"><?php esc_html_e('Meta Description', 'mso-ai-meta-description'); ?></label></th>
+                <td>
+                    <?php
+                    wp_nonce_field($this->nonce_action, $this->nonce_name);
+                    self::render_field(
+                        self::FIELD_NAME,
+                        'mso_ai_user_description_field',
+                        (string) get_user_meta($user->ID, $this->meta_key, true),
+                        'user',
+                        (string) $user->ID
+                    );
+                    ?>
+                </td>
+            </tr>
+        </table>
+        <?php
+    }
+
+    /**
+     * Saves the description of an author.
+     *
+     * @param int $user_id The user ID.
+     */
+    public function save_user_description(int $user_id): void
+    {
+        if (! $this->verify_nonce() || ! current_user_can('edit_user', $user_id) || ! isset($_POST[self::FIELD_NAME])) {
+            return;
+        }
+
+        $description = sanitize_text_field(wp_unslash($_POST[self::FIELD_NAME]));
+
+        if ($description === '') {
+            delete_user_meta($user_id, $this->meta_key);
+        } else {
+            update_user_meta($user_id, $this->meta_key, $description);
+        }
+    }
+
+    /**
+     * Renders a description field with its character counter and the AI generation buttons.
+     * Shared by the term and user screens and the archive descriptions table of the Options tab.
+     *
+     * @param string $field_name  The name attribute of the textarea.
+     * @param string $field_id    The ID attribute of the textarea.
+     * @param string $value       The current description.
+     * @param string $object_type The object type sent to the generation endpoint (see OBJECT_TYPES).
+     * @param string $object_id   The term ID, user ID or post type. Empty to hide the generation buttons.
+     */
+    public static function render_field(string $field_name, string $field_id, string $value, string $object_type, string $object_id): void
+    {
+        $configured_providers = $object_id !== '' ? ProviderManager::get_configured_providers() : [];
+        ?>
+        <div class="mso-ai-object-description" data-object-type="<?php echo esc_attr($object_type); ?>" data-object-id="<?php echo esc_attr($object_id); ?>">
+            <textarea id="<?php echo esc_attr($field_id); ?>" name="<?php echo esc_attr($field_name); ?>" rows="3" class="large-text mso-ai-object-field"
+            ><?php echo esc_textarea($value); ?></textarea>
+            <p class="description">
+                <?php
+                printf(
+                    /* Translators: 1: Minimum recommended characters, 2: Maximum recommended characters */
+                    esc_html__('Recommended length: %1$d-%2$d characters.', 'mso-ai-meta-description'),
+                    esc_html((string) MSO_AI_Meta_Description::MIN_DESCRIPTION_LENGTH),
+                    esc_html((string) MSO_AI_Meta_Description::MAX_DESCRIPTION_LENGTH)
+                );
+                echo ' ';
+                esc_html_e('Current count:', 'mso-ai-meta-description');
+                ?>
+                <span class="mso-ai-object-count">0</span>
+                <span class="mso-ai-object-indicator"></span>
+            </p>
+            <?php if (! empty($configured_providers)) : ?>
+                <p>
+                    <button type="button" class="button button-primary mso-ai-object-generate" data-provider="<?php echo esc_attr(ApiClient::AUTO_PROVIDER); ?>">
+                        <?php esc_html_e('Generate (auto)', 'mso-ai-meta-description'); ?>
+                    </button>
+                    <?php foreach ($configured_providers as $provider_name => $provider) : ?>
+                        <button type="button" class="button mso-ai-object-generate" data-provider="<?php echo esc_attr($provider_name); ?>">
+                            <?php
+                            /* translators: %s: Provider title  */
+                            echo esc_html(sprintf(__('Generate with %s', 'mso-ai-meta-description'), ucfirst($provider->get_title())));
+                            ?>
+                        </button>
+                    <?php endforeach; ?>
+                    <span class="spinner mso-ai-spinner"></span>
+                </p>
+                <p class="mso-ai-error mso-ai-model-error mso-ai-object-error"></p>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Get the full option name storing the archive descriptions.
+     *
+     * @return string The option name.
+     */
+    public static function get_option_name(): string
+    {
+        return MSO_AI_Meta_Description::get_option_prefix() . self::OPTION_NAME;
+    }
+
+    /**
+     * Get the archives that can have a description: the public post types with an archive, and the date archives.
+     *
+     * @return array<string, string> The archive labels, keyed by post type (or DATE_ARCHIVE_KEY).
+     */
+    public static function get_archives(): array
+    {
+        $archives = [];
+
+        foreach (get_post_types(['public' => true, 'has_archive' => true], 'objects') as $post_type => $post_type_object) {
+            $archives[$post_type] = $post_type_object->labels->name;
+        }
+
+        $archives[self::DATE_ARCHIVE_KEY] = __('Date archives', 'mso-ai-meta-description');
+
+        return $archives;
+    }
+
+    /**
+     * Get the description of an archive.
+     *
+     * @param string $archive The post type, or DATE_ARCHIVE_KEY.
+     * @return string The description, or an empty string if none is set.
+     */
+    public static function get_archive_description(string $archive): string
+    {
+        $descriptions = (array) get_option(self::get_option_name(), []);
+
+        return isset($descriptions[$archive]) && is_string($descriptions[$archive]) ? $descriptions[$archive] : '';
+    }
+
+    /**
+     * Sanitizes the archive descriptions submitted from the Options tab.
+     * Unknown archives and empty descriptions are dropped.
+     *
+     * @param mixed $value The submitted descriptions, keyed by post type.
+     * @return array<string, string> The sanitized descriptions.
+     */
+    public static function sanitize(mixed $value): array
+    {
+        if (! is_array($value)) {
+            return [];
+        }
+
+        $sanitized = [];
+        foreach (array_keys(self::get_archives()) as $archive) {
+            $description = isset($value[$archive]) && is_string($value[$archive]) ? sanitize_text_field($value[$archive]) : '';
+            if ($description !== '') {
+                $sanitized[$archive] = $description;
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Checks whether the current user can edit the description of an object.
+     *
+     * @param string $object_type The object type (see OBJECT_TYPES).
+     * @param string $object_id   The term ID, user ID or post type.
+     * @return bool True if the current user can edit the description.
+     */
+    public static function can_edit(string $object_type, string $object_id): bool
+    {
+        return match ($object_type) {
+            'term' => current_user_can('edit_term', (int) $object_id),
+            'user' => current_user_can('edit_user', (int) $object_id),
+            'archive' => current_user_can('manage_options'),
+            default => false,
+        };
+    }
+
+    /**
+     * Builds the content and the context sent to the AI provider for an object.
+     *
+     * The content lists the titles of the top posts (most commented, then most recent) of the term,
+     * author or post type. The context holds its name, its description (as the excerpt) and the
+     * kind of archive, which adapts the prompt.
+     *
+     * @param string $object_type The object type (see OBJECT_TYPES).
+     * @param string $object_id   The term ID, user ID or post type.
+     * @return array{content: string, context: array<string, mixed>}|WP_Error The generation input, or an error.
+     */
+    public static function get_generation_input(string $object_type, string $object_id): array|WP_Error
+    {
+        $query_args = [];
+
+        if ($object_type === 'term') {
+            $term = get_term((int) $object_id);
+            $taxonomy = $term instanceof WP_Term ? get_taxonomy($term->taxonomy) : false;
+            if (! $term instanceof WP_Term || ! $taxonomy) {
+                return new WP_Error('not_found', __('Term not found.', 'mso-ai-meta-description'), ['status' => 404]);
+            }
+
+            $title = $term->name;
+            $description = $term->description;
+            $archive = $taxonomy->labels->singular_name;
+            $query_args['post_type'] = array_values(array_intersect($taxonomy->object_type, BlockEditor::get_supported_post_types()));
+            $query_args['tax_query'] = [['taxonomy' => $term->taxonomy, 'terms' => $term->term_id]]; // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+        } elseif ($object_type === 'user') {
+            $user = get_userdata((int) $object_id);
+            if (! $user) {
+                return new WP_Error('not_found', __('User not found.', 'mso-ai-meta-description'), ['status' => 404]);
+            }
+
+            $title = $user->display_name;
+            $description = (string) get_user_meta($user->ID, 'description', true);
+            $archive = __('Author', 'mso-ai-meta-description');
+            $query_args['post_type'] = array_values(BlockEditor::get_supported_post_types());
+            $query_args['author'] = $user->ID;
+        } elseif ($object_type === 'archive' && ($post_type_object = get_post_type_object($object_id))) {
+            $title = $post_type_object->labels->name;
+            $description = $post_type_object->description;
+            $archive = __('Post type', 'mso-ai-meta-description');
+            $query_args['post_type'] = $post_type_object->name;
+        } else {
+            return new WP_Error('invalid_object', __('Descriptions cannot be generated for this archive.', 'mso-ai-meta-description'), ['status' => 400]);
+        }
+
+        $posts = get_posts(array_merge([
+            'post_status' => 'publish',
+            'posts_per_page' => self::TOP_POSTS_COUNT,
+            'orderby' => ['comment_count' => 'DESC', 'date' => 'DESC'],
+            'no_found_rows' => true,
+        ], $query_args));
+
+        $description = trim(wp_strip_all_tags($description));
+        $titles = array_filter(array_map(fn ($post) => wp_strip_all_tags($post->post_title), $posts));
+
+        return [
+            'content' => ! empty($titles) ? implode("\n", $titles) : $description,
+            'context' => [
+                'title' => $title,
+                'excerpt' => ! empty($titles) ? $description : '',
+                'archive' => $archive,
+            ],
+        ];
+    }
+
+    /**
+     * Verifies the nonce of the term and user forms.
+     *
+     * @return bool True if the nonce is valid.
+     * @private
+     */
+    private function verify_nonce(): bool
+    {
+        return isset($_POST[$this->nonce_name]) &&
+            wp_verify_nonce(sanitize_text_field(wp_unslash($_POST[$this->nonce_name])), $this->nonce_action);
+    }
+}
@@ -0,0 +1,366 @@
+<?php
+
+/**
+ * MSO AI Meta Description Auto Generator
+ *
+ * Generates the description in the background when a post is published or updated without one
+ * (and optionally when its content changed significantly since a generated description was saved).
+ * The generations are queued with Action Scheduler when it is available, WP-Cron otherwise,
+ * and use the fallback order of the ApiClient.
+ *
+ * The status of the last automatic generation ("queued", "generated", "failed") is stored in
+ * post meta, shown in an admin notice and in the meta box, and polled by the admin scripts
+ * through the REST API.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+use MSO_AI_Meta_Description\Utils\PostContent;
+use WP_Error;
+use WP_Post;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Queues and runs the automatic generations.
+ */
+class AutoGenerator
+{
+    /**
+     * Option name suffix (after the plugin option prefix) enabling the automatic generation.
+     */
+    public const string ENABLED_OPTION = 'auto_generate_enabled';
+
+    /**
+     * Option name suffix (after the plugin option prefix) enabling the regeneration when the content changed.
+     */
+    public const string CONTENT_CHANGE_OPTION = 'auto_generate_on_content_change';
+
+    /**
+     * Post meta key storing the status of the last automatic generation.
+     */
+    public const string STATUS_META_KEY = '_mso_ai_auto_generation';
+
+    /**
+     * Action run by the queue, with the post ID.
+     */
+    public const string QUEUE_HOOK = 'mso_ai_meta_description_auto_generate';
+
+    /**
+     * Action Scheduler group of the queued actions.
+     */
+    private const string QUEUE_GROUP = 'mso-ai-meta-description';
+
+    /**
+     * Share of the words of the content that must have changed to regenerate a description.
+     */
+    private const float CONTENT_CHANGE_THRESHOLD = 0.3;
+
+    /**
+     * Status of a post waiting for its generation.
+     */
+    public const string STATUS_QUEUED = 'queued';
+
+    /**
+     * Status of a post whose description was generated.
+     */
+    public const string STATUS_GENERATED = 'generated';
+
+    /**
+     * Status of a post whose generation failed.
+     */
+    public const string STATUS_FAILED = 'failed';
+
+    /**
+     * Instance of the ApiClient used to interact with external AI APIs.
+     */
+    private ApiClient $api_client;
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Constructor.
+     *
+     * @param ApiClient $api_client An instance of the ApiClient.
+     * @param string    $meta_key   The key used for storing the meta description.
+     */
+    public function __construct(ApiClient $api_client, string $meta_key)
+    {
+        $this->api_client = $api_client;
+        $this->meta_key = $meta_key;
+    }
+
+    /**
+     * Registers the hooks queueing and running the generations, and the admin notice.
+     */
+    public function register_hooks(): void
+    {
+        add_action('wp_after_insert_post', [$this, 'maybe_queue'], 10, 4);
+        add_action(self::QUEUE_HOOK, [$this, 'process']);
+        add_action('admin_notices', [$this, 'render_admin_notice']);
+    }
+
+    /**
+     * Queues a generation when a published post has no description, or when its content
+     * changed significantly and its description was generated.
+     *
+     * @param int          $post_id     The post ID.
+     * @param WP_Post      $post        The saved post.
+     * @param bool         $update      Whether the post was updated.
+     * @param WP_Post|null $post_before The post before the update, null for new posts.
+     */
+    public function maybe_queue(int $post_id, WP_Post $post, bool $update, ?WP_Post $post_before): void
+    {
+        if (! self::is_enabled() || $post->post_status !== 'publish' || ! in_array($post->post_type, BlockEditor::get_supported_post_types(), true)) {
+            return;
+        }
+
+        if ((string) get_post_meta($post_id, $this->meta_key, true) === '') {
+            $this->queue($post_id, false);
+        } elseif ($post_before && self::is_content_change_enabled() && $this->is_generated_description($post_id)
+            && self::get_content_change(PostContent::get_plain_text($post_before), PostContent::get_plain_text($post)) >= self::CONTENT_CHANGE_THRESHOLD) {
+            $this->queue($post_id, true);
+        }
+    }
+
+    /**
+     * Generates and saves the description of a queued post.
+     *
+     * @param int $post_id The post ID.
+     */
+    public function process(int $post_id): void
+    {
+        $post = get_post($post_id);
+        $status = self::get_status($post_id);
+
+        if (! $post || ($status['status'] ?? '') !== self::STATUS_QUEUED) {
+            return;
+        }
+
+        // The description may have been written since the post was queued.
+        if (empty($status['regenerate']) && (string) get_post_meta($post_id, $this->meta_key, true) !== '') {
+            delete_post_meta($post_id, self::STATUS_META_KEY);
+
+            return;
+        }
+
+        $content = PostContent::get_plain_text($post);
+        $result = $content === ''
+            ? new WP_Error('empty_content', __('The post has no content to summarize.', 'mso-ai-meta-description'))
+            : $this->api_client->generate_summary(ApiClient::AUTO_PROVIDER, $content, PostContent::get_context($post));
+
+        if (is_wp_error($result)) {
+            $this->set_status($post_id, ['status' => self::STATUS_FAILED, 'message' => $result->get_error_message()]);
+
+            return;
+        }
+
+        update_post_meta($post_id, $this->meta_key, $result['summary']);
+        $this->set_status($post_id, ['status' => self::STATUS_GENERATED, 'provider' => $result['provider']]);
+    }
+
+    /**
+     * Displays the pending or failed automatic generation on the edit screen of a post (classic editor).
+     * The block editor displays it with its own notices, from the document panel.
+     */
+    public function render_admin_notice(): void
+    {
+        $screen = get_current_screen();
+        if (! $screen || $screen->base !== 'post' || $screen->is_block_editor()) {
+            return;
+        }
+
+        $post = get_post();
+        $status = $post ? self::get_status($post->ID) : [];
+        if (! in_array($status['status'] ?? '', [self::STATUS_QUEUED, self::STATUS_FAILED], true)) {
+            return;
+        }
+
+        $class = $status['status'] === self::STATUS_FAILED ? 'notice-error' : 'notice-info';
+
+        printf(
+            '<div class="notice %1$s is-dismissible mso-ai-auto-notice"><p>%2$s</p></div>',
+            esc_attr($class),
+            esc_html(self::get_status_label($status))
+        );
+    }
+
+    /**
+     * Checks whether the automatic generation is enabled on the Options tab.
+     *
+     * @return bool True if enabled.
+     */
+    public static function is_enabled(): bool
+    {
+        return (bool) get_option(MSO_AI_Meta_Description::get_option_prefix() . self::ENABLED_OPTION, false);
+    }
+
+    /**
+     * Checks whether the regeneration on significant content changes is enabled on the Options tab.
+     *
+     * @return bool True if enabled.
+     */
+    public static function is_content_change_enabled(): bool
+    {
+        return (bool) get_option(MSO_AI_Meta_Description::get_option_prefix() . self::CONTENT_CHANGE_OPTION, false);
+    }
+
+    /**
+     * Get the status of the last automatic generation of a post.
+     *
+     * @param int $post_id The post ID.
+     * @return array<string, mixed> The status ('status', 'time', and 'provider' or 'message'), empty if none.
+     */
+    public static function get_status(int $post_id): array
+    {
+        $status = get_post_meta($post_id, self::STATUS_META_KEY, true);
+
+        return is_array($status) ? $status : [];
+    }
+
+    /**
+     * Clears the status of the last automatic generation when a description is saved manually
+     * (meta box, REST API): a failure is obsolete once a description is written, and a pending or
+     * done generation no longer matches a description that was edited.
+     *
+     * @param int    $post_id              The post ID.
+     * @param string $previous_description The description before the save.
+     * @param string $description          The saved description.
+     */
+    public static function clear_status_on_manual_save(int $post_id, string $previous_description, string $description): void
+    {
+        if ($description === '') {
+            return;
+        }
+
+        if ($description !== $previous_description || (self::get_status($post_id)['status'] ?? '') === self::STATUS_FAILED) {
+            delete_post_meta($post_id, self::STATUS_META_KEY);
+        }
+    }
+
+    /**
+     * Get the label of a status, e.g. "Meta description generated by Gemini".
+     *
+     * @param array<string, mixed> $status The status returned by get_status().
+     * @return string The label, empty if there is no status.
+     */
+    public static function get_status_label(array $status): string
+    {
+        switch ($status['status'] ?? '') {
+            case self::STATUS_QUEUED:
+                return __('Automatic meta description: queued, it will be generated in the background.', 'mso-ai-meta-description');
+            case self::STATUS_GENERATED:
+                $provider = ProviderManager::get_provider((string) ($status['provider'] ?? ''));
+
+                /* translators: %s: Provider title (e.g., Gemini) */
+                return sprintf(__('Automatic meta description: generated by %s.', 'mso-ai-meta-description'), $provider ? ucfirst($provider->get_title()) : (string) ($status['provider'] ?? ''));
+            case self::STATUS_FAILED:
+                /* translators: %s: Error message */
+                return sprintf(__('Automatic meta description: failed: %s', 'mso-ai-meta-description'), (string) ($status['message'] ?? ''));
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Marks a post as queued and schedules its generation, unless it is already queued.
+     * Also used by the bulk action generating the descriptions of all the translations (Multilingual).
+     *
+     * @param int  $post_id    The post ID.
+     * @param bool $regenerate Whether an existing description is replaced.
+     */
+    public function queue(int $post_id, bool $regenerate = false): void
+    {
+        if ((self::get_status($post_id)['status'] ?? '') === self::STATUS_QUEUED && $this->is_scheduled($post_id)) {
+            return;
+        }
+
+        $this->set_status($post_id, ['status' => self::STATUS_QUEUED, 'regenerate' => $regenerate]);
+
+        if (function_exists('as_enqueue_async_action')) {
+            as_enqueue_async_action(self::QUEUE_HOOK, [$post_id], self::QUEUE_GROUP);
+        } else {
+            wp_schedule_single_event(time(), self::QUEUE_HOOK, [$post_id]);
+        }
+    }
+
+    /**
+     * Checks whether the generation of a post is scheduled.
+     *
+     * @param int $post_id The post ID.
+     * @return bool True if an action is pending.
+     * @private
+     */
+    private function is_scheduled(int $post_id): bool
+    {
+        if (function_exists('as_has_scheduled_action')) {
+            return as_has_scheduled_action(self::QUEUE_HOOK, [$post_id], self::QUEUE_GROUP);
+        }
+
+        return (bool) wp_next_scheduled(self::QUEUE_HOOK, [$post_id]);
+    }
+
+    /**
+     * Stores the status of the automatic generation of a post.
+     *
+     * @param int                  $post_id The post ID.
+     * @param array<string, mixed> $status  The status fields.
+     * @private
+     */
+    private function set_status(int $post_id, array $status): void
+    {
+        update_post_meta($post_id, self::STATUS_META_KEY, $status + ['time' => time()]);
+    }
+
+    /**
+     * Checks whether the current description of a post was generated, according to its history.
+     * Manually written descriptions are never replaced.
+     *
+     * @param int $post_id The post ID.
+     * @return bool True if the last history entry was generated.
+     * @private
+     */
+    private function is_generated_description(int $post_id): bool
+    {
+        $entries = DescriptionHistory::get_entries($post_id);
+        $last_entry = end($entries);
+
+        return $last_entry && $last_entry['source'] === DescriptionHistory::SOURCE_AI;
+    }
+
+    /**
+     * Measures how much a text changed: the share of words that are not common to both versions.
+     *
+     * @param string $before The text before the change.
+     * @param string $after  The text after the change.
+     * @return float The share of changed words, between 0 and 1.
+     * @private
+     */
+    private static function get_content_change(string $before, string $after): float
+    {
+        $before_words = array_count_values(preg_split('/[^\p{L}\p{N}]+/u', mb_strtolower($before), -1, PREG_SPLIT_NO_EMPTY) ?: []);
+        $after_words = array_count_values(preg_split('/[^\p{L}\p{N}]+/u', mb_strtolower($after), -1, PREG_SPLIT_NO_EMPTY) ?: []);
+        $total = max(array_sum($before_words), array_sum($after_words));
+
+        if ($total === 0) {
+            return 0.0;
+        }
+
+        $common = 0;
+        foreach ($after_words as $word => $count) {
+            $common += min($count, $before_words[$word] ?? 0);
+        }
+
+        return 1 - $common / $total;
+    }
+}
@@ -0,0 +1,156 @@
+<?php
+
+/**
+ * MSO AI Meta Description Block Editor
+ *
+ * Integrates the meta description with the block editor (Gutenberg):
+ * - Registers the meta description as post meta exposed to the REST API,
+ *   so it is edited through wp.data and saved together with the post.
+ * - Enqueues the script registering the document settings panel.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use stdClass;
+use WP_Error;
+use WP_REST_Request;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Manages the block editor document settings panel.
+ */
+class BlockEditor
+{
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Constructor.
+     *
+     * @param string $meta_key The key used for storing the meta description in the database.
+     */
+    public function __construct(string $meta_key)
+    {
+        $this->meta_key = $meta_key;
+    }
+
+    /**
+     * Registers WordPress hooks for the block editor integration.
+     *
+     * The post meta must be registered on every request (including REST requests),
+     * not only in the admin, otherwise the block editor cannot save it.
+     */
+    public function register_hooks(): void
+    {
+        add_action('init', [$this, 'register_post_meta']);
+        add_action('enqueue_block_editor_assets', [$this, 'enqueue_block_editor_assets']);
+    }
+
+    /**
+     * Get the post types supporting the meta description (all public post types except attachments).
+     *
+     * @return array<string, string> Post type names.
+     */
+    public static function get_supported_post_types(): array
+    {
+        $post_types = get_post_types(['public' => true]);
+        unset($post_types['attachment']);
+
+        return $post_types;
+    }
+
+    /**
+     * Registers the meta description, focus keyword and social description post meta for all supported post types.
+     *
+     * The meta key is protected (leading underscore), so an auth callback is required
+     * for it to be editable through the REST API.
+     */
+    public function register_post_meta(): void
+    {
+        foreach (self::get_supported_post_types() as $post_type) {
+            add_filter('rest_pre_insert_' . $post_type, [$this, 'clear_auto_generation_status'], 10, 2);
+
+            foreach ([$this->meta_key, MSO_AI_Meta_Description::FOCUS_KEYWORD_META_KEY, MSO_AI_Meta_Description::SOCIAL_META_KEY] as $meta_key) {
+                register_post_meta(
+                    $post_type,
+                    $meta_key,
+                    [
+                        'type' => 'string',
+                        'single' => true,
+                        'default' => '',
+                        'show_in_rest' => true,
+                        'sanitize_callback' => 'sanitize_text_field',
+                        'auth_callback' => [$this, 'can_edit_meta'],
+                    ]
+                );
+            }
+        }
+    }
+
+    /**
+     * Auth callback for the meta description post meta.
+     *
+     * @param bool   $allowed  Whether the user can edit the meta (default false for protected meta).
+     * @param string $meta_key The meta key.
+     * @param int    $post_id  The post ID.
+     * @return bool True if the current user can edit the post.
+     */
+    public function can_edit_meta(bool $allowed, string $meta_key, int $post_id): bool
+    {
+        return current_user_can('edit_post', $post_id);
+    }
+
+    /**
+     * Clears the status of the automatic generation when the block editor saves a description,
+     * before the core REST API updates the post meta (see AutoGenerator::clear_status_on_manual_save()).
+     *
+     * @param stdClass|WP_Error $prepared_post The post prepared for the database, or an error of another filter.
+     * @param WP_REST_Request   $request       The request.
+     * @return stdClass|WP_Error The unchanged post.
+     */
+    public function clear_auto_generation_status(stdClass|WP_Error $prepared_post, WP_REST_Request $request): stdClass|WP_Error
+    {
+        $meta = $request['meta'];
+
+        if ($prepared_post instanceof stdClass && ! empty($prepared_post->ID) && is_array($meta) && isset($meta[$this->meta_key])) {
+            AutoGenerator::clear_status_on_manual_save(
+                (int) $prepared_post->ID,
+                (string) get_post_meta((int) $prepared_post->ID, $this->meta_key, true),
+                sanitize_text_field((string) $meta[$this->meta_key])
+            );
+        }
+
+        return $prepared_post;
+    }
+
+    /**
+     * Enqueue the block editor panel script.
+     *
+     * Only loaded when editing a post type that supports the meta description.
+     * The script depends on the main admin script, which provides the shared
+     * generation, counter and error handling logic as well as msoAiScriptVars.
+     */
+    public function enqueue_block_editor_assets(): void
+    {
+        $screen = get_current_screen();
+        if (! $screen || ! in_array($screen->post_type, self::get_supported_post_types(), true)) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'mso-ai-editor-script',
+            plugin_dir_url(dirname(__FILE__)) . 'assets/js/mso-ai-editor.js',
+            ['mso-ai-admin-script', 'wp-plugins', 'wp-edit-post', 'wp-editor', 'wp-element', 'wp-components', 'wp-data', 'wp-i18n'],
+            MSO_AI_Meta_Description::VERSION,
+            true
+        );
+    }
+}
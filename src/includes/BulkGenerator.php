@@ -0,0 +1,349 @@
+<?php
+
+/**
+ * MSO AI Meta Description Bulk Generator
+ *
+ * Provides the "Bulk generation" tab of the settings page, used to backfill
+ * meta descriptions of existing posts. The posts lacking a description are listed
+ * through AJAX and processed one by one by a client-side queue, each request
+ * generating and saving the description of a single post server-side.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Utils\PostContent;
+use WP_Query;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Manages the bulk generation screen and its AJAX endpoints.
+ */
+class BulkGenerator implements SettingsTabInterface
+{
+    /**
+     * Slug of the bulk generation tab.
+     * @var string
+     */
+    public const string TAB_SLUG = 'bulk';
+
+    /**
+     * Number of posts returned per page by the listing endpoint.
+     * @var int
+     */
+    private const int POSTS_PER_PAGE = 100;
+
+    /**
+     * Maximum number of generation requests processed in parallel by the queue.
+     * @var int
+     */
+    public const int MAX_CONCURRENCY = 5;
+
+    /**
+     * Post statuses considered by the bulk generation.
+     * @var array<string>
+     */
+    public const array POST_STATUSES = ['publish', 'future', 'draft', 'pending', 'private'];
+
+    /**
+     * Instance of the ApiClient used to interact with external AI APIs.
+     */
+    private ApiClient $api_client;
+
+    /**
+     * The nonce action string used for verifying AJAX requests.
+     */
+    private string $nonce_action;
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Instance of the MetaBox class, providing the configured providers.
+     */
+    private MetaBox $meta_box;
+
+    /**
+     * Constructor.
+     *
+     * @param ApiClient $api_client   An instance of the ApiClient.
+     * @param string    $nonce_action The nonce action name for security checks.
+     * @param string    $meta_key     The key used for storing the meta description.
+     * @param MetaBox   $meta_box     The MetaBox instance, providing the configured providers.
+     */
+    public function __construct(ApiClient $api_client, string $nonce_action, string $meta_key, MetaBox $meta_box)
+    {
+        $this->api_client = $api_client;
+        $this->nonce_action = $nonce_action;
+        $this->meta_key = $meta_key;
+        $this->meta_box = $meta_box;
+    }
+
+    /**
+     * Registers the WordPress AJAX hooks for the bulk generation endpoints.
+     */
+    public function register_hooks(): void
+    {
+        add_action('wp_ajax_mso_ai_bulk_list_posts', [$this, 'handle_list_posts']);
+        add_action('wp_ajax_mso_ai_bulk_generate', [$this, 'handle_generate']);
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_slug(): string
+    {
+        return self::TAB_SLUG;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_label(): string
+    {
+        return __('Bulk generation', 'mso-ai-meta-description');
+    }
+
+    /**
+     * Renders the bulk generation screen.
+     */
+    public function render_tab(): void
+    {
+        $configured_providers = $this->meta_box->get_configured_providers();
+
+        if (empty($configured_providers)) {
+            echo '<div class="notice notice-warning inline"><p>' . esc_html__('Enable and configure at least one AI provider to use bulk generation.', 'mso-ai-meta-description') . '</p></div>';
+
+            return;
+        }
+        ?>
+        <div id="mso-ai-bulk" class="mso-ai-bulk">
+            <h2><?php esc_html_e('Generate missing meta descriptions', 'mso-ai-meta-description'); ?></h2>
+            <p class="description"><?php esc_html_e('Lists the posts without a meta description and generates them in the background. Keep this page open until the queue is complete.', 'mso-ai-meta-description'); ?></p>
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><?php esc_html_e('Post types', 'mso-ai-meta-description'); ?></th>
+                    <td>
+                        <fieldset>
+                            <?php foreach (BlockEditor::get_supported_post_types() as $post_type) :
+                                $post_type_object = get_post_type_object($post_type);
+                                if (! $post_type_object) {
+                                    continue;
+                                }
+                                ?>
+                                <label>
+                                    <input type="checkbox" class="mso-ai-bulk-post-type" value="<?php echo esc_attr($post_type); ?>" <?php checked('post', $post_type); ?>>
+                                    <?php echo esc_html($post_type_object->labels->name); ?>
+                                </label><br>
+                            <?php endforeach; ?>
+                        </fieldset>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="mso-ai-bulk-provider"><?php esc_html_e('Provider', 'mso-ai-meta-description'); ?></label></th>
+                    <td>
+                        <select id="mso-ai-bulk-provider">
+                            <option value="<?php echo esc_attr(ApiClient::AUTO_PROVIDER); ?>"><?php esc_html_e('Auto (fallback order)', 'mso-ai-meta-description'); ?></option>
+                            <?php foreach ($configured_providers as $provider_name => $provider) : ?>
+                                <option value="<?php echo esc_attr($provider_name); ?>"><?php echo esc_html(ucfirst($provider->get_title())); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="mso-ai-bulk-concurrency"><?php esc_html_e('Parallel requests', 'mso-ai-meta-description'); ?></label></th>
+                    <td>
+                        <input type="number" id="mso-ai-bulk-concurrency" class="small-text" value="2" min="1" max="<?php echo esc_attr((string)self::MAX_CONCURRENCY); ?>">
+                        <p class="description"><?php esc_html_e('Lower this value if the provider returns rate limit errors.', 'mso-ai-meta-description'); ?></p>
+                    </td>
+                </tr>
+            </table>
+            <p>
+                <button type="button" class="button" id="mso-ai-bulk-find"><?php esc_html_e('Find posts', 'mso-ai-meta-description'); ?></button>
+                <button type="button" class="button button-primary" id="mso-ai-bulk-start" disabled><?php esc_html_e('Start', 'mso-ai-meta-description'); ?></button>
+                <button type="button" class="button" id="mso-ai-bulk-pause" hidden><?php esc_html_e('Pause', 'mso-ai-meta-description'); ?></button>
+                <button type="button" class="button" id="mso-ai-bulk-resume" hidden><?php esc_html_e('Resume', 'mso-ai-meta-description'); ?></button>
+                <span class="spinner mso-ai-spinner"></span>
+            </p>
+            <div class="mso-ai-bulk-progress" hidden>
+                <progress id="mso-ai-bulk-progress-bar" value="0" max="0"></progress>
+                <span id="mso-ai-bulk-progress-text"></span>
+            </div>
+            <div id="mso-ai-bulk-errors" class="notice notice-error inline mso-ai-bulk-errors" hidden>
+                <p><strong><?php esc_html_e('Errors', 'mso-ai-meta-description'); ?></strong></p>
+                <ul></ul>
+                <p><button type="button" class="button" id="mso-ai-bulk-retry-failed"><?php esc_html_e('Retry failed posts', 'mso-ai-meta-description'); ?></button></p>
+            </div>
+            <table class="widefat striped mso-ai-bulk-table" hidden>
+                <thead>
+                <tr>
+                    <th scope="col"><?php esc_html_e('Title', 'mso-ai-meta-description'); ?></th>
+                    <th scope="col"><?php esc_html_e('Type', 'mso-ai-meta-description'); ?></th>
+                    <th scope="col"><?php esc_html_e('Status', 'mso-ai-meta-description'); ?></th>
+                    <th scope="col"><?php esc_html_e('Meta Description', 'mso-ai-meta-description'); ?></th>
+                    <th scope="col"></th>
+                </tr>
+                </thead>
+                <tbody id="mso-ai-bulk-rows"></tbody>
+            </table>
+        </div>
+        <?php
+    }
+
+    /**
+     * AJAX handler listing the posts of the selected post types without a meta description.
+     *
+     * Expects 'post_types' (array), 'page' and 'nonce' in the POST request.
+     * Returns one page of posts (id, title, type, edit link) with the total count.
+     */
+    public function handle_list_posts(): void
+    {
+        if (! check_ajax_referer($this->nonce_action, 'nonce', false)) {
+            wp_send_json_error(['message' => __('Invalid nonce.', 'mso-ai-meta-description')], 403);
+        }
+
+        if (! current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'mso-ai-meta-description')], 403);
+        }
+
+        $requested_post_types = isset($_POST['post_types']) ? array_map('sanitize_key', (array) wp_unslash($_POST['post_types'])) : [];
+        $post_types = array_values(array_intersect($requested_post_types, BlockEditor::get_supported_post_types()));
+        $page = isset($_POST['page']) ? max(1, absint($_POST['page'])) : 1;
+
+        if (empty($post_types)) {
+            wp_send_json_error(['message' => __('Select at least one post type.', 'mso-ai-meta-description')], 400);
+        }
+
+        $query = new WP_Query($this->get_missing_query_args($post_types, [
+            'posts_per_page' => self::POSTS_PER_PAGE,
+            'paged' => $page,
+            'orderby' => 'ID',
+            'order' => 'DESC',
+            'update_post_term_cache' => false,
+        ]));
+
+        $posts = [];
+        foreach ($query->posts as $post) {
+            $post_type_object = get_post_type_object($post->post_type);
+            $posts[] = [
+                'id' => $post->ID,
+                'title' => get_the_title($post) ?: __('(no title)', 'mso-ai-meta-description'),
+                'type' => $post_type_object ? $post_type_object->labels->singular_name : $post->post_type,
+                'editLink' => (string) get_edit_post_link($post->ID, 'raw'),
+            ];
+        }
+
+        wp_send_json_success([
+            'posts' => $posts,
+            'total' => (int) $query->found_posts,
+            'totalPages' => (int) $query->max_num_pages,
+        ]);
+    }
+
+    /**
+     * AJAX handler generating and saving the meta description of a single post.
+     *
+     * Expects 'post_id', 'provider' and 'nonce' in the POST request.
+     * Returns the saved description and the provider that generated it, or an error message.
+     */
+    public function handle_generate(): void
+    {
+        if (! check_ajax_referer($this->nonce_action, 'nonce', false)) {
+            wp_send_json_error(['message' => __('Invalid nonce.', 'mso-ai-meta-description')], 403);
+        }
+
+        $post_id = isset($_POST['post_id']) ? absint($_POST['post_id']) : 0;
+        $provider = isset($_POST['provider']) ? sanitize_text_field(wp_unslash($_POST['provider'])) : '';
+
+        if (! current_user_can('manage_options') || ! current_user_can('edit_post', $post_id)) {
+            wp_send_json_error(['message' => __('Permission denied.', 'mso-ai-meta-description')], 403);
+        }
+
+        if ($provider !== ApiClient::AUTO_PROVIDER && ! array_key_exists($provider, $this->meta_box->get_configured_providers())) {
+            wp_send_json_error(['message' => __('Invalid AI provider specified.', 'mso-ai-meta-description')], 400);
+        }
+
+        $post = get_post($post_id);
+        $content = $post ? PostContent::get_plain_text($post) : '';
+
+        if (empty($content)) {
+            wp_send_json_error(['message' => __('Content cannot be empty.', 'mso-ai-meta-description')], 400);
+        }
+
+        $result = $this->api_client->generate_summary($provider, $content, PostContent::get_context($post));
+
+        if (is_wp_error($result)) {
+            $error_data = $result->get_error_data();
+            $status_code = 500;
+
+            if (is_array($error_data) && isset($error_data['status'])) {
+                $status_code = (int) $error_data['status'];
+
+                if ($status_code < 400) {
+                    $status_code = 500;
+                }
+            }
+
+            wp_send_json_error(['message' => $result->get_error_message()], $status_code);
+        }
+
+        $summary = sanitize_text_field($result['summary']);
+        update_post_meta($post_id, $this->meta_key, $summary);
+
+        wp_send_json_success(['summary' => $summary, 'provider' => $result['provider']]);
+    }
+
+    /**
+     * Counts the posts of a post type, and those without a meta description.
+     *
+     * @param string $post_type The post type.
+     * @return array{total: int, missing: int} The number of posts and of posts lacking a description.
+     */
+    public function count_posts(string $post_type): array
+    {
+        $counts = wp_count_posts($post_type);
+        $total = 0;
+
+        foreach (self::POST_STATUSES as $status) {
+            $total += isset($counts->$status) ? (int) $counts->$status : 0;
+        }
+
+        $query = new WP_Query($this->get_missing_query_args([$post_type], [
+            'posts_per_page' => 1,
+            'fields' => 'ids',
+        ]));
+
+        return ['total' => $total, 'missing' => (int) $query->found_posts];
+    }
+
+    /**
+     * Builds the WP_Query arguments selecting the posts without a meta description.
+     *
+     * @param array<string>        $post_types The post types to query.
+     * @param array<string, mixed> $args       Additional query arguments (pagination, order...).
+     * @return array<string, mixed> The query arguments.
+     * @private
+     */
+    private function get_missing_query_args(array $post_types, array $args): array
+    {
+        return array_merge([
+            'post_type' => $post_types,
+            'post_status' => self::POST_STATUSES,
+            'no_found_rows' => false,
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Only run on demand from the bulk generation screen.
+            'meta_query' => [
+                'relation' => 'OR',
+                ['key' => $this->meta_key, 'compare' => 'NOT EXISTS'],
+                ['key' => $this->meta_key, 'value' => ''],
+            ],
+        ], $args);
+    }
+}
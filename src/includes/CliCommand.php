@@ -0,0 +1,527 @@
+<?php
+
+/**
+ * MSO AI Meta Description WP-CLI Command
+ *
+ * Registers the 'wp mso-ai' command, used by deployments, CI jobs and cron
+ * to backfill meta descriptions without the browser UI:
+ * - wp mso-ai generate: generates descriptions with the configured providers.
+ * - wp mso-ai export: exports the post ID, URL and description of posts (CSV or JSON).
+ * - wp mso-ai import: imports descriptions from such a file.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+use MSO_AI_Meta_Description\Utils\PostContent;
+use WP_CLI;
+use WP_Query;
+
+use function WP_CLI\Utils\format_items;
+use function WP_CLI\Utils\get_flag_value;
+use function WP_CLI\Utils\make_progress_bar;
+use function WP_CLI\Utils\write_csv;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Generates, exports and imports meta descriptions from the command line.
+ */
+class CliCommand
+{
+    /**
+     * Name of the root command.
+     */
+    public const string COMMAND_NAME = 'mso-ai';
+
+    /**
+     * Formats supported by the export and import subcommands.
+     * @var array<string>
+     */
+    private const array FILE_FORMATS = ['csv', 'json'];
+
+    /**
+     * Columns of the exported and imported files.
+     * @var array<string>
+     */
+    private const array FILE_FIELDS = ['post_id', 'url', 'description'];
+
+    /**
+     * Instance of the ApiClient used to interact with external AI APIs.
+     */
+    private ApiClient $api_client;
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Constructor.
+     *
+     * @param ApiClient $api_client An instance of the ApiClient.
+     * @param string    $meta_key   The key used for storing the meta description.
+     */
+    public function __construct(ApiClient $api_client, string $meta_key)
+    {
+        $this->api_client = $api_client;
+        $this->meta_key = $meta_key;
+    }
+
+    /**
+     * Registers the subcommands when running in WP-CLI.
+     */
+    public function register_hooks(): void
+    {
+        if (! defined('WP_CLI') || ! WP_CLI) {
+            return;
+        }
+
+        WP_CLI::add_command(self::COMMAND_NAME . ' generate', [$this, 'generate']);
+        WP_CLI::add_command(self::COMMAND_NAME . ' export', [$this, 'export']);
+        WP_CLI::add_command(self::COMMAND_NAME . ' import', [$this, 'import']);
+    }
+
+    /**
+     * Generates meta descriptions with the configured AI providers.
+     *
+     * Posts that already have a description are skipped, unless --overwrite is set.
+     *
+     * ## OPTIONS
+     *
+     * [<id>...]
+     * : One or more post IDs. Defaults to every post of the selected post types.
+     *
+     * [--post_type=<post_type>]
+     * : Comma-separated list of post types. Defaults to every supported post type.
+     *
+     * [--after=<date>]
+     * : Only posts published on or after this date (any format accepted by WP_Query, e.g. 2024-01-31).
+     *
+     * [--before=<date>]
+     * : Only posts published on or before this date.
+     *
+     * [--missing]
+     * : Only select the posts without a description.
+     *
+     * [--provider=<provider>]
+     * : Provider to use, without falling back to the other providers. Defaults to the fallback order of the settings.
+     *
+     * [--dry-run]
+     * : List the posts that would be processed, without calling the provider or saving anything.
+     *
+     * [--overwrite]
+     * : Replace the existing descriptions.
+     *
+     * ## EXAMPLES
+     *
+     *     # Backfill the missing descriptions of pages
+     *     $ wp mso-ai generate --post_type=page --missing
+     *
+     *     # Regenerate the descriptions of two posts with OpenAI
+     *     $ wp mso-ai generate 12 34 --provider=openai --overwrite
+     *
+     * @param array<int, string>    $args       Positional arguments (post IDs).
+     * @param array<string, string> $assoc_args Associative arguments.
+     */
+    public function generate(array $args, array $assoc_args): void
+    {
+        $provider = (string) ($assoc_args['provider'] ?? ApiClient::AUTO_PROVIDER);
+        $dry_run = (bool) get_flag_value($assoc_args, 'dry-run', false);
+        $overwrite = (bool) get_flag_value($assoc_args, 'overwrite', false);
+        $configured_providers = ProviderManager::get_configured_providers();
+
+        if (empty($configured_providers)) {
+            WP_CLI::error(__('Enable and configure at least one AI provider.', 'mso-ai-meta-description'));
+        }
+
+        if ($provider !== ApiClient::AUTO_PROVIDER && ! array_key_exists($provider, $configured_providers)) {
+            WP_CLI::error(sprintf(
+                /* translators: 1: Provider name, 2: Comma-separated list of provider names */
+                __('Invalid AI provider "%1$s". Configured providers: %2$s.', 'mso-ai-meta-description'),
+                $provider,
+                implode(', ', array_keys($configured_providers))
+            ));
+        }
+
+        $post_ids = $this->query_post_ids($args, $assoc_args, (bool) get_flag_value($assoc_args, 'missing', false));
+
+        if (empty($post_ids)) {
+            WP_CLI::success(__('No posts to process.', 'mso-ai-meta-description'));
+
+            return;
+        }
+
+        $generated = 0;
+        $skipped = 0;
+        $failed = 0;
+        $progress = $dry_run ? null : make_progress_bar(__('Generating meta descriptions', 'mso-ai-meta-description'), count($post_ids));
+
+        foreach ($post_ids as $post_id) {
+            $post = get_post($post_id);
+
+            if (! $overwrite && (string) get_post_meta($post_id, $this->meta_key, true) !== '') {
+                $skipped++;
+                $progress?->tick();
+                continue;
+            }
+
+            if ($dry_run) {
+                WP_CLI::log(sprintf('%d: %s', $post_id, get_the_title($post)));
+                $generated++;
+                continue;
+            }
+
+            $content = PostContent::get_plain_text($post);
+
+            if ($content === '') {
+                WP_CLI::warning(sprintf(
+                    /* translators: %d: Post ID */
+                    __('Post %d: content is empty.', 'mso-ai-meta-description'),
+                    $post_id
+                ));
+                $failed++;
+                $progress->tick();
+                continue;
+            }
+
+            $result = $this->api_client->generate_summary($provider, $content, PostContent::get_context($post));
+
+            if (is_wp_error($result)) {
+                WP_CLI::warning(sprintf(
+                    /* translators: 1: Post ID, 2: Error message */
+                    __('Post %1$d: %2$s', 'mso-ai-meta-description'),
+                    $post_id,
+                    $result->get_error_message()
+                ));
+                $failed++;
+            } else {
+                update_post_meta($post_id, $this->meta_key, sanitize_text_field($result['summary']));
+                $generated++;
+            }
+
+            $progress->tick();
+        }
+
+        $progress?->finish();
+
+        $summary = sprintf(
+            /* translators: 1: Number of processed posts, 2: Number of skipped posts, 3: Number of failed posts */
+            $dry_run
+                ? __('%1$d posts would be processed, %2$d skipped (existing description), %3$d failed.', 'mso-ai-meta-description')
+                : __('%1$d descriptions generated, %2$d skipped (existing description), %3$d failed.', 'mso-ai-meta-description'),
+            $generated,
+            $skipped,
+            $failed
+        );
+
+        if ($failed > 0) {
+            WP_CLI::error($summary);
+        }
+
+        WP_CLI::success($summary);
+    }
+
+    /**
+     * Exports the meta descriptions.
+     *
+     * Every post of the selected post types is exported, with an empty description when it has none.
+     *
+     * ## OPTIONS
+     *
+     * [--post_type=<post_type>]
+     * : Comma-separated list of post types. Defaults to every supported post type.
+     *
+     * [--missing]
+     * : Only export the posts without a description.
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: csv
+     * options:
+     *   - csv
+     *   - json
+     * ---
+     *
+     * [--file=<file>]
+     * : Write to this file instead of the standard output.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp mso-ai export --post_type=post,page --file=descriptions.csv
+     *
+     * @param array<int, string>    $args       Positional arguments (unused).
+     * @param array<string, string> $assoc_args Associative arguments.
+     */
+    public function export(array $args, array $assoc_args): void
+    {
+        $format = (string) ($assoc_args['format'] ?? 'csv');
+        $post_ids = $this->query_post_ids([], $assoc_args, (bool) get_flag_value($assoc_args, 'missing', false));
+
+        $rows = [];
+        foreach ($post_ids as $post_id) {
+            $rows[] = [
+                'post_id' => $post_id,
+                'url' => (string) get_permalink($post_id),
+                'description' => (string) get_post_meta($post_id, $this->meta_key, true),
+            ];
+        }
+
+        if (empty($assoc_args['file'])) {
+            format_items($format, $rows, self::FILE_FIELDS);
+
+            return;
+        }
+
+        $file = (string) $assoc_args['file'];
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Writing a local file from the command line.
+        $handle = fopen($file, 'w');
+
+        if ($handle === false) {
+            WP_CLI::error(sprintf(
+                /* translators: %s: File path */
+                __('Could not write to %s.', 'mso-ai-meta-description'),
+                $file
+            ));
+        }
+
+        if ($format === 'json') {
+            // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite -- Writing a local file from the command line.
+            fwrite($handle, (string) wp_json_encode($rows, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+        } else {
+            write_csv($handle, $rows, self::FILE_FIELDS);
+        }
+
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Writing a local file from the command line.
+        fclose($handle);
+
+        WP_CLI::success(sprintf(
+            /* translators: 1: Number of posts, 2: File path */
+            __('%1$d posts exported to %2$s.', 'mso-ai-meta-description'),
+            count($rows),
+            $file
+        ));
+    }
+
+    /**
+     * Imports meta descriptions from a CSV or JSON file, as created by the export subcommand.
+     *
+     * Posts are matched by 'post_id', or by 'url' when the ID is missing.
+     * Rows with an empty description are ignored.
+     *
+     * ## OPTIONS
+     *
+     * <file>
+     * : Path of the file to import.
+     *
+     * [--format=<format>]
+     * : File format. Defaults to the file extension.
+     * ---
+     * options:
+     *   - csv
+     *   - json
+     * ---
+     *
+     * [--dry-run]
+     * : Report the changes without saving anything.
+     *
+     * [--overwrite]
+     * : Replace the existing descriptions. By default, only the posts without a description are updated.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp mso-ai import descriptions.csv --overwrite
+     *
+     * @param array<int, string>    $args       Positional arguments: the file path.
+     * @param array<string, string> $assoc_args Associative arguments.
+     */
+    public function import(array $args, array $assoc_args): void
+    {
+        $file = $args[0];
+        $format = (string) ($assoc_args['format'] ?? strtolower(pathinfo($file, PATHINFO_EXTENSION)));
+        $dry_run = (bool) get_flag_value($assoc_args, 'dry-run', false);
+        $overwrite = (bool) get_flag_value($assoc_args, 'overwrite', false);
+
+        if (! in_array($format, self::FILE_FORMATS, true)) {
+            WP_CLI::error(__('Unknown file format. Use --format=csv or --format=json.', 'mso-ai-meta-description'));
+        }
+
+        if (! is_readable($file)) {
+            WP_CLI::error(sprintf(
+                /* translators: %s: File path */
+                __('Could not read %s.', 'mso-ai-meta-description'),
+                $file
+            ));
+        }
+
+        $rows = $format === 'json' ? $this->read_json($file) : $this->read_csv($file);
+        $updated = 0;
+        $skipped = 0;
+        $failed = 0;
+
+        foreach ($rows as $index => $row) {
+            $description = sanitize_text_field((string) ($row['description'] ?? ''));
+            $post_id = ! empty($row['post_id']) ? absint($row['post_id']) : url_to_postid((string) ($row['url'] ?? ''));
+
+            if ($description === '') {
+                $skipped++;
+                continue;
+            }
+
+            if (! $post_id || ! get_post($post_id)) {
+                WP_CLI::warning(sprintf(
+                    /* translators: %d: Row number in the file */
+                    __('Row %d: post not found.', 'mso-ai-meta-description'),
+                    $index + 1
+                ));
+                $failed++;
+                continue;
+            }
+
+            $current = (string) get_post_meta($post_id, $this->meta_key, true);
+
+            if ($current === $description || (! $overwrite && $current !== '')) {
+                $skipped++;
+                continue;
+            }
+
+            if (! $dry_run) {
+                update_post_meta($post_id, $this->meta_key, $description);
+            }
+            $updated++;
+        }
+
+        WP_CLI::success(sprintf(
+            /* translators: 1: Number of updated posts, 2: Number of skipped rows, 3: Number of failed rows */
+            $dry_run
+                ? __('%1$d descriptions would be updated, %2$d rows skipped, %3$d failed.', 'mso-ai-meta-description')
+                : __('%1$d descriptions updated, %2$d rows skipped, %3$d failed.', 'mso-ai-meta-description'),
+            $updated,
+            $skipped,
+            $failed
+        ));
+    }
+
+    /**
+     * Queries the IDs of the posts matching the command arguments.
+     *
+     * @param array<int, string>    $ids        Post IDs given as positional arguments.
+     * @param array<string, string> $assoc_args Associative arguments (post_type, after, before).
+     * @param bool                  $missing    Whether to only select the posts without a description.
+     * @return array<int> The post IDs.
+     * @private
+     */
+    private function query_post_ids(array $ids, array $assoc_args, bool $missing): array
+    {
+        $supported_post_types = BlockEditor::get_supported_post_types();
+        $post_types = $supported_post_types;
+
+        if (! empty($assoc_args['post_type'])) {
+            $requested_post_types = array_map('sanitize_key', explode(',', $assoc_args['post_type']));
+            $post_types = array_values(array_intersect($requested_post_types, $supported_post_types));
+
+            if (empty($post_types)) {
+                WP_CLI::error(sprintf(
+                    /* translators: %s: Comma-separated list of post types */
+                    __('No supported post type selected. Supported post types: %s.', 'mso-ai-meta-description'),
+                    implode(', ', $supported_post_types)
+                ));
+            }
+        }
+
+        $query_args = [
+            'post_type' => $post_types,
+            'post_status' => BulkGenerator::POST_STATUSES,
+            'posts_per_page' => -1,
+            'fields' => 'ids',
+            'orderby' => 'ID',
+            'order' => 'ASC',
+            'no_found_rows' => true,
+        ];
+
+        if (! empty($ids)) {
+            $query_args['post__in'] = array_map('absint', $ids);
+        }
+
+        $date_query = array_filter([
+            'after' => $assoc_args['after'] ?? '',
+            'before' => $assoc_args['before'] ?? '',
+        ]);
+
+        if (! empty($date_query)) {
+            $query_args['date_query'] = [array_merge($date_query, ['inclusive' => true])];
+        }
+
+        if ($missing) {
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Only run on demand from the command line.
+            $query_args['meta_query'] = [
+                'relation' => 'OR',
+                ['key' => $this->meta_key, 'compare' => 'NOT EXISTS'],
+                ['key' => $this->meta_key, 'value' => ''],
+            ];
+        }
+
+        return array_map('intval', (new WP_Query($query_args))->posts);
+    }
+
+    /**
+     * Reads the rows of a CSV file, using its first line as header.
+     *
+     * @param string $file The file path.
+     * @return array<int, array<string, string>> The rows, keyed by column name.
+     * @private
+     */
+    private function read_csv(string $file): array
+    {
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Reading a local file from the command line.
+        $handle = fopen($file, 'r');
+        $header = $handle ? fgetcsv($handle) : false;
+
+        if (! $header || ! in_array('description', $header, true)) {
+            WP_CLI::error(__('The CSV file must have a header line with a "description" column, and a "post_id" or "url" column.', 'mso-ai-meta-description'));
+        }
+
+        $rows = [];
+        while (($line = fgetcsv($handle)) !== false) {
+            if ($line === [null]) {
+                continue;
+            }
+            $rows[] = array_combine($header, array_pad(array_slice($line, 0, count($header)), count($header), ''));
+        }
+
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Reading a local file from the command line.
+        fclose($handle);
+
+        return $rows;
+    }
+
+    /**
+     * Reads the rows of a JSON file: an array of objects.
+     *
+     * @param string $file The file path.
+     * @return array<int, array<string, mixed>> The rows.
+     * @private
+     */
+    private function read_json(string $file): array
+    {
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Reading a local file from the command line.
+        $rows = json_decode((string) file_get_contents($file), true);
+
+        if (! is_array($rows)) {
+            WP_CLI::error(sprintf(
+                /* translators: %s: JSON error message */
+                __('Invalid JSON file: %s', 'mso-ai-meta-description'),
+                json_last_error_msg()
+            ));
+        }
+
+        return array_values(array_filter($rows, 'is_array'));
+    }
+}
@@ -0,0 +1,350 @@
+<?php
+
+/**
+ * MSO AI Meta Description History
+ *
+ * Keeps the history of the meta description of each post: every value saved, whoever
+ * saved it (meta box, block editor, Quick Edit, bulk generation, REST API, WP-CLI), with
+ * its author, date and source: generated by a provider and model, or edited manually.
+ *
+ * The source is found by comparing the saved value with the descriptions generated for the
+ * post during the last day (remembered when the 'mso_ai_meta_description_generated' action fires).
+ *
+ * The description is also stored with the WordPress revisions of the post, displayed on the
+ * revisions screen and restored with them (revisioned post meta, available since WordPress 6.4).
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+use WP_Post;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Records and displays the history of the meta descriptions.
+ */
+class DescriptionHistory
+{
+    /**
+     * Post meta key storing the history entries, oldest first.
+     */
+    public const string HISTORY_META_KEY = '_mso_ai_description_history';
+
+    /**
+     * Maximum number of entries kept per post.
+     */
+    private const int MAX_ENTRIES = 20;
+
+    /**
+     * Maximum number of generated descriptions remembered per post.
+     */
+    private const int MAX_GENERATED = 20;
+
+    /**
+     * Source of a description edited manually.
+     */
+    public const string SOURCE_MANUAL = 'manual';
+
+    /**
+     * Source of a generated description.
+     */
+    public const string SOURCE_AI = 'ai';
+
+    /**
+     * Source of a description saved before the history was recorded.
+     */
+    public const string SOURCE_UNKNOWN = 'unknown';
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Constructor.
+     *
+     * @param string $meta_key The key used for storing the meta description.
+     */
+    public function __construct(string $meta_key)
+    {
+        $this->meta_key = $meta_key;
+    }
+
+    /**
+     * Registers the hooks recording the changes and integrating the description with the revisions.
+     */
+    public function register_hooks(): void
+    {
+        add_action('mso_ai_meta_description_generated', [$this, 'remember_generated'], 10, 4);
+        add_action('update_post_meta', [$this, 'handle_before_meta_change'], 10, 4);
+        add_action('delete_post_meta', [$this, 'handle_before_meta_change'], 10, 4);
+        add_action('added_post_meta', [$this, 'handle_meta_saved'], 10, 4);
+        add_action('updated_post_meta', [$this, 'handle_meta_saved'], 10, 4);
+
+        add_filter('wp_post_revision_meta_keys', [$this, 'add_revision_meta_key']);
+        add_filter('_wp_post_revision_fields', [$this, 'add_revision_field']);
+        add_filter('_wp_post_revision_field_' . $this->meta_key, [$this, 'get_revision_field_value'], 10, 3);
+    }
+
+    /**
+     * Remembers the descriptions generated for a post, to recognize them when they are saved.
+     *
+     * @param array<int, string>   $summaries     The generated descriptions.
+     * @param string               $provider_name The provider name.
+     * @param string               $model         The model used.
+     * @param array<string, mixed> $context       Generation context.
+     */
+    public function remember_generated(array $summaries, string $provider_name, string $model, array $context): void
+    {
+        $post_id = (int) ($context['post_id'] ?? 0);
+        if (! $post_id || ! empty($context['variant'])) {
+            return;
+        }
+
+        $transient = self::get_generated_transient_name($post_id);
+        $generated = get_transient($transient);
+        $generated = is_array($generated) ? $generated : [];
+        foreach ($summaries as $summary) {
+            $generated[md5(trim($summary))] = ['provider' => $provider_name, 'model' => $model];
+        }
+
+        set_transient($transient, array_slice($generated, -self::MAX_GENERATED, null, true), DAY_IN_SECONDS);
+    }
+
+    /**
+     * Adds the current description as first entry when the history is empty, before it is replaced or deleted.
+     * Descriptions saved before the history existed are kept this way.
+     *
+     * @param int|array<int> $meta_id    The meta ID(s).
+     * @param int            $post_id    The post ID.
+     * @param string         $meta_key   The meta key.
+     * @param mixed          $meta_value The new meta value.
+     */
+    public function handle_before_meta_change(int|array $meta_id, int $post_id, string $meta_key, mixed $meta_value): void
+    {
+        if ($meta_key !== $this->meta_key || wp_is_post_revision($post_id) || ! empty(self::get_entries($post_id))) {
+            return;
+        }
+
+        $current = (string) get_post_meta($post_id, $this->meta_key, true);
+        if ($current !== '') {
+            update_post_meta($post_id, self::HISTORY_META_KEY, [[
+                'value' => $current,
+                'time' => 0,
+                'user_id' => 0,
+                'source' => self::SOURCE_UNKNOWN,
+            ]]);
+        }
+    }
+
+    /**
+     * Adds the saved description to the history, with its source.
+     *
+     * @param int    $meta_id    The meta ID.
+     * @param int    $post_id    The post ID.
+     * @param string $meta_key   The meta key.
+     * @param mixed  $meta_value The saved meta value.
+     */
+    public function handle_meta_saved(int $meta_id, int $post_id, string $meta_key, mixed $meta_value): void
+    {
+        if ($meta_key !== $this->meta_key || wp_is_post_revision($post_id) || ! is_string($meta_value) || $meta_value === '') {
+            return;
+        }
+
+        $entries = self::get_entries($post_id);
+        $last_entry = end($entries);
+        if ($last_entry && $last_entry['value'] === $meta_value) {
+            return;
+        }
+
+        $entries[] = ['value' => $meta_value, 'time' => time(), 'user_id' => get_current_user_id()] + $this->get_source($post_id, $meta_value, $entries);
+
+        update_post_meta($post_id, self::HISTORY_META_KEY, array_slice($entries, -self::MAX_ENTRIES));
+    }
+
+    /**
+     * Stores the description with the revisions, so it is restored with them.
+     *
+     * @param array<int, string> $meta_keys The revisioned meta keys.
+     * @return array<int, string> The meta keys, with the description.
+     */
+    public function add_revision_meta_key(array $meta_keys): array
+    {
+        $meta_keys[] = $this->meta_key;
+
+        return $meta_keys;
+    }
+
+    /**
+     * Displays the description on the revisions screen.
+     *
+     * @param array<string, string> $fields The revision fields and their labels.
+     * @return array<string, string> The fields, with the description.
+     */
+    public function add_revision_field(array $fields): array
+    {
+        $fields[$this->meta_key] = __('Meta Description', 'mso-ai-meta-description');
+
+        return $fields;
+    }
+
+    /**
+     * Get the description of a revision, for the revisions screen.
+     *
+     * @param mixed   $value    The value of the field (unused, the description is a post meta).
+     * @param string  $field    The field name.
+     * @param WP_Post $revision The revision or post being compared.
+     * @return string The description.
+     */
+    public function get_revision_field_value(mixed $value, string $field, WP_Post $revision): string
+    {
+        return (string) get_metadata('post', $revision->ID, $this->meta_key, true);
+    }
+
+    /**
+     * Get the history entries of a post.
+     *
+     * @param int $post_id The post ID.
+     * @return array<int, array{value: string, time: int, user_id: int, source: string, provider?: string, model?: string, restored?: bool}>
+     *         The entries, oldest first.
+     */
+    public static function get_entries(int $post_id): array
+    {
+        $entries = get_post_meta($post_id, self::HISTORY_META_KEY, true);
+
+        return is_array($entries) ? array_values($entries) : [];
+    }
+
+    /**
+     * Get the history entries of a post, formatted for display.
+     *
+     * @param int $post_id The post ID.
+     * @return array<int, array{value: string, date: string, author: string, source: string, current: bool}>
+     *         The entries, newest first.
+     */
+    public static function prepare_entries(int $post_id): array
+    {
+        $current = (string) get_post_meta($post_id, MSO_AI_Meta_Description::META_KEY, true);
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+
+        return array_map(function (array $entry) use ($current, $date_format) {
+            $user = $entry['user_id'] ? get_userdata($entry['user_id']) : false;
+
+            return [
+                'value' => $entry['value'],
+                'date' => $entry['time'] ? wp_date($date_format, $entry['time']) : '',
+                'author' => $user ? $user->display_name : '',
+                'source' => self::get_source_label($entry),
+                'current' => $entry['value'] === $current,
+            ];
+        }, array_reverse(self::get_entries($post_id)));
+    }
+
+    /**
+     * Renders the collapsible history list of the meta box.
+     * The word-level diffs against the current description are added by the admin script.
+     *
+     * @param int $post_id The post ID.
+     */
+    public static function render_list(int $post_id): void
+    {
+        $entries = self::prepare_entries($post_id);
+        if (empty($entries)) {
+            return;
+        }
+        ?>
+        <details class="mso-ai-history">
+            <summary>
+                <?php /* translators: %d: Number of history entries */ echo esc_html(sprintf(__('History (%d)', 'mso-ai-meta-description'), count($entries))); ?>
+            </summary>
+            <ul>
+                <?php foreach ($entries as $entry) : ?>
+                    <li class="mso-ai-history-entry" data-value="<?php echo esc_attr($entry['value']); ?>">
+                        <p class="description">
+                            <?php echo esc_html(implode(' · ', array_filter([$entry['date'], $entry['author'], $entry['source']]))); ?>
+                            <?php if ($entry['current']) : ?>
+                                <strong><?php esc_html_e('(current)', 'mso-ai-meta-description'); ?></strong>
+                            <?php endif; ?>
+                        </p>
+                        <p class="mso-ai-history-diff"><?php echo esc_html($entry['value']); ?></p>
+                        <button type="button" class="button button-small mso-ai-history-restore"><?php esc_html_e('Restore', 'mso-ai-meta-description'); ?></button>
+                    </li>
+                <?php endforeach; ?>
+            </ul>
+        </details>
+        <?php
+    }
+
+    /**
+     * Get the label describing the source of an entry.
+     *
+     * @param array<string, mixed> $entry The history entry.
+     * @return string The label.
+     * @private
+     */
+    private static function get_source_label(array $entry): string
+    {
+        if (($entry['source'] ?? '') === self::SOURCE_AI) {
+            $provider = ProviderManager::get_provider((string) ($entry['provider'] ?? ''));
+            $label = sprintf(
+                /* translators: 1: Provider title (e.g., Mistral), 2: Model ID */
+                __('Generated by %1$s (%2$s)', 'mso-ai-meta-description'),
+                $provider ? $provider->get_title() : (string) ($entry['provider'] ?? ''),
+                (string) ($entry['model'] ?? '')
+            );
+        } elseif (($entry['source'] ?? '') === self::SOURCE_MANUAL) {
+            $label = __('Edited manually', 'mso-ai-meta-description');
+        } else {
+            $label = __('Saved before the history was recorded', 'mso-ai-meta-description');
+        }
+
+        /* translators: %s: Source of the description (e.g., Edited manually) */
+        return ! empty($entry['restored']) ? sprintf(__('Restored: %s', 'mso-ai-meta-description'), $label) : $label;
+    }
+
+    /**
+     * Finds the source of a saved description: a description generated for the post,
+     * an earlier entry of the history (restored), or a manual edit.
+     *
+     * @param int                              $post_id The post ID.
+     * @param string                           $value   The saved description.
+     * @param array<int, array<string, mixed>> $entries The history entries.
+     * @return array<string, mixed> The source fields of the new entry.
+     * @private
+     */
+    private function get_source(int $post_id, string $value, array $entries): array
+    {
+        $generated = get_transient(self::get_generated_transient_name($post_id));
+        $generated = is_array($generated) ? $generated : [];
+        $hash = md5(trim($value));
+        if (isset($generated[$hash])) {
+            return ['source' => self::SOURCE_AI, 'provider' => $generated[$hash]['provider'], 'model' => $generated[$hash]['model']];
+        }
+
+        foreach (array_reverse($entries) as $entry) {
+            if ($entry['value'] === $value) {
+                return array_intersect_key($entry, array_flip(['source', 'provider', 'model'])) + ['restored' => true];
+            }
+        }
+
+        return ['source' => self::SOURCE_MANUAL];
+    }
+
+    /**
+     * Get the name of the transient remembering the descriptions generated for a post.
+     *
+     * @param int $post_id The post ID.
+     * @return string The transient name.
+     * @private
+     */
+    private static function get_generated_transient_name(int $post_id): string
+    {
+        return MSO_AI_Meta_Description::get_option_prefix() . 'generated_' . $post_id;
+    }
+}
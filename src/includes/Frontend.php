@@ -5,6 +5,8 @@
  *
  * Handles the output of the meta description tag in the website's <head> section.
  * Determines the appropriate description based on the current page context (post, page, archive, front page, etc.).
+ * Optionally outputs the Open Graph and Twitter Card tags, enabled on the Options tab.
+ * Nothing is output when another SEO plugin prints these tags (see SeoCompatibility).
  *
  * @package MSO_AI_Meta_Description
  * @since   1.0.0
@@ -12,6 +14,8 @@
 
 namespace MSO_AI_Meta_Description;
 
+use WP_Post_Type;
+
 if (! defined('ABSPATH')) {
     die;
 }
@@ -21,6 +25,16 @@ if (! defined('ABSPATH')) {
  */
 class Frontend
 {
+    /**
+     * Option name suffix (after the plugin option prefix) enabling the Open Graph tags.
+     */
+    public const string OPEN_GRAPH_OPTION = 'open_graph_enabled';
+
+    /**
+     * Option name suffix (after the plugin option prefix) enabling the Twitter Card tags.
+     */
+    public const string TWITTER_CARD_OPTION = 'twitter_card_enabled';
+
     /**
      * The post meta key used to store the custom meta description.
      */
@@ -55,11 +69,16 @@ class Frontend
     /**
      * Outputs the meta description tag in the <head> section.
      *
-     * Retrieves the appropriate description for the current page and prints the meta tag.
+     * Retrieves the appropriate description for the current page and prints the meta tag,
+     * followed by the Open Graph and Twitter Card tags when enabled.
      * Also handles removing and re-adding the default canonical tag to ensure proper placement relative to the description.
      */
     public function output_meta_description(): void
     {
+        if (SeoCompatibility::is_output_suppressed()) {
+            return;
+        }
+
         remove_action('wp_head', 'rel_canonical');
 
         $description = $this->get_current_page_description();
@@ -71,14 +90,16 @@ class Frontend
             );
         }
 
+        $this->output_social_tags($description);
+
         add_action('wp_head', 'rel_canonical');
     }
 
     /**
      * Determines the correct meta description based on the current WordPress query/view.
      *
-     * Checks various conditional tags (is_singular, is_tag, is_front_page, etc.)
-     * to retrieve the most relevant description from post meta, term descriptions,
+     * Checks various conditional tags (is_singular, is_tag, is_author, is_front_page, etc.)
+     * to retrieve the most relevant description from post, term or user meta, term descriptions,
      * plugin options, or the site tagline as a fallback.
      *
      * @return string The determined meta description, or an empty string if none is applicable.
@@ -97,7 +118,17 @@ class Frontend
                 $description = (string) get_post_meta($post_id, $this->meta_key, true);
             }
         } elseif (is_tag() || is_category() || is_tax()) {
-            $description = term_description();
+            $description = (string) get_term_meta(get_queried_object_id(), $this->meta_key, true);
+            if (empty($description)) {
+                $description = term_description();
+            }
+        } elseif (is_author()) {
+            $description = (string) get_user_meta(get_queried_object_id(), $this->meta_key, true);
+        } elseif (is_post_type_archive()) {
+            $post_type_object = get_queried_object();
+            $description = $post_type_object instanceof WP_Post_Type ? ArchiveDescriptions::get_archive_description($post_type_object->name) : '';
+        } elseif (is_date()) {
+            $description = $this->get_date_archive_description();
         } elseif (is_front_page()) {
             $description = $this->get_front_page_description();
         } elseif (is_home()) {
@@ -107,6 +138,173 @@ class Frontend
         return (string) apply_filters('mso_ai_meta_description_output', $description);
     }
 
+    /**
+     * Outputs the Open Graph and Twitter Card tags enabled on the Options tab.
+     *
+     * The descriptions default to the meta description, unless a social description is set on the post.
+     * Each tag family can be altered or emptied with the 'mso_ai_meta_description_open_graph_tags'
+     * and 'mso_ai_meta_description_twitter_tags' filters.
+     *
+     * @param string $description The meta description of the current page.
+     * @private
+     */
+    private function output_social_tags(string $description): void
+    {
+        $prefix = MSO_AI_Meta_Description::get_option_prefix();
+        $open_graph_enabled = (bool) get_option($prefix . self::OPEN_GRAPH_OPTION, false);
+        $twitter_card_enabled = (bool) get_option($prefix . self::TWITTER_CARD_OPTION, false);
+
+        if (! $open_graph_enabled && ! $twitter_card_enabled) {
+            return;
+        }
+
+        $post_id = $this->get_current_page_post_id();
+        $social_description = $post_id && ! is_paged() ? (string) get_post_meta($post_id, MSO_AI_Meta_Description::SOCIAL_META_KEY, true) : '';
+        $social_description = trim($social_description !== '' ? $social_description : $description);
+        $title = $this->get_current_page_title($post_id);
+        $image = $post_id ? (string) get_the_post_thumbnail_url($post_id, 'full') : '';
+
+        if ($open_graph_enabled) {
+            $tags = [
+                'og:title' => $title,
+                'og:description' => $social_description,
+                'og:type' => is_singular() && ! is_page() ? 'article' : 'website',
+                'og:url' => $this->get_current_page_url($post_id),
+                'og:image' => $image,
+                'og:site_name' => get_bloginfo('name', 'display'),
+            ];
+
+            $this->print_meta_tags('property', (array) apply_filters('mso_ai_meta_description_open_graph_tags', $tags));
+        }
+
+        if ($twitter_card_enabled) {
+            $tags = [
+                'twitter:card' => $image !== '' ? 'summary_large_image' : 'summary',
+                'twitter:title' => $title,
+                'twitter:description' => $social_description,
+                'twitter:image' => $image,
+            ];
+
+            $this->print_meta_tags('name', (array) apply_filters('mso_ai_meta_description_twitter_tags', $tags));
+        }
+    }
+
+    /**
+     * Prints a list of meta tags, skipping the empty ones.
+     *
+     * @param string                $attribute The attribute holding the tag name ('property' or 'name').
+     * @param array<string, string> $tags      The tag contents, keyed by tag name.
+     * @private
+     */
+    private function print_meta_tags(string $attribute, array $tags): void
+    {
+        foreach ($tags as $name => $content) {
+            if (! is_scalar($content) || trim((string) $content) === '') {
+                continue;
+            }
+
+            printf(
+                "<meta %s=\"%s\" content=\"%s\">\n",
+                esc_attr($attribute),
+                esc_attr((string) $name),
+                esc_attr(trim((string) $content))
+            );
+        }
+    }
+
+    /**
+     * Gets the ID of the post providing the description of the current page:
+     * the queried post, or the static front page and posts page.
+     *
+     * @return int The post ID, or 0 if the page is not backed by a post.
+     * @private
+     */
+    private function get_current_page_post_id(): int
+    {
+        if (is_singular()) {
+            return get_queried_object_id();
+        }
+
+        if ('page' === $this->show_on_front) {
+            if (is_front_page()) {
+                return (int) get_option('page_on_front');
+            }
+
+            if (is_home()) {
+                return (int) get_option('page_for_posts');
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Gets the title of the current page, without the site name.
+     *
+     * @param int $post_id The ID of the post backing the current page, or 0.
+     * @return string The title.
+     * @private
+     */
+    private function get_current_page_title(int $post_id): string
+    {
+        if (is_front_page()) {
+            return get_bloginfo('name', 'display');
+        }
+
+        if ($post_id) {
+            return wp_strip_all_tags(get_the_title($post_id));
+        }
+
+        if (is_tag() || is_category() || is_tax()) {
+            return (string) single_term_title('', false);
+        }
+
+        return wp_get_document_title();
+    }
+
+    /**
+     * Gets the URL of the current page, for the 'og:url' tag.
+     *
+     * @param int $post_id The ID of the post backing the current page, or 0.
+     * @return string The URL, or an empty string if it cannot be determined.
+     * @private
+     */
+    private function get_current_page_url(int $post_id): string
+    {
+        if (is_front_page()) {
+            $url = home_url('/');
+        } elseif ($post_id) {
+            $url = is_singular() ? wp_get_canonical_url($post_id) : get_permalink($post_id);
+        } elseif (is_tag() || is_category() || is_tax()) {
+            $url = get_term_link(get_queried_object());
+        } else {
+            $url = '';
+        }
+
+        return is_string($url) ? esc_url($url) : '';
+    }
+
+    /**
+     * Gets the meta description of the date archives, replacing the {date} placeholder with the archive date.
+     *
+     * @return string The date archive description.
+     * @private
+     */
+    private function get_date_archive_description(): string
+    {
+        $description = ArchiveDescriptions::get_archive_description(ArchiveDescriptions::DATE_ARCHIVE_KEY);
+
+        if (is_day()) {
+            $date = get_the_date();
+        } elseif (is_month()) {
+            $date = get_the_date(_x('F Y', 'monthly archives date format', 'mso-ai-meta-description'));
+        } else {
+            $date = get_the_date(_x('Y', 'yearly archives date format', 'mso-ai-meta-description'));
+        }
+
+        return str_replace('{date}', (string) $date, $description);
+    }
+
     /**
      * Gets the meta description specifically for the front page.
      * Handles both 'page' and 'posts' settings for 'show_on_front'.
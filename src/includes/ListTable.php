@@ -0,0 +1,315 @@
+<?php
+
+/**
+ * MSO AI Meta Description List Table
+ *
+ * Integrates the meta description with the posts list tables (edit.php):
+ * - Adds a "Meta Description" column showing the stored value and its length status.
+ * - Adds the field and the AI generation buttons to Quick Edit and Bulk Edit.
+ *
+ * Quick Edit reuses the meta box field name and nonce, so the value is saved by
+ * MetaBox::save_meta_data(). Bulk Edit submits one generated description per post.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Manages the meta description column, Quick Edit and Bulk Edit.
+ */
+class ListTable
+{
+    /**
+     * Name of the list table column.
+     */
+    public const string COLUMN_NAME = 'mso_ai_meta_description';
+
+    /**
+     * Name of the Bulk Edit field holding the descriptions, keyed by post ID.
+     */
+    private const string BULK_FIELD_NAME = 'mso_ai_bulk_descriptions';
+
+    /**
+     * Name of the Bulk Edit nonce field (the Quick Edit one uses the meta box nonce name).
+     */
+    private const string BULK_NONCE_NAME = 'mso_ai_bulk_edit_nonce';
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * The action name for the nonce verification.
+     */
+    private string $nonce_action;
+
+    /**
+     * The name attribute of the meta box nonce field.
+     */
+    private string $nonce_name;
+
+    /**
+     * Instance of the MetaBox class, providing the configured providers.
+     */
+    private MetaBox $meta_box;
+
+    /**
+     * Constructor.
+     *
+     * @param string  $meta_key     The key used for storing the meta description.
+     * @param string  $nonce_action The action string for nonce verification.
+     * @param string  $nonce_name   The name attribute of the meta box nonce field.
+     * @param MetaBox $meta_box     The MetaBox instance, providing the configured providers.
+     */
+    public function __construct(string $meta_key, string $nonce_action, string $nonce_name, MetaBox $meta_box)
+    {
+        $this->meta_key = $meta_key;
+        $this->nonce_action = $nonce_action;
+        $this->nonce_name = $nonce_name;
+        $this->meta_box = $meta_box;
+    }
+
+    /**
+     * Registers WordPress hooks for the list table integration.
+     */
+    public function register_hooks(): void
+    {
+        add_action('admin_init', [$this, 'register_columns']);
+        add_action('quick_edit_custom_box', [$this, 'render_quick_edit'], 10, 2);
+        add_action('bulk_edit_custom_box', [$this, 'render_bulk_edit'], 10, 2);
+        add_action('save_post', [$this, 'save_bulk_edit']);
+    }
+
+    /**
+     * Registers the column for all supported post types.
+     *
+     * Hooked on 'admin_init' so it is also registered for the Quick Edit AJAX request,
+     * which renders the updated row.
+     */
+    public function register_columns(): void
+    {
+        foreach (BlockEditor::get_supported_post_types() as $post_type) {
+            add_filter('manage_' . $post_type . '_posts_columns', [$this, 'add_column']);
+            add_action('manage_' . $post_type . '_posts_custom_column', [$this, 'render_column'], 10, 2);
+        }
+    }
+
+    /**
+     * Adds the meta description column before the date column.
+     *
+     * @param array<string, string> $columns The list table columns.
+     * @return array<string, string> The columns including the meta description.
+     */
+    public function add_column(array $columns): array
+    {
+        $new_columns = [];
+
+        foreach ($columns as $name => $label) {
+            if ($name === 'date') {
+                $new_columns[self::COLUMN_NAME] = __('Meta Description', 'mso-ai-meta-description');
+            }
+            $new_columns[$name] = $label;
+        }
+
+        if (! isset($new_columns[self::COLUMN_NAME])) {
+            $new_columns[self::COLUMN_NAME] = __('Meta Description', 'mso-ai-meta-description');
+        }
+
+        return $new_columns;
+    }
+
+    /**
+     * Renders the meta description column: the stored value and its length status.
+     *
+     * The value is read back by the admin script to populate Quick Edit.
+     *
+     * @param string $column_name The name of the column being rendered.
+     * @param int    $post_id     The post ID of the row.
+     */
+    public function render_column(string $column_name, int $post_id): void
+    {
+        if ($column_name !== self::COLUMN_NAME) {
+            return;
+        }
+
+        $value = (string) get_post_meta($post_id, $this->meta_key, true);
+
+        if ($value === '') {
+            echo '<span aria-hidden="true">&#8212;</span><span class="screen-reader-text">' . esc_html__('No meta description', 'mso-ai-meta-description') . '</span>';
+            echo '<span class="mso-ai-column-value" hidden></span>';
+
+            return;
+        }
+
+        $length = mb_strlen($value);
+        [$status_class, $status_text] = $this->get_length_status($length, GenerationRules::get((string) get_post_type($post_id)));
+        ?>
+        <span class="mso-ai-column-value"><?php echo esc_html($value); ?></span>
+        <br>
+        <small>
+            <?php
+            printf(
+                /* translators: %d: Number of characters */
+                esc_html__('%d characters', 'mso-ai-meta-description'),
+                (int) $length
+            );
+        ?>
+            <span class="mso-ai-length-indicator <?php echo esc_attr($status_class); ?>"><?php echo esc_html($status_text); ?></span>
+        </small>
+        <?php
+    }
+
+    /**
+     * Renders the meta description field and the generation buttons in Quick Edit.
+     *
+     * The field uses the meta box field and nonce names so MetaBox::save_meta_data() saves it.
+     *
+     * @param string $column_name The name of the column the box is rendered for.
+     * @param string $post_type   The post type of the list table.
+     */
+    public function render_quick_edit(string $column_name, string $post_type): void
+    {
+        if ($column_name !== self::COLUMN_NAME) {
+            return;
+        }
+
+        wp_nonce_field($this->nonce_action, $this->nonce_name, false);
+        ?>
+        <fieldset class="inline-edit-col-left mso-ai-quick-edit">
+            <div class="inline-edit-col">
+                <label>
+                    <span class="title"><?php esc_html_e('Meta Description', 'mso-ai-meta-description'); ?></span>
+                    <textarea name="mso_ai_add_description" class="mso-ai-quick-edit-field" rows="3"></textarea>
+                </label>
+                <p class="description">
+                    <?php esc_html_e('Current count:', 'mso-ai-meta-description'); ?>
+                    <span class="mso-ai-char-count">0</span>
+                    <span class="mso-ai-length-indicator"></span>
+                </p>
+                <?php $this->render_generate_buttons('mso-ai-quick-edit-generate'); ?>
+                <p class="mso-ai-error mso-ai-model-error mso-ai-quick-edit-error"></p>
+            </div>
+        </fieldset>
+        <?php
+    }
+
+    /**
+     * Renders the generation buttons in Bulk Edit.
+     *
+     * The generated descriptions are listed per post and can be edited before
+     * clicking "Update". Posts without a generated description are left untouched.
+     *
+     * @param string $column_name The name of the column the box is rendered for.
+     * @param string $post_type   The post type of the list table.
+     */
+    public function render_bulk_edit(string $column_name, string $post_type): void
+    {
+        if ($column_name !== self::COLUMN_NAME) {
+            return;
+        }
+
+        wp_nonce_field($this->nonce_action, self::BULK_NONCE_NAME, false);
+        ?>
+        <fieldset class="inline-edit-col-right mso-ai-bulk-edit">
+            <div class="inline-edit-col">
+                <span class="title"><?php esc_html_e('Meta Description', 'mso-ai-meta-description'); ?></span>
+                <p class="description"><?php esc_html_e('Generate a description for each selected post. Review them, then click "Update" to save.', 'mso-ai-meta-description'); ?></p>
+                <?php $this->render_generate_buttons('mso-ai-bulk-edit-generate'); ?>
+                <ul class="mso-ai-bulk-edit-results"></ul>
+            </div>
+        </fieldset>
+        <?php
+    }
+
+    /**
+     * Saves the descriptions submitted through Bulk Edit.
+     *
+     * Bulk Edit calls wp_update_post() for each selected post, so this runs once per post.
+     * Only the posts with a non-empty submitted description are updated.
+     *
+     * @param int $post_id The ID of the post being saved.
+     */
+    public function save_bulk_edit(int $post_id): void
+    {
+        if (! isset($_REQUEST['bulk_edit'], $_REQUEST[self::BULK_NONCE_NAME], $_REQUEST[self::BULK_FIELD_NAME]) ||
+            ! wp_verify_nonce(sanitize_text_field(wp_unslash($_REQUEST[self::BULK_NONCE_NAME])), $this->nonce_action) ||
+            ! current_user_can('edit_post', $post_id) ||
+            ! is_array($_REQUEST[self::BULK_FIELD_NAME])
+        ) {
+            return;
+        }
+
+        $descriptions = wp_unslash($_REQUEST[self::BULK_FIELD_NAME]); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized below.
+        $new_value = isset($descriptions[$post_id]) ? sanitize_text_field($descriptions[$post_id]) : '';
+
+        if ($new_value !== '') {
+            update_post_meta($post_id, $this->meta_key, $new_value);
+        }
+    }
+
+    /**
+     * Renders the "Generate (auto)" button and one "Generate with X" button per configured provider,
+     * followed by a spinner.
+     *
+     * @param string $button_class The CSS class identifying the buttons in the admin script.
+     * @private
+     */
+    private function render_generate_buttons(string $button_class): void
+    {
+        $configured_providers = $this->meta_box->get_configured_providers();
+
+        if (empty($configured_providers)) {
+            return;
+        }
+        ?>
+        <p class="mso-ai-inline-generator">
+            <button type="button" class="button button-small <?php echo esc_attr($button_class); ?>" data-provider="<?php echo esc_attr(ApiClient::AUTO_PROVIDER); ?>">
+                <?php esc_html_e('Generate (auto)', 'mso-ai-meta-description'); ?>
+            </button>
+            <?php foreach ($configured_providers as $provider_name => $provider) : ?>
+                <button type="button" class="button button-small <?php echo esc_attr($button_class); ?>" data-provider="<?php echo esc_attr($provider_name); ?>">
+                    <?php
+                    printf(
+                        /* translators: %s: Provider title */
+                        esc_html__('Generate with %s', 'mso-ai-meta-description'),
+                        esc_html(ucfirst($provider->get_title()))
+                    );
+                    ?>
+                </button>
+            <?php endforeach; ?>
+            <span class="spinner mso-ai-spinner"></span>
+        </p>
+        <?php
+    }
+
+    /**
+     * Get the length status of a description, matching the counter of the meta box.
+     *
+     * @param int                       $length Number of characters of the description.
+     * @param array{min: int, max: int} $rules  The generation rules of the post type.
+     * @return array{0: string, 1: string} CSS class and status label.
+     * @private
+     */
+    private function get_length_status(int $length, array $rules): array
+    {
+        if ($length < $rules['min']) {
+            return ['mso-ai-length-short', __('(Too short)', 'mso-ai-meta-description')];
+        }
+
+        if ($length > $rules['max']) {
+            return ['mso-ai-length-long', __('(Too long)', 'mso-ai-meta-description')];
+        }
+
+        return ['mso-ai-length-good', __('(Good)', 'mso-ai-meta-description')];
+    }
+}
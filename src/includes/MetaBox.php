@@ -13,7 +13,10 @@
 
 namespace MSO_AI_Meta_Description;
 
+use MSO_AI_Meta_Description\Api\ApiClient;
 use MSO_AI_Meta_Description\Providers\ProviderInterface;
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
 use WP_Post;
 
 if (! defined('ABSPATH')) {
@@ -25,6 +28,11 @@ if (! defined('ABSPATH')) {
  */
 class MetaBox
 {
+    /**
+     * Value of the variants provider select requesting one candidate from every configured provider.
+     */
+    public const string ALL_PROVIDERS = '__all';
+
     /**
      * The meta key used to store the description in post meta.
      */
@@ -70,6 +78,8 @@ class MetaBox
      *
      * Hooks into 'add_meta_boxes' action. Registers the meta box
      * for all public post types except attachments.
+     * The box is flagged as a back-compat meta box so it is only shown in the classic editor;
+     * the block editor uses the document settings panel registered by BlockEditor instead.
      */
     public function add_meta_box(): void
     {
@@ -83,7 +93,8 @@ class MetaBox
                 [$this, 'render_meta_box_content'],
                 $post_type,
                 'normal',
-                'high'
+                'high',
+                ['__back_compat_meta_box' => true]
             );
         }
     }
@@ -102,9 +113,9 @@ class MetaBox
 
         $value = (string)get_post_meta($post->ID, $this->meta_key, true);
         $field_name = 'mso_ai_add_description';
-        $min_length = MSO_AI_Meta_Description::MIN_DESCRIPTION_LENGTH;
-        $max_length = MSO_AI_Meta_Description::MAX_DESCRIPTION_LENGTH;
-        $option_prefix = MSO_AI_Meta_Description::get_option_prefix();
+        $rules = GenerationRules::get($post->post_type);
+        $min_length = $rules['min'];
+        $max_length = $rules['max'];
         ?>
         <div class="mso-ai-meta-box-wrapper">
             <p>
@@ -132,22 +143,58 @@ class MetaBox
         esc_html_e('Current count:', 'mso-ai-meta-description'); ?>
                 <span class="mso-ai-char-count">0</span>
                 <span class="mso-ai-length-indicator"></span>
+                <?php esc_html_e('Pixel width:', 'mso-ai-meta-description'); ?>
+                <span class="mso-ai-pixel-width"></span>
             </p>
+            <div class="mso-ai-quality-warnings" hidden>
+                <p><strong><?php esc_html_e('Quality warnings:', 'mso-ai-meta-description'); ?></strong></p>
+                <ul></ul>
+            </div>
             <?php
-        $configured_providers = [];
-        foreach ($this->providers as $provider) {
-            $provider_name = $provider->get_name();
-            $api_key_option = $option_prefix . $provider_name . '_api_key';
-            $enable_option_name = $option_prefix . $provider_name . '_provider_enabled';
-            if (! empty(get_option($api_key_option)) && get_option($enable_option_name, false)) {
-                $configured_providers[$provider_name] = $provider;
-            }
-        }
+            $auto_status = AutoGenerator::get_status($post->ID);
+            ?>
+            <p class="mso-ai-auto-status" data-status="<?php echo esc_attr((string) ($auto_status['status'] ?? '')); ?>" <?php echo empty($auto_status) ? 'hidden' : ''; ?>>
+                <?php echo esc_html(AutoGenerator::get_status_label($auto_status)); ?>
+            </p>
+            <?php DescriptionHistory::render_list($post->ID); ?>
+            <p>
+                <label for="mso_ai_focus_keyword_field"><?php esc_html_e('Focus keyword (optional):', 'mso-ai-meta-description'); ?></label>
+                <input type="text" id="mso_ai_focus_keyword_field" name="mso_ai_focus_keyword" class="regular-text"
+                       value="<?php echo esc_attr((string) get_post_meta($post->ID, MSO_AI_Meta_Description::FOCUS_KEYWORD_META_KEY, true)); ?>">
+            </p>
+            <div class="mso-ai-serp-preview" data-title="<?php echo esc_attr($post->post_title); ?>" data-url="<?php echo esc_url((string) get_permalink($post)); ?>">
+                <p>
+                    <strong><?php esc_html_e('Search result preview', 'mso-ai-meta-description'); ?></strong>
+                    <span class="mso-ai-serp-devices">
+                        <button type="button" class="button button-small mso-ai-serp-device" data-device="desktop" aria-pressed="true"><?php esc_html_e('Desktop', 'mso-ai-meta-description'); ?></button>
+                        <button type="button" class="button button-small mso-ai-serp-device" data-device="mobile" aria-pressed="false"><?php esc_html_e('Mobile', 'mso-ai-meta-description'); ?></button>
+                    </span>
+                </p>
+                <div class="mso-ai-serp-result" data-device="desktop">
+                    <div class="mso-ai-serp-url"></div>
+                    <div class="mso-ai-serp-title"></div>
+                    <div class="mso-ai-serp-description"></div>
+                </div>
+            </div>
+            <?php
+        $configured_providers = $this->get_configured_providers();
+        $over_budget_providers = $this->get_over_budget_providers();
+        $all_over_budget = count($over_budget_providers) === count($configured_providers);
 
         if (! empty($configured_providers)) :
             ?>
                 <div class="mso-ai-generator">
                     <p><strong><?php esc_html_e('Generate with AI:', 'mso-ai-meta-description'); ?></strong></p>
+                    <?php if ($all_over_budget) : ?>
+                        <p class="description"><?php esc_html_e('The monthly budget of the AI providers is exceeded.', 'mso-ai-meta-description'); ?></p>
+                    <?php endif; ?>
+                    <?php Multilingual::render_meta_box_fields($post, $all_over_budget); ?>
+                    <button type="button" id="summarize-auto"
+                            class="button button-primary mso-ai-generate-button"
+                            data-provider="<?php echo esc_attr(ApiClient::AUTO_PROVIDER); ?>"
+                            <?php disabled($all_over_budget); ?> <?php echo $all_over_budget ? 'data-over-budget="1"' : ''; ?>>
+                        <?php esc_html_e('Generate (auto)', 'mso-ai-meta-description'); ?>
+                    </button>
                     <?php
                     foreach ($configured_providers as $provider_name => $provider) :
                         $provider_title = $provider->get_title();
@@ -156,23 +203,84 @@ class MetaBox
                             __('Generate with %s', 'mso-ai-meta-description'),
                             ucfirst($provider_title)
                         );
+                        $over_budget = in_array($provider_name, $over_budget_providers, true);
                         ?>
                         <button type="button" id="summarize-<?php echo esc_attr($provider_name); ?>"
                                 class="button mso-ai-generate-button"
-                                data-provider="<?php echo esc_attr($provider_name); ?>">
+                                data-provider="<?php echo esc_attr($provider_name); ?>"
+                                <?php if ($over_budget) : ?>
+                                    disabled data-over-budget="1"
+                                    title="<?php esc_attr_e('Monthly budget exceeded', 'mso-ai-meta-description'); ?>"
+                                <?php endif; ?>>
                             <?php echo esc_html($button_label); ?>
                         </button>
                     <?php endforeach; ?>
                     <span class="spinner mso-ai-spinner"></span>
+                    <button type="button" class="button mso-ai-cancel-button" hidden><?php esc_html_e('Cancel', 'mso-ai-meta-description'); ?></button>
+                    <p class="mso-ai-candidates-controls">
+                        <label for="mso-ai-candidates-provider"><?php esc_html_e('Suggest variants with:', 'mso-ai-meta-description'); ?></label>
+                        <select id="mso-ai-candidates-provider">
+                            <?php foreach ($configured_providers as $provider_name => $provider) : ?>
+                                <option value="<?php echo esc_attr($provider_name); ?>" <?php disabled(in_array($provider_name, $over_budget_providers, true)); ?>><?php echo esc_html(ucfirst($provider->get_title())); ?></option>
+                            <?php endforeach; ?>
+                            <?php if (count($configured_providers) > 1) : ?>
+                                <option value="<?php echo esc_attr(self::ALL_PROVIDERS); ?>"><?php esc_html_e('All enabled providers (one each)', 'mso-ai-meta-description'); ?></option>
+                            <?php endif; ?>
+                        </select>
+                        <button type="button" class="button mso-ai-candidates-button" <?php disabled($all_over_budget); ?> <?php echo $all_over_budget ? 'data-over-budget="1"' : ''; ?>><?php esc_html_e('Suggest variants', 'mso-ai-meta-description'); ?></button>
+                    </p>
+                    <ul class="mso-ai-candidates" hidden></ul>
+                    <p class="description mso-ai-generated-by" hidden></p>
                     <p id="mso-ai-error" class="mso-ai-error mso-ai-model-error"></p>
                 </div>
             <?php
         endif;
         ?>
+            <div class="mso-ai-social">
+                <p>
+                    <label for="mso_ai_social_description_field">
+                        <strong><?php esc_html_e('Social description (optional)', 'mso-ai-meta-description'); ?></strong>
+                    </label>
+                </p>
+                <textarea id="mso_ai_social_description_field" name="mso_ai_social_description" rows="3" class="large-text"
+                ><?php echo esc_textarea((string) get_post_meta($post->ID, MSO_AI_Meta_Description::SOCIAL_META_KEY, true)); ?></textarea>
+                <p class="description"><?php esc_html_e('Used by the Open Graph and Twitter Card tags instead of the meta description, when these tags are enabled.', 'mso-ai-meta-description'); ?></p>
+                <?php if (! empty($configured_providers)) : ?>
+                    <p>
+                        <button type="button" class="button mso-ai-social-generate" <?php disabled($all_over_budget); ?> <?php echo $all_over_budget ? 'data-over-budget="1"' : ''; ?>><?php esc_html_e('Generate social variant', 'mso-ai-meta-description'); ?></button>
+                        <span class="spinner mso-ai-spinner mso-ai-social-spinner"></span>
+                    </p>
+                    <p class="mso-ai-error mso-ai-model-error mso-ai-social-error"></p>
+                <?php endif; ?>
+            </div>
         </div>
         <?php
     }
 
+    /**
+     * Get the providers that have an API key and are enabled on the Options tab.
+     *
+     * These are the providers for which a "Generate with X" button is displayed,
+     * both in the classic meta box and in the block editor panel.
+     *
+     * @return array<string, ProviderInterface> Configured providers keyed by provider name.
+     */
+    public function get_configured_providers(): array
+    {
+        return ProviderManager::get_configured_providers();
+    }
+
+    /**
+     * Get the configured providers whose monthly budget is exceeded (see UsageTracker).
+     * Their generation buttons are displayed disabled.
+     *
+     * @return array<int, string> The provider names.
+     */
+    public function get_over_budget_providers(): array
+    {
+        return array_values(array_filter(array_keys($this->get_configured_providers()), [UsageTracker::class, 'is_over_budget']));
+    }
+
     /**
      * Save the meta description when the post is saved.
      *
@@ -201,11 +309,33 @@ class MetaBox
         }
 
         $new_value = sanitize_text_field(wp_unslash($_POST[$field_name]));
+        AutoGenerator::clear_status_on_manual_save($post_id, (string) get_post_meta($post_id, $this->meta_key, true), $new_value);
 
         if (empty($new_value)) {
             delete_post_meta($post_id, $this->meta_key);
         } else {
             update_post_meta($post_id, $this->meta_key, $new_value);
         }
+
+        // Quick Edit submits the description only, not the focus keyword and social description.
+        if (isset($_POST['mso_ai_focus_keyword'])) {
+            $focus_keyword = sanitize_text_field(wp_unslash($_POST['mso_ai_focus_keyword']));
+
+            if ($focus_keyword === '') {
+                delete_post_meta($post_id, MSO_AI_Meta_Description::FOCUS_KEYWORD_META_KEY);
+            } else {
+                update_post_meta($post_id, MSO_AI_Meta_Description::FOCUS_KEYWORD_META_KEY, $focus_keyword);
+            }
+        }
+
+        if (isset($_POST['mso_ai_social_description'])) {
+            $social_description = sanitize_text_field(wp_unslash($_POST['mso_ai_social_description']));
+
+            if ($social_description === '') {
+                delete_post_meta($post_id, MSO_AI_Meta_Description::SOCIAL_META_KEY);
+            } else {
+                update_post_meta($post_id, MSO_AI_Meta_Description::SOCIAL_META_KEY, $social_description);
+            }
+        }
     }
 }
@@ -0,0 +1,398 @@
+<?php
+
+/**
+ * MSO AI Meta Description Multilingual Support
+ *
+ * Integrates with WPML and Polylang:
+ * - The language of a post is added to its generation context, so that descriptions
+ *   are generated in the language of the translation (or in a chosen target language).
+ * - The meta box and the block editor panel show the language of the post and offer to
+ *   translate the description of another translation of the post through the providers.
+ * - A bulk action of the posts list queues the generation of the missing descriptions
+ *   of all the translations of the selected posts (see AutoGenerator).
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use WP_Post;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * WPML and Polylang helpers and integration.
+ */
+class Multilingual
+{
+    /**
+     * Name of the bulk action generating the missing descriptions of all the translations.
+     */
+    public const string BULK_ACTION = 'mso_ai_generate_all_languages';
+
+    /**
+     * Query argument reporting the number of queued generations after the bulk action.
+     */
+    private const string QUEUED_QUERY_ARG = 'mso_ai_queued';
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Instance of the AutoGenerator class, queueing the generations.
+     */
+    private AutoGenerator $auto_generator;
+
+    /**
+     * Constructor.
+     *
+     * @param string        $meta_key       The key used for storing the meta description.
+     * @param AutoGenerator $auto_generator The AutoGenerator instance, queueing the generations.
+     */
+    public function __construct(string $meta_key, AutoGenerator $auto_generator)
+    {
+        $this->meta_key = $meta_key;
+        $this->auto_generator = $auto_generator;
+    }
+
+    /**
+     * Registers the bulk action of the posts lists and its notice.
+     * The bulk action is added on 'admin_init', once WPML or Polylang is loaded.
+     */
+    public function register_hooks(): void
+    {
+        add_action('admin_init', [$this, 'register_bulk_actions']);
+        add_action('admin_notices', [$this, 'render_bulk_action_notice']);
+        add_filter('removable_query_args', [$this, 'add_removable_query_arg']);
+    }
+
+    /**
+     * Adds the bulk action to the posts lists of the supported post types.
+     */
+    public function register_bulk_actions(): void
+    {
+        if (! self::is_active()) {
+            return;
+        }
+
+        foreach (BlockEditor::get_supported_post_types() as $post_type) {
+            add_filter('bulk_actions-edit-' . $post_type, [$this, 'add_bulk_action']);
+            add_filter('handle_bulk_actions-edit-' . $post_type, [$this, 'handle_bulk_action'], 10, 3);
+        }
+    }
+
+    /**
+     * Adds the "Generate missing meta descriptions in all languages" bulk action.
+     *
+     * @param array<string, string> $actions The bulk actions.
+     * @return array<string, string> The bulk actions.
+     */
+    public function add_bulk_action(array $actions): array
+    {
+        $actions[self::BULK_ACTION] = __('Generate missing meta descriptions in all languages', 'mso-ai-meta-description');
+
+        return $actions;
+    }
+
+    /**
+     * Queues the generation of the missing descriptions of the selected posts and of all their translations.
+     *
+     * @param string     $redirect_url The URL to redirect to.
+     * @param string     $action       The bulk action.
+     * @param array<int> $post_ids     The selected post IDs.
+     * @return string The redirect URL, with the number of queued generations.
+     */
+    public function handle_bulk_action(string $redirect_url, string $action, array $post_ids): string
+    {
+        if ($action !== self::BULK_ACTION) {
+            return $redirect_url;
+        }
+
+        $queued = 0;
+        $translation_ids = [];
+        foreach ($post_ids as $post_id) {
+            $translation_ids = array_merge($translation_ids, array_values(self::get_translations((int) $post_id)));
+        }
+
+        foreach (array_unique(array_merge(array_map('intval', $post_ids), $translation_ids)) as $post_id) {
+            if (current_user_can('edit_post', $post_id) && (string) get_post_meta($post_id, $this->meta_key, true) === '') {
+                $this->auto_generator->queue($post_id);
+                $queued++;
+            }
+        }
+
+        return add_query_arg(self::QUEUED_QUERY_ARG, $queued, $redirect_url);
+    }
+
+    /**
+     * Displays the number of generations queued by the bulk action.
+     */
+    public function render_bulk_action_notice(): void
+    {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only count set by handle_bulk_action().
+        if (! isset($_GET[self::QUEUED_QUERY_ARG])) {
+            return;
+        }
+
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only count set by handle_bulk_action().
+        $queued = absint($_GET[self::QUEUED_QUERY_ARG]);
+        $message = $queued
+            /* translators: %d: Number of posts */
+            ? sprintf(_n('%d meta description queued for generation.', '%d meta descriptions queued for generation.', $queued, 'mso-ai-meta-description'), $queued)
+            : __('All the translations of the selected posts have a meta description.', 'mso-ai-meta-description');
+
+        printf('<div class="notice notice-success is-dismissible"><p>%s</p></div>', esc_html($message));
+    }
+
+    /**
+     * Removes the query argument of the bulk action notice from the URL once displayed.
+     *
+     * @param array<int, string> $query_args The removable query arguments.
+     * @return array<int, string> The removable query arguments.
+     */
+    public function add_removable_query_arg(array $query_args): array
+    {
+        $query_args[] = self::QUEUED_QUERY_ARG;
+
+        return $query_args;
+    }
+
+    /**
+     * Checks whether WPML or Polylang is active.
+     *
+     * @return bool True if a multilingual plugin is active.
+     */
+    public static function is_active(): bool
+    {
+        return self::is_wpml_active() || self::is_polylang_active();
+    }
+
+    /**
+     * Get the languages of the site.
+     *
+     * @return array<string, string> The language names, keyed by language code.
+     */
+    public static function get_languages(): array
+    {
+        if (self::is_polylang_active()) {
+            return array_combine(pll_languages_list(['fields' => 'slug']), pll_languages_list(['fields' => 'name'])) ?: [];
+        }
+
+        $languages = [];
+        if (self::is_wpml_active()) {
+            foreach ((array) apply_filters('wpml_active_languages', null, ['skip_missing' => 0]) as $code => $language) {
+                $languages[(string) $code] = (string) ($language['translated_name'] ?? $language['native_name'] ?? $code);
+            }
+        }
+
+        return $languages;
+    }
+
+    /**
+     * Get the language of a post.
+     *
+     * @param int $post_id The post ID.
+     * @return string The language code, empty if unknown.
+     */
+    public static function get_post_language(int $post_id): string
+    {
+        if (self::is_polylang_active()) {
+            return (string) pll_get_post_language($post_id, 'slug');
+        }
+
+        if (self::is_wpml_active()) {
+            $details = apply_filters('wpml_post_language_details', null, $post_id);
+
+            return is_array($details) ? (string) ($details['language_code'] ?? '') : '';
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the name of a language, e.g. to write it in a prompt.
+     *
+     * @param string $code The language code.
+     * @return string The language name, or the code if the language is unknown.
+     */
+    public static function get_language_name(string $code): string
+    {
+        return self::get_languages()[$code] ?? $code;
+    }
+
+    /**
+     * Get the translations of a post.
+     *
+     * @param int $post_id The post ID.
+     * @return array<string, int> The post IDs of the translations (including the post), keyed by language code.
+     */
+    public static function get_translations(int $post_id): array
+    {
+        if (self::is_polylang_active()) {
+            return array_map('intval', pll_get_post_translations($post_id));
+        }
+
+        $translations = [];
+        if (self::is_wpml_active()) {
+            $element_type = apply_filters('wpml_element_type', get_post_type($post_id));
+            $trid = apply_filters('wpml_element_trid', null, $post_id, $element_type);
+            foreach ((array) apply_filters('wpml_get_element_translations', null, $trid, $element_type) as $code => $translation) {
+                $translations[(string) $code] = (int) $translation->element_id;
+            }
+        }
+
+        return $translations;
+    }
+
+    /**
+     * Get the source of the translations of a post: the original post with WPML,
+     * the translation in the default language with Polylang.
+     *
+     * @param int $post_id The post ID.
+     * @return int The post ID of the source, 0 if unknown.
+     */
+    public static function get_source_post_id(int $post_id): int
+    {
+        if (self::is_polylang_active()) {
+            return (int) pll_get_post($post_id, (string) pll_default_language('slug'));
+        }
+
+        if (self::is_wpml_active()) {
+            $element_type = apply_filters('wpml_element_type', get_post_type($post_id));
+            $trid = apply_filters('wpml_element_trid', null, $post_id, $element_type);
+            foreach ((array) apply_filters('wpml_get_element_translations', null, $trid, $element_type) as $translation) {
+                if (! empty($translation->original)) {
+                    return (int) $translation->element_id;
+                }
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Get the language of a post and its translations, formatted for the meta box and the block editor panel.
+     *
+     * @param int $post_id The post ID.
+     * @return array{language: string, languageName: string, languages: array<int, array{code: string, name: string}>,
+     *               translations: array<int, array{postId: int, language: string, languageName: string, description: string, isSource: bool}>}
+     *         The language of the post, the languages of the site, and the other translations having a description, source first.
+     */
+    public static function prepare_translations(int $post_id): array
+    {
+        $languages = self::get_languages();
+        $language = self::get_post_language($post_id);
+        $source_post_id = self::get_source_post_id($post_id);
+
+        $translations = [];
+        foreach (self::get_translations($post_id) as $code => $translation_id) {
+            $description = (string) get_post_meta($translation_id, MSO_AI_Meta_Description::META_KEY, true);
+            if ($translation_id === $post_id || $description === '' || ! current_user_can('read_post', $translation_id)) {
+                continue;
+            }
+
+            $translations[] = [
+                'postId' => $translation_id,
+                'language' => $code,
+                'languageName' => $languages[$code] ?? $code,
+                'description' => $description,
+                'isSource' => $translation_id === $source_post_id,
+            ];
+        }
+        usort($translations, fn ($a, $b) => $b['isSource'] <=> $a['isSource']);
+
+        return [
+            'language' => $language,
+            'languageName' => $languages[$language] ?? $language,
+            'languages' => array_map(fn ($code, $name) => ['code' => (string) $code, 'name' => $name], array_keys($languages), $languages),
+            'translations' => $translations,
+        ];
+    }
+
+    /**
+     * Get the description of another translation of a post, to translate it.
+     *
+     * @param WP_Post $post           The post being translated.
+     * @param int     $source_post_id The post ID of the translation to translate from.
+     * @return string The description, empty if the post is not a translation of the post or cannot be read.
+     */
+    public static function get_source_description(WP_Post $post, int $source_post_id): string
+    {
+        if (! in_array($source_post_id, self::get_translations($post->ID), true) || ! current_user_can('read_post', $source_post_id)) {
+            return '';
+        }
+
+        return (string) get_post_meta($source_post_id, MSO_AI_Meta_Description::META_KEY, true);
+    }
+
+    /**
+     * Renders the language of the post, the target language and the "translate from" controls of the meta box.
+     *
+     * @param WP_Post $post     The post being edited.
+     * @param bool    $disabled Whether the generation buttons are disabled (budget exceeded).
+     */
+    public static function render_meta_box_fields(WP_Post $post, bool $disabled): void
+    {
+        if (! self::is_active()) {
+            return;
+        }
+
+        $data = self::prepare_translations($post->ID);
+        ?>
+        <div class="mso-ai-multilingual">
+            <p>
+                <?php if ($data['language'] !== '') : ?>
+                    <?php /* translators: %s: Language name (e.g., French) */ echo esc_html(sprintf(__('Language of this translation: %s.', 'mso-ai-meta-description'), $data['languageName'])); ?>
+                <?php endif; ?>
+                <label for="mso-ai-target-language"><?php esc_html_e('Generate in:', 'mso-ai-meta-description'); ?></label>
+                <select id="mso-ai-target-language">
+                    <option value=""><?php esc_html_e('The language of the post', 'mso-ai-meta-description'); ?></option>
+                    <?php foreach ($data['languages'] as $language) : ?>
+                        <?php if ($language['code'] !== $data['language']) : ?>
+                            <option value="<?php echo esc_attr($language['code']); ?>"><?php echo esc_html($language['name']); ?></option>
+                        <?php endif; ?>
+                    <?php endforeach; ?>
+                </select>
+            </p>
+            <?php if (! empty($data['translations'])) : ?>
+                <p>
+                    <label for="mso-ai-translate-source"><?php esc_html_e('Translate from:', 'mso-ai-meta-description'); ?></label>
+                    <select id="mso-ai-translate-source">
+                        <?php foreach ($data['translations'] as $translation) : ?>
+                            <option value="<?php echo esc_attr((string) $translation['postId']); ?>" title="<?php echo esc_attr($translation['description']); ?>"><?php echo esc_html($translation['languageName']); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <button type="button" class="button mso-ai-translate-button" <?php disabled($disabled); ?> <?php echo $disabled ? 'data-over-budget="1"' : ''; ?>><?php esc_html_e('Translate description', 'mso-ai-meta-description'); ?></button>
+                </p>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Checks whether WPML is active.
+     *
+     * @return bool True if WPML is active.
+     * @private
+     */
+    private static function is_wpml_active(): bool
+    {
+        return defined('ICL_SITEPRESS_VERSION');
+    }
+
+    /**
+     * Checks whether Polylang is active.
+     *
+     * @return bool True if Polylang is active.
+     * @private
+     */
+    private static function is_polylang_active(): bool
+    {
+        return function_exists('pll_get_post_language') && function_exists('pll_get_post_translations');
+    }
+}
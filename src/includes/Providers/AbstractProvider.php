@@ -12,11 +12,33 @@
 namespace MSO_AI_Meta_Description\Providers;
 
 use MSO_AI_Meta_Description\MSO_AI_Meta_Description;
+use MSO_AI_Meta_Description\UsageTracker;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
 use MSO_AI_Meta_Description\Utils\Logger;
+use MSO_AI_Meta_Description\Utils\PostContent;
+use MSO_AI_Meta_Description\Utils\PromptTemplate;
+use MSO_AI_Meta_Description\Utils\ProviderCredentials;
 use WP_Error;
 
 abstract class AbstractProvider implements ProviderInterface
 {
+    /**
+     * Default maximum number of tokens of post content sent to the provider.
+     */
+    public const int DEFAULT_CONTENT_TOKEN_BUDGET = 2000;
+
+    /**
+     * Placeholders of the structured generation context, usable in the prompt templates as {name}.
+     * When a template uses none of them, the context is appended to the prompt.
+     * @var array<string>
+     */
+    public const array PROMPT_PLACEHOLDERS = ['title', 'focus_keyword', 'excerpt', 'outline', 'terms', 'content'];
+
+    /**
+     * Approximate number of characters per token, used to truncate the content to the token budget.
+     */
+    private const int CHARS_PER_TOKEN = 4;
+
     /**
      * Stores the API key retrieved from settings.
      * @var string Null if not yet fetched, false if empty/not set.
@@ -29,14 +51,29 @@ abstract class AbstractProvider implements ProviderInterface
      */
     protected mixed $model;
 
+    /**
+     * Maximum number of tokens of post content sent to the provider.
+     * @var int
+     */
+    protected int $content_token_budget;
+
     /**
      * Constructor. Retrieves API key and model.
      */
     public function __construct()
     {
         $prefix = MSO_AI_Meta_Description::get_option_prefix();
-        $this->api_key = (string)get_option($prefix . $this->get_name() . '_api_key', '');
-        $this->model = (string)get_option($prefix . $this->get_name() . '_model', $this->get_default_model());
+        $this->api_key = ProviderCredentials::get_api_key($this->get_name());
+        $this->model = ProviderCredentials::get_model($this->get_name(), $this->get_default_model());
+        $this->content_token_budget = max(1, (int)get_option($prefix . $this->get_name() . '_content_token_budget', self::DEFAULT_CONTENT_TOKEN_BUDGET));
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_model(): string
+    {
+        return (string) $this->model;
     }
 
     /**
@@ -46,10 +83,18 @@ abstract class AbstractProvider implements ProviderInterface
      */
     abstract public function get_default_model(): string;
 
+    /**
+     * {@inheritDoc}
+     */
+    public function requires_api_key(): bool
+    {
+        return true;
+    }
+
     /**
      * Fetches models by calling the shared request method and parsing the result.
      *
-     * @return array<int, array<string, string>>|WP_Error
+     * @return array<int, array<string, mixed>>|WP_Error
      */
     public function fetch_models(): array|WP_Error
     {
@@ -65,12 +110,17 @@ abstract class AbstractProvider implements ProviderInterface
      * Makes an HTTP request to the provider's API.
      * Handles common logic like headers, timeout, WP_Error check, status code check, and JSON decoding.
      *
+     * When $on_event is given, the response is read as a stream of server-sent events:
+     * each decoded JSON event is passed to the callback as soon as it is received,
+     * and an empty array is returned once the stream is complete.
+     *
      * @param string               $endpoint The API endpoint (relative to base URL).
      * @param array<string, mixed> $args     Arguments for wp_remote_get/post (merged with defaults).
      * @param string               $method   HTTP method ('GET' or 'POST').
+     * @param callable|null        $on_event Optional callback receiving each decoded server-sent event (array).
      * @return array<string, mixed>|WP_Error Decoded JSON data on success, WP_Error on failure.
      */
-    protected function request(string $endpoint, array $args = [], string $method = 'GET'): array|WP_Error
+    protected function request(string $endpoint, array $args = [], string $method = 'GET', ?callable $on_event = null): array|WP_Error
     {
         $key_check = $this->check_api_key();
         if (is_wp_error($key_check)) {
@@ -86,7 +136,7 @@ abstract class AbstractProvider implements ProviderInterface
 
         $headers = $this->prepare_headers($default_headers);
 
-        if (! isset($headers['Authorization'])) {
+        if (! isset($headers['Authorization']) && $this->uses_api_key_query_arg()) {
             $url = add_query_arg('key', $this->api_key, $url);
         }
 
@@ -95,7 +145,7 @@ abstract class AbstractProvider implements ProviderInterface
             'headers' => $headers,
         ];
 
-        $request_args = array_replace_recursive($default_args, $args);
+        $request_args = $this->prepare_request_args(array_replace_recursive($default_args, $args));
 
         if (strtoupper($method) === 'POST' && isset($request_args['body']) && is_array($request_args['body'])) {
             $request_args['body'] = wp_json_encode($request_args['body']);
@@ -105,6 +155,10 @@ abstract class AbstractProvider implements ProviderInterface
             }
         }
 
+        if ($on_event !== null) {
+            return $this->stream_request($url, $request_args, $endpoint, $on_event);
+        }
+
         $response = (strtoupper($method) === 'POST')
             ? wp_remote_post($url, $request_args)
             : wp_remote_get($url, $request_args);
@@ -115,6 +169,101 @@ abstract class AbstractProvider implements ProviderInterface
 
     }
 
+    /**
+     * Sends a POST request and dispatches the server-sent events of the response as they arrive.
+     *
+     * The WordPress HTTP API buffers the whole body, so the cURL write function is replaced
+     * for this request only (through the 'http_api_curl' action) to parse the events on the fly.
+     * The transfer is interrupted if the browser that requested the stream disconnects.
+     * Without the cURL transport, the events are dispatched once the full body is received.
+     *
+     * @param string               $url          The full request URL.
+     * @param array<string, mixed> $request_args Arguments for wp_remote_post.
+     * @param string               $endpoint     The request endpoint (for logging).
+     * @param callable             $on_event     Callback receiving each decoded event.
+     * @return array<string, mixed>|WP_Error An empty array on success, WP_Error on failure.
+     * @private
+     */
+    private function stream_request(string $url, array $request_args, string $endpoint, callable $on_event): array|WP_Error
+    {
+        $buffer = '';
+        $raw_body = '';
+        $curl_hook = function ($handle, array $parsed_args, string $hook_url) use ($url, &$buffer, &$raw_body, $on_event): void {
+            if ($hook_url !== $url) {
+                return;
+            }
+
+            // phpcs:ignore WordPress.WP.AlternativeFunctions.curl_curl_setopt -- Required to read the response body while it is streamed.
+            curl_setopt($handle, CURLOPT_WRITEFUNCTION, function ($curl, string $chunk) use (&$buffer, &$raw_body, $on_event): int {
+                $raw_body .= $chunk;
+                $buffer = $this->dispatch_stream_events($buffer . $chunk, $on_event);
+
+                return connection_aborted() ? 0 : strlen($chunk);
+            });
+        };
+
+        add_action('http_api_curl', $curl_hook, 10, 3);
+        $response = wp_remote_post($url, $request_args);
+        remove_action('http_api_curl', $curl_hook, 10);
+
+        if (is_wp_error($response)) {
+            return $this->handle_response($response, $url, $endpoint);
+        }
+
+        if ($raw_body === '') {
+            $raw_body = wp_remote_retrieve_body($response);
+            $buffer = $raw_body;
+        }
+
+        $http_code = wp_remote_retrieve_response_code($response);
+        if ($http_code < 200 || $http_code >= 300) {
+            $response['body'] = $raw_body;
+
+            return $this->handle_response($response, $url, $endpoint);
+        }
+
+        $this->dispatch_stream_events($buffer . "\n\n", $on_event);
+
+        return [];
+    }
+
+    /**
+     * Parses the complete server-sent events found in the buffer and passes their JSON data to the callback.
+     *
+     * @param string   $buffer   The received data not yet parsed.
+     * @param callable $on_event Callback receiving each decoded event.
+     * @return string The remaining incomplete data.
+     * @private
+     */
+    private function dispatch_stream_events(string $buffer, callable $on_event): string
+    {
+        $buffer = str_replace("\r\n", "\n", $buffer);
+
+        while (($position = strpos($buffer, "\n\n")) !== false) {
+            $event_block = substr($buffer, 0, $position);
+            $buffer = substr($buffer, $position + 2);
+
+            $data_lines = [];
+            foreach (explode("\n", $event_block) as $line) {
+                if (str_starts_with($line, 'data:')) {
+                    $data_lines[] = ltrim(substr($line, 5));
+                }
+            }
+
+            $data = implode("\n", $data_lines);
+            if ($data === '' || $data === '[DONE]') {
+                continue;
+            }
+
+            $event = json_decode($data, true);
+            if (is_array($event)) {
+                $on_event($event);
+            }
+        }
+
+        return $buffer;
+    }
+
     /**
      * Checks if the API key is set and valid.
      * Returns a WP_Error if the key is missing.
@@ -123,7 +272,7 @@ abstract class AbstractProvider implements ProviderInterface
      */
     protected function check_api_key(): bool|WP_Error
     {
-        if (empty($this->api_key)) {
+        if ($this->requires_api_key() && empty($this->api_key)) {
             return new WP_Error(
                 'api_key_missing',
                 sprintf(
@@ -155,9 +304,32 @@ abstract class AbstractProvider implements ProviderInterface
         return $headers;
     }
 
+    /**
+     * Whether the API key is sent as the 'key' query parameter when prepare_headers()
+     * removes the Authorization header (e.g., Gemini).
+     *
+     * @return bool True to add the API key to the request URL.
+     */
+    protected function uses_api_key_query_arg(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Allows providers to modify the final request arguments (e.g., a configurable timeout).
+     *
+     * @param array<string, mixed> $args Arguments for wp_remote_get/post.
+     * @return array<string, mixed> Modified arguments.
+     */
+    protected function prepare_request_args(array $args): array
+    {
+        return $args;
+    }
+
     /**
      * Handles the response from wp_remote_get/post.
      * Checks for WP_Error, HTTP status codes, decodes JSON, and handles errors.
+     * The raw response body is only logged: the error data is returned to the browser.
      *
      * @param array<string, mixed>|WP_Error $response The response from wp_remote_get/post.
      * @param string                        $url      The request URL (for logging).
@@ -195,7 +367,7 @@ abstract class AbstractProvider implements ProviderInterface
                         $http_code,
                         $error_message
                     ),
-                    ['status' => $http_code, 'response_body' => $body]
+                    ['status' => $http_code]
                 );
             } elseif ($data === null && $body !== '' && $json_last_error !== JSON_ERROR_NONE) {
                 Logger::error(
@@ -205,7 +377,7 @@ abstract class AbstractProvider implements ProviderInterface
                 $final_result = new WP_Error(
                     'json_decode_error',
                     __('Failed to decode API response.', 'mso-ai-meta-description'),
-                    ['status' => $http_code, 'response_body' => $body]
+                    ['status' => $http_code]
                 );
             } elseif ($data === null && $body === '') {
                 $final_result = [];
@@ -217,7 +389,7 @@ abstract class AbstractProvider implements ProviderInterface
                 $final_result = new WP_Error(
                     'invalid_response_format',
                     __('API response was not in the expected array format.', 'mso-ai-meta-description'),
-                    ['status' => $http_code, 'response_body' => $body]
+                    ['status' => $http_code]
                 );
             } else {
                 $final_result = $data;
@@ -240,24 +412,28 @@ abstract class AbstractProvider implements ProviderInterface
 
     /**
      * Parses the successful response from the 'fetch_models' API call.
+     * Each model has an 'id' and a 'displayName', and the optional 'contextWindow' and 'deprecated'
+     * metadata when the API provides them.
      *
      * @param array<string, mixed> $data Decoded JSON response data.
-     * @return array<int, array<string, string>>|WP_Error Formatted array of models or WP_Error on parsing failure.
+     * @return array<int, array<string, mixed>>|WP_Error Formatted array of models or WP_Error on parsing failure.
      */
     abstract protected function parse_model_list(array $data): array|WP_Error;
 
     /**
      * Generates summary by building prompt/body, calling the shared request method, and parsing the result.
      *
-     * @param string $content The plain text content to summarize.
+     * @param string               $content The plain text content to summarize.
+     * @param array<string, mixed> $context Generation context (e.g. 'post_type').
      * @return string|WP_Error The generated summary string on success, or a WP_Error object on failure.
      *                          The WP_Error object should contain relevant error codes and messages.
      */
-    public function generate_summary(string $content): string|WP_Error
+    public function generate_summary(string $content, array $context = []): string|WP_Error
     {
-        $prompt = $this->build_summary_prompt($content);
+        $prompt = $this->build_summary_prompt($content, $context);
         $request_body = $this->build_summary_request_body($prompt);
 
+        $started_at = microtime(true);
         $result = $this->request(
             $this->get_summary_endpoint(),
             [
@@ -268,36 +444,490 @@ abstract class AbstractProvider implements ProviderInterface
         );
 
         if (is_wp_error($result)) {
+            $this->record_usage([], $started_at, $context, $result);
             return $result;
         }
 
-        return $this->parse_summary($result);
+        $summary = $this->parse_summary($result);
+        $this->record_usage($this->parse_usage($result), $started_at, $context, is_wp_error($summary) ? $summary : null);
+
+        if (! is_wp_error($summary)) {
+            $this->notify_generated([$summary], $context);
+        }
+
+        return $summary;
     }
 
     /**
-     * Builds the summary prompt, using a custom one from settings if available.
+     * Generates several candidate summaries.
      *
-     * @param string $content The content to summarize.
-     * @return string The formatted prompt.
+     * Uses a single request when the provider supports multiple choices (see get_choices_parameter()),
+     * otherwise performs one request per candidate. Failed attempts are ignored as long as
+     * at least one candidate was generated.
+     *
+     * @param string               $content The plain text content to summarize.
+     * @param int                  $count   The number of candidates requested.
+     * @param array<string, mixed> $context Generation context (e.g. 'post_type').
+     * @return array<int, string>|WP_Error The list of unique candidates on success, or a WP_Error object on failure.
+     */
+    public function generate_summaries(string $content, int $count, array $context = []): array|WP_Error
+    {
+        $count = max(1, $count);
+        $choices_parameter = $this->get_choices_parameter();
+
+        if ($count > 1 && $choices_parameter !== null) {
+            $request_body = $this->build_summary_request_body($this->build_summary_prompt($content, $context));
+            $request_body[$choices_parameter] = $count;
+
+            $started_at = microtime(true);
+            $result = $this->request(
+                $this->get_summary_endpoint(),
+                [
+                    'timeout' => 30,
+                    'body' => $request_body,
+                ],
+                'POST'
+            );
+
+            if (is_wp_error($result)) {
+                $this->record_usage([], $started_at, $context, $result);
+                return $result;
+            }
+
+            $candidates = $this->parse_summary_choices($result);
+            $this->record_usage($this->parse_usage($result), $started_at, $context, is_wp_error($candidates) ? $candidates : null);
+
+            if (! is_wp_error($candidates)) {
+                $this->notify_generated($candidates, $context);
+            }
+        } else {
+            $candidates = [];
+            for ($i = 0; $i < $count; $i++) {
+                $result = $this->generate_summary($content, $context);
+                if (is_wp_error($result)) {
+                    if ($i === $count - 1 && empty($candidates)) {
+                        return $result;
+                    }
+                    continue;
+                }
+                $candidates[] = $result;
+            }
+        }
+
+        if (is_wp_error($candidates)) {
+            return $candidates;
+        }
+
+        $candidates = array_values(array_unique(array_filter($candidates, fn ($candidate) => $candidate !== '')));
+
+        if (empty($candidates)) {
+            return new WP_Error(
+                'no_candidates',
+                sprintf(
+                    /* translators: %s: Provider name (e.g., Mistral) */
+                    __('%s did not return any description.', 'mso-ai-meta-description'),
+                    ucfirst($this->get_name())
+                )
+            );
+        }
+
+        return $candidates;
+    }
+
+    /**
+     * Name of the request body parameter used to ask for several choices in one call (e.g. 'n').
+     * Providers returning a non-null value must also override parse_summary_choices(),
+     * unless their API returns the 'choices' of the OpenAI chat completions format.
+     *
+     * @return string|null The parameter name, or null if the API does not support multiple choices.
+     */
+    protected function get_choices_parameter(): ?string
+    {
+        return null;
+    }
+
+    /**
+     * Parses all the generated choices from a multiple-choices summary response.
+     * Defaults to the 'choices' of the OpenAI chat completions format (also used by Mistral),
+     * or to the single summary returned by parse_summary().
+     *
+     * @param array<string, mixed> $data The decoded JSON response data from the summary endpoint.
+     * @return array<int, string>|WP_Error The extracted candidates on success, or a WP_Error if parsing fails.
+     */
+    protected function parse_summary_choices(array $data): array|WP_Error
+    {
+        if (! isset($data['choices']) || ! is_array($data['choices'])) {
+            $summary = $this->parse_summary($data);
+
+            return is_wp_error($summary) ? $summary : [$summary];
+        }
+
+        $candidates = [];
+        foreach ($data['choices'] as $choice) {
+            $generated_text = $choice['message']['content'] ?? null;
+            if (is_string($generated_text)) {
+                $candidates[] = trim($generated_text);
+            }
+        }
+
+        return $candidates;
+    }
+
+    /**
+     * Generates a summary and passes the text to the callback as it is produced by the model.
+     *
+     * Providers that do not support streaming (build_stream_request_body() returns null)
+     * generate the summary in one call and pass it to the callback at once.
+     *
+     * @param string               $content  The plain text content to summarize.
+     * @param callable             $on_delta Callback receiving each text fragment (string).
+     * @param array<string, mixed> $context  Generation context (e.g. 'post_type').
+     * @return string|WP_Error The full generated summary on success, or a WP_Error object on failure.
+     */
+    public function stream_summary(string $content, callable $on_delta, array $context = []): string|WP_Error
+    {
+        $request_body = $this->build_stream_request_body($this->build_summary_prompt($content, $context));
+
+        if ($request_body === null) {
+            $summary = $this->generate_summary($content, $context);
+            if (! is_wp_error($summary)) {
+                $on_delta($summary);
+            }
+
+            return $summary;
+        }
+
+        $summary = '';
+        $usage = [];
+        $started_at = microtime(true);
+        $result = $this->request(
+            $this->get_stream_endpoint(),
+            [
+                'timeout' => 60,
+                'body' => $request_body,
+            ],
+            'POST',
+            function (array $event) use (&$summary, &$usage, $on_delta): void {
+                // Usage is reported by the last event(s); counts are cumulative, so the latest non-zero value wins.
+                $usage = array_merge($usage, array_filter($this->parse_usage($event)));
+
+                $delta = $this->parse_stream_delta($event);
+                if ($delta !== '') {
+                    $summary .= $delta;
+                    $on_delta($delta);
+                }
+            }
+        );
+
+        $this->record_usage($usage, $started_at, $context, is_wp_error($result) ? $result : null);
+
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        $summary = trim($summary);
+        $this->notify_generated([$summary], $context);
+
+        return $summary;
+    }
+
+    /**
+     * Extracts the token usage from a summary response or a streamed event.
+     * Defaults to the OpenAI format ('usage' with 'prompt_tokens' and 'completion_tokens').
+     *
+     * @param array<string, mixed> $data The decoded JSON response data or server-sent event data.
+     * @return array{prompt_tokens: int, completion_tokens: int} The token counts, 0 when not reported.
+     */
+    protected function parse_usage(array $data): array
+    {
+        return [
+            'prompt_tokens' => (int) ($data['usage']['prompt_tokens'] ?? 0),
+            'completion_tokens' => (int) ($data['usage']['completion_tokens'] ?? 0),
+        ];
+    }
+
+    /**
+     * Fires the action announcing generated descriptions, used to track their provenance (see DescriptionHistory).
+     *
+     * @param array<int, string>   $summaries The generated descriptions.
+     * @param array<string, mixed> $context   Generation context.
+     * @private
+     */
+    private function notify_generated(array $summaries, array $context): void
+    {
+        /**
+         * Fires after descriptions were generated.
+         *
+         * @param array<int, string>   $summaries The generated descriptions.
+         * @param string               $provider  The provider name.
+         * @param string               $model     The model used.
+         * @param array<string, mixed> $context   Generation context ('post_id', 'variant'...).
+         */
+        do_action('mso_ai_meta_description_generated', $summaries, $this->get_name(), $this->get_model(), $context);
+    }
+
+    /**
+     * Records a generation request in the usage table.
+     *
+     * @param array<string, int>   $usage      The token counts returned by parse_usage().
+     * @param float                $started_at Time the request was sent (microtime(true)).
+     * @param array<string, mixed> $context    Generation context ('post_id' is recorded).
+     * @param WP_Error|null        $error      The error, if the request failed.
+     * @private
+     */
+    private function record_usage(array $usage, float $started_at, array $context, ?WP_Error $error = null): void
+    {
+        UsageTracker::record([
+            'provider' => $this->get_name(),
+            'model' => $this->get_model(),
+            'post_id' => (int) ($context['post_id'] ?? 0),
+            'prompt_tokens' => $usage['prompt_tokens'] ?? 0,
+            'completion_tokens' => $usage['completion_tokens'] ?? 0,
+            'latency_ms' => (int) round((microtime(true) - $started_at) * 1000),
+            'error' => $error ? $error->get_error_message() : '',
+        ]);
+    }
+
+    /**
+     * Builds the request body for a streamed summary generation.
+     *
+     * @param string $prompt The prompt to send.
+     * @return array<string, mixed>|null The request body, or null if the provider does not support streaming.
+     */
+    protected function build_stream_request_body(string $prompt): ?array
+    {
+        return null;
+    }
+
+    /**
+     * Gets the endpoint path for streamed summary generation.
+     * Defaults to the regular summary endpoint.
+     *
+     * @return string The endpoint path.
+     */
+    protected function get_stream_endpoint(): string
+    {
+        return $this->get_summary_endpoint();
+    }
+
+    /**
+     * Extracts the text fragment from a streamed event.
+     * Defaults to the chunks of the OpenAI chat completions format (also used by Mistral).
+     *
+     * @param array<string, mixed> $event The decoded server-sent event data.
+     * @return string The text fragment, or an empty string if the event carries no text.
+     */
+    protected function parse_stream_delta(array $event): string
+    {
+        $delta = $event['choices'][0]['delta']['content'] ?? '';
+
+        return is_string($delta) ? $delta : '';
+    }
+
+    /**
+     * Get the default prompt template, used when no custom prompt is set.
+     *
+     * @return string The default prompt template.
+     */
+    public static function get_default_prompt_template(): string
+    {
+        /* translators: Keep the {min} and {max} placeholders as is: they are replaced by the length limits. */
+        return __('Write a concise meta description between {min} and {max} characters long for the web page described below. Focus on the main topic and keywords, and include the focus keyword if one is given. Ensure the description flows naturally and avoid cutting words mid-sentence. Maintain the language of the original text. Output only the description text itself.', 'mso-ai-meta-description');
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_summary_prompt(string $content, array $context = []): string
+    {
+        return $this->build_summary_prompt($content, $context);
+    }
+
+    /**
+     * Get the prompt template of the provider: the shared template selected on the provider tab,
+     * the custom prompt, or the default prompt.
+     *
+     * @return string The prompt template.
      */
-    protected function build_summary_prompt(string $content): string
+    protected function get_prompt_template(): string
     {
         $prefix = MSO_AI_Meta_Description::get_option_prefix();
-        $custom_prompt_option_name = $prefix . $this->get_name() . '_custom_summary_prompt';
-        $custom_prompt_template = (string)get_option($custom_prompt_option_name, '');
-        $prompt_template = ! empty($custom_prompt_template)
-            ? $custom_prompt_template
-            : /* translators: 1: Min length, 2: Max length, 3: Content */
-            __('Summarize the following text into a concise meta description between %1$d and %2$d characters long. Focus on the main topic and keywords. Ensure the description flows naturally and avoid cutting words mid-sentence. Maintain the language of the original text. Output only the description text itself: %3$s', 'mso-ai-meta-description');
+        $template_id = (string) get_option($prefix . $this->get_name() . '_prompt_template', '');
+        $shared_template = $template_id !== '' ? PromptTemplate::get_template($template_id) : null;
 
+        if ($shared_template !== null) {
+            return $shared_template;
+        }
+
+        $custom_prompt_template = (string) get_option($prefix . $this->get_name() . '_custom_summary_prompt', '');
+
+        return $custom_prompt_template !== '' ? $custom_prompt_template : self::get_default_prompt_template();
+    }
+
+    /**
+     * Builds the summary prompt from the prompt template of the provider,
+     * or from the 'prompt_template' of the context (test bench).
+     *
+     * The length limits, target language and tone come from the generation rules
+     * of the post type given in the context (see GenerationRules). The language and tone
+     * are prepended as instructions, unless the template uses the {language} and {tone} placeholders.
+     * When the context has a 'source_description', the prompt translates it instead (see Multilingual).
+     *
+     * The named placeholders are replaced by PromptTemplate::render(). When the prompt uses none of
+     * the content placeholders (e.g. the default prompt), the non-empty parts of the context are appended to it.
+     *
+     * @param string               $content The content to summarize.
+     * @param array<string, mixed> $context Generation context: 'post_type', 'title', 'excerpt', 'outline', 'terms', 'focus_keyword', 'variant',
+     *                                      'archive' (kind of archive, for terms, authors and post type archives),
+     *                                      'prompt_template' (overrides the prompt template),
+     *                                      'language' (target language of the translation, overrides the rules),
+     *                                      'source_description' (description of another translation, translated instead of summarizing).
+     * @return string The formatted prompt.
+     */
+    protected function build_summary_prompt(string $content, array $context = []): string
+    {
+        $rules = GenerationRules::get(isset($context['post_type']) ? (string) $context['post_type'] : null);
+        // The language of the translation (WPML, Polylang) takes precedence over the language of the post type rules.
+        $language = ! empty($context['language']) ? (string) $context['language'] : $rules['language'];
+
+        if (! empty($context['source_description'])) {
+            return $this->build_translation_prompt((string) $context['source_description'], $language, $rules);
+        }
+
+        $prompt_template = ! empty($context['prompt_template']) ? (string) $context['prompt_template'] : $this->get_prompt_template();
+        $used_placeholders = PromptTemplate::get_used_placeholders($prompt_template);
+
+        $instructions = [];
+        if ($language !== '' && ! in_array('language', $used_placeholders, true)) {
+            /* translators: %s: Target language (e.g., French) */
+            $instructions[] = sprintf(__('Write the description in %s, whatever the language of the text.', 'mso-ai-meta-description'), $language);
+        }
+        if ($rules['tone'] !== '' && ! in_array('tone', $used_placeholders, true)) {
+            /* translators: %s: Tone (e.g., punchy, formal) */
+            $instructions[] = sprintf(__('Use a %s tone.', 'mso-ai-meta-description'), $rules['tone']);
+        }
+        if (! empty($context['archive'])) {
+            /* translators: %s: Kind of archive (e.g., Category, Author) */
+            $instructions[] = sprintf(__('The page is an archive page (%s) listing the posts whose titles are given as content: describe what visitors will find on it.', 'mso-ai-meta-description'), $context['archive']);
+        }
+        if (($context['variant'] ?? '') === PostContent::SOCIAL_VARIANT) {
+            $instructions[] = __('The description is displayed when the page is shared on social networks: make it engaging and make readers want to click, rather than optimizing it for search engines.', 'mso-ai-meta-description');
+        }
+
+        $content = $this->truncate_to_token_budget($content);
+        $parts = $this->get_prompt_parts($content, $context);
+
+        $prompt = PromptTemplate::render($prompt_template, array_merge([
+            'min' => (string) $rules['min'],
+            'max' => (string) $rules['max'],
+            'language' => $language !== '' ? $language : __('the language of the content', 'mso-ai-meta-description'),
+            'tone' => $rules['tone'] !== '' ? $rules['tone'] : __('neutral', 'mso-ai-meta-description'),
+        ], $parts));
+
+        if (empty(array_intersect($used_placeholders, self::PROMPT_PLACEHOLDERS))) {
+            $prompt .= "\n\n" . $this->format_prompt_parts($parts);
+        }
+
+        return empty($instructions) ? $prompt : implode(' ', $instructions) . "\n\n" . $prompt;
+    }
+
+    /**
+     * Builds the prompt translating the description of another translation of the post.
+     *
+     * @param string                                                     $description The description to translate.
+     * @param string                                                     $language    The target language.
+     * @param array{min: int, max: int, language: string, tone: string} $rules       The generation rules of the post type.
+     * @return string The prompt.
+     * @private
+     */
+    private function build_translation_prompt(string $description, string $language, array $rules): string
+    {
         return sprintf(
-            $prompt_template,
-            MSO_AI_Meta_Description::MIN_DESCRIPTION_LENGTH,
-            MSO_AI_Meta_Description::MAX_DESCRIPTION_LENGTH,
-            $content
+            /* translators: 1: Target language (e.g., French), 2: Minimum characters, 3: Maximum characters, 4: Description to translate */
+            __('Translate the following meta description into %1$s. Keep its meaning and keywords, adapt it naturally for native speakers rather than translating word for word, and keep it between %2$d and %3$d characters. Respond only with the translated description, without quotes or comments.
+
+%4$s', 'mso-ai-meta-description'),
+            $language !== '' ? $language : __('the language of the content', 'mso-ai-meta-description'),
+            $rules['min'],
+            $rules['max'],
+            $description
         );
     }
 
+    /**
+     * Truncates the content to the token budget of the provider, at a word boundary.
+     *
+     * @param string $content The content to truncate.
+     * @return string The content, followed by an ellipsis if it was truncated.
+     * @private
+     */
+    private function truncate_to_token_budget(string $content): string
+    {
+        $max_length = $this->content_token_budget * self::CHARS_PER_TOKEN;
+
+        if (mb_strlen($content) <= $max_length) {
+            return $content;
+        }
+
+        $truncated = mb_substr($content, 0, $max_length);
+        $last_space = mb_strrpos($truncated, ' ');
+
+        return ($last_space !== false ? mb_substr($truncated, 0, $last_space) : $truncated) . '…';
+    }
+
+    /**
+     * Get the text of each placeholder of the structured context.
+     *
+     * @param string               $content The (truncated) content.
+     * @param array<string, mixed> $context The generation context.
+     * @return array<string, string> The placeholder values, keyed by placeholder name.
+     * @private
+     */
+    private function get_prompt_parts(string $content, array $context): array
+    {
+        $parts = [];
+
+        foreach (self::PROMPT_PLACEHOLDERS as $name) {
+            $value = $name === 'content' ? $content : ($context[$name] ?? '');
+
+            if (is_array($value)) {
+                $value = implode($name === 'outline' ? "\n" : ', ', array_map('strval', $value));
+            }
+
+            $parts[$name] = trim((string) $value);
+        }
+
+        return $parts;
+    }
+
+    /**
+     * Formats the non-empty parts of the structured context as labeled blocks, appended to the prompt.
+     *
+     * @param array<string, string> $parts The placeholder values, keyed by placeholder name.
+     * @return string The formatted context.
+     * @private
+     */
+    private function format_prompt_parts(array $parts): string
+    {
+        $labels = [
+            'title' => __('Title', 'mso-ai-meta-description'),
+            'focus_keyword' => __('Focus keyword', 'mso-ai-meta-description'),
+            'excerpt' => __('Excerpt', 'mso-ai-meta-description'),
+            'outline' => __('Outline', 'mso-ai-meta-description'),
+            'terms' => __('Categories and tags', 'mso-ai-meta-description'),
+            'content' => __('Content', 'mso-ai-meta-description'),
+        ];
+
+        $blocks = [];
+        foreach ($parts as $name => $value) {
+            if ($value !== '') {
+                $blocks[] = $labels[$name] . ":\n" . $value;
+            }
+        }
+
+        return implode("\n\n", $blocks);
+    }
+
     /**
      * Builds the request body specific to this provider for summary generation.
      *
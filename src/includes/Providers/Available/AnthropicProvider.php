@@ -95,7 +95,7 @@ class AnthropicProvider extends AbstractProvider implements ProviderInterface
      * Fetches models.
      *
      * @param array<string, mixed> $data The decoded JSON response data from the models endpoint.
-     * @return array<int, array<string, string>>|WP_Error An array of models (each with 'id' and 'displayName')
+     * @return array<int, array<string, mixed>>|WP_Error An array of models (each with 'id' and 'displayName')
      *                                                    or a WP_Error if parsing fails.
      */
     protected function parse_model_list(array $data): array|WP_Error
@@ -198,4 +198,48 @@ class AnthropicProvider extends AbstractProvider implements ProviderInterface
 
         return $headers;
     }
+
+    /**
+     * Builds the request body for a streamed Anthropic message.
+     *
+     * @param string $prompt The prompt to send.
+     * @return array<string, mixed> The request body with streaming enabled.
+     */
+    protected function build_stream_request_body(string $prompt): ?array
+    {
+        return $this->build_summary_request_body($prompt) + ['stream' => true];
+    }
+
+    /**
+     * Extracts the text fragment from a streamed Anthropic event.
+     * Only 'content_block_delta' events of type 'text_delta' carry text.
+     *
+     * @param array<string, mixed> $event The decoded event.
+     * @return string The text fragment.
+     */
+    protected function parse_stream_delta(array $event): string
+    {
+        if (($event['type'] ?? '') !== 'content_block_delta' || ($event['delta']['type'] ?? '') !== 'text_delta') {
+            return '';
+        }
+
+        return is_string($event['delta']['text'] ?? null) ? $event['delta']['text'] : '';
+    }
+
+    /**
+     * Extracts the token usage from an Anthropic message or streamed event.
+     * Streams report the input tokens in 'message_start' and the output tokens in 'message_delta'.
+     *
+     * @param array<string, mixed> $data The decoded message or event.
+     * @return array{prompt_tokens: int, completion_tokens: int} The token counts.
+     */
+    protected function parse_usage(array $data): array
+    {
+        $usage = $data['usage'] ?? $data['message']['usage'] ?? [];
+
+        return [
+            'prompt_tokens' => (int) ($usage['input_tokens'] ?? 0),
+            'completion_tokens' => (int) ($usage['output_tokens'] ?? 0),
+        ];
+    }
 }
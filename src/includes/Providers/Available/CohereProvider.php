@@ -96,7 +96,7 @@ class CohereProvider extends AbstractProvider implements ProviderInterface
      * Fetches models.
      *
      * @param array<string, mixed> $data The decoded JSON response data from the models endpoint.
-     * @return array<int, array<string, string>>|WP_Error An array of models (each with 'id' and 'displayName')
+     * @return array<int, array<string, mixed>>|WP_Error An array of models (each with 'id' and 'displayName')
      *                                                    or a WP_Error if parsing fails.
      */
     protected function parse_model_list(array $data): array|WP_Error
@@ -108,7 +108,12 @@ class CohereProvider extends AbstractProvider implements ProviderInterface
         }
 
         return array_map(function ($model) {
-            return ['id' => $model['name'], 'displayName' => $model['name'],];
+            return [
+                'id' => $model['name'],
+                'displayName' => $model['name'],
+                'contextWindow' => (int) ($model['context_length'] ?? 0),
+                'deprecated' => ! empty($model['is_deprecated']),
+            ];
         }, $data['models']);
     }
 
@@ -174,4 +179,49 @@ class CohereProvider extends AbstractProvider implements ProviderInterface
 
         return $headers;
     }
+
+    /**
+     * Builds the request body for a streamed Cohere chat.
+     *
+     * @param string $prompt The prompt to send.
+     * @return array<string, mixed> The request body with streaming enabled.
+     */
+    protected function build_stream_request_body(string $prompt): ?array
+    {
+        return array_merge($this->build_summary_request_body($prompt), ['stream' => true]);
+    }
+
+    /**
+     * Extracts the text fragment from a streamed Cohere event.
+     * Only 'content-delta' events carry text.
+     *
+     * @param array<string, mixed> $event The decoded event.
+     * @return string The text fragment.
+     */
+    protected function parse_stream_delta(array $event): string
+    {
+        if (($event['type'] ?? '') !== 'content-delta') {
+            return '';
+        }
+
+        $delta = $event['delta']['message']['content']['text'] ?? '';
+
+        return is_string($delta) ? $delta : '';
+    }
+
+    /**
+     * Extracts the billed token usage from a Cohere response or 'message-end' event.
+     *
+     * @param array<string, mixed> $data The decoded response or event.
+     * @return array{prompt_tokens: int, completion_tokens: int} The token counts.
+     */
+    protected function parse_usage(array $data): array
+    {
+        $billed_units = $data['usage']['billed_units'] ?? $data['delta']['usage']['billed_units'] ?? [];
+
+        return [
+            'prompt_tokens' => (int) ($billed_units['input_tokens'] ?? 0),
+            'completion_tokens' => (int) ($billed_units['output_tokens'] ?? 0),
+        ];
+    }
 }
@@ -93,7 +93,7 @@ class GeminiProvider extends AbstractProvider implements ProviderInterface
      * and formats them into a standardized array structure.
      *
      * @param array<string, mixed> $data The decoded JSON response data from the models endpoint.
-     * @return array<int, array<string, string>>|WP_Error An array of models (each with 'id' and 'displayName')
+     * @return array<int, array<string, mixed>>|WP_Error An array of models (each with 'id' and 'displayName')
      *                                                    or a WP_Error if parsing fails.
      */
     protected function parse_model_list(array $data): array|WP_Error
@@ -124,6 +124,7 @@ class GeminiProvider extends AbstractProvider implements ProviderInterface
             return [
                 'id' => str_replace('models/', '', $model['name'] ?? ''),
                 'displayName' => $model['displayName'] ?? $model['id'],
+                'contextWindow' => (int) ($model['inputTokenLimit'] ?? 0),
             ];
         }, array_values($models));
     }
@@ -205,4 +206,52 @@ class GeminiProvider extends AbstractProvider implements ProviderInterface
 
         return $headers;
     }
+
+    /**
+     * Builds the request body for a streamed Gemini generation (same as the regular one).
+     *
+     * @param string $prompt The prompt to send.
+     * @return array<string, mixed> The request body.
+     */
+    protected function build_stream_request_body(string $prompt): ?array
+    {
+        return $this->build_summary_request_body($prompt);
+    }
+
+    /**
+     * Returns the streaming endpoint, asking for server-sent events instead of a JSON array.
+     *
+     * @return string The endpoint path for streamed generation.
+     */
+    protected function get_stream_endpoint(): string
+    {
+        return "models/$this->model:streamGenerateContent?alt=sse";
+    }
+
+    /**
+     * Extracts the text fragment from a streamed Gemini response chunk.
+     *
+     * @param array<string, mixed> $event The decoded chunk.
+     * @return string The text fragment.
+     */
+    protected function parse_stream_delta(array $event): string
+    {
+        $delta = $event['candidates'][0]['content']['parts'][0]['text'] ?? '';
+
+        return is_string($delta) ? $delta : '';
+    }
+
+    /**
+     * Extracts the token usage from a Gemini response or streamed chunk.
+     *
+     * @param array<string, mixed> $data The decoded response or chunk.
+     * @return array{prompt_tokens: int, completion_tokens: int} The token counts.
+     */
+    protected function parse_usage(array $data): array
+    {
+        return [
+            'prompt_tokens' => (int) ($data['usageMetadata']['promptTokenCount'] ?? 0),
+            'completion_tokens' => (int) ($data['usageMetadata']['candidatesTokenCount'] ?? 0),
+        ];
+    }
 }
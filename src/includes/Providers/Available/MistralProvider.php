@@ -95,7 +95,7 @@ class MistralProvider extends AbstractProvider implements ProviderInterface
      * Parses the list of available models from the Mistral API response.
      *
      * @param array<string, mixed> $data The decoded JSON response data from the models endpoint.
-     * @return array<int, array<string, string>>|WP_Error An array of models (each with 'id' and 'displayName')
+     * @return array<int, array<string, mixed>>|WP_Error An array of models (each with 'id' and 'displayName')
      *                                                    or a WP_Error if parsing fails.
      */
     protected function parse_model_list(array $data): array|WP_Error
@@ -117,6 +117,8 @@ class MistralProvider extends AbstractProvider implements ProviderInterface
             return [
                 'id' => $model['id'] ?? '',
                 'displayName' => $model['id'] ?? '',
+                'contextWindow' => (int) ($model['max_context_length'] ?? 0),
+                'deprecated' => ! empty($model['deprecation']),
             ];
         }, array_values($data['data']));
     }
@@ -177,4 +179,25 @@ class MistralProvider extends AbstractProvider implements ProviderInterface
 
         return is_string($generated_text) ? trim($generated_text) : '';
     }
+
+    /**
+     * The Mistral chat completions endpoint supports several choices through the 'n' parameter.
+     *
+     * @return string The parameter name.
+     */
+    protected function get_choices_parameter(): ?string
+    {
+        return 'n';
+    }
+
+    /**
+     * Builds the request body for a streamed Mistral chat completion.
+     *
+     * @param string $prompt The prompt to send.
+     * @return array<string, mixed> The request body with streaming enabled.
+     */
+    protected function build_stream_request_body(string $prompt): ?array
+    {
+        return $this->build_summary_request_body($prompt) + ['stream' => true];
+    }
 }
@@ -0,0 +1,280 @@
+<?php
+
+/**
+ * MSO AI Meta Description OpenAICompatibleProvider
+ *
+ * Implements the ProviderInterface for any server exposing the OpenAI Chat Completions API
+ * (Ollama, vLLM, LiteLLM, LM Studio, in-house gateways...).
+ * The base URL, authentication header, extra headers and timeout are configured on its settings tab.
+ * Extends OpenAIProvider for the request and response formats.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description\Providers\Available;
+
+use MSO_AI_Meta_Description\MSO_AI_Meta_Description;
+use MSO_AI_Meta_Description\Providers\ConfigurableProviderInterface;
+use MSO_AI_Meta_Description\Utils\ProviderCredentials;
+use WP_Error;
+
+/**
+ * OpenAI-compatible Provider implementation.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider implements ConfigurableProviderInterface
+{
+    /**
+     * Supported authentication header styles.
+     * @var array<string>
+     */
+    private const array AUTH_STYLES = ['bearer', 'api-key', 'x-api-key', 'none'];
+
+    /**
+     * Default request timeout, in seconds. Self-hosted models are often slower than hosted APIs.
+     */
+    private const int DEFAULT_TIMEOUT = 60;
+
+    /**
+     * Maximum request timeout, in seconds.
+     */
+    private const int MAX_TIMEOUT = 600;
+
+    /**
+     * The settings of the provider, keyed by field key.
+     * @var array<string, string|int>
+     */
+    private array $settings = [];
+
+    /**
+     * Constructor. Retrieves API key, model and the endpoint settings.
+     */
+    public function __construct()
+    {
+        parent::__construct();
+
+        $prefix = MSO_AI_Meta_Description::get_option_prefix();
+        foreach ($this->get_settings_fields() as $key => $field) {
+            $option_name = $prefix . $this->get_name() . '_' . $key;
+            $value = empty($field['secret']) ? get_option($option_name, $field['default'] ?? '') : ProviderCredentials::get_secret($option_name);
+            $this->settings[$key] = $this->sanitize_setting($key, $value);
+        }
+    }
+
+    /**
+     * Returns the unique identifier for this provider.
+     *
+     * @return string The provider name ('openai_compatible').
+     */
+    public function get_name(): string
+    {
+        return 'openai_compatible';
+    }
+
+    /**
+     * Returns the title for this provider.
+     *
+     * @return string The provider title
+     */
+    public function get_title(): string
+    {
+        return 'OpenAI-compatible';
+    }
+
+    /**
+     * There is no API key page for self-hosted endpoints.
+     *
+     * @return string An empty string.
+     */
+    public function get_url_api_key(): string
+    {
+        return '';
+    }
+
+    /**
+     * There is no common default model: it is selected from the '/models' endpoint.
+     *
+     * @return string An empty string.
+     */
+    public function get_default_model(): string
+    {
+        return '';
+    }
+
+    /**
+     * An API key is required unless the authentication style is 'none'.
+     *
+     * @return bool True if an API key is required.
+     */
+    public function requires_api_key(): bool
+    {
+        return ($this->settings['auth_style'] ?? 'bearer') !== 'none';
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_settings_fields(): array
+    {
+        return [
+            'base_url' => [
+                'label' => __('Base URL', 'mso-ai-meta-description'),
+                'type' => 'url',
+                'description' => __('URL of the OpenAI-compatible API, including the version path (e.g., http://localhost:11434/v1/ for Ollama).', 'mso-ai-meta-description'),
+                'default' => 'http://localhost:11434/v1/',
+            ],
+            'auth_style' => [
+                'label' => __('Authentication', 'mso-ai-meta-description'),
+                'type' => 'select',
+                'options' => [
+                    'bearer' => __('Authorization: Bearer <API key>', 'mso-ai-meta-description'),
+                    'api-key' => __('api-key: <API key>', 'mso-ai-meta-description'),
+                    'x-api-key' => __('X-API-Key: <API key>', 'mso-ai-meta-description'),
+                    'none' => __('None (no API key)', 'mso-ai-meta-description'),
+                ],
+                'default' => 'bearer',
+            ],
+            'extra_headers' => [
+                'label' => __('Extra headers', 'mso-ai-meta-description'),
+                'type' => 'textarea',
+                'description' => __('One "Name: value" header per line, sent with every request.', 'mso-ai-meta-description'),
+                'default' => '',
+                'secret' => true,
+            ],
+            'timeout' => [
+                'label' => __('Timeout (seconds)', 'mso-ai-meta-description'),
+                'type' => 'number',
+                'default' => self::DEFAULT_TIMEOUT,
+            ],
+        ];
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function sanitize_setting(string $key, mixed $value): string|int
+    {
+        $value = is_scalar($value) ? (string) $value : '';
+
+        return match ($key) {
+            'base_url' => $value !== '' ? trailingslashit(esc_url_raw(trim($value), ['http', 'https'])) : '',
+            'auth_style' => in_array($value, self::AUTH_STYLES, true) ? $value : 'bearer',
+            'extra_headers' => sanitize_textarea_field($value),
+            'timeout' => $value !== '' ? min(max(1, absint($value)), self::MAX_TIMEOUT) : self::DEFAULT_TIMEOUT,
+            default => sanitize_text_field($value),
+        };
+    }
+
+    /**
+     * Returns the configured base URL.
+     *
+     * @return string The base URL, ending with a slash.
+     */
+    protected function get_api_base(): string
+    {
+        return (string) $this->settings['base_url'];
+    }
+
+    /**
+     * Checks the API key (when required) and the base URL.
+     *
+     * @return true|WP_Error True if the provider can be called, WP_Error otherwise.
+     */
+    protected function check_api_key(): bool|WP_Error
+    {
+        if ($this->get_api_base() === '') {
+            return new WP_Error('base_url_missing', __('The base URL of the OpenAI-compatible provider is not set.', 'mso-ai-meta-description'), ['status' => 400]);
+        }
+
+        return parent::check_api_key();
+    }
+
+    /**
+     * Sets the authentication header matching the configured style, and adds the extra headers.
+     *
+     * @param array<string, string> $headers Default headers from AbstractProvider.
+     * @return array<string, string> Modified headers.
+     */
+    protected function prepare_headers(array $headers): array
+    {
+        unset($headers['Authorization']);
+
+        if ($this->api_key !== '') {
+            switch ($this->settings['auth_style']) {
+                case 'bearer':
+                    $headers['Authorization'] = 'Bearer ' . $this->api_key;
+                    break;
+                case 'api-key':
+                    $headers['api-key'] = $this->api_key;
+                    break;
+                case 'x-api-key':
+                    $headers['X-API-Key'] = $this->api_key;
+                    break;
+            }
+        }
+
+        foreach (preg_split('/\R/', (string) $this->settings['extra_headers']) as $line) {
+            $parts = explode(':', $line, 2);
+
+            if (count($parts) === 2 && trim($parts[0]) !== '') {
+                $headers[trim($parts[0])] = trim($parts[1]);
+            }
+        }
+
+        return $headers;
+    }
+
+    /**
+     * The API key is never sent in the URL.
+     *
+     * @return bool False.
+     */
+    protected function uses_api_key_query_arg(): bool
+    {
+        return false;
+    }
+
+    /**
+     * Applies the configured timeout to every request.
+     *
+     * @param array<string, mixed> $args Arguments for wp_remote_get/post.
+     * @return array<string, mixed> Arguments with the configured timeout.
+     */
+    protected function prepare_request_args(array $args): array
+    {
+        $args['timeout'] = (int) $this->settings['timeout'];
+
+        return $args;
+    }
+
+    /**
+     * Parses the list of models from the '/models' endpoint, without filtering on the model names.
+     *
+     * @param array<string, mixed> $data The decoded JSON response data from the models endpoint.
+     * @return array<int, array<string, mixed>>|WP_Error An array of models (each with 'id' and 'displayName')
+     *                                                    or a WP_Error if parsing fails.
+     */
+    protected function parse_model_list(array $data): array|WP_Error
+    {
+        if (! isset($data['data']) || ! is_array($data['data'])) {
+            return new WP_Error(
+                'parse_error',
+                sprintf(
+                    /* translators: 1: provider name */
+                    __('Unable to parse model list from %1$s: "data" array missing.', 'mso-ai-meta-description'),
+                    $this->get_title()
+                )
+            );
+        }
+
+        $models = array_filter($data['data'], fn ($model) => isset($model['id']) && is_string($model['id']));
+
+        // The context window is not part of the OpenAI format: 'context_length' (OpenRouter, LM Studio)
+        // and 'max_model_len' (vLLM) are read when present.
+        return array_map(fn ($model) => [
+            'id' => $model['id'],
+            'displayName' => $model['id'],
+            'contextWindow' => (int) ($model['context_length'] ?? $model['max_model_len'] ?? 0),
+        ], array_values($models));
+    }
+}
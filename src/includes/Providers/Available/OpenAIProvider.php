@@ -98,7 +98,7 @@ class OpenAIProvider extends AbstractProvider implements ProviderInterface
      * and formats them into a standardized array structure.
      *
      * @param array<string, mixed> $data The decoded JSON response data from the models endpoint.
-     * @return array<int, array<string, string>>|WP_Error An array of models (each with 'id' and 'displayName')
+     * @return array<int, array<string, mixed>>|WP_Error An array of models (each with 'id' and 'displayName')
      *                                                    or a WP_Error if parsing fails.
      */
     protected function parse_model_list(array $data): array|WP_Error
@@ -189,4 +189,26 @@ class OpenAIProvider extends AbstractProvider implements ProviderInterface
 
         return trim($generated_text);
     }
+
+    /**
+     * The OpenAI chat completions endpoint supports several choices through the 'n' parameter.
+     *
+     * @return string The parameter name.
+     */
+    protected function get_choices_parameter(): ?string
+    {
+        return 'n';
+    }
+
+    /**
+     * Builds the request body for a streamed OpenAI chat completion.
+     * The token usage is requested, as it is not sent in streams by default.
+     *
+     * @param string $prompt The prompt to send.
+     * @return array<string, mixed> The request body with streaming enabled.
+     */
+    protected function build_stream_request_body(string $prompt): ?array
+    {
+        return $this->build_summary_request_body($prompt) + ['stream' => true, 'stream_options' => ['include_usage' => true]];
+    }
 }
@@ -0,0 +1,43 @@
+<?php
+
+/**
+ * MSO AI Meta Description ConfigurableProviderInterface
+ *
+ * Implemented by the providers needing settings besides the API key and the model
+ * (e.g., the base URL of a self-hosted endpoint). The fields are registered by
+ * SettingsRegistry, rendered on the provider tab and saved by SettingsAjaxHandler.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description\Providers;
+
+/**
+ * Interface for providers with additional settings.
+ */
+interface ConfigurableProviderInterface
+{
+    /**
+     * Get the additional settings fields of the provider.
+     *
+     * Each field is stored in the option named after the plugin prefix, the provider name and the field key
+     * (e.g., 'mso_ai_meta_description_openai_compatible_base_url').
+     * Supported types: 'text', 'url', 'number', 'select' (with 'options') and 'textarea'.
+     * Fields flagged 'secret' (e.g., authentication headers) are encrypted like the API key
+     * (see ProviderCredentials) and left out of the settings export.
+     *
+     * @return array<string, array{label: string, type: string, description?: string, options?: array<string, string>, default?: string|int, secret?: bool}>
+     *         The fields keyed by option suffix.
+     */
+    public function get_settings_fields(): array;
+
+    /**
+     * Sanitizes the submitted value of a settings field.
+     *
+     * @param string $key   The field key, as returned by get_settings_fields().
+     * @param mixed  $value The submitted value (unslashed).
+     * @return string|int The sanitized value.
+     */
+    public function sanitize_setting(string $key, mixed $value): string|int;
+}
@@ -47,6 +47,15 @@ interface ProviderInterface
      */
     public function get_url_api_key(): string;
 
+    /**
+     * Whether this provider needs an API key to be used.
+     *
+     * Self-hosted endpoints may accept unauthenticated requests.
+     *
+     * @return bool True if an API key is required.
+     */
+    public function requires_api_key(): bool;
+
     /**
      * Fetches the list of available models supported by this provider's API.
      *
@@ -54,22 +63,59 @@ interface ProviderInterface
      * It should filter or format the results as needed for display in the plugin settings
      * (e.g., returning an array where each item has 'id' and 'displayName').
      *
-     * @return array<string, string>|WP_Error An array of model data on success, or a WP_Error object on failure.
+     * @return array<int, array<string, mixed>>|WP_Error An array of model data on success, or a WP_Error object on failure.
      *                        The array format should be consistent, e.g., [['id' => 'model-1', 'displayName' => 'Model 1'], ...].
+     *                        When the API provides them, models also have 'contextWindow' (int, in tokens)
+     *                        and 'deprecated' (bool).
      */
     public function fetch_models(): array|WP_Error;
 
+    /**
+     * Builds the prompt sent to the API for a summary, as generate_summary() would.
+     * Used by the prompt test bench to show the prompt sent.
+     *
+     * @param string               $content The plain text content to summarize.
+     * @param array<string, mixed> $context Generation context (e.g. 'post_type', 'prompt_template').
+     * @return string The prompt.
+     */
+    public function get_summary_prompt(string $content, array $context = []): string;
+
     /**
      * Generates a meta description summary for the given content using the provider's API.
      *
      * This method takes the content to be summarized, constructs the appropriate API request
      * (including prompts, model selection, API keys), makes the API call, and processes the response.
      *
-     * @param string $content The plain text content to summarize.
+     * @param string               $content The plain text content to summarize.
+     * @param array<string, mixed> $context Generation context (e.g. 'post_type'), selecting the length, language and tone rules.
      * @return string|WP_Error The generated summary string on success, or a WP_Error object on failure.
      *                         The WP_Error object should contain relevant error codes and messages.
      */
-    public function generate_summary(string $content): string|WP_Error;
+    public function generate_summary(string $content, array $context = []): string|WP_Error;
+
+    /**
+     * Generates several candidate meta descriptions for the given content.
+     *
+     * Providers able to return several choices in a single API call should do so,
+     * others may perform one call per candidate. Duplicate candidates are removed,
+     * so fewer than $count candidates may be returned.
+     *
+     * @param string               $content The plain text content to summarize.
+     * @param int                  $count   The number of candidates requested.
+     * @param array<string, mixed> $context Generation context (e.g. 'post_type').
+     * @return array<int, string>|WP_Error The list of generated candidates on success, or a WP_Error object on failure.
+     */
+    public function generate_summaries(string $content, int $count, array $context = []): array|WP_Error;
+
+    /**
+     * Generates a meta description and passes the text to the callback as it is produced.
+     *
+     * @param string               $content  The plain text content to summarize.
+     * @param callable             $on_delta Callback receiving each text fragment (string).
+     * @param array<string, mixed> $context  Generation context (e.g. 'post_type').
+     * @return string|WP_Error The full generated summary on success, or a WP_Error object on failure.
+     */
+    public function stream_summary(string $content, callable $on_delta, array $context = []): string|WP_Error;
 
     /**
      * Get the default model identifier for this provider.
@@ -80,4 +126,11 @@ interface ProviderInterface
      * @return string The default model identifier.
      */
     public function get_default_model(): string;
+
+    /**
+     * Get the model used for the generations: the selected model, or the default model.
+     *
+     * @return string The model identifier.
+     */
+    public function get_model(): string;
 }
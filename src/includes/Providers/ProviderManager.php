@@ -16,7 +16,9 @@ namespace MSO_AI_Meta_Description\Providers;
 use Exception;
 use FilesystemIterator;
 use GlobIterator;
+use MSO_AI_Meta_Description\MSO_AI_Meta_Description;
 use MSO_AI_Meta_Description\Utils\Logger;
+use MSO_AI_Meta_Description\Utils\ProviderCredentials;
 use ReflectionClass;
 use SplFileInfo;
 
@@ -74,6 +76,27 @@ class ProviderManager
         return self::$providers;
     }
 
+    /**
+     * Retrieves the providers that have an API key (when required) and are enabled on the Options tab.
+     *
+     * @return array<string, ProviderInterface> Configured providers keyed by provider name.
+     */
+    public static function get_configured_providers(): array
+    {
+        $option_prefix = MSO_AI_Meta_Description::get_option_prefix();
+        $configured_providers = [];
+
+        foreach (self::$providers as $provider_name => $provider) {
+            $enable_option_name = $option_prefix . $provider_name . '_provider_enabled';
+            $has_api_key = ! $provider->requires_api_key() || ProviderCredentials::get_api_key($provider_name) !== '';
+            if ($has_api_key && get_option($enable_option_name, false)) {
+                $configured_providers[$provider_name] = $provider;
+            }
+        }
+
+        return $configured_providers;
+    }
+
     /**
      * Scans the 'Available' subdirectory for provider classes and registers them.
      *
@@ -0,0 +1,459 @@
+<?php
+
+/**
+ * MSO AI Meta Description Quality Audit
+ *
+ * Provides the "Audit" tab of the settings page: a report of the saved descriptions having
+ * quality issues (duplicates and near-duplicates across the site, same as the post title,
+ * missing focus keyword, double quotes, HTML, truncation mid-word, out-of-range length),
+ * filterable by issue and post type, sortable, with links to the edit screens.
+ * The checks themselves are done by DescriptionQuality.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Utils\DescriptionQuality;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Renders the description quality audit.
+ */
+class QualityAudit implements SettingsTabInterface
+{
+    /**
+     * Slug of the audit tab.
+     * @var string
+     */
+    public const string TAB_SLUG = 'audit';
+
+    /**
+     * Number of posts listed per page.
+     * @var int
+     */
+    private const int PER_PAGE = 50;
+
+    /**
+     * Columns the report can be sorted by.
+     * @var array<string>
+     */
+    private const array SORT_COLUMNS = ['title', 'length', 'issues'];
+
+    /**
+     * Maximum number of links to the duplicates listed for one post.
+     * @var int
+     */
+    private const int MAX_DUPLICATE_LINKS = 5;
+
+    /**
+     * Registers the hooks clearing the cache of the normalized descriptions when a description,
+     * or the status of a post, changes.
+     */
+    public function register_hooks(): void
+    {
+        add_action('added_post_meta', [$this, 'handle_meta_change'], 10, 3);
+        add_action('updated_post_meta', [$this, 'handle_meta_change'], 10, 3);
+        add_action('deleted_post_meta', [$this, 'handle_meta_change'], 10, 3);
+        add_action('transition_post_status', [self::class, 'clear_cache']);
+        add_action('deleted_post', [self::class, 'clear_cache']);
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_slug(): string
+    {
+        return self::TAB_SLUG;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_label(): string
+    {
+        return __('Audit', 'mso-ai-meta-description');
+    }
+
+    /**
+     * Renders the audit report for the selected filters, order and page.
+     * The URL nonce is verified by SettingsPage before the tab is rendered.
+     */
+    public function render_tab(): void
+    {
+        $labels = DescriptionQuality::get_labels();
+        $post_types = BlockEditor::get_supported_post_types();
+
+        $issue = $this->get_query_arg('issue', array_keys($labels), '');
+        $post_type = $this->get_query_arg('post_type', $post_types, '');
+        $orderby = $this->get_query_arg('orderby', self::SORT_COLUMNS, 'issues');
+        $order = $this->get_query_arg('order', ['asc', 'desc'], $orderby === 'title' ? 'asc' : 'desc');
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Verified with the tab nonce, read-only.
+        $paged = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+
+        $rows = $this->get_rows();
+        $counts = array_fill_keys(array_keys($labels), 0);
+        foreach ($rows as $row) {
+            foreach (array_keys($row['issues']) as $row_issue) {
+                $counts[$row_issue]++;
+            }
+        }
+
+        $filtered_rows = array_filter($rows, static fn(array $row) => ! empty($row['issues'])
+            && ($issue === '' || isset($row['issues'][$issue]))
+            && ($post_type === '' || $row['post_type'] === $post_type));
+        $this->sort_rows($filtered_rows, $orderby, $order);
+
+        $total_pages = max(1, (int) ceil(count($filtered_rows) / self::PER_PAGE));
+        $paged = min($paged, $total_pages);
+        $page_rows = array_slice($filtered_rows, ($paged - 1) * self::PER_PAGE, self::PER_PAGE);
+
+        $base_url = add_query_arg([
+            'page' => SettingsPage::PAGE_SLUG,
+            'tab' => self::TAB_SLUG,
+            '_wpnonce' => wp_create_nonce('view-settings-tab-' . self::TAB_SLUG),
+            'issue' => $issue,
+            'post_type' => $post_type,
+            'orderby' => $orderby,
+            'order' => $order,
+        ], admin_url('admin.php'));
+        ?>
+        <div class="mso-ai-audit">
+            <h2><?php esc_html_e('Description quality audit', 'mso-ai-meta-description'); ?></h2>
+            <p class="description"><?php esc_html_e('Checks all the saved meta descriptions for duplicates and near-duplicates across the site, and for the issues shown as warnings in the meta box. The same checks run while typing in the meta box.', 'mso-ai-meta-description'); ?></p>
+            <p>
+                <?php
+                $with_issues = count(array_filter($rows, static fn(array $row) => ! empty($row['issues'])));
+                /* translators: 1: Number of descriptions, 2: Number of descriptions with issues */
+                echo esc_html(sprintf(_n('%1$s description checked, %2$s with issues.', '%1$s descriptions checked, %2$s with issues.', count($rows), 'mso-ai-meta-description'), number_format_i18n(count($rows)), number_format_i18n($with_issues)));
+                ?>
+            </p>
+            <form method="get" class="mso-ai-audit-filters">
+                <input type="hidden" name="page" value="<?php echo esc_attr(SettingsPage::PAGE_SLUG); ?>">
+                <input type="hidden" name="tab" value="<?php echo esc_attr(self::TAB_SLUG); ?>">
+                <input type="hidden" name="_wpnonce" value="<?php echo esc_attr(wp_create_nonce('view-settings-tab-' . self::TAB_SLUG)); ?>">
+                <input type="hidden" name="orderby" value="<?php echo esc_attr($orderby); ?>">
+                <input type="hidden" name="order" value="<?php echo esc_attr($order); ?>">
+                <label for="mso-ai-audit-issue"><?php esc_html_e('Issue:', 'mso-ai-meta-description'); ?></label>
+                <select id="mso-ai-audit-issue" name="issue">
+                    <option value=""><?php esc_html_e('All issues', 'mso-ai-meta-description'); ?></option>
+                    <?php foreach ($labels as $code => $label) : ?>
+                        <option value="<?php echo esc_attr($code); ?>" <?php selected($issue, $code); ?>><?php echo esc_html(sprintf('%s (%s)', $label, number_format_i18n($counts[$code]))); ?></option>
+                    <?php endforeach; ?>
+                </select>
+                <label for="mso-ai-audit-post-type"><?php esc_html_e('Post type:', 'mso-ai-meta-description'); ?></label>
+                <select id="mso-ai-audit-post-type" name="post_type">
+                    <option value=""><?php esc_html_e('All post types', 'mso-ai-meta-description'); ?></option>
+                    <?php foreach ($post_types as $supported_post_type) :
+                        $post_type_object = get_post_type_object($supported_post_type);
+                        ?>
+                        <option value="<?php echo esc_attr($supported_post_type); ?>" <?php selected($post_type, $supported_post_type); ?>><?php echo esc_html($post_type_object ? $post_type_object->labels->name : $supported_post_type); ?></option>
+                    <?php endforeach; ?>
+                </select>
+                <button type="submit" class="button"><?php esc_html_e('Filter', 'mso-ai-meta-description'); ?></button>
+            </form>
+
+            <table class="wp-list-table widefat striped mso-ai-audit-table">
+                <thead>
+                <tr>
+                    <?php $this->render_sortable_header('title', __('Title', 'mso-ai-meta-description'), $base_url, $orderby, $order); ?>
+                    <th scope="col"><?php esc_html_e('Type', 'mso-ai-meta-description'); ?></th>
+                    <th scope="col"><?php esc_html_e('Meta Description', 'mso-ai-meta-description'); ?></th>
+                    <?php $this->render_sortable_header('length', __('Length', 'mso-ai-meta-description'), $base_url, $orderby, $order); ?>
+                    <?php $this->render_sortable_header('issues', __('Issues', 'mso-ai-meta-description'), $base_url, $orderby, $order); ?>
+                </tr>
+                </thead>
+                <tbody>
+                <?php if (empty($page_rows)) : ?>
+                    <tr><td colspan="5"><?php esc_html_e('No issues found.', 'mso-ai-meta-description'); ?></td></tr>
+                <?php endif; ?>
+                <?php foreach ($page_rows as $row) :
+                    $post_type_object = get_post_type_object($row['post_type']);
+                    ?>
+                    <tr>
+                        <td>
+                            <strong><a href="<?php echo esc_url((string) get_edit_post_link($row['id'])); ?>"><?php echo esc_html($row['title'] !== '' ? $row['title'] : __('(no title)', 'mso-ai-meta-description')); ?></a></strong>
+                        </td>
+                        <td><?php echo esc_html($post_type_object ? $post_type_object->labels->singular_name : $row['post_type']); ?></td>
+                        <td><?php echo esc_html($row['description']); ?></td>
+                        <td><?php echo esc_html(number_format_i18n($row['length'])); ?></td>
+                        <td>
+                            <ul class="mso-ai-audit-issues">
+                                <?php foreach ($row['issues'] as $code => $duplicate_ids) : ?>
+                                    <li>
+                                        <?php echo esc_html($labels[$code]); ?>
+                                        <?php $this->render_duplicate_links($duplicate_ids, $rows); ?>
+                                    </li>
+                                <?php endforeach; ?>
+                            </ul>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <?php if ($total_pages > 1) : ?>
+                <div class="tablenav bottom">
+                    <div class="tablenav-pages">
+                        <?php
+                        echo wp_kses_post((string) paginate_links([
+                            'base' => add_query_arg('paged', '%#%', $base_url),
+                            'format' => '',
+                            'current' => $paged,
+                            'total' => $total_pages,
+                        ]));
+                        ?>
+                    </div>
+                </div>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Clears the cache of the normalized descriptions when a description is saved or deleted.
+     *
+     * @param int|array<int, int> $meta_id  The meta ID (IDs when deleted).
+     * @param int                 $post_id  The post ID.
+     * @param string              $meta_key The meta key.
+     */
+    public function handle_meta_change(int|array $meta_id, int $post_id, string $meta_key): void
+    {
+        if ($meta_key === MSO_AI_Meta_Description::META_KEY) {
+            self::clear_cache();
+        }
+    }
+
+    /**
+     * Clears the cache of the normalized descriptions.
+     */
+    public static function clear_cache(): void
+    {
+        delete_transient(self::get_normalized_descriptions_transient_name());
+    }
+
+    /**
+     * Get the saved descriptions normalized for the duplicates check (DescriptionQuality::find_duplicates_of()),
+     * cached until a description changes, so the check run while typing does not query and normalize all of them.
+     *
+     * @return array<int, string> The normalized descriptions, keyed by post ID.
+     */
+    public static function get_normalized_descriptions(): array
+    {
+        $normalized_descriptions = get_transient(self::get_normalized_descriptions_transient_name());
+
+        if (! is_array($normalized_descriptions)) {
+            $normalized_descriptions = array_map(
+                static fn(array $post) => DescriptionQuality::normalize($post['description']),
+                self::get_descriptions()
+            );
+            set_transient(self::get_normalized_descriptions_transient_name(), $normalized_descriptions, DAY_IN_SECONDS);
+        }
+
+        return $normalized_descriptions;
+    }
+
+    /**
+     * Get the saved descriptions of the supported post types, with the post data needed by the checks.
+     * Their normalized texts are cached for the duplicates check run while a description is typed (get_normalized_descriptions()).
+     *
+     * @return array<int, array{id: int, title: string, post_type: string, description: string, focus_keyword: string}> The posts keyed by ID.
+     */
+    public static function get_descriptions(): array
+    {
+        global $wpdb;
+
+        $post_types = array_values(BlockEditor::get_supported_post_types());
+        $post_statuses = BulkGenerator::POST_STATUSES;
+
+        if (empty($post_types)) {
+            return [];
+        }
+
+        $post_type_placeholders = implode(', ', array_fill(0, count($post_types), '%s'));
+        $post_status_placeholders = implode(', ', array_fill(0, count($post_statuses), '%s'));
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- One query instead of loading every post, only run on demand.
+        $results = (array) $wpdb->get_results($wpdb->prepare(
+            "SELECT p.ID, p.post_title, p.post_type, d.meta_value AS description, k.meta_value AS focus_keyword
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} d ON d.post_id = p.ID AND d.meta_key = %s
+            LEFT JOIN {$wpdb->postmeta} k ON k.post_id = p.ID AND k.meta_key = %s
+            WHERE p.post_type IN ({$post_type_placeholders}) AND p.post_status IN ({$post_status_placeholders}) AND d.meta_value != ''",
+            MSO_AI_Meta_Description::META_KEY,
+            MSO_AI_Meta_Description::FOCUS_KEYWORD_META_KEY,
+            ...$post_types,
+            ...$post_statuses
+        ), ARRAY_A);
+
+        $descriptions = [];
+        foreach ($results as $result) {
+            $post_id = (int) $result['ID'];
+            $descriptions[$post_id] = [
+                'id' => $post_id,
+                'title' => (string) $result['post_title'],
+                'post_type' => (string) $result['post_type'],
+                'description' => (string) $result['description'],
+                'focus_keyword' => (string) $result['focus_keyword'],
+            ];
+        }
+
+        return $descriptions;
+    }
+
+    /**
+     * Runs the checks on all the saved descriptions.
+     *
+     * @return array<int, array{id: int, title: string, post_type: string, description: string, length: int, issues: array<string, array<int, int>>}>
+     *         The rows keyed by post ID; the issues are keyed by code, with the IDs of the duplicates.
+     * @private
+     */
+    private function get_rows(): array
+    {
+        $posts = self::get_descriptions();
+        $duplicates = DescriptionQuality::find_duplicates(array_column($posts, 'description', 'id'));
+        $rules = GenerationRules::get_all();
+
+        $rows = [];
+        foreach ($posts as $post_id => $post) {
+            $post_rules = $rules[$post['post_type']] ?? GenerationRules::get_defaults();
+            $issues = [];
+
+            if (! empty($duplicates[$post_id]['exact'])) {
+                $issues[DescriptionQuality::ISSUE_DUPLICATE] = $duplicates[$post_id]['exact'];
+            }
+            if (! empty($duplicates[$post_id]['near'])) {
+                $issues[DescriptionQuality::ISSUE_NEAR_DUPLICATE] = $duplicates[$post_id]['near'];
+            }
+
+            $checks = DescriptionQuality::check($post['description'], [
+                'title' => $post['title'],
+                'focus_keyword' => $post['focus_keyword'],
+                'min' => $post_rules['min'],
+                'max' => $post_rules['max'],
+            ]);
+            foreach ($checks as $code) {
+                $issues[$code] = [];
+            }
+
+            $rows[$post_id] = [
+                'id' => $post_id,
+                'title' => $post['title'],
+                'post_type' => $post['post_type'],
+                'description' => $post['description'],
+                'length' => mb_strlen($post['description']),
+                'issues' => $issues,
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Sorts the rows of the report.
+     *
+     * @param array<int, array<string, mixed>> $rows    The rows, sorted in place.
+     * @param string                           $orderby The sort column, one of SORT_COLUMNS.
+     * @param string                           $order   'asc' or 'desc'.
+     * @private
+     */
+    private function sort_rows(array &$rows, string $orderby, string $order): void
+    {
+        usort($rows, static function (array $a, array $b) use ($orderby, $order): int {
+            $result = match ($orderby) {
+                'title' => strnatcasecmp($a['title'], $b['title']),
+                'length' => $a['length'] <=> $b['length'],
+                default => count($a['issues']) <=> count($b['issues']),
+            };
+
+            return ($order === 'asc' ? $result : -$result) ?: $a['id'] <=> $b['id'];
+        });
+    }
+
+    /**
+     * Renders the header cell of a sortable column, linking to the report sorted by this column.
+     *
+     * @param string $column   The column, one of SORT_COLUMNS.
+     * @param string $label    The column label.
+     * @param string $base_url The URL of the report with the current filters.
+     * @param string $orderby  The current sort column.
+     * @param string $order    The current order.
+     * @private
+     */
+    private function render_sortable_header(string $column, string $label, string $base_url, string $orderby, string $order): void
+    {
+        $is_sorted = $orderby === $column;
+        $next_order = $is_sorted && $order === 'asc' ? 'desc' : 'asc';
+        $class = $is_sorted ? 'sorted ' . $order : 'sortable ' . ($next_order === 'asc' ? 'desc' : 'asc');
+        ?>
+        <th scope="col" class="manage-column <?php echo esc_attr($class); ?>">
+            <a href="<?php echo esc_url(add_query_arg(['orderby' => $column, 'order' => $next_order], $base_url)); ?>">
+                <span><?php echo esc_html($label); ?></span>
+                <span class="sorting-indicator"></span>
+            </a>
+        </th>
+        <?php
+    }
+
+    /**
+     * Renders the links to the posts having the same or a similar description.
+     *
+     * @param array<int, int>                  $post_ids The IDs of the duplicates.
+     * @param array<int, array<string, mixed>> $rows     All the rows of the report, keyed by post ID.
+     * @private
+     */
+    private function render_duplicate_links(array $post_ids, array $rows): void
+    {
+        if (empty($post_ids)) {
+            return;
+        }
+
+        $links = [];
+        foreach (array_slice($post_ids, 0, self::MAX_DUPLICATE_LINKS) as $post_id) {
+            $title = $rows[$post_id]['title'] ?? '';
+            $links[] = sprintf('<a href="%s">%s</a>', esc_url((string) get_edit_post_link($post_id)), esc_html($title !== '' ? $title : '#' . $post_id));
+        }
+
+        $more = count($post_ids) - self::MAX_DUPLICATE_LINKS;
+        if ($more > 0) {
+            /* translators: %s: Number of other posts */
+            $links[] = esc_html(sprintf(_n('and %s more', 'and %s more', $more, 'mso-ai-meta-description'), number_format_i18n($more)));
+        }
+
+        echo ': ' . wp_kses_post(implode(', ', $links));
+    }
+
+    /**
+     * Get a query argument of the report URL, limited to the allowed values.
+     *
+     * @param string        $name    The argument name.
+     * @param array<string> $allowed The allowed values.
+     * @param string        $default The value used when the argument is missing or not allowed.
+     * @return string The value.
+     * @private
+     */
+    private function get_query_arg(string $name, array $allowed, string $default): string
+    {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Verified with the tab nonce, read-only.
+        $value = isset($_GET[$name]) ? sanitize_key($_GET[$name]) : '';
+
+        return in_array($value, $allowed, true) ? $value : $default;
+    }
+
+    /**
+     * Get the name of the transient caching the normalized descriptions compared by the duplicates check
+     * of the edit screens.
+     *
+     * @return string The transient name.
+     * @private
+     */
+    private static function get_normalized_descriptions_transient_name(): string
+    {
+        return MSO_AI_Meta_Description::get_option_prefix() . 'normalized_descriptions';
+    }
+}
@@ -0,0 +1,726 @@
+<?php
+
+/**
+ * MSO AI Meta Description REST Controller
+ *
+ * Exposes the plugin features under the 'mso-ai/v1' REST namespace, for the admin
+ * scripts (through wp.apiFetch) as well as headless front ends and external scripts:
+ * - POST /generate: generates one or several descriptions (or social descriptions, with 'variant'),
+ *   for a post or, with 'object_type' and 'object_id', for a term, an author or a post type archive.
+ *   With WPML or Polylang, 'language' sets the target language and 'translate_from' translates
+ *   the description of another translation of the post.
+ * - GET /models/{provider}: lists the models of a provider (cached, fetched again with 'refresh').
+ * - POST /providers/{provider}/test: tests the connection to a provider with its saved settings.
+ * - POST /prompts/test: runs a prompt template against a post with a provider (settings test bench).
+ * - GET|POST /posts/{id}/description: reads or updates the description of a post.
+ * - GET /posts/{id}/history: lists the history of the description of a post, with its provenance.
+ * - GET /posts/{id}/auto-status: reads the status of the automatic generation of a post.
+ * - GET /posts/{id}/translations: reads the language of a post and the descriptions of its translations.
+ * - GET /posts/{id}/duplicates: finds the other posts having the same or a similar description (quality warnings).
+ * - GET /bulk/status: counts the posts with and without a description.
+ *
+ * Capability checks are equivalent to the AJAX handlers (Ajax.php, BulkGenerator.php).
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\AbstractProvider;
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+use MSO_AI_Meta_Description\Utils\DescriptionQuality;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
+use MSO_AI_Meta_Description\Utils\PostContent;
+use MSO_AI_Meta_Description\Utils\PromptTemplate;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Registers and handles the plugin REST routes.
+ */
+class RestController
+{
+    /**
+     * The REST namespace of the plugin routes.
+     */
+    public const string NAMESPACE = 'mso-ai/v1';
+
+    /**
+     * Instance of the ApiClient used to interact with external AI APIs.
+     */
+    private ApiClient $api_client;
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Instance of the BulkGenerator class, providing the bulk status counts.
+     */
+    private BulkGenerator $bulk_generator;
+
+    /**
+     * Names of the registered providers.
+     * @var array<string>
+     */
+    private array $registered_providers;
+
+    /**
+     * Constructor.
+     *
+     * @param ApiClient     $api_client           An instance of the ApiClient.
+     * @param string        $meta_key             The key used for storing the meta description.
+     * @param BulkGenerator $bulk_generator       The BulkGenerator instance, providing the bulk status.
+     * @param array<string> $registered_providers List all provider.
+     */
+    public function __construct(ApiClient $api_client, string $meta_key, BulkGenerator $bulk_generator, array $registered_providers)
+    {
+        $this->api_client = $api_client;
+        $this->meta_key = $meta_key;
+        $this->bulk_generator = $bulk_generator;
+        $this->registered_providers = $registered_providers;
+    }
+
+    /**
+     * Registers the rest_api_init hook.
+     */
+    public function register_hooks(): void
+    {
+        add_action('rest_api_init', [$this, 'register_routes']);
+    }
+
+    /**
+     * Registers the plugin REST routes.
+     */
+    public function register_routes(): void
+    {
+        register_rest_route(self::NAMESPACE, '/generate', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'generate'],
+            'permission_callback' => [$this, 'can_generate'],
+            'args' => [
+                'provider' => [
+                    'type' => 'string',
+                    'required' => true,
+                    'enum' => array_merge([ApiClient::AUTO_PROVIDER], $this->registered_providers),
+                ],
+                'content' => [
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+                'post_id' => [
+                    'type' => 'integer',
+                    'default' => 0,
+                    'minimum' => 0,
+                ],
+                'post_type' => [
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_key',
+                ],
+                'title' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'excerpt' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'outline' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'focus_keyword' => [
+                    'type' => 'string',
+                    'default' => '',
+                ],
+                'object_type' => [
+                    'type' => 'string',
+                    'default' => '',
+                    'enum' => array_merge([''], ArchiveDescriptions::OBJECT_TYPES),
+                ],
+                'object_id' => [
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_key',
+                ],
+                'variant' => [
+                    'type' => 'string',
+                    'default' => 'description',
+                    'enum' => ['description', PostContent::SOCIAL_VARIANT],
+                ],
+                'language' => [
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_key',
+                ],
+                'translate_from' => [
+                    'type' => 'integer',
+                    'default' => 0,
+                    'minimum' => 0,
+                ],
+                'count' => [
+                    'type' => 'integer',
+                    'default' => 1,
+                    'minimum' => 1,
+                    'maximum' => MSO_AI_Meta_Description::MAX_CANDIDATE_COUNT,
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/models/(?P<provider>[a-z0-9_-]+)', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_models'],
+            'permission_callback' => [$this, 'can_manage_options'],
+            'args' => [
+                'provider' => [
+                    'type' => 'string',
+                    'enum' => $this->registered_providers,
+                ],
+                'refresh' => [
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/providers/(?P<provider>[a-z0-9_-]+)/test', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'test_connection'],
+            'permission_callback' => [$this, 'can_manage_options'],
+            'args' => [
+                'provider' => [
+                    'type' => 'string',
+                    'enum' => $this->registered_providers,
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/prompts/test', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'test_prompt'],
+            'permission_callback' => [$this, 'can_manage_options'],
+            'args' => [
+                'provider' => [
+                    'type' => 'string',
+                    'required' => true,
+                    'enum' => $this->registered_providers,
+                ],
+                'post_id' => [
+                    'type' => 'integer',
+                    'required' => true,
+                    'minimum' => 1,
+                ],
+                'template' => [
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_textarea_field',
+                ],
+                'template_id' => [
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_key',
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/posts/(?P<id>\d+)/description', [
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'get_description'],
+                'permission_callback' => [$this, 'can_edit_post'],
+            ],
+            [
+                'methods' => WP_REST_Server::EDITABLE,
+                'callback' => [$this, 'update_description'],
+                'permission_callback' => [$this, 'can_edit_post'],
+                'args' => [
+                    'description' => [
+                        'type' => 'string',
+                        'required' => true,
+                        'sanitize_callback' => 'sanitize_text_field',
+                    ],
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/posts/(?P<id>\d+)/history', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_history'],
+            'permission_callback' => [$this, 'can_edit_post'],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/posts/(?P<id>\d+)/auto-status', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_auto_status'],
+            'permission_callback' => [$this, 'can_edit_post'],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/posts/(?P<id>\d+)/translations', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_translations'],
+            'permission_callback' => [$this, 'can_edit_post'],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/posts/(?P<id>\d+)/duplicates', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_duplicates'],
+            'permission_callback' => [$this, 'can_edit_post'],
+            'args' => [
+                'description' => [
+                    'type' => 'string',
+                    'required' => true,
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/bulk/status', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_bulk_status'],
+            'permission_callback' => [$this, 'can_manage_options'],
+            'args' => [
+                'post_types' => [
+                    'type' => 'array',
+                    'items' => ['type' => 'string'],
+                    'default' => [],
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Permission callback of the generate route: same checks as the generate AJAX action,
+     * or the capability to edit the term, user or archive description.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return bool True if the current user can generate descriptions.
+     */
+    public function can_generate(WP_REST_Request $request): bool
+    {
+        $object_type = (string) $request['object_type'];
+        if ($object_type !== '') {
+            return ArchiveDescriptions::can_edit($object_type, (string) $request['object_id']);
+        }
+
+        $post_id = (int) $request['post_id'];
+
+        return current_user_can('edit_posts') && (! $post_id || current_user_can('edit_post', $post_id));
+    }
+
+    /**
+     * Permission callback of the routes restricted to administrators (models, bulk status).
+     *
+     * @return bool True if the current user can manage options.
+     */
+    public function can_manage_options(): bool
+    {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Permission callback of the post description routes.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return bool True if the post exists and the current user can edit it.
+     */
+    public function can_edit_post(WP_REST_Request $request): bool
+    {
+        $post_id = (int) $request['id'];
+
+        return get_post($post_id) !== null && current_user_can('edit_post', $post_id);
+    }
+
+    /**
+     * Generates one or several descriptions from the given content, or from the saved content of 'post_id'.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response|WP_Error The summary, the candidates and the provider that answered, or an error.
+     */
+    public function generate(WP_REST_Request $request): WP_REST_Response|WP_Error
+    {
+        $provider = (string) $request['provider'];
+        $content = (string) $request['content'];
+        $post_id = (int) $request['post_id'];
+        $count = (int) $request['count'];
+
+        if ($request['object_type'] !== '') {
+            $input = ArchiveDescriptions::get_generation_input((string) $request['object_type'], (string) $request['object_id']);
+
+            if (is_wp_error($input)) {
+                return $input;
+            }
+
+            $content = $input['content'];
+            $context = $input['context'];
+        } else {
+            if ($content === '' && $post_id) {
+                $post = get_post($post_id);
+                $content = $post ? PostContent::get_plain_text($post) : '';
+            }
+
+            $context = PostContent::get_context(
+                $post_id ? get_post($post_id) : null,
+                $request->get_params()
+            );
+
+            // A translation only needs the description to translate, the post may have no content yet.
+            if (! empty($context['source_description'])) {
+                $content = $context['source_description'];
+            }
+        }
+
+        if ($content === '') {
+            return new WP_Error('empty_content', __('Content cannot be empty.', 'mso-ai-meta-description'), ['status' => 400]);
+        }
+
+        if ($count > 1 && $provider !== ApiClient::AUTO_PROVIDER) {
+            $result = $this->api_client->generate_summaries($provider, $content, $count, $context);
+
+            if (is_wp_error($result)) {
+                return $this->prepare_error($result);
+            }
+
+            if (empty($result)) {
+                return new WP_Error('empty_response', __('The AI provider returned no description.', 'mso-ai-meta-description'), ['status' => 502]);
+            }
+
+            return rest_ensure_response([
+                'summary' => $result[0],
+                'summaries' => $result,
+            ]);
+        }
+
+        $result = $this->api_client->generate_summary($provider, $content, $context);
+
+        if (is_wp_error($result)) {
+            return $this->prepare_error($result);
+        }
+
+        $provider_instance = ProviderManager::get_provider($result['provider']);
+
+        return rest_ensure_response([
+            'summary' => $result['summary'],
+            'summaries' => [$result['summary']],
+            'provider' => $result['provider'],
+            'providerTitle' => $provider_instance ? ucfirst($provider_instance->get_title()) : $result['provider'],
+        ]);
+    }
+
+    /**
+     * Lists the models of a provider.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response|WP_Error The models, or an error.
+     */
+    public function get_models(WP_REST_Request $request): WP_REST_Response|WP_Error
+    {
+        $result = $this->api_client->fetch_models((string) $request['provider'], (bool) $request['refresh']);
+
+        if (is_wp_error($result)) {
+            if ($result->get_error_code() === 'api_key_missing') {
+                $result->add_data(['status' => 400]);
+            }
+
+            return $this->prepare_error($result);
+        }
+
+        return rest_ensure_response($result);
+    }
+
+    /**
+     * Tests the connection to a provider with its saved settings.
+     * A failed connection is reported in the response, not as an error, as it is the outcome of the test.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response The result: 'success', 'message', and the test details on success.
+     */
+    public function test_connection(WP_REST_Request $request): WP_REST_Response
+    {
+        $result = $this->api_client->test_connection((string) $request['provider']);
+
+        if (is_wp_error($result)) {
+            return rest_ensure_response([
+                'success' => false,
+                'message' => $result->get_error_message(),
+            ]);
+        }
+
+        $message = sprintf(
+            /* translators: 1: Number of models, 2: Duration in milliseconds */
+            _n('Connection successful: %1$d model available (%2$d ms).', 'Connection successful: %1$d models available (%2$d ms).', $result['modelCount'], 'mso-ai-meta-description'),
+            $result['modelCount'],
+            $result['duration']
+        );
+        if ($result['model'] !== '' && ! $result['modelAvailable']) {
+            /* translators: %s: Model ID */
+            $message .= ' ' . sprintf(__('The selected model "%s" is no longer available.', 'mso-ai-meta-description'), $result['model']);
+        }
+
+        return rest_ensure_response(['success' => true, 'message' => $message] + $result);
+    }
+
+    /**
+     * Runs a prompt template against a post with a provider, without fallback.
+     *
+     * The template is the shared template 'template_id', or 'template' (e.g. the custom prompt as typed),
+     * or the default prompt. A generation error is returned with the prompt, so that it can still be reviewed.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response|WP_Error The prompt sent and the output (or the generation error), or an error.
+     */
+    public function test_prompt(WP_REST_Request $request): WP_REST_Response|WP_Error
+    {
+        $provider = ProviderManager::get_provider((string) $request['provider']);
+        $post = get_post((int) $request['post_id']);
+
+        if (! $provider || ! $post) {
+            return new WP_Error('not_found', __('Provider or post not found.', 'mso-ai-meta-description'), ['status' => 404]);
+        }
+
+        $template_id = (string) $request['template_id'];
+        $template = $template_id !== '' ? PromptTemplate::get_template($template_id) : (string) $request['template'];
+
+        if ($template === null) {
+            return new WP_Error('not_found', __('Prompt template not found.', 'mso-ai-meta-description'), ['status' => 404]);
+        }
+
+        $validation = PromptTemplate::validate($template);
+        if (is_wp_error($validation)) {
+            return $validation;
+        }
+
+        $content = PostContent::get_plain_text($post);
+        if ($content === '') {
+            return new WP_Error('empty_content', __('Content cannot be empty.', 'mso-ai-meta-description'), ['status' => 400]);
+        }
+
+        $budget = ApiClient::check_budget($provider->get_name());
+        if (is_wp_error($budget)) {
+            return $budget;
+        }
+
+        $context = PostContent::get_context($post);
+        $context['prompt_template'] = $template !== '' ? $template : AbstractProvider::get_default_prompt_template();
+
+        $output = $provider->generate_summary($content, $context);
+
+        return rest_ensure_response([
+            'prompt' => $provider->get_summary_prompt($content, $context),
+            'output' => is_wp_error($output) ? '' : $output,
+            'error' => is_wp_error($output) ? $output->get_error_message() : '',
+        ]);
+    }
+
+    /**
+     * Returns the description of a post with its length status.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response The description data.
+     */
+    public function get_description(WP_REST_Request $request): WP_REST_Response
+    {
+        return rest_ensure_response($this->prepare_description((int) $request['id']));
+    }
+
+    /**
+     * Updates the description of a post. An empty description deletes it.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response The updated description data.
+     */
+    public function update_description(WP_REST_Request $request): WP_REST_Response
+    {
+        $post_id = (int) $request['id'];
+        $description = (string) $request['description'];
+        AutoGenerator::clear_status_on_manual_save($post_id, (string) get_post_meta($post_id, $this->meta_key, true), $description);
+
+        if ($description === '') {
+            delete_post_meta($post_id, $this->meta_key);
+        } else {
+            update_post_meta($post_id, $this->meta_key, $description);
+        }
+
+        return rest_ensure_response($this->prepare_description($post_id));
+    }
+
+    /**
+     * Lists the history of the description of a post, newest first.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response The history entries (value, date, author, source, current).
+     */
+    public function get_history(WP_REST_Request $request): WP_REST_Response
+    {
+        return rest_ensure_response(DescriptionHistory::prepare_entries((int) $request['id']));
+    }
+
+    /**
+     * Get the status of the automatic generation of a post, polled by the admin scripts.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response The status ('queued', 'generated', 'failed' or empty), its label and the current description.
+     */
+    public function get_auto_status(WP_REST_Request $request): WP_REST_Response
+    {
+        $post_id = (int) $request['id'];
+        $status = AutoGenerator::get_status($post_id);
+
+        return rest_ensure_response([
+            'status' => (string) ($status['status'] ?? ''),
+            'label' => AutoGenerator::get_status_label($status),
+            'description' => (string) get_post_meta($post_id, $this->meta_key, true),
+        ]);
+    }
+
+    /**
+     * Reads the language of a post, the languages of the site and the descriptions of its translations.
+     *
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response The language data (see Multilingual::prepare_translations()), with 'active'
+     *                          false and no data when neither WPML nor Polylang is active.
+     */
+    public function get_translations(WP_REST_Request $request): WP_REST_Response
+    {
+        if (! Multilingual::is_active()) {
+            return rest_ensure_response(['active' => false]);
+        }
+
+        return rest_ensure_response(['active' => true] + Multilingual::prepare_translations((int) $request['id']));
+    }
+
+    /**
+     * Finds the other posts whose description is identical or similar to the given description,
+     * typically the description being typed in the meta box. Only the posts the user can read are listed.
+     *
+     * @param WP_REST_Request $request The request, with the 'description' to check.
+     * @return WP_REST_Response The posts (ID, title, edit link and whether the description is identical).
+     */
+    public function get_duplicates(WP_REST_Request $request): WP_REST_Response
+    {
+        $post_id = (int) $request['id'];
+        $descriptions = QualityAudit::get_normalized_descriptions();
+        unset($descriptions[$post_id]);
+
+        $duplicates = DescriptionQuality::find_duplicates_of((string) $request['description'], $descriptions);
+
+        $posts = [];
+        foreach (['exact' => true, 'near' => false] as $type => $exact) {
+            foreach ($duplicates[$type] as $duplicate_id) {
+                if (! current_user_can('read_post', $duplicate_id)) {
+                    continue;
+                }
+
+                $posts[] = [
+                    'postId' => $duplicate_id,
+                    'title' => get_the_title($duplicate_id) ?: __('(no title)', 'mso-ai-meta-description'),
+                    'editLink' => (string) get_edit_post_link($duplicate_id, 'raw'),
+                    'exact' => $exact,
+                ];
+            }
+        }
+
+        return rest_ensure_response($posts);
+    }
+
+    /**
+     * Counts the posts with and without a description, per post type.
+     *
+     * @param WP_REST_Request $request The request, optionally restricting the 'post_types'.
+     * @return WP_REST_Response The counts per post type and the totals.
+     */
+    public function get_bulk_status(WP_REST_Request $request): WP_REST_Response
+    {
+        $supported_post_types = BlockEditor::get_supported_post_types();
+        $requested_post_types = array_map('sanitize_key', (array) $request['post_types']);
+        $post_types = empty($requested_post_types)
+            ? array_values($supported_post_types)
+            : array_values(array_intersect($requested_post_types, $supported_post_types));
+
+        $status = [];
+        $total = 0;
+        $missing = 0;
+
+        foreach ($post_types as $post_type) {
+            $counts = $this->bulk_generator->count_posts($post_type);
+            $post_type_object = get_post_type_object($post_type);
+
+            $status[] = [
+                'postType' => $post_type,
+                'label' => $post_type_object ? $post_type_object->labels->name : $post_type,
+                'total' => $counts['total'],
+                'missing' => $counts['missing'],
+            ];
+            $total += $counts['total'];
+            $missing += $counts['missing'];
+        }
+
+        return rest_ensure_response([
+            'postTypes' => $status,
+            'total' => $total,
+            'missing' => $missing,
+        ]);
+    }
+
+    /**
+     * Builds the description data of a post.
+     *
+     * @param int $post_id The post ID.
+     * @return array<string, mixed> The description, its length and status against the rules of the post type.
+     * @private
+     */
+    private function prepare_description(int $post_id): array
+    {
+        $description = (string) get_post_meta($post_id, $this->meta_key, true);
+        $length = mb_strlen($description);
+        $rules = GenerationRules::get((string) get_post_type($post_id));
+
+        if ($length === 0) {
+            $status = 'empty';
+        } elseif ($length < $rules['min']) {
+            $status = 'short';
+        } elseif ($length > $rules['max']) {
+            $status = 'long';
+        } else {
+            $status = 'good';
+        }
+
+        return [
+            'id' => $post_id,
+            'description' => $description,
+            'length' => $length,
+            'min' => $rules['min'],
+            'max' => $rules['max'],
+            'status' => $status,
+        ];
+    }
+
+    /**
+     * Ensures a provider error carries an HTTP error status (500 by default).
+     *
+     * @param WP_Error $error The error returned by the ApiClient.
+     * @return WP_Error The error with a status of at least 400.
+     * @private
+     */
+    private function prepare_error(WP_Error $error): WP_Error
+    {
+        $error_data = $error->get_error_data();
+        $status_code = is_array($error_data) && isset($error_data['status']) ? (int) $error_data['status'] : 500;
+
+        if ($status_code < 400) {
+            $error->add_data(array_merge(is_array($error_data) ? $error_data : [], ['status' => 500]));
+        }
+
+        return $error;
+    }
+}
@@ -0,0 +1,230 @@
+<?php
+
+/**
+ * MSO AI Meta Description SEO Plugins Compatibility
+ *
+ * Detects Yoast SEO, Rank Math and All in One SEO, which print their own description tag.
+ * Depending on the compatibility mode (Options tab), when one of them is active the plugin
+ * either still prints its tags, suppresses them, or suppresses them and copies each saved
+ * description into the meta of the active SEO plugins, so that they print it.
+ *
+ * Also provides the SEO plugins known to the importer (SeoImporter), with the meta key
+ * of their post descriptions and the syntax of their replacement variables.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use WP_Post;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Coexistence with the other SEO plugins.
+ */
+class SeoCompatibility
+{
+    /**
+     * Option name suffix (after the plugin option prefix) storing the compatibility mode.
+     */
+    public const string MODE_OPTION = 'seo_plugins_mode';
+
+    /**
+     * Mode printing the tags of this plugin even when another SEO plugin is active.
+     */
+    public const string MODE_OUTPUT = 'output';
+
+    /**
+     * Mode suppressing the tags of this plugin when another SEO plugin is active.
+     */
+    public const string MODE_SUPPRESS = 'suppress';
+
+    /**
+     * Mode suppressing the tags of this plugin and copying the saved descriptions into the active SEO plugins.
+     */
+    public const string MODE_SYNC = 'sync';
+
+    /**
+     * Known SEO plugins: title, constant defined when the plugin is active, post meta key of the
+     * description, and pattern of the replacement variables (e.g. %%title%%, %title%, #post_title).
+     * All in One SEO 4 stores the descriptions in its own table and mirrors them in the post meta.
+     */
+    public const array PLUGINS = [
+        'yoast' => [
+            'title' => 'Yoast SEO',
+            'constant' => 'WPSEO_VERSION',
+            'meta_key' => '_yoast_wpseo_metadesc',
+            'variable_pattern' => '/%%[a-z0-9_]+%%/i',
+        ],
+        'rank_math' => [
+            'title' => 'Rank Math',
+            'constant' => 'RANK_MATH_VERSION',
+            'meta_key' => 'rank_math_description',
+            'variable_pattern' => '/%[a-z0-9_]+%/i',
+        ],
+        'aioseo' => [
+            'title' => 'All in One SEO',
+            'constant' => 'AIOSEO_VERSION',
+            'meta_key' => '_aioseo_description',
+            'variable_pattern' => '/#[a-z0-9]+_[a-z0-9_]+/i',
+        ],
+    ];
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Whether the sync is suspended, see without_sync().
+     */
+    private static bool $sync_suspended = false;
+
+    /**
+     * Constructor.
+     *
+     * @param string $meta_key The key used for storing the meta description.
+     */
+    public function __construct(string $meta_key)
+    {
+        $this->meta_key = $meta_key;
+    }
+
+    /**
+     * Registers the hooks copying the saved descriptions into the active SEO plugins.
+     */
+    public function register_hooks(): void
+    {
+        add_action('added_post_meta', [$this, 'sync_description'], 10, 4);
+        add_action('updated_post_meta', [$this, 'sync_description'], 10, 4);
+    }
+
+    /**
+     * Copies a saved description into the meta of the active SEO plugins, in the sync mode.
+     *
+     * @param int    $meta_id    The meta ID.
+     * @param int    $post_id    The post ID.
+     * @param string $meta_key   The meta key.
+     * @param mixed  $meta_value The saved meta value.
+     */
+    public function sync_description(int $meta_id, int $post_id, string $meta_key, mixed $meta_value): void
+    {
+        if (self::$sync_suspended || $meta_key !== $this->meta_key || ! is_string($meta_value) || $meta_value === '' || wp_is_post_revision($post_id) || self::get_mode() !== self::MODE_SYNC) {
+            return;
+        }
+
+        foreach (array_keys(self::get_active_plugins()) as $plugin) {
+            update_post_meta($post_id, self::PLUGINS[$plugin]['meta_key'], $meta_value);
+
+            if ($plugin === 'aioseo') {
+                $this->sync_aioseo_description($post_id, $meta_value);
+            }
+        }
+    }
+
+    /**
+     * Runs a callback without copying the descriptions it saves into the SEO plugins,
+     * e.g. while importing them from one of these plugins (SeoImporter).
+     *
+     * @param callable $callback The callback.
+     * @return mixed The value returned by the callback.
+     */
+    public static function without_sync(callable $callback): mixed
+    {
+        self::$sync_suspended = true;
+
+        try {
+            return $callback();
+        } finally {
+            self::$sync_suspended = false;
+        }
+    }
+
+    /**
+     * Get the active SEO plugins.
+     *
+     * @return array<string, string> The titles of the active SEO plugins, keyed by plugin slug.
+     */
+    public static function get_active_plugins(): array
+    {
+        $active_plugins = [];
+        foreach (self::PLUGINS as $plugin => $definition) {
+            if (defined($definition['constant'])) {
+                $active_plugins[$plugin] = $definition['title'];
+            }
+        }
+
+        return $active_plugins;
+    }
+
+    /**
+     * Get the compatibility mode set on the Options tab.
+     *
+     * @return string One of the MODE_* constants.
+     */
+    public static function get_mode(): string
+    {
+        $mode = (string) get_option(MSO_AI_Meta_Description::get_option_prefix() . self::MODE_OPTION, self::MODE_SUPPRESS);
+
+        return in_array($mode, [self::MODE_OUTPUT, self::MODE_SUPPRESS, self::MODE_SYNC], true) ? $mode : self::MODE_SUPPRESS;
+    }
+
+    /**
+     * Checks whether the tags of this plugin must not be printed, because another SEO plugin prints them.
+     *
+     * @return bool True if the output is suppressed.
+     */
+    public static function is_output_suppressed(): bool
+    {
+        return self::get_mode() !== self::MODE_OUTPUT && ! empty(self::get_active_plugins());
+    }
+
+    /**
+     * Replaces the variables of a description imported from an SEO plugin (e.g. %%title%%).
+     * The variables are resolved by the SEO plugin when it is active, and removed otherwise.
+     *
+     * @param string  $plugin      The plugin slug, a key of PLUGINS.
+     * @param string  $description The description stored by the SEO plugin.
+     * @param WP_Post $post        The post of the description.
+     * @return string The description without variables.
+     */
+    public static function replace_variables(string $plugin, string $description, WP_Post $post): string
+    {
+        if (defined(self::PLUGINS[$plugin]['constant'])) {
+            if ($plugin === 'yoast' && function_exists('wpseo_replace_vars')) {
+                $description = (string) wpseo_replace_vars($description, $post);
+            } elseif ($plugin === 'rank_math' && is_callable(['\RankMath\Helper', 'replace_vars'])) {
+                $description = (string) \RankMath\Helper::replace_vars($description, $post);
+            } elseif ($plugin === 'aioseo' && function_exists('aioseo') && isset(aioseo()->tags)) {
+                $description = (string) aioseo()->tags->replaceTags($description, $post->ID);
+            }
+        }
+
+        $description = (string) preg_replace(self::PLUGINS[$plugin]['variable_pattern'], '', $description);
+
+        return trim((string) preg_replace('/\s+/', ' ', $description));
+    }
+
+    /**
+     * Updates the description in the table of All in One SEO 4, from which it prints its tags.
+     *
+     * @param int    $post_id     The post ID.
+     * @param string $description The description.
+     * @private
+     */
+    private function sync_aioseo_description(int $post_id, string $description): void
+    {
+        if (! class_exists('\AIOSEO\Plugin\Common\Models\Post')) {
+            return;
+        }
+
+        $aioseo_post = \AIOSEO\Plugin\Common\Models\Post::getPost($post_id);
+        $aioseo_post->post_id = $post_id;
+        $aioseo_post->description = $description;
+        $aioseo_post->save();
+    }
+}
@@ -0,0 +1,276 @@
+<?php
+
+/**
+ * MSO AI Meta Description SEO Importer
+ *
+ * Provides the "Import" tab of the settings page, copying the post descriptions stored by
+ * Yoast SEO, Rank Math or All in One SEO into the meta description of this plugin.
+ * The posts having a description in the source plugin are processed by batches through AJAX,
+ * either as a dry run listing what would be imported, or for real. Existing descriptions
+ * are kept or replaced, according to the chosen overwrite policy.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use WP_Query;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Manages the import screen and its AJAX endpoint.
+ */
+class SeoImporter implements SettingsTabInterface
+{
+    /**
+     * Slug of the import tab.
+     */
+    public const string TAB_SLUG = 'import';
+
+    /**
+     * Number of posts processed per batch.
+     */
+    private const int BATCH_SIZE = 50;
+
+    /**
+     * Outcome of a post whose description is imported.
+     */
+    private const string ACTION_IMPORT = 'import';
+
+    /**
+     * Outcome of a post whose existing description is replaced.
+     */
+    private const string ACTION_OVERWRITE = 'overwrite';
+
+    /**
+     * Outcome of a post whose existing description is kept.
+     */
+    private const string ACTION_SKIP = 'skip';
+
+    /**
+     * The nonce action string used for verifying AJAX requests.
+     */
+    private string $nonce_action;
+
+    /**
+     * The meta key used to store the description in post meta.
+     */
+    private string $meta_key;
+
+    /**
+     * Constructor.
+     *
+     * @param string $nonce_action The nonce action name for security checks.
+     * @param string $meta_key     The key used for storing the meta description.
+     */
+    public function __construct(string $nonce_action, string $meta_key)
+    {
+        $this->nonce_action = $nonce_action;
+        $this->meta_key = $meta_key;
+    }
+
+    /**
+     * Registers the WordPress AJAX hook of the import endpoint.
+     */
+    public function register_hooks(): void
+    {
+        add_action('wp_ajax_mso_ai_import_descriptions', [$this, 'handle_import']);
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_slug(): string
+    {
+        return self::TAB_SLUG;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_label(): string
+    {
+        return __('Import', 'mso-ai-meta-description');
+    }
+
+    /**
+     * Renders the import screen.
+     */
+    public function render_tab(): void
+    {
+        $active_plugins = SeoCompatibility::get_active_plugins();
+        ?>
+        <div id="mso-ai-import" class="mso-ai-import">
+            <h2><?php esc_html_e('Import from another SEO plugin', 'mso-ai-meta-description'); ?></h2>
+            <p class="description"><?php esc_html_e('Copies the post descriptions stored by another SEO plugin into the meta descriptions of this plugin. The source plugin does not need to be active; its variables (e.g. %%title%%) are resolved when it is, and removed otherwise. Run a preview first: it lists what would be imported without saving anything.', 'mso-ai-meta-description'); ?></p>
+            <?php if (! empty($active_plugins)) : ?>
+                <div class="notice notice-info inline">
+                    <p>
+                        <?php
+                        /* translators: %s: Comma-separated list of SEO plugins (e.g., Yoast SEO, Rank Math) */
+                        echo esc_html(sprintf(__('Active SEO plugins: %s. See the SEO plugins compatibility setting on the Options tab to avoid duplicate description tags.', 'mso-ai-meta-description'), implode(', ', $active_plugins)));
+                        ?>
+                    </p>
+                </div>
+            <?php endif; ?>
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><label for="mso-ai-import-source"><?php esc_html_e('Source', 'mso-ai-meta-description'); ?></label></th>
+                    <td>
+                        <select id="mso-ai-import-source">
+                            <?php foreach (SeoCompatibility::PLUGINS as $plugin => $definition) : ?>
+                                <option value="<?php echo esc_attr($plugin); ?>">
+                                    <?php
+                                    $count = $this->count_posts($plugin);
+                                    /* translators: 1: SEO plugin title (e.g., Yoast SEO), 2: Number of posts */
+                                    echo esc_html(sprintf(_n('%1$s (%2$s post)', '%1$s (%2$s posts)', $count, 'mso-ai-meta-description'), $definition['title'], number_format_i18n($count)));
+                                    ?>
+                                </option>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e('Existing descriptions', 'mso-ai-meta-description'); ?></th>
+                    <td>
+                        <fieldset>
+                            <label><input type="radio" name="mso-ai-import-overwrite" value="0" checked> <?php esc_html_e('Keep them', 'mso-ai-meta-description'); ?></label><br>
+                            <label><input type="radio" name="mso-ai-import-overwrite" value="1"> <?php esc_html_e('Replace them with the imported descriptions', 'mso-ai-meta-description'); ?></label>
+                        </fieldset>
+                    </td>
+                </tr>
+            </table>
+            <p>
+                <button type="button" class="button" id="mso-ai-import-preview"><?php esc_html_e('Preview', 'mso-ai-meta-description'); ?></button>
+                <button type="button" class="button button-primary" id="mso-ai-import-start"><?php esc_html_e('Import', 'mso-ai-meta-description'); ?></button>
+                <span class="spinner mso-ai-spinner"></span>
+            </p>
+            <div class="mso-ai-import-progress" hidden>
+                <progress id="mso-ai-import-progress-bar" value="0" max="0"></progress>
+                <span id="mso-ai-import-progress-text"></span>
+            </div>
+            <table class="widefat striped mso-ai-import-table" hidden>
+                <thead>
+                <tr>
+                    <th scope="col"><?php esc_html_e('Title', 'mso-ai-meta-description'); ?></th>
+                    <th scope="col"><?php esc_html_e('Current description', 'mso-ai-meta-description'); ?></th>
+                    <th scope="col"><?php esc_html_e('Imported description', 'mso-ai-meta-description'); ?></th>
+                    <th scope="col"><?php esc_html_e('Action', 'mso-ai-meta-description'); ?></th>
+                </tr>
+                </thead>
+                <tbody id="mso-ai-import-rows"></tbody>
+            </table>
+        </div>
+        <?php
+    }
+
+    /**
+     * AJAX handler importing (or previewing, with 'dry_run') one batch of descriptions.
+     *
+     * Expects 'source' (plugin slug), 'overwrite', 'dry_run', 'page' and 'nonce' in the POST request.
+     * Returns the posts of the batch (title, edit link, current and imported descriptions, action)
+     * with the total counts.
+     */
+    public function handle_import(): void
+    {
+        if (! check_ajax_referer($this->nonce_action, 'nonce', false)) {
+            wp_send_json_error(['message' => __('Invalid nonce.', 'mso-ai-meta-description')], 403);
+        }
+
+        if (! current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'mso-ai-meta-description')], 403);
+        }
+
+        $source = isset($_POST['source']) ? sanitize_key($_POST['source']) : '';
+        $overwrite = isset($_POST['overwrite']) && rest_sanitize_boolean(sanitize_key($_POST['overwrite']));
+        $dry_run = isset($_POST['dry_run']) && rest_sanitize_boolean(sanitize_key($_POST['dry_run']));
+        $page = isset($_POST['page']) ? max(1, absint($_POST['page'])) : 1;
+
+        if (! array_key_exists($source, SeoCompatibility::PLUGINS)) {
+            wp_send_json_error(['message' => __('Invalid source specified.', 'mso-ai-meta-description')], 400);
+        }
+
+        // The posts are ordered by ID and selected on the source meta only, so the pages do not shift while importing.
+        $query = new WP_Query($this->get_source_query_args($source, [
+            'posts_per_page' => self::BATCH_SIZE,
+            'paged' => $page,
+            'orderby' => 'ID',
+            'order' => 'ASC',
+            'update_post_term_cache' => false,
+        ]));
+
+        $rows = [];
+        foreach ($query->posts as $post) {
+            $imported = sanitize_text_field(SeoCompatibility::replace_variables($source, (string) get_post_meta($post->ID, SeoCompatibility::PLUGINS[$source]['meta_key'], true), $post));
+            $current = (string) get_post_meta($post->ID, $this->meta_key, true);
+
+            if ($imported === '' || $imported === $current || ($current !== '' && ! $overwrite)) {
+                $action = self::ACTION_SKIP;
+            } else {
+                $action = $current === '' ? self::ACTION_IMPORT : self::ACTION_OVERWRITE;
+            }
+
+            // In the sync mode, saving the description would overwrite the source meta (and its variables) with the resolved text.
+            if ($action !== self::ACTION_SKIP && ! $dry_run) {
+                SeoCompatibility::without_sync(fn () => update_post_meta($post->ID, $this->meta_key, $imported));
+            }
+
+            $rows[] = [
+                'id' => $post->ID,
+                'title' => get_the_title($post) ?: __('(no title)', 'mso-ai-meta-description'),
+                'editLink' => (string) get_edit_post_link($post->ID, 'raw'),
+                'current' => $current,
+                'imported' => $imported,
+                'action' => $action,
+            ];
+        }
+
+        wp_send_json_success([
+            'rows' => $rows,
+            'total' => (int) $query->found_posts,
+            'totalPages' => (int) $query->max_num_pages,
+        ]);
+    }
+
+    /**
+     * Counts the posts having a description in an SEO plugin.
+     *
+     * @param string $plugin The plugin slug, a key of SeoCompatibility::PLUGINS.
+     * @return int The number of posts.
+     * @private
+     */
+    private function count_posts(string $plugin): int
+    {
+        $query = new WP_Query($this->get_source_query_args($plugin, [
+            'posts_per_page' => 1,
+            'fields' => 'ids',
+        ]));
+
+        return (int) $query->found_posts;
+    }
+
+    /**
+     * Builds the WP_Query arguments selecting the posts having a description in an SEO plugin.
+     *
+     * @param string               $plugin The plugin slug, a key of SeoCompatibility::PLUGINS.
+     * @param array<string, mixed> $args   Additional query arguments (pagination, order...).
+     * @return array<string, mixed> The query arguments.
+     * @private
+     */
+    private function get_source_query_args(string $plugin, array $args): array
+    {
+        return array_merge([
+            'post_type' => array_values(BlockEditor::get_supported_post_types()),
+            'post_status' => BulkGenerator::POST_STATUSES,
+            'no_found_rows' => false,
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Only run on demand from the import screen.
+            'meta_query' => [
+                ['key' => SeoCompatibility::PLUGINS[$plugin]['meta_key'], 'value' => '', 'compare' => '!='],
+            ],
+        ], $args);
+    }
+}
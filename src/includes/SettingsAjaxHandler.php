@@ -14,8 +14,15 @@
 
 namespace MSO_AI_Meta_Description;
 
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\AbstractProvider;
+use MSO_AI_Meta_Description\Providers\ConfigurableProviderInterface;
 use MSO_AI_Meta_Description\Providers\ProviderInterface;
 use MSO_AI_Meta_Description\Providers\ProviderManager;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
+use MSO_AI_Meta_Description\Utils\PromptTemplate;
+use MSO_AI_Meta_Description\Utils\ProviderCredentials;
+use WP_Error;
 
 if (! defined('ABSPATH')) {
     die;
@@ -77,6 +84,10 @@ class SettingsAjaxHandler
             $saved_data = $this->save_provider_settings($active_tab, $option_prefix, $provider_instance);
         }
 
+        if (is_wp_error($saved_data)) {
+            wp_send_json_error(['message' => esc_html($saved_data->get_error_message())], 400);
+        }
+
         wp_send_json_success([
             'message' => esc_html__('Settings saved successfully.', 'mso-ai-meta-description'),
             'saved_data' => $saved_data,
@@ -85,13 +96,23 @@ class SettingsAjaxHandler
 
     /**
      * Saves settings from the 'Settings' tab.
+     * The prompt templates are validated first: nothing is saved if one of them is invalid.
      * @param string $option_prefix The prefix for option names.
-     * @return array<string, mixed> Data that was saved.
+     * @return array<string, mixed>|WP_Error Data that was saved, or WP_Error if a prompt template is invalid.
      * @private
      */
-    private function save_settings(string $option_prefix): array
+    private function save_settings(string $option_prefix): array|WP_Error
     {
+        $templates_option = PromptTemplate::get_option_name();
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in the calling method handle_ajax_save_settings, sanitized by PromptTemplate::validate_templates().
+        $templates = PromptTemplate::validate_templates(isset($_POST[$templates_option]) ? wp_unslash($_POST[$templates_option]) : []);
+        if (is_wp_error($templates)) {
+            return $templates;
+        }
+
         $saved_data = [];
+        update_option($templates_option, $templates);
+        $saved_data[$templates_option] = $templates;
         foreach ($this->providers as $provider) {
             $provider_name = $provider->get_name();
             $enable_option_name = $option_prefix . $provider_name . '_provider_enabled';
@@ -101,6 +122,60 @@ class SettingsAjaxHandler
             $saved_data[$enable_option_name] = $is_enabled;
         }
 
+        $candidate_count_option = $option_prefix . 'candidate_count';
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+        $candidate_count = isset($_POST[$candidate_count_option]) ? absint($_POST[$candidate_count_option]) : MSO_AI_Meta_Description::DEFAULT_CANDIDATE_COUNT;
+        $candidate_count = min(max(1, $candidate_count), MSO_AI_Meta_Description::MAX_CANDIDATE_COUNT);
+        update_option($candidate_count_option, $candidate_count);
+        $saved_data[$candidate_count_option] = $candidate_count;
+
+        foreach ([AutoGenerator::ENABLED_OPTION, AutoGenerator::CONTENT_CHANGE_OPTION] as $auto_generate_option) {
+            $auto_generate_option = $option_prefix . $auto_generate_option;
+            // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+            $is_enabled = isset($_POST[$auto_generate_option]) && rest_sanitize_boolean(sanitize_key($_POST[$auto_generate_option]));
+            update_option($auto_generate_option, $is_enabled);
+            $saved_data[$auto_generate_option] = $is_enabled;
+        }
+
+        foreach ([Frontend::OPEN_GRAPH_OPTION, Frontend::TWITTER_CARD_OPTION] as $social_tags_option) {
+            $social_tags_option = $option_prefix . $social_tags_option;
+            // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+            $is_enabled = isset($_POST[$social_tags_option]) && rest_sanitize_boolean(sanitize_key($_POST[$social_tags_option]));
+            update_option($social_tags_option, $is_enabled);
+            $saved_data[$social_tags_option] = $is_enabled;
+        }
+
+        $seo_plugins_mode_option = $option_prefix . SeoCompatibility::MODE_OPTION;
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+        $seo_plugins_mode = isset($_POST[$seo_plugins_mode_option]) ? sanitize_key($_POST[$seo_plugins_mode_option]) : '';
+        $seo_plugins_mode = in_array($seo_plugins_mode, [SeoCompatibility::MODE_OUTPUT, SeoCompatibility::MODE_SUPPRESS, SeoCompatibility::MODE_SYNC], true) ? $seo_plugins_mode : SeoCompatibility::MODE_SUPPRESS;
+        update_option($seo_plugins_mode_option, $seo_plugins_mode);
+        $saved_data[$seo_plugins_mode_option] = $seo_plugins_mode;
+
+        $fallback_order_option = $option_prefix . ApiClient::FALLBACK_ORDER_OPTION;
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+        $fallback_order = ApiClient::sanitize_fallback_order(isset($_POST[$fallback_order_option]) ? wp_unslash($_POST[$fallback_order_option]) : []);
+        update_option($fallback_order_option, $fallback_order);
+        $saved_data[$fallback_order_option] = $fallback_order;
+
+        $rules_option = GenerationRules::get_option_name();
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in the calling method handle_ajax_save_settings, sanitized by GenerationRules::sanitize().
+        $rules = GenerationRules::sanitize(isset($_POST[$rules_option]) ? wp_unslash($_POST[$rules_option]) : []);
+        update_option($rules_option, $rules);
+        $saved_data[$rules_option] = $rules;
+
+        $archive_descriptions_option = ArchiveDescriptions::get_option_name();
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in the calling method handle_ajax_save_settings, sanitized by ArchiveDescriptions::sanitize().
+        $archive_descriptions = ArchiveDescriptions::sanitize(isset($_POST[$archive_descriptions_option]) ? wp_unslash($_POST[$archive_descriptions_option]) : []);
+        update_option($archive_descriptions_option, $archive_descriptions);
+        $saved_data[$archive_descriptions_option] = $archive_descriptions;
+
+        $prices_option = UsageTracker::get_prices_option_name();
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in the calling method handle_ajax_save_settings, sanitized by UsageTracker::sanitize_prices().
+        $prices = UsageTracker::sanitize_prices(isset($_POST[$prices_option]) ? wp_unslash($_POST[$prices_option]) : []);
+        update_option($prices_option, $prices);
+        $saved_data[$prices_option] = $prices;
+
         return $saved_data;
     }
 
@@ -109,52 +184,95 @@ class SettingsAjaxHandler
      * @param string            $provider_name    The name (slug) of the provider.
      * @param string            $option_prefix    The prefix for option names.
      * @param ProviderInterface $provider_instance The instance of the provider.
-     * @return array<string, mixed> Data that was saved.
+     * @return array<string, mixed>|WP_Error Data that was saved, or WP_Error if the custom prompt is invalid.
      * @private
      */
-    private function save_provider_settings(string $provider_name, string $option_prefix, ProviderInterface $provider_instance): array
+    private function save_provider_settings(string $provider_name, string $option_prefix, ProviderInterface $provider_instance): array|WP_Error
     {
+        $custom_prompt_option_name = $option_prefix . $provider_name . '_custom_summary_prompt';
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+        $custom_prompt = isset($_POST[$custom_prompt_option_name]) ? sanitize_textarea_field(wp_unslash($_POST[$custom_prompt_option_name])) : '';
+        $validation = PromptTemplate::validate($custom_prompt);
+        if (is_wp_error($validation)) {
+            return $validation;
+        }
+
         $saved_data = [];
 
+        // The saved key is never sent back to the form: an empty field keeps it, unless its deletion is checked.
         $api_key_option = $option_prefix . $provider_name . '_api_key';
         $new_api_key_value = '';
-        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
-        if (isset($_POST[$api_key_option])) {
+        if (! ProviderCredentials::is_defined($provider_name, ProviderCredentials::API_KEY)) {
             // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
-            $sanitized_api_key = sanitize_text_field(wp_unslash($_POST[$api_key_option]));
-            update_option($api_key_option, $sanitized_api_key);
-            $saved_data[$api_key_option] = '***';
-            $new_api_key_value = $sanitized_api_key;
-        } else {
-            update_option($api_key_option, '');
-            $saved_data[$api_key_option] = '';
+            $new_api_key_value = isset($_POST[$api_key_option]) ? sanitize_text_field(wp_unslash($_POST[$api_key_option])) : '';
+            // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+            $delete_api_key = ! empty($_POST[$api_key_option . '_delete']);
+            if ($new_api_key_value !== '') {
+                ProviderCredentials::save_api_key($provider_name, $new_api_key_value);
+                $saved_data[$api_key_option] = '***';
+            } elseif ($delete_api_key) {
+                ProviderCredentials::save_api_key($provider_name, '');
+                $saved_data[$api_key_option] = '';
+            }
         }
+        $saved_data['api_key_saved'] = ProviderCredentials::get_api_key($provider_name) !== '';
 
         $model_option = $option_prefix . $provider_name . '_model';
-        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
-        $submitted_model = isset($_POST[$model_option]) ? sanitize_text_field(wp_unslash($_POST[$model_option])) : null;
-        $final_model_value = '';
-        if (! empty($new_api_key_value) && empty($submitted_model)) {
-            $default_model = $provider_instance->get_default_model();
-            $final_model_value = $default_model;
-        } elseif (isset($submitted_model)) {
-            $final_model_value = $submitted_model;
+        if (ProviderCredentials::is_defined($provider_name, ProviderCredentials::MODEL)) {
+            $saved_data[$model_option] = ProviderCredentials::get_model($provider_name);
+        } else {
+            // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+            $submitted_model = isset($_POST[$model_option]) ? sanitize_text_field(wp_unslash($_POST[$model_option])) : null;
+            $final_model_value = '';
+            if (! empty($new_api_key_value) && empty($submitted_model)) {
+                $default_model = $provider_instance->get_default_model();
+                $final_model_value = $default_model;
+            } elseif (isset($submitted_model)) {
+                $final_model_value = $submitted_model;
+            }
+            update_option($model_option, $final_model_value);
+            $saved_data[$model_option] = $final_model_value;
         }
-        update_option($model_option, $final_model_value);
-        $saved_data[$model_option] = $final_model_value;
 
-        $custom_prompt_option_name = wp_unslash($option_prefix . $provider_name . '_custom_summary_prompt');
+        update_option($custom_prompt_option_name, $custom_prompt);
+        $saved_data[$custom_prompt_option_name] = $custom_prompt;
+
+        $prompt_template_option = $option_prefix . $provider_name . '_prompt_template';
         // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
-        if (isset($_POST[$custom_prompt_option_name])) {
-            // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
-            $sanitized_prompt = sanitize_textarea_field(wp_unslash($_POST[$custom_prompt_option_name]));
-            update_option($custom_prompt_option_name, $sanitized_prompt);
-            $saved_data[$custom_prompt_option_name] = $sanitized_prompt;
-        } else {
-            update_option($custom_prompt_option_name, '');
-            $saved_data[$custom_prompt_option_name] = '';
+        $prompt_template = isset($_POST[$prompt_template_option]) ? sanitize_key($_POST[$prompt_template_option]) : '';
+        $prompt_template = array_key_exists($prompt_template, PromptTemplate::get_templates()) ? $prompt_template : '';
+        update_option($prompt_template_option, $prompt_template);
+        $saved_data[$prompt_template_option] = $prompt_template;
+
+        $token_budget_option = $option_prefix . $provider_name . '_content_token_budget';
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in the calling method handle_ajax_save_settings.
+        $token_budget = isset($_POST[$token_budget_option]) ? absint($_POST[$token_budget_option]) : 0;
+        $token_budget = $token_budget > 0 ? $token_budget : AbstractProvider::DEFAULT_CONTENT_TOKEN_BUDGET;
+        update_option($token_budget_option, $token_budget);
+        $saved_data[$token_budget_option] = $token_budget;
+
+        if ($provider_instance instanceof ConfigurableProviderInterface) {
+            foreach ($provider_instance->get_settings_fields() as $field_key => $field) {
+                $field_option = $option_prefix . $provider_name . '_' . $field_key;
+                // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in the calling method handle_ajax_save_settings, sanitized by the provider.
+                $submitted_value = isset($_POST[$field_option]) ? wp_unslash($_POST[$field_option]) : ($field['default'] ?? '');
+                $sanitized_value = $provider_instance->sanitize_setting($field_key, $submitted_value);
+                if (! empty($field['secret'])) {
+                    ProviderCredentials::save_secret($field_option, (string) $sanitized_value);
+                    $saved_data[$field_option] = $sanitized_value === '' ? '' : '***';
+                    continue;
+                }
+                update_option($field_option, $sanitized_value);
+                $saved_data[$field_option] = $sanitized_value;
+            }
         }
 
+        // The API key or the base URL may have changed the available models.
+        ApiClient::clear_models_cache($provider_name);
+
+        // A new instance reads the settings just saved (e.g., an authentication style without API key).
+        $saved_data['api_key_required'] = (new ($provider_instance::class)())->requires_api_key();
+
         return $saved_data;
     }
 }
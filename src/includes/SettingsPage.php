@@ -14,7 +14,13 @@
 
 namespace MSO_AI_Meta_Description;
 
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\AbstractProvider;
 use MSO_AI_Meta_Description\Providers\ProviderInterface;
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
+use MSO_AI_Meta_Description\Utils\PromptTemplate;
+use MSO_AI_Meta_Description\Utils\ProviderCredentials;
 
 if (! defined('ABSPATH')) {
     die;
@@ -55,6 +61,12 @@ class SettingsPage
      */
     private array $providers;
 
+    /**
+     * Additional tabs rendering their own screen, keyed by tab slug.
+     * @var array<string, SettingsTabInterface>
+     */
+    private array $extra_tabs = [];
+
     /**
      * Constructor.
      * @param array<ProviderInterface> $providers List of available providers.
@@ -64,6 +76,16 @@ class SettingsPage
         $this->providers = $providers;
     }
 
+    /**
+     * Adds a tab rendering its own screen (not part of the settings form).
+     *
+     * @param SettingsTabInterface $tab The tab to add.
+     */
+    public function add_tab(SettingsTabInterface $tab): void
+    {
+        $this->extra_tabs[$tab->get_tab_slug()] = $tab;
+    }
+
     /**
      * Registers the admin menu hook.
      */
@@ -112,7 +134,13 @@ class SettingsPage
                             <div class="inside">
                                 <div id="mso-ai-settings-messages" class="mso-ai-settings-messages"></div>
                                 <?php $this->render_navigation_tabs($tabs, $active_tab); ?>
-                                <?php $this->render_settings_form($tabs, $active_tab); ?>
+                                <?php
+                                if (isset($this->extra_tabs[$active_tab])) {
+                                    $this->extra_tabs[$active_tab]->render_tab();
+                                } else {
+                                    $this->render_settings_form($tabs, $active_tab);
+                                }
+        ?>
                             </div>
                         </div>
                     </div>
@@ -144,6 +172,10 @@ class SettingsPage
             }
         }
 
+        foreach ($this->extra_tabs as $tab_slug => $tab) {
+            $tabs[$tab_slug] = esc_html($tab->get_tab_label());
+        }
+
         return $tabs;
     }
 
@@ -240,10 +272,9 @@ class SettingsPage
         $tab_url = wp_nonce_url($tab_url, 'view-settings-tab-' . $tab_slug);
 
         $is_configured = true;
-        if ($tab_slug !== self::OPTIONS_TAB_SLUG) {
-            $prefix = MSO_AI_Meta_Description::get_option_prefix();
-            $api_key_set = (bool) get_option($prefix . $tab_slug . '_api_key');
-            $model_set = (bool) get_option($prefix . $tab_slug . '_model');
+        if ($tab_slug !== self::OPTIONS_TAB_SLUG && ! isset($this->extra_tabs[$tab_slug])) {
+            $api_key_set = ProviderCredentials::get_api_key($tab_slug) !== '';
+            $model_set = ProviderCredentials::get_model($tab_slug) !== '';
             $is_configured = $api_key_set && $model_set;
         }
         $warning_icon = $is_configured ? '' : ' <span class="dashicons dashicons-warning" title="' . esc_attr__('API Key or Model might be missing', 'mso-ai-meta-description') . '"></span>';
@@ -337,7 +368,8 @@ class SettingsPage
 
     /**
      * Renders the HTML for an API key input field (password type) with a show/hide button.
-     * (No changes needed here as it already uses $args['provider'])
+     * The saved key is never printed: the field stays empty and keeps the saved key unless a new one is typed.
+     * The field is locked when the key is defined in wp-config.php (see ProviderCredentials).
      *
      * @param array<string, string> $args Arguments passed from add_settings_field, should contain 'provider'.
      */
@@ -347,20 +379,48 @@ class SettingsPage
         $provider_name_display = $args['provider_title'];
         $provider_url_api_key = $args['provider_url_api_key'];
         $option_name = MSO_AI_Meta_Description::OPTION_PREFIX . $provider . '_api_key';
-        $value = (string)get_option($option_name, '');
         $field_id = esc_attr($option_name . '_id');
 
-        printf('<input type="password" class="regular-text" name="%s" id="%s" value="%s" autocomplete="new-password">', esc_attr($option_name), esc_attr($field_id), esc_attr($value));
+        $api_key_required = $args['api_key_required'] ?? true;
+
+        if (ProviderCredentials::is_defined($provider, ProviderCredentials::API_KEY)) {
+            printf('<input type="password" class="regular-text" id="%s" value="" placeholder="••••••••" disabled data-locked="1" data-saved="1" data-required="%d">', esc_attr($field_id), $api_key_required ? 1 : 0);
+            printf(
+                '<p class="description mso-ai-locked-setting">%s</p>',
+                sprintf(/* translators: %s: Constant name (e.g., MSO_AI_MISTRAL_API_KEY) */ esc_html__('Defined by the %s constant in wp-config.php.', 'mso-ai-meta-description'), '<code>' . esc_html(ProviderCredentials::get_constant_name($provider, ProviderCredentials::API_KEY)) . '</code>')
+            );
+
+            return;
+        }
+
+        $api_key = ProviderCredentials::get_api_key($provider);
+
+        printf('<input type="password" class="regular-text" name="%s" id="%s" value="" autocomplete="new-password" data-saved="%d" data-required="%d">', esc_attr($option_name), esc_attr($field_id), $api_key !== '' ? 1 : 0, $api_key_required ? 1 : 0);
         printf('<button type="button" class="button button-secondary wp-hide-pw hide-if-no-js" data-toggle="0" aria-label="%s">
                 <span class="dashicons dashicons-hidden" aria-hidden="true"></span>
             </button>', esc_attr__('Show password', 'mso-ai-meta-description'));
 
-        printf('<p class="description"><a href="%s" target="_blank">%s</a></p>', esc_url($provider_url_api_key), sprintf(/* translators: %s: Provider name (e.g., Mistral, Gemini, OpenAI) */ esc_html__('Get your %s API key', 'mso-ai-meta-description'), esc_html($provider_name_display)));
+        if ($api_key !== '') {
+            printf(
+                '<p class="description mso-ai-saved-api-key">%s <label><input type="checkbox" name="%s" value="1"> %s</label></p>',
+                sprintf(/* translators: %s: Last characters of the saved API key */ esc_html__('A key is saved (ending in …%s). Leave the field empty to keep it.', 'mso-ai-meta-description'), esc_html(mb_substr($api_key, -4))),
+                esc_attr($option_name . '_delete'),
+                esc_html__('Delete the saved key', 'mso-ai-meta-description')
+            );
+        } elseif (ProviderCredentials::is_api_key_unreadable($provider)) {
+            echo '<p class="description mso-ai-model-error">' . esc_html__('The saved key cannot be decrypted, probably because the security keys of wp-config.php changed. Please enter it again.', 'mso-ai-meta-description') . '</p>';
+        }
+
+        if ($provider_url_api_key !== '') {
+            printf('<p class="description"><a href="%s" target="_blank">%s</a></p>', esc_url($provider_url_api_key), sprintf(/* translators: %s: Provider name (e.g., Mistral, Gemini, OpenAI) */ esc_html__('Get your %s API key', 'mso-ai-meta-description'), esc_html($provider_name_display)));
+        } elseif (! $api_key_required) {
+            echo '<p class="description">' . esc_html__('Optional with the current authentication setting.', 'mso-ai-meta-description') . '</p>';
+        }
     }
 
     /**
-     * Renders the HTML for a model selection dropdown (<select>).
-     * (No changes needed here as it already uses $args['provider'])
+     * Renders the HTML for a model selection dropdown (<select>),
+     * with the buttons refreshing the cached models and testing the connection.
      *
      * @param array<string, string> $args Arguments passed from add_settings_field, should contain 'provider'.
      */
@@ -369,8 +429,14 @@ class SettingsPage
         $provider = $args['provider'] ?? 'unknown';
         $option_name = MSO_AI_Meta_Description::OPTION_PREFIX . $provider . '_model';
         $select_id = MSO_AI_Meta_Description::OPTION_PREFIX . $provider . '_model_id';
-        $current_value = (string)get_option($option_name, '');
-        printf('<select id="%s" name="%s" data-provider="%s" class="mso-model-select regular-text">', esc_attr($select_id), esc_attr($option_name), esc_attr($provider));
+        $current_value = ProviderCredentials::get_model($provider);
+        $is_locked = ProviderCredentials::is_defined($provider, ProviderCredentials::MODEL);
+
+        if ($is_locked) {
+            printf('<select id="%s" data-provider="%s" data-locked="1" class="mso-model-select regular-text" disabled>', esc_attr($select_id), esc_attr($provider));
+        } else {
+            printf('<select id="%s" name="%s" data-provider="%s" class="mso-model-select regular-text">', esc_attr($select_id), esc_attr($option_name), esc_attr($provider));
+        }
         echo '<option value="">' . esc_html__('Loading models...', 'mso-ai-meta-description') . '</option>';
 
         if (! empty($current_value)) {
@@ -378,8 +444,70 @@ class SettingsPage
         }
 
         echo '</select><span class="spinner mso-ai-spinner"></span>';
-        echo '<p class="description">' . sprintf(/* translators: %s: Provider name (e.g., Mistral) */ esc_html__('Select the %s model to use. Models loaded dynamically if API key is valid.', 'mso-ai-meta-description'), esc_html(ucfirst($provider))) . '</p>';
+        printf(
+            '<p class="mso-ai-model-actions"><button type="button" class="button mso-ai-refresh-models" data-provider="%1$s">%2$s</button> <button type="button" class="button mso-ai-test-connection" data-provider="%1$s">%3$s</button></p>',
+            esc_attr($provider),
+            esc_html__('Refresh models', 'mso-ai-meta-description'),
+            esc_html__('Test connection', 'mso-ai-meta-description')
+        );
+        if ($is_locked) {
+            printf(
+                '<p class="description mso-ai-locked-setting">%s</p>',
+                sprintf(/* translators: %s: Constant name (e.g., MSO_AI_MISTRAL_MODEL) */ esc_html__('Defined by the %s constant in wp-config.php.', 'mso-ai-meta-description'), '<code>' . esc_html(ProviderCredentials::get_constant_name($provider, ProviderCredentials::MODEL)) . '</code>')
+            );
+        }
+        echo '<p class="description">' . sprintf(/* translators: %s: Provider name (e.g., Mistral) */ esc_html__('Select the %s model to use. Models loaded dynamically if API key is valid, and cached for a day.', 'mso-ai-meta-description'), esc_html(ucfirst($provider))) . ' ' . esc_html__('The connection test uses the saved settings.', 'mso-ai-meta-description') . '</p>';
         echo '<div id="mso-model-error-' . esc_attr($provider) . '" class="mso-ai-model-error"></div>';
+        echo '<div id="mso-connection-result-' . esc_attr($provider) . '" class="mso-ai-connection-result" role="status"></div>';
+    }
+
+    /**
+     * Renders an additional provider setting (see ConfigurableProviderInterface::get_settings_fields()).
+     *
+     * @param array<string, mixed> $args Arguments passed from add_settings_field: 'label_for', 'option_name' and 'field'.
+     */
+    public function render_provider_setting_field(array $args): void
+    {
+        $field = $args['field'];
+        $option_name = $args['option_name'];
+        $field_id = $args['label_for'];
+        $value = empty($field['secret']) ? (string) get_option($option_name, $field['default'] ?? '') : ProviderCredentials::get_secret($option_name);
+
+        switch ($field['type']) {
+            case 'select':
+                printf('<select name="%s" id="%s">', esc_attr($option_name), esc_attr($field_id));
+                foreach ($field['options'] ?? [] as $option_value => $option_label) {
+                    printf('<option value="%s" %s>%s</option>', esc_attr($option_value), selected($value, (string) $option_value, false), esc_html($option_label));
+                }
+                echo '</select>';
+                break;
+            case 'textarea':
+                printf('<textarea name="%s" id="%s" rows="4" class="large-text code">%s</textarea>', esc_attr($option_name), esc_attr($field_id), esc_textarea($value));
+                break;
+            case 'number':
+                printf('<input type="number" class="small-text" name="%s" id="%s" value="%s" min="1">', esc_attr($option_name), esc_attr($field_id), esc_attr($value));
+                break;
+            default:
+                printf('<input type="%s" class="regular-text" name="%s" id="%s" value="%s">', esc_attr($field['type'] === 'url' ? 'url' : 'text'), esc_attr($option_name), esc_attr($field_id), esc_attr($value));
+        }
+
+        if (! empty($field['description'])) {
+            echo '<p class="description">' . esc_html($field['description']) . '</p>';
+        }
+    }
+
+    /**
+     * Renders the HTML for the content token budget field of a provider.
+     *
+     * @param array<string, string> $args Arguments passed from add_settings_field: 'label_for' and 'provider_name'.
+     */
+    public function render_content_token_budget_field(array $args): void
+    {
+        $option_name = MSO_AI_Meta_Description::get_option_prefix() . $args['provider_name'] . '_content_token_budget';
+        $value = (int) get_option($option_name, AbstractProvider::DEFAULT_CONTENT_TOKEN_BUDGET);
+
+        printf('<input type="number" class="small-text" name="%s" id="%s" value="%d" min="1">', esc_attr($option_name), esc_attr($args['label_for']), (int) $value);
+        echo '<p class="description">' . esc_html__('Longer post contents are truncated to about this number of tokens (4 characters per token) before being sent.', 'mso-ai-meta-description') . '</p>';
     }
 
     /**
@@ -393,7 +521,7 @@ class SettingsPage
         $value = (string)get_option($option_name, '');
         $field_id = esc_attr($args['label_for']);
         $details_container_id = esc_attr($option_name . '_details');
-        $default_prompt = $this->get_default_summary_prompt_template();
+        $default_prompt = AbstractProvider::get_default_prompt_template();
 
         $is_initially_visible = ! empty($value);
         $initial_display_style = $is_initially_visible ? '' : 'display: none;';
@@ -411,27 +539,167 @@ class SettingsPage
 
         echo '<div id="' . esc_attr($details_container_id) . '" class="mso-ai-prompt-details"  style="' . esc_attr($initial_display_style) . '">';
 
-        echo '<textarea name="' . esc_attr($option_name) . '" id="' . esc_attr($field_id) . '" class="large-text" rows="8" placeholder="' . esc_attr($default_prompt) . '">' . esc_textarea($value) . '</textarea>';
+        echo '<textarea name="' . esc_attr($option_name) . '" id="' . esc_attr($field_id) . '" class="large-text mso-ai-custom-prompt" rows="8" placeholder="' . esc_attr($default_prompt) . '">' . esc_textarea($value) . '</textarea>';
         echo '<p class="description">' .
-            esc_html__('Customize the prompt sent to the AI for generating meta descriptions. Leave empty to use the default prompt.', 'mso-ai-meta-description') . '<br>' .
-            esc_html__('Available placeholders:', 'mso-ai-meta-description') . ' <code>%1$d</code> (' . esc_html__('min length 120 characters', 'mso-ai-meta-description') . '), <code>%2$d</code> (' . esc_html__('max length 160 characters', 'mso-ai-meta-description') . '), <code>%3$s</code> (' . esc_html__('content', 'mso-ai-meta-description') . ').<br>' .
-            '<strong>' . esc_html__('Default prompt:', 'mso-ai-meta-description') . '</strong><br><em>' . esc_html($default_prompt) . '</em>' .
+            esc_html__('Customize the prompt sent to the AI for generating meta descriptions. Leave empty to use the default prompt.', 'mso-ai-meta-description') . '<br>';
+        $this->render_placeholders_help();
+        echo '<br><strong>' . esc_html__('Default prompt:', 'mso-ai-meta-description') . '</strong><br><em>' . esc_html($default_prompt) . '</em>' .
             '</p>';
 
         echo '</div>';
     }
 
     /**
-     * Helper function to get the default prompt text template.
-     * Avoids duplication with AbstractProvider.
+     * Renders the help listing the prompt placeholders.
+     * @private
+     */
+    private function render_placeholders_help(): void
+    {
+        $descriptions = [
+            'min' => __('min length of the post type', 'mso-ai-meta-description'),
+            'max' => __('max length of the post type', 'mso-ai-meta-description'),
+            'language' => __('target language of the post type', 'mso-ai-meta-description'),
+            'tone' => __('tone of the post type', 'mso-ai-meta-description'),
+            'title' => __('title', 'mso-ai-meta-description'),
+            'focus_keyword' => __('focus keyword', 'mso-ai-meta-description'),
+            'excerpt' => __('excerpt', 'mso-ai-meta-description'),
+            'outline' => __('H1-H3 outline', 'mso-ai-meta-description'),
+            'terms' => __('categories and tags', 'mso-ai-meta-description'),
+            'content' => __('content', 'mso-ai-meta-description'),
+        ];
+
+        $items = [];
+        foreach (PromptTemplate::PLACEHOLDERS as $placeholder) {
+            $items[] = '<code>{' . esc_html($placeholder) . '}</code> (' . esc_html($descriptions[$placeholder] ?? $placeholder) . ')';
+        }
+
+        echo esc_html__('Available placeholders:', 'mso-ai-meta-description') . ' ' . wp_kses(implode(', ', $items), ['code' => []]) . '.<br>' .
+            esc_html__('If the prompt uses none of the context placeholders (title to content), the available context is appended to it. Unknown placeholders are rejected on save.', 'mso-ai-meta-description');
+    }
+
+    /**
+     * Renders the select choosing between the custom prompt of the provider and a shared template.
+     *
+     * @param array<string, string> $args Arguments passed from add_settings_field. Contains 'label_for' and 'provider_name'.
+     */
+    public function render_prompt_template_field(array $args): void
+    {
+        $option_name = MSO_AI_Meta_Description::get_option_prefix() . $args['provider_name'] . '_prompt_template';
+        $value = (string) get_option($option_name, '');
+
+        echo '<select name="' . esc_attr($option_name) . '" id="' . esc_attr($args['label_for']) . '" class="mso-ai-prompt-template-select">';
+        echo '<option value="">' . esc_html__('Custom prompt of this provider (or default prompt)', 'mso-ai-meta-description') . '</option>';
+        foreach (PromptTemplate::get_templates() as $template_id => $template) {
+            echo '<option value="' . esc_attr($template_id) . '" ' . selected($value, $template_id, false) . '>' . esc_html($template['name']) . '</option>';
+        }
+        echo '</select>';
+        echo '<p class="description">' . esc_html__('Shared templates are managed on the Settings tab. When one is selected, the custom prompt below is ignored.', 'mso-ai-meta-description') . '</p>';
+    }
+
+    /**
+     * Renders the prompt test bench: runs the selected template, or the custom prompt as typed,
+     * against a post with the provider, and shows the prompt sent and the output.
+     *
+     * @param array<string, string> $args Arguments passed from add_settings_field. Contains 'label_for' and 'provider_name'.
+     */
+    public function render_prompt_test_field(array $args): void
+    {
+        $posts = get_posts([
+            'post_type' => array_values(BlockEditor::get_supported_post_types()),
+            'post_status' => ['publish', 'future', 'draft', 'pending', 'private'],
+            'posts_per_page' => 20,
+            'no_found_rows' => true,
+        ]);
+
+        if (empty($posts)) {
+            echo '<p class="description">' . esc_html__('Create a post to test the prompt.', 'mso-ai-meta-description') . '</p>';
+            return;
+        }
+        ?>
+        <div class="mso-ai-prompt-test" data-provider="<?php echo esc_attr($args['provider_name']); ?>">
+            <select id="<?php echo esc_attr($args['label_for']); ?>" class="mso-ai-prompt-test-post">
+                <?php foreach ($posts as $post) :
+                    $post_type_object = get_post_type_object($post->post_type);
+                    ?>
+                    <option value="<?php echo esc_attr((string) $post->ID); ?>">
+                        <?php echo esc_html(($post->post_title !== '' ? $post->post_title : __('(no title)', 'mso-ai-meta-description')) . ' (' . ($post_type_object ? $post_type_object->labels->singular_name : $post->post_type) . ')'); ?>
+                    </option>
+                <?php endforeach; ?>
+            </select>
+            <button type="button" class="button mso-ai-prompt-test-button"><?php esc_html_e('Test this prompt', 'mso-ai-meta-description'); ?></button>
+            <span class="spinner mso-ai-spinner"></span>
+            <p class="description"><?php esc_html_e('Runs the selected template, or the custom prompt as typed (even unsaved), against the post with this provider. Nothing is saved.', 'mso-ai-meta-description'); ?></p>
+            <div class="mso-ai-prompt-test-result" hidden>
+                <p><strong><?php esc_html_e('Prompt sent', 'mso-ai-meta-description'); ?></strong></p>
+                <pre class="mso-ai-prompt-test-prompt"></pre>
+                <p><strong><?php esc_html_e('Output', 'mso-ai-meta-description'); ?></strong></p>
+                <p class="mso-ai-prompt-test-output"></p>
+            </div>
+            <p class="mso-ai-error mso-ai-model-error mso-ai-prompt-test-error"></p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Renders the table of the prompt templates shared across providers.
+     * Rows are added and removed by the admin script, from the row template.
+     */
+    public function render_prompt_templates_field(): void
+    {
+        $option_name = PromptTemplate::get_option_name();
+        ?>
+        <table class="widefat striped mso-ai-prompt-templates">
+            <thead>
+            <tr>
+                <th scope="col"><?php esc_html_e('Name', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Template', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><span class="screen-reader-text"><?php esc_html_e('Actions', 'mso-ai-meta-description'); ?></span></th>
+            </tr>
+            </thead>
+            <tbody>
+            <?php
+            $index = 0;
+            foreach (PromptTemplate::get_templates() as $template_id => $template) {
+                $this->render_prompt_template_row($option_name . '[' . $index++ . ']', $template_id, $template['name'], $template['template']);
+            }
+            ?>
+            </tbody>
+        </table>
+        <script type="text/template" id="mso-ai-prompt-template-row">
+            <?php $this->render_prompt_template_row($option_name . '[__index__]', '', '', ''); ?>
+        </script>
+        <p><button type="button" class="button mso-ai-prompt-template-add"><?php esc_html_e('Add a template', 'mso-ai-meta-description'); ?></button></p>
+        <p class="description">
+            <?php
+            esc_html_e('Templates shared across providers, selected on each provider tab.', 'mso-ai-meta-description');
+            echo ' ';
+            $this->render_placeholders_help();
+            ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Renders a row of the prompt templates table.
      *
-     * @return string The default prompt template.
+     * @param string $field_name The name prefix of the row fields.
+     * @param string $id         The template ID (empty for new templates).
+     * @param string $name       The template name.
+     * @param string $template   The template text.
+     * @private
      */
-    private function get_default_summary_prompt_template(): string
+    private function render_prompt_template_row(string $field_name, string $id, string $name, string $template): void
     {
-        return
-            /* translators: 1: min length, 2: max length, 3: content */
-            __('Summarize the following text into a concise meta description between %1$d and %2$d characters long. Focus on the main topic and keywords. Ensure the description flows naturally and avoid cutting words mid-sentence. Maintain the language of the original text. Output only the description text itself: %3$s', 'mso-ai-meta-description');
+        ?>
+        <tr>
+            <td>
+                <input type="hidden" name="<?php echo esc_attr($field_name . '[id]'); ?>" value="<?php echo esc_attr($id); ?>">
+                <input type="text" class="regular-text" name="<?php echo esc_attr($field_name . '[name]'); ?>" value="<?php echo esc_attr($name); ?>" aria-label="<?php esc_attr_e('Name', 'mso-ai-meta-description'); ?>">
+            </td>
+            <td><textarea class="large-text" rows="4" name="<?php echo esc_attr($field_name . '[template]'); ?>" aria-label="<?php esc_attr_e('Template', 'mso-ai-meta-description'); ?>"><?php echo esc_textarea($template); ?></textarea></td>
+            <td><button type="button" class="button-link button-link-delete mso-ai-prompt-template-remove"><?php esc_html_e('Remove', 'mso-ai-meta-description'); ?></button></td>
+        </tr>
+        <?php
     }
 
     /**
@@ -462,6 +730,253 @@ class SettingsPage
         echo sprintf(esc_html__('Show the "Generate with %1$s" button in the WordPress Editor.', 'mso-ai-meta-description'), esc_html($provider_title));
     }
 
+    /**
+     * Renders the number input for the count of candidate descriptions requested from a single provider.
+     *
+     * @param array<string, string> $args Arguments passed from add_settings_field. Contains 'label_for'.
+     */
+    public function render_candidate_count_field(array $args): void
+    {
+        $option_name = MSO_AI_Meta_Description::get_option_prefix() . 'candidate_count';
+        $value = (int)get_option($option_name, MSO_AI_Meta_Description::DEFAULT_CANDIDATE_COUNT);
+        $field_id = esc_attr($args['label_for']);
+
+        printf(
+            '<input type="number" class="small-text" name="%s" id="%s" value="%d" min="1" max="%d">',
+            esc_attr($option_name),
+            esc_attr($field_id),
+            esc_attr((string)$value),
+            esc_attr((string)MSO_AI_Meta_Description::MAX_CANDIDATE_COUNT)
+        );
+        echo '<p class="description">' . esc_html__('Number of variants requested when suggesting several descriptions from a single provider.', 'mso-ai-meta-description') . '</p>';
+    }
+
+    /**
+     * Renders the checkboxes enabling the automatic generation on publish.
+     */
+    public function render_auto_generate_field(): void
+    {
+        $prefix = MSO_AI_Meta_Description::get_option_prefix();
+        $fields = [
+            AutoGenerator::ENABLED_OPTION => __('Generate the description in the background when a post is published or updated without one', 'mso-ai-meta-description'),
+            AutoGenerator::CONTENT_CHANGE_OPTION => __('Also regenerate it when the content changed significantly, unless the description was written manually', 'mso-ai-meta-description'),
+        ];
+
+        foreach ($fields as $option => $label) {
+            $option_name = $prefix . $option;
+
+            echo '<label for="' . esc_attr($option_name . '_id') . '">';
+            echo '<input type="checkbox" name="' . esc_attr($option_name) . '" id="' . esc_attr($option_name . '_id') . '" value="1" ' . checked(true, (bool) get_option($option_name, false), false) . '> ';
+            echo esc_html($label);
+            echo '</label><br>';
+        }
+
+        echo '<p class="description">' . esc_html__('The generations use the fallback order and run through Action Scheduler when it is installed, WP-Cron otherwise.', 'mso-ai-meta-description') . '</p>';
+    }
+
+    /**
+     * Renders the radio buttons choosing how to coexist with Yoast SEO, Rank Math and All in One SEO,
+     * with the SEO plugins detected.
+     */
+    public function render_seo_plugins_mode_field(): void
+    {
+        $option_name = MSO_AI_Meta_Description::get_option_prefix() . SeoCompatibility::MODE_OPTION;
+        $current_mode = SeoCompatibility::get_mode();
+        $modes = [
+            SeoCompatibility::MODE_SUPPRESS => __('Do not output the description and social tags, the SEO plugin outputs its own', 'mso-ai-meta-description'),
+            SeoCompatibility::MODE_SYNC => __('Same, and copy each saved description into the SEO plugin, so that it outputs it', 'mso-ai-meta-description'),
+            SeoCompatibility::MODE_OUTPUT => __('Output the tags anyway (duplicate description tags)', 'mso-ai-meta-description'),
+        ];
+
+        echo '<fieldset>';
+        foreach ($modes as $mode => $label) {
+            echo '<label><input type="radio" name="' . esc_attr($option_name) . '" value="' . esc_attr($mode) . '" ' . checked($current_mode, $mode, false) . '> ' . esc_html($label) . '</label><br>';
+        }
+        echo '</fieldset>';
+
+        $active_plugins = SeoCompatibility::get_active_plugins();
+        if (empty($active_plugins)) {
+            echo '<p class="description">' . esc_html__('Applies when Yoast SEO, Rank Math or All in One SEO is active. None is active: the tags are output.', 'mso-ai-meta-description') . '</p>';
+        } else {
+            /* translators: %s: Comma-separated list of SEO plugins (e.g., Yoast SEO, Rank Math) */
+            echo '<p class="description">' . esc_html(sprintf(__('Active SEO plugins: %s.', 'mso-ai-meta-description'), implode(', ', $active_plugins))) . '</p>';
+        }
+    }
+
+    /**
+     * Renders the checkboxes enabling the Open Graph and Twitter Card tags on the frontend.
+     */
+    public function render_social_tags_field(): void
+    {
+        $prefix = MSO_AI_Meta_Description::get_option_prefix();
+        $fields = [
+            Frontend::OPEN_GRAPH_OPTION => __('Output the Open Graph tags (og:title, og:description, og:type, og:url, og:image)', 'mso-ai-meta-description'),
+            Frontend::TWITTER_CARD_OPTION => __('Output the Twitter Card tags (twitter:card, twitter:title, twitter:description, twitter:image)', 'mso-ai-meta-description'),
+        ];
+
+        foreach ($fields as $option => $label) {
+            $option_name = $prefix . $option;
+
+            echo '<label for="' . esc_attr($option_name . '_id') . '">';
+            echo '<input type="checkbox" name="' . esc_attr($option_name) . '" id="' . esc_attr($option_name . '_id') . '" value="1" ' . checked(true, (bool) get_option($option_name, false), false) . '> ';
+            echo esc_html($label);
+            echo '</label><br>';
+        }
+
+        echo '<p class="description">' . esc_html__('The tags use the social description of the post if one is set, the meta description otherwise, and the featured image.', 'mso-ai-meta-description') . '</p>';
+    }
+
+    /**
+     * Renders the ordered list of providers used when a generation fails or "Generate (auto)" is used.
+     *
+     * The order is submitted through the hidden inputs, in the order of the list items.
+     * Providers that are not enabled or have no API key are skipped.
+     */
+    public function render_fallback_order_field(): void
+    {
+        $option_name = MSO_AI_Meta_Description::get_option_prefix() . ApiClient::FALLBACK_ORDER_OPTION;
+        $configured_providers = ProviderManager::get_configured_providers();
+
+        echo '<ol class="mso-ai-fallback-order">';
+        foreach (ApiClient::get_fallback_order() as $provider_name) {
+            $provider = ProviderManager::get_provider($provider_name);
+            if (! $provider) {
+                continue;
+            }
+
+            printf(
+                '<li><input type="hidden" name="%s[]" value="%s"><span class="mso-ai-fallback-title">%s</span> ',
+                esc_attr($option_name),
+                esc_attr($provider_name),
+                esc_html(ucfirst($provider->get_title()))
+            );
+            if (! isset($configured_providers[$provider_name])) {
+                echo '<em class="description">' . esc_html__('(not enabled)', 'mso-ai-meta-description') . '</em> ';
+            }
+            printf(
+                '<button type="button" class="button button-small mso-ai-fallback-move" data-direction="up" aria-label="%s">&uarr;</button> <button type="button" class="button button-small mso-ai-fallback-move" data-direction="down" aria-label="%s">&darr;</button></li>',
+                esc_attr__('Move up', 'mso-ai-meta-description'),
+                esc_attr__('Move down', 'mso-ai-meta-description')
+            );
+        }
+        echo '</ol>';
+        echo '<p class="description">' . esc_html__('When a provider fails (rate limit, server error, timeout), the request is retried, then the next enabled provider of this list is used. "Generate (auto)" starts with the first one.', 'mso-ai-meta-description') . '</p>';
+    }
+
+    /**
+     * Renders the table of generation rules per post type (length, language, tone).
+     *
+     * Empty length fields fall back to the default limits, empty language keeps
+     * the language of the content.
+     */
+    public function render_post_type_rules_field(): void
+    {
+        $option_name = GenerationRules::get_option_name();
+        $defaults = GenerationRules::get_defaults();
+        ?>
+        <table class="widefat striped mso-ai-post-type-rules">
+            <thead>
+            <tr>
+                <th scope="col"><?php esc_html_e('Post type', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Min length', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Max length', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Language', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Tone', 'mso-ai-meta-description'); ?></th>
+            </tr>
+            </thead>
+            <tbody>
+            <?php foreach (GenerationRules::get_all() as $post_type => $rules) :
+                $post_type_object = get_post_type_object($post_type);
+                $field_name = $option_name . '[' . $post_type . ']';
+                ?>
+                <tr>
+                    <th scope="row"><?php echo esc_html($post_type_object ? $post_type_object->labels->name : $post_type); ?></th>
+                    <td><input type="number" class="small-text" name="<?php echo esc_attr($field_name . '[min]'); ?>" value="<?php echo esc_attr((string)$rules['min']); ?>" min="1" max="<?php echo esc_attr((string)GenerationRules::MAX_ALLOWED_LENGTH); ?>" placeholder="<?php echo esc_attr((string)$defaults['min']); ?>"></td>
+                    <td><input type="number" class="small-text" name="<?php echo esc_attr($field_name . '[max]'); ?>" value="<?php echo esc_attr((string)$rules['max']); ?>" min="1" max="<?php echo esc_attr((string)GenerationRules::MAX_ALLOWED_LENGTH); ?>" placeholder="<?php echo esc_attr((string)$defaults['max']); ?>"></td>
+                    <td><input type="text" class="regular-text" name="<?php echo esc_attr($field_name . '[language]'); ?>" value="<?php echo esc_attr($rules['language']); ?>" placeholder="<?php esc_attr_e('Same as the content', 'mso-ai-meta-description'); ?>"></td>
+                    <td><input type="text" class="regular-text" name="<?php echo esc_attr($field_name . '[tone]'); ?>" value="<?php echo esc_attr($rules['tone']); ?>" placeholder="<?php esc_attr_e('e.g. punchy, formal, friendly', 'mso-ai-meta-description'); ?>"></td>
+                </tr>
+            <?php endforeach; ?>
+            </tbody>
+        </table>
+        <p class="description"><?php esc_html_e('Recommended length of the descriptions, target language and tone used for each post type. The length limits are used in the prompt and by the character counter.', 'mso-ai-meta-description'); ?></p>
+        <?php
+    }
+
+    /**
+     * Renders the table of the post type archives and date archives descriptions.
+     * Term and author descriptions are edited on the term and user profile screens.
+     */
+    public function render_archive_descriptions_field(): void
+    {
+        $option_name = ArchiveDescriptions::get_option_name();
+        ?>
+        <table class="widefat striped mso-ai-archive-descriptions">
+            <thead>
+            <tr>
+                <th scope="col"><?php esc_html_e('Archive', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Meta Description', 'mso-ai-meta-description'); ?></th>
+            </tr>
+            </thead>
+            <tbody>
+            <?php foreach (ArchiveDescriptions::get_archives() as $archive => $label) :
+                $field_id = $option_name . '_' . $archive . '_id';
+                ?>
+                <tr>
+                    <th scope="row"><label for="<?php echo esc_attr($field_id); ?>"><?php echo esc_html($label); ?></label></th>
+                    <td>
+                        <?php
+                        ArchiveDescriptions::render_field(
+                            $option_name . '[' . $archive . ']',
+                            $field_id,
+                            ArchiveDescriptions::get_archive_description($archive),
+                            'archive',
+                            $archive !== ArchiveDescriptions::DATE_ARCHIVE_KEY ? $archive : ''
+                        );
+                        ?>
+                    </td>
+                </tr>
+            <?php endforeach; ?>
+            </tbody>
+        </table>
+        <p class="description"><?php esc_html_e('Descriptions of the post type archives and date archives. In the date archives description, {date} is replaced with the date of the archive. Term and author descriptions are edited on their own screens.', 'mso-ai-meta-description'); ?></p>
+        <?php
+    }
+
+    /**
+     * Renders the price table used to estimate the costs on the Usage tab, with the monthly budget of each provider.
+     */
+    public function render_usage_prices_field(): void
+    {
+        $option_name = UsageTracker::get_prices_option_name();
+        ?>
+        <table class="widefat striped mso-ai-usage-prices">
+            <thead>
+            <tr>
+                <th scope="col"><?php esc_html_e('Provider', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Input price (per 1M tokens)', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Output price (per 1M tokens)', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Monthly budget', 'mso-ai-meta-description'); ?></th>
+            </tr>
+            </thead>
+            <tbody>
+            <?php foreach (ProviderManager::get_providers() as $provider_name => $provider) :
+                $price = UsageTracker::get_price($provider_name);
+                $field_name = $option_name . '[' . $provider_name . ']';
+                ?>
+                <tr>
+                    <th scope="row"><?php echo esc_html($provider->get_title()); ?></th>
+                    <?php foreach (['input', 'output', 'budget'] as $key) : ?>
+                        <td><input type="number" class="small-text" name="<?php echo esc_attr($field_name . '[' . $key . ']'); ?>" value="<?php echo esc_attr($price[$key] > 0 ? (string)$price[$key] : ''); ?>" min="0" step="any" placeholder="0"></td>
+                    <?php endforeach; ?>
+                </tr>
+            <?php endforeach; ?>
+            </tbody>
+        </table>
+        <p class="description"><?php esc_html_e('Prices used to estimate the costs on the Usage tab, in the currency of your provider accounts. When the estimated cost of the current month reaches the budget of a provider, it is skipped and its generation buttons are disabled until next month. Leave the budget empty for no limit.', 'mso-ai-meta-description'); ?></p>
+        <?php
+    }
+
     /**
      * Renders the input field for the front page meta description on the Reading settings page.
      * Includes basic character counting functionality via inline JavaScript.
@@ -13,7 +13,13 @@
 
 namespace MSO_AI_Meta_Description;
 
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\AbstractProvider;
+use MSO_AI_Meta_Description\Providers\ConfigurableProviderInterface;
 use MSO_AI_Meta_Description\Providers\ProviderInterface;
+use MSO_AI_Meta_Description\Utils\GenerationRules;
+use MSO_AI_Meta_Description\Utils\PromptTemplate;
+use MSO_AI_Meta_Description\Utils\ProviderCredentials;
 
 if (! defined('ABSPATH')) {
     die;
@@ -98,6 +104,9 @@ class SettingsRegistry
             register_setting($option_group, $model_option, self::SANITIZE_TEXT_FIELD);
             register_setting($option_group, $custom_prompt_option_name, self::SANITIZE_TEXTAREA_FIELD); // Corrected callback
 
+            // Keys saved in plain text by the previous versions are encrypted on the next admin page load.
+            ProviderCredentials::encrypt_stored_api_key($provider_name);
+
             add_settings_section(
                 $section_id,
                 '',
@@ -111,9 +120,39 @@ class SettingsRegistry
                 [$this->settings_page_renderer, 'render_api_key_field'],
                 $section_id,
                 $section_id,
-                ['provider' => $provider_name, 'provider_title' => $provider_title, 'provider_url_api_key' => $provider_url_api_key]
+                [
+                    'provider' => $provider_name,
+                    'provider_title' => $provider_title,
+                    'provider_url_api_key' => $provider_url_api_key,
+                    'api_key_required' => $provider->requires_api_key(),
+                ]
             );
 
+            if ($provider instanceof ConfigurableProviderInterface) {
+                foreach ($provider->get_settings_fields() as $field_key => $field) {
+                    $field_option = $prefix . $provider_name . '_' . $field_key;
+
+                    register_setting($option_group, $field_option, [
+                        'type' => $field['type'] === 'number' ? 'integer' : 'string',
+                        'sanitize_callback' => fn ($value) => $provider->sanitize_setting($field_key, $value),
+                        'default' => $field['default'] ?? null,
+                    ]);
+
+                    if (! empty($field['secret'])) {
+                        ProviderCredentials::encrypt_stored_secret($field_option);
+                    }
+
+                    add_settings_field(
+                        $field_option,
+                        esc_html($field['label']),
+                        [$this->settings_page_renderer, 'render_provider_setting_field'],
+                        $section_id,
+                        $section_id,
+                        ['label_for' => $field_option . '_id', 'option_name' => $field_option, 'field' => $field]
+                    );
+                }
+            }
+
             add_settings_field(
                 $model_option,
                 sprintf(/* translators: %s: Provider name */ esc_html__('%s Model', 'mso-ai-meta-description'), ucfirst($provider_title)), // Use title
@@ -123,6 +162,30 @@ class SettingsRegistry
                 ['provider' => $provider_name]
             );
 
+            $token_budget_option = $prefix . $provider_name . '_content_token_budget';
+            register_setting($option_group, $token_budget_option, ['type' => 'integer', 'sanitize_callback' => 'absint', 'default' => AbstractProvider::DEFAULT_CONTENT_TOKEN_BUDGET]);
+
+            add_settings_field(
+                $token_budget_option,
+                esc_html__('Content budget (tokens)', 'mso-ai-meta-description'),
+                [$this->settings_page_renderer, 'render_content_token_budget_field'],
+                $section_id,
+                $section_id,
+                ['label_for' => $token_budget_option . '_id', 'provider_name' => $provider_name]
+            );
+
+            $prompt_template_option = $prefix . $provider_name . '_prompt_template';
+            register_setting($option_group, $prompt_template_option, ['type' => 'string', 'sanitize_callback' => 'sanitize_key', 'default' => '']);
+
+            add_settings_field(
+                $prompt_template_option,
+                esc_html__('Prompt template', 'mso-ai-meta-description'),
+                [$this->settings_page_renderer, 'render_prompt_template_field'],
+                $section_id,
+                $section_id,
+                ['label_for' => $prompt_template_option . '_id', 'provider_name' => $provider_name]
+            );
+
             add_settings_field(
                 $custom_prompt_option_name . $provider_name,
                 esc_html__('Custom Prompt', 'mso-ai-meta-description'),
@@ -131,6 +194,15 @@ class SettingsRegistry
                 $section_id,
                 ['label_for' => $custom_prompt_option_name . '_id', 'provider_name' => $provider_name]
             );
+
+            add_settings_field(
+                $prefix . $provider_name . '_prompt_test',
+                esc_html__('Test this prompt', 'mso-ai-meta-description'),
+                [$this->settings_page_renderer, 'render_prompt_test_field'],
+                $section_id,
+                $section_id,
+                ['label_for' => $prefix . $provider_name . '_prompt_test_post_id', 'provider_name' => $provider_name]
+            );
         }
 
         $advanced_section_id = self::OPTIONS_GROUP . '_advanced_section';
@@ -161,6 +233,106 @@ class SettingsRegistry
                 ]
             );
         }
+
+        $candidate_count_option = $prefix . 'candidate_count';
+        register_setting($option_group, $candidate_count_option, ['type' => 'integer', 'sanitize_callback' => 'absint', 'default' => MSO_AI_Meta_Description::DEFAULT_CANDIDATE_COUNT]);
+
+        add_settings_field(
+            $candidate_count_option,
+            esc_html__('Number of variants', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_candidate_count_field'],
+            $advanced_section_id,
+            $advanced_section_id,
+            ['label_for' => $candidate_count_option . '_id']
+        );
+
+        $auto_generate_option = $prefix . AutoGenerator::ENABLED_OPTION;
+        $content_change_option = $prefix . AutoGenerator::CONTENT_CHANGE_OPTION;
+        register_setting($option_group, $auto_generate_option, ['type' => 'boolean', 'sanitize_callback' => 'rest_sanitize_boolean', 'default' => false]);
+        register_setting($option_group, $content_change_option, ['type' => 'boolean', 'sanitize_callback' => 'rest_sanitize_boolean', 'default' => false]);
+
+        add_settings_field(
+            $auto_generate_option,
+            esc_html__('Automatic generation', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_auto_generate_field'],
+            $advanced_section_id,
+            $advanced_section_id
+        );
+
+        $open_graph_option = $prefix . Frontend::OPEN_GRAPH_OPTION;
+        $twitter_card_option = $prefix . Frontend::TWITTER_CARD_OPTION;
+        register_setting($option_group, $open_graph_option, ['type' => 'boolean', 'sanitize_callback' => 'rest_sanitize_boolean', 'default' => false]);
+        register_setting($option_group, $twitter_card_option, ['type' => 'boolean', 'sanitize_callback' => 'rest_sanitize_boolean', 'default' => false]);
+
+        add_settings_field(
+            $open_graph_option,
+            esc_html__('Social tags', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_social_tags_field'],
+            $advanced_section_id,
+            $advanced_section_id
+        );
+
+        $seo_plugins_mode_option = $prefix . SeoCompatibility::MODE_OPTION;
+        register_setting($option_group, $seo_plugins_mode_option, ['type' => 'string', 'sanitize_callback' => 'sanitize_key', 'default' => SeoCompatibility::MODE_SUPPRESS]);
+
+        add_settings_field(
+            $seo_plugins_mode_option,
+            esc_html__('SEO plugins compatibility', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_seo_plugins_mode_field'],
+            $advanced_section_id,
+            $advanced_section_id
+        );
+
+        $fallback_order_option = $prefix . ApiClient::FALLBACK_ORDER_OPTION;
+        register_setting($option_group, $fallback_order_option, ['type' => 'array', 'sanitize_callback' => [ApiClient::class, 'sanitize_fallback_order'], 'default' => []]);
+
+        add_settings_field(
+            $fallback_order_option,
+            esc_html__('Fallback order', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_fallback_order_field'],
+            $advanced_section_id,
+            $advanced_section_id
+        );
+
+        register_setting($option_group, PromptTemplate::get_option_name(), ['type' => 'array', 'sanitize_callback' => [PromptTemplate::class, 'sanitize_templates'], 'default' => []]);
+
+        add_settings_field(
+            PromptTemplate::get_option_name(),
+            esc_html__('Prompt templates', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_prompt_templates_field'],
+            $advanced_section_id,
+            $advanced_section_id
+        );
+
+        register_setting($option_group, ArchiveDescriptions::get_option_name(), ['type' => 'array', 'sanitize_callback' => [ArchiveDescriptions::class, 'sanitize'], 'default' => []]);
+
+        add_settings_field(
+            ArchiveDescriptions::get_option_name(),
+            esc_html__('Archive descriptions', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_archive_descriptions_field'],
+            $advanced_section_id,
+            $advanced_section_id
+        );
+
+        register_setting($option_group, GenerationRules::get_option_name(), ['type' => 'array', 'sanitize_callback' => [GenerationRules::class, 'sanitize'], 'default' => []]);
+
+        add_settings_field(
+            GenerationRules::get_option_name(),
+            esc_html__('Rules per post type', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_post_type_rules_field'],
+            $advanced_section_id,
+            $advanced_section_id
+        );
+
+        register_setting($option_group, UsageTracker::get_prices_option_name(), ['type' => 'array', 'sanitize_callback' => [UsageTracker::class, 'sanitize_prices'], 'default' => []]);
+
+        add_settings_field(
+            UsageTracker::get_prices_option_name(),
+            esc_html__('Prices and budgets', 'mso-ai-meta-description'),
+            [$this->settings_page_renderer, 'render_usage_prices_field'],
+            $advanced_section_id,
+            $advanced_section_id
+        );
     }
 
     /**
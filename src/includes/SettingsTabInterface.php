@@ -0,0 +1,43 @@
+<?php
+
+/**
+ * MSO AI Meta Description SettingsTabInterface
+ *
+ * Defines the contract for additional screens displayed as tabs of the settings page
+ * (e.g. bulk generation). Unlike the provider and options tabs, these tabs are not
+ * part of the settings form: they render their own content.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Interface for settings page tabs rendering their own screen.
+ */
+interface SettingsTabInterface
+{
+    /**
+     * Get the unique slug of the tab, used in the 'tab' query argument.
+     *
+     * @return string The tab slug.
+     */
+    public function get_tab_slug(): string;
+
+    /**
+     * Get the label displayed in the navigation tabs.
+     *
+     * @return string The translated tab label.
+     */
+    public function get_tab_label(): string;
+
+    /**
+     * Renders the content of the tab.
+     */
+    public function render_tab(): void;
+}
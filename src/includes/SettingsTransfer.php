@@ -0,0 +1,311 @@
+<?php
+
+/**
+ * MSO AI Meta Description Settings Transfer
+ *
+ * Provides the "Export / Import" tab of the settings page, moving the configuration between
+ * sites (e.g. from staging to production) as a JSON file. The export contains every setting
+ * registered in the options group of the plugin, except the API keys and the secret settings
+ * fields of the providers (e.g., authentication headers). The import only updates
+ * these settings, after the validations of the settings tabs (see SettingsAjaxHandler) for the
+ * prompts, and through their registered sanitize callbacks.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use MSO_AI_Meta_Description\Api\ApiClient;
+use MSO_AI_Meta_Description\Providers\ConfigurableProviderInterface;
+use MSO_AI_Meta_Description\Providers\ProviderInterface;
+use MSO_AI_Meta_Description\Utils\PromptTemplate;
+use MSO_AI_Meta_Description\Utils\ProviderCredentials;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Manages the export / import screen and its AJAX endpoints.
+ */
+class SettingsTransfer implements SettingsTabInterface
+{
+    /**
+     * Slug of the export / import tab.
+     */
+    public const string TAB_SLUG = 'transfer';
+
+    /**
+     * Identifier of the plugin in the exported files, checked on import.
+     */
+    private const string EXPORT_PLUGIN = 'mso-ai-meta-description';
+
+    /**
+     * The nonce action string used for verifying AJAX requests.
+     */
+    private string $nonce_action;
+
+    /**
+     * Array of available AI provider instances.
+     *
+     * @var array<string, ProviderInterface>
+     */
+    private array $providers;
+
+    /**
+     * Constructor.
+     *
+     * @param string                           $nonce_action The nonce action name for security checks.
+     * @param array<string, ProviderInterface> $providers    Array of available provider instances.
+     */
+    public function __construct(string $nonce_action, array $providers)
+    {
+        $this->nonce_action = $nonce_action;
+        $this->providers = $providers;
+    }
+
+    /**
+     * Registers the WordPress AJAX hooks of the export and import endpoints.
+     */
+    public function register_hooks(): void
+    {
+        add_action('wp_ajax_mso_ai_export_settings', [$this, 'handle_export']);
+        add_action('wp_ajax_mso_ai_import_settings', [$this, 'handle_import']);
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_slug(): string
+    {
+        return self::TAB_SLUG;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_label(): string
+    {
+        return __('Export / Import', 'mso-ai-meta-description');
+    }
+
+    /**
+     * Renders the export / import screen.
+     */
+    public function render_tab(): void
+    {
+        ?>
+        <div id="mso-ai-transfer" class="mso-ai-transfer">
+            <h2><?php esc_html_e('Export the settings', 'mso-ai-meta-description'); ?></h2>
+            <p class="description"><?php esc_html_e('Downloads the settings of the plugin as a JSON file. The API keys and the other secrets (e.g., extra headers) are never exported: enter them on each site, or define the API keys in wp-config.php.', 'mso-ai-meta-description'); ?></p>
+            <p>
+                <button type="button" class="button" id="mso-ai-export-settings"><?php esc_html_e('Export', 'mso-ai-meta-description'); ?></button>
+            </p>
+
+            <h2><?php esc_html_e('Import the settings', 'mso-ai-meta-description'); ?></h2>
+            <p class="description"><?php esc_html_e('Replaces the settings of this site with those of an exported file. The API keys, the other secrets and the settings defined in wp-config.php are kept.', 'mso-ai-meta-description'); ?></p>
+            <p>
+                <input type="file" id="mso-ai-import-settings-file" accept=".json,application/json">
+                <button type="button" class="button button-primary" id="mso-ai-import-settings"><?php esc_html_e('Import', 'mso-ai-meta-description'); ?></button>
+                <span class="spinner mso-ai-spinner"></span>
+            </p>
+
+            <h2><?php esc_html_e('wp-config.php constants', 'mso-ai-meta-description'); ?></h2>
+            <p class="description"><?php esc_html_e('The API key and the model of a provider can be defined in wp-config.php, which locks their fields. The API keys saved in the settings are encrypted with the security keys of wp-config.php, or with the MSO_AI_META_DESCRIPTION_ENCRYPTION_KEY constant when it is defined.', 'mso-ai-meta-description'); ?></p>
+            <ul class="mso-ai-transfer-constants">
+                <?php foreach ($this->providers as $provider_name => $provider) : ?>
+                    <li>
+                        <?php echo esc_html(ucfirst($provider->get_title())); ?>:
+                        <code><?php echo esc_html(ProviderCredentials::get_constant_name($provider_name, ProviderCredentials::API_KEY)); ?></code>,
+                        <code><?php echo esc_html(ProviderCredentials::get_constant_name($provider_name, ProviderCredentials::MODEL)); ?></code>
+                    </li>
+                <?php endforeach; ?>
+            </ul>
+        </div>
+        <?php
+    }
+
+    /**
+     * AJAX handler returning the exported settings.
+     *
+     * Expects 'nonce' in the POST request. Returns 'plugin', 'version', 'exported' (date) and 'settings'.
+     */
+    public function handle_export(): void
+    {
+        $this->verify_request();
+
+        $settings = [];
+        foreach ($this->get_transferable_settings() as $option_name => $setting) {
+            $settings[$option_name] = get_option($option_name, $setting['default'] ?? false);
+        }
+
+        wp_send_json_success([
+            'plugin' => self::EXPORT_PLUGIN,
+            'version' => MSO_AI_Meta_Description::VERSION,
+            'exported' => gmdate('c'),
+            'settings' => $settings,
+        ]);
+    }
+
+    /**
+     * AJAX handler importing the settings of an exported file.
+     *
+     * Expects 'settings' (the JSON content of the file) and 'nonce' in the POST request.
+     * Returns a message with the number of imported and skipped settings.
+     */
+    public function handle_import(): void
+    {
+        $this->verify_request();
+
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Decoded as JSON, each value is validated by prepare_value() and sanitized by its registered sanitize callback.
+        $json = isset($_POST['settings']) ? wp_unslash($_POST['settings']) : '';
+        $data = is_string($json) ? json_decode($json, true) : null;
+
+        if (! is_array($data) || ($data['plugin'] ?? '') !== self::EXPORT_PLUGIN || ! is_array($data['settings'] ?? null)) {
+            wp_send_json_error(['message' => __('The file is not a settings export of this plugin.', 'mso-ai-meta-description')], 400);
+        }
+
+        $transferable_settings = $this->get_transferable_settings();
+        $imported = 0;
+        $skipped = 0;
+
+        foreach ($data['settings'] as $option_name => $value) {
+            $setting = $transferable_settings[$option_name] ?? null;
+            $value = $setting === null || $this->is_locked((string) $option_name) ? null : $this->prepare_value((string) $option_name, $value, $setting);
+
+            if ($value === null || is_wp_error($value)) {
+                $skipped++;
+                continue;
+            }
+
+            update_option($option_name, $value);
+            $imported++;
+        }
+
+        // The base URLs and authentication settings may have changed the available models.
+        foreach (array_keys($this->providers) as $provider_name) {
+            ApiClient::clear_models_cache($provider_name);
+        }
+
+        wp_send_json_success([
+            'message' => sprintf(
+                /* translators: 1: Number of imported settings, 2: Number of skipped settings */
+                __('Settings imported: %1$s. Skipped: %2$s.', 'mso-ai-meta-description'),
+                number_format_i18n($imported),
+                number_format_i18n($skipped)
+            ),
+            'imported' => $imported,
+            'skipped' => $skipped,
+        ]);
+    }
+
+    /**
+     * Checks the nonce and the capability of an AJAX request, and stops it when they are invalid.
+     *
+     * @private
+     */
+    private function verify_request(): void
+    {
+        if (! check_ajax_referer($this->nonce_action, 'nonce', false)) {
+            wp_send_json_error(['message' => __('Invalid nonce.', 'mso-ai-meta-description')], 403);
+        }
+
+        if (! current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'mso-ai-meta-description')], 403);
+        }
+    }
+
+    /**
+     * Get the settings registered in the options group of the plugin, except the API keys
+     * and the secret settings fields of the providers.
+     *
+     * @return array<string, array<string, mixed>> The registered settings, keyed by option name.
+     * @private
+     */
+    private function get_transferable_settings(): array
+    {
+        $secret_options = $this->get_secret_option_names();
+
+        return array_filter(
+            get_registered_settings(),
+            static fn(array $setting, string $option_name) => ($setting['group'] ?? '') === SettingsRegistry::OPTIONS_GROUP
+                && ! str_ends_with($option_name, '_' . ProviderCredentials::API_KEY)
+                && ! in_array($option_name, $secret_options, true),
+            ARRAY_FILTER_USE_BOTH
+        );
+    }
+
+    /**
+     * Get the option names of the settings fields flagged 'secret' by the providers.
+     *
+     * @return array<int, string> The option names.
+     * @private
+     */
+    private function get_secret_option_names(): array
+    {
+        $option_names = [];
+        foreach ($this->providers as $provider_name => $provider) {
+            if (! $provider instanceof ConfigurableProviderInterface) {
+                continue;
+            }
+
+            foreach ($provider->get_settings_fields() as $field_key => $field) {
+                if (! empty($field['secret'])) {
+                    $option_names[] = MSO_AI_Meta_Description::get_option_prefix() . $provider_name . '_' . $field_key;
+                }
+            }
+        }
+
+        return $option_names;
+    }
+
+    /**
+     * Validates an imported value like the settings tabs do: the type of the registered setting,
+     * the shared prompt templates and the custom prompts of the providers. The other values are
+     * sanitized by the callback registered for their setting when update_option() saves them.
+     *
+     * @param string               $option_name The option name.
+     * @param mixed                $value       The imported value.
+     * @param array<string, mixed> $setting     The registered setting.
+     * @return mixed The value to save, null or a WP_Error if it is invalid.
+     * @private
+     */
+    private function prepare_value(string $option_name, mixed $value, array $setting): mixed
+    {
+        if (($setting['type'] ?? 'string') === 'array' ? ! is_array($value) : ! is_scalar($value)) {
+            return null;
+        }
+
+        if ($option_name === PromptTemplate::get_option_name()) {
+            return PromptTemplate::validate_templates($value);
+        }
+
+        if (str_ends_with($option_name, '_custom_summary_prompt')) {
+            $value = sanitize_textarea_field((string) $value);
+            $validation = PromptTemplate::validate($value);
+
+            return is_wp_error($validation) ? $validation : $value;
+        }
+
+        return $value;
+    }
+
+    /**
+     * Checks whether a setting is a provider model defined in wp-config.php.
+     *
+     * @param string $option_name The option name.
+     * @return bool True if the setting is locked by a constant.
+     * @private
+     */
+    private function is_locked(string $option_name): bool
+    {
+        foreach (array_keys($this->providers) as $provider_name) {
+            if ($option_name === MSO_AI_Meta_Description::get_option_prefix() . $provider_name . '_' . ProviderCredentials::MODEL) {
+                return ProviderCredentials::is_defined($provider_name, ProviderCredentials::MODEL);
+            }
+        }
+
+        return false;
+    }
+}
@@ -0,0 +1,403 @@
+<?php
+
+/**
+ * MSO AI Meta Description Usage Dashboard
+ *
+ * Provides the "Usage" tab of the settings page: daily chart of the tokens used,
+ * totals and estimated costs per provider and per user, monthly budgets and the
+ * latest generation requests recorded by the UsageTracker.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use MSO_AI_Meta_Description\Providers\ProviderManager;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Renders the usage and cost dashboard.
+ */
+class UsageDashboard implements SettingsTabInterface
+{
+    /**
+     * Slug of the usage tab.
+     * @var string
+     */
+    public const string TAB_SLUG = 'usage';
+
+    /**
+     * Periods that can be displayed, in days.
+     * @var array<int>
+     */
+    private const array PERIODS = [7, 30, 90];
+
+    /**
+     * Period displayed by default, in days.
+     * @var int
+     */
+    private const int DEFAULT_PERIOD = 30;
+
+    /**
+     * Number of requests listed in the latest requests table.
+     * @var int
+     */
+    private const int RECENT_COUNT = 20;
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_slug(): string
+    {
+        return self::TAB_SLUG;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_tab_label(): string
+    {
+        return __('Usage', 'mso-ai-meta-description');
+    }
+
+    /**
+     * Renders the usage dashboard for the selected period.
+     */
+    public function render_tab(): void
+    {
+        $period = $this->get_selected_period();
+        $today = current_datetime()->setTime(0, 0);
+        $start = $today->modify('-' . ($period - 1) . ' days');
+        $since = $start->setTimezone(new DateTimeZone('UTC'))->format('Y-m-d H:i:s');
+
+        $totals = UsageTracker::get_totals($since);
+        $provider_totals = $this->sum_by($totals, 'provider');
+        $user_totals = $this->sum_by($totals, 'user_id');
+        $overall = $this->sum_by($totals, null)[''] ?? $this->get_empty_total();
+        ?>
+        <div class="mso-ai-usage">
+            <form method="get" class="mso-ai-usage-period">
+                <input type="hidden" name="page" value="<?php echo esc_attr(SettingsPage::PAGE_SLUG); ?>">
+                <input type="hidden" name="tab" value="<?php echo esc_attr(self::TAB_SLUG); ?>">
+                <input type="hidden" name="_wpnonce" value="<?php echo esc_attr(wp_create_nonce('view-settings-tab-' . self::TAB_SLUG)); ?>">
+                <label for="mso-ai-usage-period"><?php esc_html_e('Period:', 'mso-ai-meta-description'); ?></label>
+                <select id="mso-ai-usage-period" name="period" onchange="this.form.submit()">
+                    <?php foreach (self::PERIODS as $days) : ?>
+                        <option value="<?php echo esc_attr((string)$days); ?>" <?php selected($period, $days); ?>>
+                            <?php /* translators: %d: Number of days */ echo esc_html(sprintf(_n('Last %d day', 'Last %d days', $days, 'mso-ai-meta-description'), $days)); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+                <noscript><button type="submit" class="button"><?php esc_html_e('Show', 'mso-ai-meta-description'); ?></button></noscript>
+            </form>
+
+            <ul class="mso-ai-usage-summary">
+                <li><strong><?php echo esc_html(number_format_i18n($overall['requests'])); ?></strong> <?php esc_html_e('requests', 'mso-ai-meta-description'); ?></li>
+                <li><strong><?php echo esc_html(number_format_i18n($overall['errors'])); ?></strong> <?php esc_html_e('errors', 'mso-ai-meta-description'); ?></li>
+                <li><strong><?php echo esc_html(number_format_i18n($overall['prompt_tokens'] + $overall['completion_tokens'])); ?></strong> <?php esc_html_e('tokens', 'mso-ai-meta-description'); ?></li>
+                <li><strong><?php echo esc_html($this->format_cost($overall['cost'])); ?></strong> <?php esc_html_e('estimated cost', 'mso-ai-meta-description'); ?></li>
+            </ul>
+
+            <h2><?php esc_html_e('Tokens per day', 'mso-ai-meta-description'); ?></h2>
+            <?php $this->render_daily_chart(UsageTracker::get_daily_totals($since), $start, $period); ?>
+
+            <h2><?php esc_html_e('Per provider', 'mso-ai-meta-description'); ?></h2>
+            <?php $this->render_provider_table($provider_totals); ?>
+
+            <h2><?php esc_html_e('Per user', 'mso-ai-meta-description'); ?></h2>
+            <?php $this->render_user_table($user_totals); ?>
+
+            <h2><?php esc_html_e('Latest requests', 'mso-ai-meta-description'); ?></h2>
+            <?php $this->render_recent_table(); ?>
+
+            <p class="description"><?php esc_html_e('Costs are estimated from the token counts returned by the providers and the prices set on the Settings tab. Requests that failed before reaching the provider have no tokens.', 'mso-ai-meta-description'); ?></p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Get the period selected in the URL, in days.
+     * The URL nonce is verified by SettingsPage before the tab is rendered.
+     *
+     * @return int The number of days.
+     * @private
+     */
+    private function get_selected_period(): int
+    {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Verified with the tab nonce, read-only.
+        $period = isset($_GET['period']) ? absint($_GET['period']) : self::DEFAULT_PERIOD;
+
+        return in_array($period, self::PERIODS, true) ? $period : self::DEFAULT_PERIOD;
+    }
+
+    /**
+     * Renders the bar chart of the tokens used per day.
+     *
+     * @param array<string, array{requests: int, tokens: int, cost: float}> $days   The totals keyed by day ('Y-m-d').
+     * @param DateTimeImmutable                                             $start  The first day of the period.
+     * @param int                                                           $period The number of days.
+     * @private
+     */
+    private function render_daily_chart(array $days, DateTimeImmutable $start, int $period): void
+    {
+        $max_tokens = max([1, ...array_column($days, 'tokens')]);
+        ?>
+        <div class="mso-ai-usage-chart" role="img" aria-label="<?php esc_attr_e('Tokens per day', 'mso-ai-meta-description'); ?>">
+            <?php for ($i = 0; $i < $period; $i++) :
+                $day = $start->modify('+' . $i . ' days');
+                $totals = $days[$day->format('Y-m-d')] ?? ['requests' => 0, 'tokens' => 0, 'cost' => 0.0];
+                $label = sprintf(
+                    /* translators: 1: Date, 2: Number of tokens, 3: Number of requests, 4: Estimated cost */
+                    __('%1$s: %2$s tokens, %3$s requests, %4$s', 'mso-ai-meta-description'),
+                    wp_date(get_option('date_format'), $day->getTimestamp()),
+                    number_format_i18n($totals['tokens']),
+                    number_format_i18n($totals['requests']),
+                    $this->format_cost($totals['cost'])
+                );
+                ?>
+                <span class="mso-ai-usage-bar" title="<?php echo esc_attr($label); ?>">
+                    <span style="height: <?php echo esc_attr((string)round($totals['tokens'] / $max_tokens * 100, 1)); ?>%"></span>
+                </span>
+            <?php endfor; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Renders the totals per provider, with the budget of the current month.
+     *
+     * @param array<string, array<string, int|float>> $provider_totals The totals keyed by provider name.
+     * @private
+     */
+    private function render_provider_table(array $provider_totals): void
+    {
+        ?>
+        <table class="widefat striped">
+            <thead>
+            <tr>
+                <th scope="col"><?php esc_html_e('Provider', 'mso-ai-meta-description'); ?></th>
+                <?php $this->render_total_headers(); ?>
+                <th scope="col"><?php esc_html_e('Average latency', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('This month / budget', 'mso-ai-meta-description'); ?></th>
+            </tr>
+            </thead>
+            <tbody>
+            <?php foreach (ProviderManager::get_providers() as $provider_name => $provider) :
+                $totals = $provider_totals[$provider_name] ?? $this->get_empty_total();
+                $budget = UsageTracker::get_price($provider_name)['budget'];
+                if ($totals['requests'] === 0 && $budget <= 0) {
+                    continue;
+                }
+                ?>
+                <tr>
+                    <th scope="row"><?php echo esc_html($provider->get_title()); ?></th>
+                    <?php $this->render_total_cells($totals); ?>
+                    <td><?php /* translators: %s: Latency in milliseconds */ echo esc_html(sprintf(__('%s ms', 'mso-ai-meta-description'), number_format_i18n((int)round($totals['latency_ms'])))); ?></td>
+                    <td>
+                        <?php
+                        echo esc_html($this->format_cost(UsageTracker::get_month_cost($provider_name)));
+                        echo ' / ' . esc_html($budget > 0 ? $this->format_cost($budget) : __('No limit', 'mso-ai-meta-description'));
+                        if (UsageTracker::is_over_budget($provider_name)) {
+                            echo ' <span class="mso-ai-error">' . esc_html__('Exceeded', 'mso-ai-meta-description') . '</span>';
+                        }
+                        ?>
+                    </td>
+                </tr>
+            <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+
+    /**
+     * Renders the totals per user.
+     *
+     * @param array<string, array<string, int|float>> $user_totals The totals keyed by user ID.
+     * @private
+     */
+    private function render_user_table(array $user_totals): void
+    {
+        uasort($user_totals, fn (array $a, array $b) => $b['cost'] <=> $a['cost'] ?: $b['requests'] <=> $a['requests']);
+        ?>
+        <table class="widefat striped">
+            <thead>
+            <tr>
+                <th scope="col"><?php esc_html_e('User', 'mso-ai-meta-description'); ?></th>
+                <?php $this->render_total_headers(); ?>
+            </tr>
+            </thead>
+            <tbody>
+            <?php if (empty($user_totals)) : ?>
+                <tr><td colspan="6"><?php esc_html_e('No requests recorded for this period.', 'mso-ai-meta-description'); ?></td></tr>
+            <?php endif; ?>
+            <?php foreach ($user_totals as $user_id => $totals) : ?>
+                <tr>
+                    <th scope="row"><?php echo esc_html($this->get_user_label((int)$user_id)); ?></th>
+                    <?php $this->render_total_cells($totals); ?>
+                </tr>
+            <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+
+    /**
+     * Renders the latest recorded requests.
+     * @private
+     */
+    private function render_recent_table(): void
+    {
+        $requests = UsageTracker::get_recent(self::RECENT_COUNT);
+        $providers = ProviderManager::get_providers();
+        ?>
+        <table class="widefat striped">
+            <thead>
+            <tr>
+                <th scope="col"><?php esc_html_e('Date', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Provider', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('User', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Post', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Tokens (prompt + completion)', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Latency', 'mso-ai-meta-description'); ?></th>
+                <th scope="col"><?php esc_html_e('Status', 'mso-ai-meta-description'); ?></th>
+            </tr>
+            </thead>
+            <tbody>
+            <?php if (empty($requests)) : ?>
+                <tr><td colspan="7"><?php esc_html_e('No requests recorded yet.', 'mso-ai-meta-description'); ?></td></tr>
+            <?php endif; ?>
+            <?php foreach ($requests as $request) :
+                $provider_title = isset($providers[$request['provider']]) ? $providers[$request['provider']]->get_title() : $request['provider'];
+                $post_id = (int)$request['post_id'];
+                ?>
+                <tr>
+                    <td><?php echo esc_html(get_date_from_gmt($request['created_at'], get_option('date_format') . ' ' . get_option('time_format'))); ?></td>
+                    <td><?php echo esc_html($provider_title); ?><br><code><?php echo esc_html($request['model']); ?></code></td>
+                    <td><?php echo esc_html($this->get_user_label((int)$request['user_id'])); ?></td>
+                    <td>
+                        <?php if ($post_id && get_post($post_id)) : ?>
+                            <a href="<?php echo esc_url((string)get_edit_post_link($post_id)); ?>"><?php echo esc_html(get_the_title($post_id) ?: '#' . $post_id); ?></a>
+                        <?php else : ?>
+                            &mdash;
+                        <?php endif; ?>
+                    </td>
+                    <td><?php echo esc_html(number_format_i18n((int)$request['prompt_tokens']) . ' + ' . number_format_i18n((int)$request['completion_tokens'])); ?></td>
+                    <td><?php /* translators: %s: Latency in milliseconds */ echo esc_html(sprintf(__('%s ms', 'mso-ai-meta-description'), number_format_i18n((int)$request['latency_ms']))); ?></td>
+                    <td>
+                        <?php if ($request['success']) : ?>
+                            <?php esc_html_e('Success', 'mso-ai-meta-description'); ?>
+                        <?php else : ?>
+                            <span class="mso-ai-error"><?php echo esc_html($request['error']); ?></span>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+            <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+
+    /**
+     * Renders the header cells of the totals columns.
+     * @private
+     */
+    private function render_total_headers(): void
+    {
+        ?>
+        <th scope="col"><?php esc_html_e('Requests', 'mso-ai-meta-description'); ?></th>
+        <th scope="col"><?php esc_html_e('Errors', 'mso-ai-meta-description'); ?></th>
+        <th scope="col"><?php esc_html_e('Prompt tokens', 'mso-ai-meta-description'); ?></th>
+        <th scope="col"><?php esc_html_e('Completion tokens', 'mso-ai-meta-description'); ?></th>
+        <th scope="col"><?php esc_html_e('Estimated cost', 'mso-ai-meta-description'); ?></th>
+        <?php
+    }
+
+    /**
+     * Renders the cells of the totals columns.
+     *
+     * @param array<string, int|float> $totals The totals.
+     * @private
+     */
+    private function render_total_cells(array $totals): void
+    {
+        ?>
+        <td><?php echo esc_html(number_format_i18n($totals['requests'])); ?></td>
+        <td><?php echo esc_html(number_format_i18n($totals['errors'])); ?></td>
+        <td><?php echo esc_html(number_format_i18n($totals['prompt_tokens'])); ?></td>
+        <td><?php echo esc_html(number_format_i18n($totals['completion_tokens'])); ?></td>
+        <td><?php echo esc_html($this->format_cost($totals['cost'])); ?></td>
+        <?php
+    }
+
+    /**
+     * Sums the totals per provider and user returned by UsageTracker::get_totals().
+     *
+     * @param array<int, array<string, mixed>> $rows   The totals per provider and user.
+     * @param string|null                      $column The column to group by, or null for the overall total (key '').
+     * @return array<string, array<string, int|float>> The totals keyed by the column value;
+     *                                                 'latency_ms' is the average latency.
+     * @private
+     */
+    private function sum_by(array $rows, ?string $column): array
+    {
+        $sums = [];
+        foreach ($rows as $row) {
+            $key = $column !== null ? (string)$row[$column] : '';
+            $sums[$key] ??= $this->get_empty_total();
+            $sums[$key]['latency_ms'] = ($sums[$key]['latency_ms'] * $sums[$key]['requests'] + $row['latency_ms'] * $row['requests']) / max(1, $sums[$key]['requests'] + $row['requests']);
+            foreach (['requests', 'errors', 'prompt_tokens', 'completion_tokens', 'cost'] as $field) {
+                $sums[$key][$field] += $row[$field];
+            }
+        }
+
+        return $sums;
+    }
+
+    /**
+     * Get an empty total.
+     *
+     * @return array<string, int|float> The total with all values at 0.
+     * @private
+     */
+    private function get_empty_total(): array
+    {
+        return ['requests' => 0, 'errors' => 0, 'prompt_tokens' => 0, 'completion_tokens' => 0, 'latency_ms' => 0, 'cost' => 0.0];
+    }
+
+    /**
+     * Get the name displayed for a user.
+     *
+     * @param int $user_id The user ID, 0 for requests made without a logged-in user (e.g. cron).
+     * @return string The user display name.
+     * @private
+     */
+    private function get_user_label(int $user_id): string
+    {
+        if ($user_id === 0) {
+            return __('No user (scheduled task)', 'mso-ai-meta-description');
+        }
+
+        $user = get_userdata($user_id);
+
+        /* translators: %d: User ID */
+        return $user ? $user->display_name : sprintf(__('Deleted user #%d', 'mso-ai-meta-description'), $user_id);
+    }
+
+    /**
+     * Formats an estimated cost. Small amounts get more decimals.
+     *
+     * @param float $cost The cost.
+     * @return string The formatted cost.
+     * @private
+     */
+    private function format_cost(float $cost): string
+    {
+        return number_format_i18n($cost, $cost > 0 && $cost < 1 ? 4 : 2);
+    }
+}
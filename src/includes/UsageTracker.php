@@ -0,0 +1,353 @@
+<?php
+
+/**
+ * MSO AI Meta Description Usage Tracker
+ *
+ * Records every generation request sent to a provider (provider, model, user, post,
+ * prompt/completion tokens, latency, success or error) in a custom table, and computes
+ * the totals and estimated costs shown on the Usage tab.
+ *
+ * Costs are estimated from the price table of the Options tab (price per million input
+ * and output tokens, per provider), which also holds the optional monthly budgets.
+ * A provider whose budget is exceeded is skipped by the ApiClient and its buttons are disabled.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description;
+
+use DateTimeImmutable;
+use DateTimeZone;
+
+if (! defined('ABSPATH')) {
+    die;
+}
+
+/**
+ * Records the generation usage and computes the totals.
+ */
+class UsageTracker
+{
+    /**
+     * Name of the usage table, without the database prefix.
+     */
+    public const string TABLE_NAME = 'mso_ai_usage';
+
+    /**
+     * Option name suffix (after the plugin option prefix) storing the price table, keyed by provider.
+     */
+    public const string PRICES_OPTION = 'usage_prices';
+
+    /**
+     * Option name suffix (after the plugin option prefix) storing the version of the table schema.
+     */
+    private const string DB_VERSION_OPTION = 'usage_db_version';
+
+    /**
+     * Version of the table schema. Increment to run dbDelta() again.
+     */
+    private const string DB_VERSION = '1';
+
+    /**
+     * Maximum length of the stored error messages.
+     */
+    private const int MAX_ERROR_LENGTH = 500;
+
+    /**
+     * Costs of the current month, keyed by provider, computed once per request.
+     * @var array<string, float>|null
+     */
+    private static ?array $month_costs = null;
+
+    /**
+     * Get the full name of the usage table.
+     *
+     * @return string The table name.
+     */
+    public static function get_table_name(): string
+    {
+        global $wpdb;
+
+        return $wpdb->prefix . self::TABLE_NAME;
+    }
+
+    /**
+     * Creates or updates the usage table when the schema version changed.
+     */
+    public static function maybe_create_table(): void
+    {
+        $version_option = MSO_AI_Meta_Description::get_option_prefix() . self::DB_VERSION_OPTION;
+
+        if (get_option($version_option) === self::DB_VERSION) {
+            return;
+        }
+
+        global $wpdb;
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table_name = self::get_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        dbDelta("CREATE TABLE {$table_name} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            created_at datetime NOT NULL,
+            provider varchar(64) NOT NULL,
+            model varchar(191) NOT NULL DEFAULT '',
+            user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            post_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            prompt_tokens int(10) unsigned NOT NULL DEFAULT 0,
+            completion_tokens int(10) unsigned NOT NULL DEFAULT 0,
+            latency_ms int(10) unsigned NOT NULL DEFAULT 0,
+            success tinyint(1) NOT NULL DEFAULT 1,
+            error text NOT NULL,
+            PRIMARY KEY  (id),
+            KEY created_at (created_at),
+            KEY provider_created_at (provider, created_at)
+        ) {$charset_collate};");
+
+        update_option($version_option, self::DB_VERSION);
+    }
+
+    /**
+     * Records a generation request.
+     *
+     * @param array{provider: string, model?: string, post_id?: int, prompt_tokens?: int, completion_tokens?: int, latency_ms?: int, error?: string} $entry
+     *        The request data. The user is the current user; the request failed if 'error' is not empty.
+     */
+    public static function record(array $entry): void
+    {
+        global $wpdb;
+
+        self::maybe_create_table();
+
+        $error = (string) ($entry['error'] ?? '');
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery -- Custom table.
+        $wpdb->insert(
+            self::get_table_name(),
+            [
+                'created_at' => current_time('mysql', true),
+                'provider' => $entry['provider'],
+                'model' => (string) ($entry['model'] ?? ''),
+                'user_id' => get_current_user_id(),
+                'post_id' => (int) ($entry['post_id'] ?? 0),
+                'prompt_tokens' => (int) ($entry['prompt_tokens'] ?? 0),
+                'completion_tokens' => (int) ($entry['completion_tokens'] ?? 0),
+                'latency_ms' => (int) ($entry['latency_ms'] ?? 0),
+                'success' => $error === '' ? 1 : 0,
+                'error' => mb_substr($error, 0, self::MAX_ERROR_LENGTH),
+            ],
+            ['%s', '%s', '%s', '%d', '%d', '%d', '%d', '%d', '%d', '%s']
+        );
+
+        self::$month_costs = null;
+    }
+
+    /**
+     * Get the full option name storing the price table.
+     *
+     * @return string The option name.
+     */
+    public static function get_prices_option_name(): string
+    {
+        return MSO_AI_Meta_Description::get_option_prefix() . self::PRICES_OPTION;
+    }
+
+    /**
+     * Get the price and budget of a provider.
+     *
+     * @param string $provider_name The provider name.
+     * @return array{input: float, output: float, budget: float} Prices per million input and output tokens,
+     *                                                           and monthly budget (0 for none).
+     */
+    public static function get_price(string $provider_name): array
+    {
+        $prices = (array) get_option(self::get_prices_option_name(), []);
+
+        return self::sanitize_price(isset($prices[$provider_name]) && is_array($prices[$provider_name]) ? $prices[$provider_name] : []);
+    }
+
+    /**
+     * Sanitizes the price table submitted from the Options tab. Unknown providers are dropped.
+     *
+     * @param mixed $value The submitted prices, keyed by provider.
+     * @return array<string, array{input: float, output: float, budget: float}> The sanitized prices.
+     */
+    public static function sanitize_prices(mixed $value): array
+    {
+        if (! is_array($value)) {
+            return [];
+        }
+
+        $sanitized = [];
+        foreach (Providers\ProviderManager::get_provider_names() as $provider_name) {
+            if (isset($value[$provider_name]) && is_array($value[$provider_name])) {
+                $sanitized[$provider_name] = self::sanitize_price($value[$provider_name]);
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Estimates the cost of a number of tokens.
+     *
+     * @param string $provider_name     The provider name.
+     * @param int    $prompt_tokens     The number of prompt (input) tokens.
+     * @param int    $completion_tokens The number of completion (output) tokens.
+     * @return float The estimated cost.
+     */
+    public static function get_cost(string $provider_name, int $prompt_tokens, int $completion_tokens): float
+    {
+        $price = self::get_price($provider_name);
+
+        return ($prompt_tokens * $price['input'] + $completion_tokens * $price['output']) / 1000000;
+    }
+
+    /**
+     * Get the estimated cost of the current month (site timezone) for a provider.
+     *
+     * @param string $provider_name The provider name.
+     * @return float The estimated cost.
+     */
+    public static function get_month_cost(string $provider_name): float
+    {
+        if (self::$month_costs === null) {
+            self::$month_costs = [];
+            foreach (self::get_totals(self::get_month_start()) as $row) {
+                self::$month_costs[$row['provider']] = (self::$month_costs[$row['provider']] ?? 0.0) + $row['cost'];
+            }
+        }
+
+        return self::$month_costs[$provider_name] ?? 0.0;
+    }
+
+    /**
+     * Checks whether the monthly budget of a provider is set and reached.
+     *
+     * @param string $provider_name The provider name.
+     * @return bool True if the provider must not be used until next month.
+     */
+    public static function is_over_budget(string $provider_name): bool
+    {
+        $budget = self::get_price($provider_name)['budget'];
+
+        return $budget > 0 && self::get_month_cost($provider_name) >= $budget;
+    }
+
+    /**
+     * Get the totals per provider and user since a date.
+     *
+     * @param string $since Start date (UTC, 'Y-m-d H:i:s').
+     * @return array<int, array{provider: string, user_id: int, requests: int, errors: int, prompt_tokens: int, completion_tokens: int, latency_ms: int, cost: float}>
+     *         The totals; 'latency_ms' is the average latency.
+     */
+    public static function get_totals(string $since): array
+    {
+        global $wpdb;
+
+        self::maybe_create_table();
+        $table_name = self::get_table_name();
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Custom table, cached per request by the callers.
+        $rows = (array) $wpdb->get_results($wpdb->prepare(
+            "SELECT provider, user_id, COUNT(*) AS requests, SUM(1 - success) AS errors,
+                SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens, AVG(latency_ms) AS latency_ms
+            FROM {$table_name} WHERE created_at >= %s GROUP BY provider, user_id",
+            $since
+        ), ARRAY_A);
+
+        return array_map(fn (array $row) => [
+            'provider' => (string) $row['provider'],
+            'user_id' => (int) $row['user_id'],
+            'requests' => (int) $row['requests'],
+            'errors' => (int) $row['errors'],
+            'prompt_tokens' => (int) $row['prompt_tokens'],
+            'completion_tokens' => (int) $row['completion_tokens'],
+            'latency_ms' => (int) round((float) $row['latency_ms']),
+            'cost' => self::get_cost((string) $row['provider'], (int) $row['prompt_tokens'], (int) $row['completion_tokens']),
+        ], $rows);
+    }
+
+    /**
+     * Get the totals per day (site timezone) and provider since a date.
+     *
+     * @param string $since Start date (UTC, 'Y-m-d H:i:s').
+     * @return array<string, array{requests: int, tokens: int, cost: float}> The totals keyed by day ('Y-m-d').
+     */
+    public static function get_daily_totals(string $since): array
+    {
+        global $wpdb;
+
+        self::maybe_create_table();
+        $table_name = self::get_table_name();
+        $offset = (int) round((float) get_option('gmt_offset') * HOUR_IN_SECONDS);
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Custom table.
+        $rows = (array) $wpdb->get_results($wpdb->prepare(
+            "SELECT DATE(DATE_ADD(created_at, INTERVAL %d SECOND)) AS day, provider, COUNT(*) AS requests,
+                SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens
+            FROM {$table_name} WHERE created_at >= %s GROUP BY day, provider ORDER BY day",
+            $offset,
+            $since
+        ), ARRAY_A);
+
+        $days = [];
+        foreach ($rows as $row) {
+            $day = (string) $row['day'];
+            $days[$day] ??= ['requests' => 0, 'tokens' => 0, 'cost' => 0.0];
+            $days[$day]['requests'] += (int) $row['requests'];
+            $days[$day]['tokens'] += (int) $row['prompt_tokens'] + (int) $row['completion_tokens'];
+            $days[$day]['cost'] += self::get_cost((string) $row['provider'], (int) $row['prompt_tokens'], (int) $row['completion_tokens']);
+        }
+
+        return $days;
+    }
+
+    /**
+     * Get the latest recorded requests.
+     *
+     * @param int $limit The maximum number of requests.
+     * @return array<int, array<string, string>> The requests, most recent first.
+     */
+    public static function get_recent(int $limit): array
+    {
+        global $wpdb;
+
+        self::maybe_create_table();
+        $table_name = self::get_table_name();
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Custom table.
+        return (array) $wpdb->get_results($wpdb->prepare("SELECT * FROM {$table_name} ORDER BY id DESC LIMIT %d", $limit), ARRAY_A);
+    }
+
+    /**
+     * Get the start of the current month in the site timezone, as a UTC date.
+     *
+     * @return string The date (UTC, 'Y-m-d H:i:s').
+     */
+    public static function get_month_start(): string
+    {
+        return (new DateTimeImmutable('first day of this month midnight', wp_timezone()))
+            ->setTimezone(new DateTimeZone('UTC'))
+            ->format('Y-m-d H:i:s');
+    }
+
+    /**
+     * Sanitizes the price and budget of a single provider.
+     *
+     * @param array<string, mixed> $price The price to sanitize.
+     * @return array{input: float, output: float, budget: float} The sanitized price.
+     * @private
+     */
+    private static function sanitize_price(array $price): array
+    {
+        $sanitized = [];
+        foreach (['input', 'output', 'budget'] as $key) {
+            $sanitized[$key] = isset($price[$key]) && is_numeric($price[$key]) ? max(0.0, (float) $price[$key]) : 0.0;
+        }
+
+        return $sanitized;
+    }
+}
@@ -0,0 +1,259 @@
+<?php
+
+/**
+ * MSO AI Meta Description DescriptionQuality Utility
+ *
+ * Quality checks of the descriptions, shared by the audit report (QualityAudit) and the
+ * duplicates REST route: out-of-range length, equality with the post title, missing focus
+ * keyword, double quotes, HTML, truncation mid-word, and duplicates or near-duplicates of
+ * the descriptions of other posts. The admin scripts run the same checks while typing
+ * (getQualityIssues() in mso-ai-main.js), except the duplicates which are requested from the server.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description\Utils;
+
+/**
+ * Helpers to find the quality issues of the descriptions.
+ */
+class DescriptionQuality
+{
+    /**
+     * Issue of a description shorter or longer than the rules of its post type.
+     */
+    public const string ISSUE_LENGTH = 'length';
+
+    /**
+     * Issue of a description identical to the post title.
+     */
+    public const string ISSUE_SAME_AS_TITLE = 'same_as_title';
+
+    /**
+     * Issue of a description not containing the focus keyword of the post.
+     */
+    public const string ISSUE_MISSING_KEYWORD = 'missing_keyword';
+
+    /**
+     * Issue of a description containing double quotes, which some themes and plugins print unescaped.
+     */
+    public const string ISSUE_QUOTES = 'quotes';
+
+    /**
+     * Issue of a description containing HTML tags or entities.
+     */
+    public const string ISSUE_HTML = 'html';
+
+    /**
+     * Issue of a description that seems truncated mid-word or mid-sentence.
+     */
+    public const string ISSUE_TRUNCATED = 'truncated';
+
+    /**
+     * Issue of a description identical to the description of another post.
+     */
+    public const string ISSUE_DUPLICATE = 'duplicate';
+
+    /**
+     * Issue of a description very similar to the description of another post.
+     */
+    public const string ISSUE_NEAR_DUPLICATE = 'near_duplicate';
+
+    /**
+     * Minimum similarity (Jaccard index of the sets of words) of two near-duplicate descriptions.
+     */
+    public const float NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+    /**
+     * Get the labels of the issues, keyed by issue code.
+     *
+     * @return array<string, string> The labels.
+     */
+    public static function get_labels(): array
+    {
+        return [
+            self::ISSUE_DUPLICATE => __('Duplicate of another description', 'mso-ai-meta-description'),
+            self::ISSUE_NEAR_DUPLICATE => __('Nearly identical to another description', 'mso-ai-meta-description'),
+            self::ISSUE_SAME_AS_TITLE => __('Same as the post title', 'mso-ai-meta-description'),
+            self::ISSUE_MISSING_KEYWORD => __('Focus keyword missing', 'mso-ai-meta-description'),
+            self::ISSUE_QUOTES => __('Contains double quotes', 'mso-ai-meta-description'),
+            self::ISSUE_HTML => __('Contains HTML', 'mso-ai-meta-description'),
+            self::ISSUE_TRUNCATED => __('Seems truncated mid-word', 'mso-ai-meta-description'),
+            self::ISSUE_LENGTH => __('Length out of the recommended range', 'mso-ai-meta-description'),
+        ];
+    }
+
+    /**
+     * Runs the checks of a single description (all but the duplicates).
+     *
+     * @param string                                                         $description The description.
+     * @param array{title: string, focus_keyword: string, min: int, max: int} $args        The post title and focus keyword,
+     *                                                                                     and the length rules of the post type.
+     * @return array<int, string> The codes of the issues found.
+     */
+    public static function check(string $description, array $args): array
+    {
+        $issues = [];
+        $length = mb_strlen($description);
+        $normalized = self::normalize($description);
+
+        if ($normalized !== '' && $normalized === self::normalize($args['title'])) {
+            $issues[] = self::ISSUE_SAME_AS_TITLE;
+        }
+
+        $keyword = self::normalize($args['focus_keyword']);
+        if ($keyword !== '' && ! str_contains(' ' . $normalized . ' ', ' ' . $keyword . ' ')) {
+            $issues[] = self::ISSUE_MISSING_KEYWORD;
+        }
+
+        if (preg_match('/["“”„«»]/u', $description)) {
+            $issues[] = self::ISSUE_QUOTES;
+        }
+
+        if (preg_match('/<\/?[a-z][^>]*>|&[a-z]+;|&#\d+;/i', $description)) {
+            $issues[] = self::ISSUE_HTML;
+        }
+
+        // An ellipsis or a dangling punctuation mark, or a last word cut at the maximum length.
+        $trimmed = trim($description);
+        if (preg_match('/(\.{2,}|…|[-–—,;:])$/u', $trimmed) || ($length >= $args['max'] && preg_match('/[\p{L}\p{N}]$/u', $trimmed))) {
+            $issues[] = self::ISSUE_TRUNCATED;
+        }
+
+        if ($length < $args['min'] || $length > $args['max']) {
+            $issues[] = self::ISSUE_LENGTH;
+        }
+
+        return $issues;
+    }
+
+    /**
+     * Finds the duplicate and near-duplicate descriptions of a set of posts.
+     *
+     * The identical texts (once normalized) are grouped, then the distinct texts are compared
+     * with prefix filtering: two sets of words whose similarity reaches the threshold share at
+     * least one of their rarest words, so only the texts sharing one of them are compared.
+     *
+     * @param array<int, string> $descriptions The descriptions, keyed by post ID.
+     * @return array<int, array{exact: array<int, int>, near: array<int, int>}> The IDs of the posts
+     *                                          having the same or a similar description, keyed by post ID.
+     */
+    public static function find_duplicates(array $descriptions): array
+    {
+        $groups = [];
+        foreach ($descriptions as $post_id => $description) {
+            $normalized = self::normalize($description);
+            if ($normalized !== '') {
+                $groups[$normalized][] = $post_id;
+            }
+        }
+
+        $duplicates = [];
+        foreach ($groups as $post_ids) {
+            foreach ($post_ids as $post_id) {
+                $duplicates[$post_id] = ['exact' => array_values(array_diff($post_ids, [$post_id])), 'near' => []];
+            }
+        }
+
+        $texts = array_keys($groups);
+        $word_sets = array_map(static fn(string $text) => self::get_words($text), $texts);
+        $frequencies = array_count_values(array_merge(...$word_sets));
+        $index = [];
+
+        foreach ($word_sets as $i => $words) {
+            usort($words, static fn($a, $b) => ($frequencies[$a] <=> $frequencies[$b]) ?: strcmp((string) $a, (string) $b));
+            $prefix_length = count($words) - (int) ceil(self::NEAR_DUPLICATE_THRESHOLD * count($words)) + 1;
+
+            $candidates = [];
+            foreach (array_slice($words, 0, $prefix_length) as $word) {
+                foreach ($index[$word] ?? [] as $j) {
+                    $candidates[$j] = true;
+                }
+                $index[$word][] = $i;
+            }
+
+            foreach (array_keys($candidates) as $j) {
+                if (self::get_similarity($word_sets[$i], $word_sets[$j]) < self::NEAR_DUPLICATE_THRESHOLD) {
+                    continue;
+                }
+
+                foreach ($groups[$texts[$i]] as $post_id) {
+                    array_push($duplicates[$post_id]['near'], ...$groups[$texts[$j]]);
+                }
+                foreach ($groups[$texts[$j]] as $post_id) {
+                    array_push($duplicates[$post_id]['near'], ...$groups[$texts[$i]]);
+                }
+            }
+        }
+
+        return $duplicates;
+    }
+
+    /**
+     * Finds the descriptions identical or similar to one description (e.g. while it is typed).
+     * The other descriptions are normalized beforehand, so they can be cached (see QualityAudit::get_normalized_descriptions()).
+     *
+     * @param string             $description            The description.
+     * @param array<int, string> $normalized_descriptions The descriptions to compare with, normalized with normalize(), keyed by post ID.
+     * @return array{exact: array<int, int>, near: array<int, int>} The IDs of the posts having the same or a similar description.
+     */
+    public static function find_duplicates_of(string $description, array $normalized_descriptions): array
+    {
+        $duplicates = ['exact' => [], 'near' => []];
+        $normalized = self::normalize($description);
+
+        if ($normalized === '') {
+            return $duplicates;
+        }
+
+        $words = self::get_words($normalized);
+        foreach ($normalized_descriptions as $post_id => $other_normalized) {
+            if ($other_normalized === $normalized) {
+                $duplicates['exact'][] = $post_id;
+            } elseif ($other_normalized !== '' && self::get_similarity($words, self::get_words($other_normalized)) >= self::NEAR_DUPLICATE_THRESHOLD) {
+                $duplicates['near'][] = $post_id;
+            }
+        }
+
+        return $duplicates;
+    }
+
+    /**
+     * Normalizes a text for comparisons: lowercase words and numbers separated by single spaces.
+     *
+     * @param string $text The text.
+     * @return string The normalized text.
+     */
+    public static function normalize(string $text): string
+    {
+        return trim((string) preg_replace('/[^\p{L}\p{N}]+/u', ' ', mb_strtolower(html_entity_decode($text, ENT_QUOTES, 'UTF-8'))));
+    }
+
+    /**
+     * Get the distinct words of a normalized text.
+     *
+     * @param string $normalized The normalized text.
+     * @return array<int, string> The words.
+     * @private
+     */
+    private static function get_words(string $normalized): array
+    {
+        return array_values(array_unique(explode(' ', $normalized)));
+    }
+
+    /**
+     * Measures the similarity of two sets of words (Jaccard index).
+     *
+     * @param array<int, string> $words       The first set of words.
+     * @param array<int, string> $other_words The second set of words.
+     * @return float The similarity, between 0 and 1.
+     * @private
+     */
+    private static function get_similarity(array $words, array $other_words): float
+    {
+        $union = count(array_unique(array_merge($words, $other_words)));
+
+        return $union === 0 ? 0.0 : count(array_intersect($words, $other_words)) / $union;
+    }
+}
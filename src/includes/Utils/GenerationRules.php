@@ -0,0 +1,139 @@
+<?php
+
+/**
+ * MSO AI Meta Description GenerationRules Utility
+ *
+ * Reads the generation rules configured per post type on the Options tab:
+ * recommended length (min/max), target language and tone. Post types without
+ * custom rules use MIN_DESCRIPTION_LENGTH/MAX_DESCRIPTION_LENGTH and keep the
+ * language of the content.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description\Utils;
+
+use MSO_AI_Meta_Description\BlockEditor;
+use MSO_AI_Meta_Description\MSO_AI_Meta_Description;
+
+/**
+ * Helpers to read and sanitize the per post type generation rules.
+ */
+class GenerationRules
+{
+    /**
+     * Option name suffix (after the plugin option prefix) storing the rules, keyed by post type.
+     */
+    public const string OPTION_NAME = 'post_type_rules';
+
+    /**
+     * Upper bound accepted for the maximum length.
+     */
+    public const int MAX_ALLOWED_LENGTH = 320;
+
+    /**
+     * Get the full option name storing the rules.
+     *
+     * @return string The option name.
+     */
+    public static function get_option_name(): string
+    {
+        return MSO_AI_Meta_Description::get_option_prefix() . self::OPTION_NAME;
+    }
+
+    /**
+     * Get the default rules, used for post types without custom rules.
+     *
+     * @return array{min: int, max: int, language: string, tone: string} The default rules.
+     */
+    public static function get_defaults(): array
+    {
+        return [
+            'min' => MSO_AI_Meta_Description::MIN_DESCRIPTION_LENGTH,
+            'max' => MSO_AI_Meta_Description::MAX_DESCRIPTION_LENGTH,
+            'language' => '',
+            'tone' => '',
+        ];
+    }
+
+    /**
+     * Get the rules of a post type.
+     *
+     * @param string|null $post_type The post type, or null for the defaults.
+     * @return array{min: int, max: int, language: string, tone: string} The rules.
+     */
+    public static function get(?string $post_type): array
+    {
+        $rules = (array) get_option(self::get_option_name(), []);
+
+        if ($post_type === null || empty($rules[$post_type]) || ! is_array($rules[$post_type])) {
+            return self::get_defaults();
+        }
+
+        return self::sanitize_rule($rules[$post_type]);
+    }
+
+    /**
+     * Get the rules of all supported post types.
+     *
+     * @return array<string, array{min: int, max: int, language: string, tone: string}> The rules keyed by post type.
+     */
+    public static function get_all(): array
+    {
+        $all_rules = [];
+
+        foreach (BlockEditor::get_supported_post_types() as $post_type) {
+            $all_rules[$post_type] = self::get($post_type);
+        }
+
+        return $all_rules;
+    }
+
+    /**
+     * Sanitizes the rules submitted from the Options tab.
+     * Unknown post types are dropped.
+     *
+     * @param mixed $value The submitted rules, keyed by post type.
+     * @return array<string, array{min: int, max: int, language: string, tone: string}> The sanitized rules.
+     */
+    public static function sanitize(mixed $value): array
+    {
+        if (! is_array($value)) {
+            return [];
+        }
+
+        $sanitized = [];
+        foreach (BlockEditor::get_supported_post_types() as $post_type) {
+            if (isset($value[$post_type]) && is_array($value[$post_type])) {
+                $sanitized[$post_type] = self::sanitize_rule($value[$post_type]);
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Sanitizes the rules of a single post type, keeping min <= max.
+     *
+     * @param array<string, mixed> $rule The rules to sanitize.
+     * @return array{min: int, max: int, language: string, tone: string} The sanitized rules.
+     * @private
+     */
+    private static function sanitize_rule(array $rule): array
+    {
+        $defaults = self::get_defaults();
+
+        $min = isset($rule['min']) && $rule['min'] !== '' ? absint($rule['min']) : $defaults['min'];
+        $max = isset($rule['max']) && $rule['max'] !== '' ? absint($rule['max']) : $defaults['max'];
+        $max = min(max(1, $max), self::MAX_ALLOWED_LENGTH);
+        $min = min(max(1, $min), $max);
+
+        return [
+            'min' => $min,
+            'max' => $max,
+            'language' => isset($rule['language']) ? sanitize_text_field((string) $rule['language']) : '',
+            'tone' => isset($rule['tone']) ? sanitize_text_field((string) $rule['tone']) : '',
+        ];
+    }
+}
@@ -0,0 +1,174 @@
+<?php
+
+/**
+ * MSO AI Meta Description PostContent Utility
+ *
+ * Extracts the text sent to the AI providers from a post, server side.
+ * Mirrors getPostContentAsText() in the admin script, used when the
+ * content is not read from the editor (bulk generation, list table, etc.).
+ *
+ * Also builds the structured generation context (title, outline, excerpt,
+ * taxonomy terms, focus keyword) used by the prompt placeholders, with the language
+ * of the post when WPML or Polylang is active.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description\Utils;
+
+use MSO_AI_Meta_Description\MSO_AI_Meta_Description;
+use MSO_AI_Meta_Description\Multilingual;
+use WP_Post;
+
+/**
+ * Helpers to read the content of a post as plain text.
+ */
+class PostContent
+{
+    /**
+     * Generation variant producing the social description (Open Graph and Twitter Card tags).
+     */
+    public const string SOCIAL_VARIANT = 'social';
+
+    /**
+     * Maximum number of headings kept in the outline.
+     */
+    private const int MAX_OUTLINE_ITEMS = 30;
+
+    /**
+     * Text fields of the generation context that can be submitted by the editor.
+     * @var array<string>
+     */
+    private const array TEXT_FIELDS = ['title', 'excerpt', 'focus_keyword'];
+
+    /**
+     * Returns the content of a post as plain text.
+     *
+     * Removes shortcodes, block comments, scripts, styles and HTML tags,
+     * then collapses whitespace.
+     *
+     * @param WP_Post $post The post to read.
+     * @return string The plain text content.
+     */
+    public static function get_plain_text(WP_Post $post): string
+    {
+        $content = strip_shortcodes($post->post_content);
+        $content = wp_strip_all_tags($content);
+        $content = (string) preg_replace('/\[.*?]/', '', $content);
+        $content = (string) preg_replace('/\s\s+/', ' ', $content);
+
+        return trim(html_entity_decode($content, ENT_QUOTES, get_bloginfo('charset')));
+    }
+
+    /**
+     * Returns the H1 to H3 headings of an HTML content, as "H2: Heading" lines.
+     *
+     * @param string $html The HTML content.
+     * @return array<int, string> The outline.
+     */
+    public static function get_outline(string $html): array
+    {
+        if (! preg_match_all('/<h([1-3])\b[^>]*>(.*?)<\/h\1>/is', $html, $matches, PREG_SET_ORDER)) {
+            return [];
+        }
+
+        $outline = [];
+        foreach ($matches as $match) {
+            $heading = trim(html_entity_decode(wp_strip_all_tags($match[2]), ENT_QUOTES, get_bloginfo('charset')));
+            if ($heading !== '') {
+                $outline[] = 'H' . $match[1] . ': ' . $heading;
+            }
+        }
+
+        return array_slice($outline, 0, self::MAX_OUTLINE_ITEMS);
+    }
+
+    /**
+     * Returns the names of the terms assigned to a post, for its public taxonomies (categories, tags...).
+     *
+     * @param WP_Post $post The post to read.
+     * @return array<int, string> The term names.
+     */
+    public static function get_term_names(WP_Post $post): array
+    {
+        $names = [];
+
+        foreach (get_object_taxonomies($post, 'objects') as $taxonomy) {
+            if (! $taxonomy->public || $taxonomy->name === 'post_format') {
+                continue;
+            }
+
+            $terms = get_the_terms($post, $taxonomy->name);
+            if (is_array($terms)) {
+                $names = array_merge($names, wp_list_pluck($terms, 'name'));
+            }
+        }
+
+        return array_values(array_unique($names));
+    }
+
+    /**
+     * Builds the generation context of a post.
+     *
+     * The saved post provides the defaults; the non-empty submitted fields (edited but not yet
+     * saved in the editor) take precedence. Without a post, only the submitted fields are used.
+     *
+     * @param WP_Post|null         $post   The post being summarized, if known.
+     * @param array<string, mixed> $fields Submitted fields (unslashed): 'post_type', 'title', 'excerpt',
+     *                                     'outline' (one heading per line), 'focus_keyword', 'variant',
+     *                                     'language' (target language code) and 'translate_from' (post ID of a translation).
+     * @return array<string, mixed> The context: 'post_id', 'post_type', 'title', 'excerpt', 'outline', 'terms', 'focus_keyword',
+     *                              'variant' ('social' when generating the social description), 'language' (name of the
+     *                              target language, with WPML or Polylang) and 'source_description' (when translating).
+     */
+    public static function get_context(?WP_Post $post, array $fields = []): array
+    {
+        $context = [];
+
+        if ($post) {
+            $context = [
+                'post_id' => $post->ID,
+                'post_type' => $post->post_type,
+                'title' => $post->post_title,
+                'excerpt' => $post->post_excerpt,
+                'outline' => self::get_outline($post->post_content),
+                'terms' => self::get_term_names($post),
+                'focus_keyword' => (string) get_post_meta($post->ID, MSO_AI_Meta_Description::FOCUS_KEYWORD_META_KEY, true),
+            ];
+        } elseif (! empty($fields['post_type'])) {
+            $context['post_type'] = sanitize_key((string) $fields['post_type']);
+        }
+
+        foreach (self::TEXT_FIELDS as $key) {
+            $value = isset($fields[$key]) && is_scalar($fields[$key]) ? sanitize_text_field((string) $fields[$key]) : '';
+            if ($value !== '') {
+                $context[$key] = $value;
+            }
+        }
+
+        if (! empty($fields['outline']) && is_string($fields['outline'])) {
+            $outline = array_filter(array_map('sanitize_text_field', explode("\n", $fields['outline'])));
+            $context['outline'] = array_slice(array_values($outline), 0, self::MAX_OUTLINE_ITEMS);
+        }
+
+        if (($fields['variant'] ?? '') === self::SOCIAL_VARIANT) {
+            $context['variant'] = self::SOCIAL_VARIANT;
+        }
+
+        if (Multilingual::is_active()) {
+            $language = isset($fields['language']) && is_string($fields['language']) ? sanitize_key($fields['language']) : '';
+            $language = $language !== '' ? $language : ($post ? Multilingual::get_post_language($post->ID) : '');
+            if ($language !== '') {
+                $context['language'] = Multilingual::get_language_name($language);
+            }
+
+            $source_description = $post && ! empty($fields['translate_from']) ? Multilingual::get_source_description($post, absint($fields['translate_from'])) : '';
+            if ($source_description !== '') {
+                $context['source_description'] = $source_description;
+            }
+        }
+
+        return $context;
+    }
+}
@@ -0,0 +1,206 @@
+<?php
+
+/**
+ * MSO AI Meta Description PromptTemplate Utility
+ *
+ * Renders, validates and stores the prompt templates:
+ * - Placeholders are named ({min}, {max}, {title}, {content}, {language}...) and replaced
+ *   without sprintf(), so a '%' in a prompt is sent as is. The legacy positional
+ *   placeholders %1$d, %2$d and %3$s are still replaced by the length limits and content.
+ * - Named templates are shared across providers (Options tab) and selected on each provider tab.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description\Utils;
+
+use MSO_AI_Meta_Description\MSO_AI_Meta_Description;
+use WP_Error;
+
+/**
+ * Helpers to render, validate and read the prompt templates.
+ */
+class PromptTemplate
+{
+    /**
+     * Option name suffix (after the plugin option prefix) storing the shared templates, keyed by template ID.
+     */
+    public const string OPTION_NAME = 'prompt_templates';
+
+    /**
+     * Supported placeholders: the generation rules, followed by the structured context.
+     * @var array<string>
+     */
+    public const array PLACEHOLDERS = ['min', 'max', 'language', 'tone', 'title', 'focus_keyword', 'excerpt', 'outline', 'terms', 'content'];
+
+    /**
+     * Legacy positional placeholders, with their named equivalent.
+     * @var array<string, string>
+     */
+    public const array LEGACY_PLACEHOLDERS = ['%1$d' => '{min}', '%2$d' => '{max}', '%3$s' => '{content}'];
+
+    /**
+     * Maximum length of a template name.
+     */
+    private const int MAX_NAME_LENGTH = 60;
+
+    /**
+     * Replaces the named and legacy placeholders of a template.
+     *
+     * @param string                $template The prompt template.
+     * @param array<string, string> $values   The placeholder values, keyed by placeholder name.
+     * @return string The prompt.
+     */
+    public static function render(string $template, array $values): string
+    {
+        $replacements = [];
+        foreach ($values as $name => $value) {
+            $replacements['{' . $name . '}'] = $value;
+        }
+
+        return strtr(strtr($template, self::LEGACY_PLACEHOLDERS), $replacements);
+    }
+
+    /**
+     * Lists the placeholders used by a template, legacy ones included.
+     *
+     * @param string $template The prompt template.
+     * @return array<int, string> The placeholder names, known or not.
+     */
+    public static function get_used_placeholders(string $template): array
+    {
+        preg_match_all('/\{([a-z0-9_]+)\}/', strtr($template, self::LEGACY_PLACEHOLDERS), $matches);
+
+        return array_values(array_unique($matches[1]));
+    }
+
+    /**
+     * Validates a template: unknown placeholders are rejected, as they would be sent as is to the provider.
+     *
+     * @param string $template The prompt template.
+     * @return true|WP_Error True if the template is valid, WP_Error otherwise.
+     */
+    public static function validate(string $template): bool|WP_Error
+    {
+        $unknown = array_diff(self::get_used_placeholders($template), self::PLACEHOLDERS);
+
+        if (! empty($unknown)) {
+            return new WP_Error(
+                'invalid_prompt_template',
+                sprintf(
+                    /* translators: 1: Unknown placeholders (e.g., {titel}), 2: Supported placeholders */
+                    __('Unknown placeholder(s) %1$s. Supported placeholders: %2$s.', 'mso-ai-meta-description'),
+                    '{' . implode('}, {', $unknown) . '}',
+                    '{' . implode('}, {', self::PLACEHOLDERS) . '}'
+                ),
+                ['status' => 400]
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the full option name storing the shared templates.
+     *
+     * @return string The option name.
+     */
+    public static function get_option_name(): string
+    {
+        return MSO_AI_Meta_Description::get_option_prefix() . self::OPTION_NAME;
+    }
+
+    /**
+     * Get the shared templates.
+     *
+     * @return array<string, array{name: string, template: string}> The templates, keyed by template ID.
+     */
+    public static function get_templates(): array
+    {
+        $templates = get_option(self::get_option_name(), []);
+
+        return is_array($templates) ? $templates : [];
+    }
+
+    /**
+     * Get the text of a shared template.
+     *
+     * @param string $template_id The template ID.
+     * @return string|null The template, or null if it does not exist.
+     */
+    public static function get_template(string $template_id): ?string
+    {
+        $templates = self::get_templates();
+
+        return isset($templates[$template_id]['template']) ? (string) $templates[$template_id]['template'] : null;
+    }
+
+    /**
+     * Sanitize callback of the templates setting: invalid templates are reported as a settings error,
+     * and the saved templates are kept.
+     *
+     * @param mixed $value The submitted rows, or the templates keyed by ID.
+     * @return array<string, array{name: string, template: string}> The templates keyed by ID.
+     */
+    public static function sanitize_templates(mixed $value): array
+    {
+        $templates = self::validate_templates($value);
+
+        if (is_wp_error($templates)) {
+            add_settings_error(self::get_option_name(), $templates->get_error_code(), $templates->get_error_message());
+
+            return (array) get_option(self::get_option_name(), []);
+        }
+
+        return $templates;
+    }
+
+    /**
+     * Sanitizes and validates the shared templates submitted from the Options tab.
+     *
+     * Rows without name or template are dropped. New rows get an ID derived from their name.
+     * The saved templates, keyed by ID, are accepted too, so the sanitization can run again on them.
+     *
+     * @param mixed $value The submitted rows, each with 'id', 'name' and 'template', or the templates keyed by ID.
+     * @return array<string, array{name: string, template: string}>|WP_Error The templates keyed by ID,
+     *                                                                       or WP_Error if a template is invalid.
+     */
+    public static function validate_templates(mixed $value): array|WP_Error
+    {
+        if (! is_array($value)) {
+            return [];
+        }
+
+        $templates = [];
+        foreach ($value as $key => $row) {
+            if (! is_array($row)) {
+                continue;
+            }
+
+            $name = mb_substr(sanitize_text_field((string) ($row['name'] ?? '')), 0, self::MAX_NAME_LENGTH);
+            $template = sanitize_textarea_field((string) ($row['template'] ?? ''));
+            if ($name === '' || $template === '') {
+                continue;
+            }
+
+            $validation = self::validate($template);
+            if (is_wp_error($validation)) {
+                /* translators: 1: Template name, 2: Validation error */
+                return new WP_Error($validation->get_error_code(), sprintf(__('Template "%1$s": %2$s', 'mso-ai-meta-description'), $name, $validation->get_error_message()), ['status' => 400]);
+            }
+
+            $id = sanitize_key((string) ($row['id'] ?? (is_string($key) ? $key : '')));
+            $id = $id !== '' ? $id : sanitize_key(sanitize_title($name));
+            $id = $id !== '' ? $id : 'template';
+            $unique_id = $id;
+            for ($suffix = 2; isset($templates[$unique_id]); $suffix++) {
+                $unique_id = $id . '-' . $suffix;
+            }
+
+            $templates[$unique_id] = ['name' => $name, 'template' => $template];
+        }
+
+        return $templates;
+    }
+}
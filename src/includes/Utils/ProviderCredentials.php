@@ -0,0 +1,274 @@
+<?php
+
+/**
+ * MSO AI Meta Description ProviderCredentials Utility
+ *
+ * Reads and stores the API keys and models of the providers.
+ *
+ * The API keys are encrypted in the options ({prefix}{provider}_api_key) with libsodium, using
+ * a key derived from the MSO_AI_META_DESCRIPTION_ENCRYPTION_KEY constant, or from the
+ * LOGGED_IN_KEY and LOGGED_IN_SALT security keys of wp-config.php. So are the secret settings
+ * fields of the providers (see ConfigurableProviderInterface::get_settings_fields()). The values
+ * saved in plain text by the previous versions are still read, and encrypted by encrypt_stored_secret().
+ *
+ * The API key and the model of a provider can also be defined in wp-config.php, with the
+ * constants returned by get_constant_name() (e.g. MSO_AI_MISTRAL_API_KEY, MSO_AI_MISTRAL_MODEL).
+ * They take precedence over the options, and lock the fields of the provider tab.
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+namespace MSO_AI_Meta_Description\Utils;
+
+use MSO_AI_Meta_Description\MSO_AI_Meta_Description;
+use SodiumException;
+
+/**
+ * Helpers to read and store the provider credentials.
+ */
+class ProviderCredentials
+{
+    /**
+     * Setting of the API key, used in the option and constant names.
+     */
+    public const string API_KEY = 'api_key';
+
+    /**
+     * Setting of the model, used in the option and constant names.
+     */
+    public const string MODEL = 'model';
+
+    /**
+     * Constant of wp-config.php defining the encryption key, instead of the WordPress security keys.
+     */
+    public const string ENCRYPTION_KEY_CONSTANT = 'MSO_AI_META_DESCRIPTION_ENCRYPTION_KEY';
+
+    /**
+     * Prefix of the encrypted values, with the version of the format.
+     */
+    private const string ENCRYPTED_PREFIX = 'mso-ai-encrypted:v1:';
+
+    /**
+     * Get the name of the wp-config.php constant defining a setting of a provider.
+     *
+     * @param string $provider_name The provider name (e.g. 'mistral', 'openai_compatible').
+     * @param string $setting       API_KEY or MODEL.
+     * @return string The constant name (e.g. 'MSO_AI_MISTRAL_API_KEY').
+     */
+    public static function get_constant_name(string $provider_name, string $setting): string
+    {
+        return strtoupper('MSO_AI_' . preg_replace('/[^a-z0-9]+/i', '_', $provider_name) . '_' . $setting);
+    }
+
+    /**
+     * Checks whether a setting of a provider is defined in wp-config.php.
+     *
+     * @param string $provider_name The provider name.
+     * @param string $setting       API_KEY or MODEL.
+     * @return bool True if the constant is defined.
+     */
+    public static function is_defined(string $provider_name, string $setting): bool
+    {
+        return defined(self::get_constant_name($provider_name, $setting));
+    }
+
+    /**
+     * Get the API key of a provider: the wp-config.php constant, or the decrypted option.
+     *
+     * @param string $provider_name The provider name.
+     * @return string The API key, empty if none is set or if the saved key cannot be decrypted.
+     */
+    public static function get_api_key(string $provider_name): string
+    {
+        if (self::is_defined($provider_name, self::API_KEY)) {
+            return (string) constant(self::get_constant_name($provider_name, self::API_KEY));
+        }
+
+        return self::get_secret(self::get_option_name($provider_name, self::API_KEY));
+    }
+
+    /**
+     * Encrypts and saves the API key of a provider.
+     *
+     * @param string $provider_name The provider name.
+     * @param string $api_key       The API key, empty to delete it.
+     */
+    public static function save_api_key(string $provider_name, string $api_key): void
+    {
+        self::save_secret(self::get_option_name($provider_name, self::API_KEY), $api_key);
+    }
+
+    /**
+     * Checks whether an API key is saved in the options but cannot be decrypted,
+     * e.g. after the security keys of wp-config.php were changed.
+     *
+     * @param string $provider_name The provider name.
+     * @return bool True if the saved key is unreadable.
+     */
+    public static function is_api_key_unreadable(string $provider_name): bool
+    {
+        $stored_value = (string) get_option(self::get_option_name($provider_name, self::API_KEY), '');
+
+        return $stored_value !== '' && self::decrypt($stored_value) === '';
+    }
+
+    /**
+     * Encrypts the API key of a provider if it is still saved in plain text.
+     *
+     * @param string $provider_name The provider name.
+     */
+    public static function encrypt_stored_api_key(string $provider_name): void
+    {
+        self::encrypt_stored_secret(self::get_option_name($provider_name, self::API_KEY));
+    }
+
+    /**
+     * Get the decrypted value of a secret option.
+     *
+     * @param string $option_name The option name.
+     * @return string The value, empty if none is set or if it cannot be decrypted.
+     */
+    public static function get_secret(string $option_name): string
+    {
+        return self::decrypt((string) get_option($option_name, ''));
+    }
+
+    /**
+     * Encrypts and saves a secret option.
+     *
+     * @param string $option_name The option name.
+     * @param string $value       The value, empty to delete it.
+     */
+    public static function save_secret(string $option_name, string $value): void
+    {
+        update_option($option_name, $value === '' ? '' : self::encrypt($value));
+    }
+
+    /**
+     * Encrypts a secret option if it is still saved in plain text.
+     *
+     * @param string $option_name The option name.
+     */
+    public static function encrypt_stored_secret(string $option_name): void
+    {
+        $stored_value = (string) get_option($option_name, '');
+
+        if ($stored_value !== '' && ! str_starts_with($stored_value, self::ENCRYPTED_PREFIX) && self::get_encryption_key() !== '') {
+            self::save_secret($option_name, $stored_value);
+        }
+    }
+
+    /**
+     * Get the model of a provider: the wp-config.php constant, or the option.
+     *
+     * @param string $provider_name The provider name.
+     * @param string $default       The model used when none is set.
+     * @return string The model ID.
+     */
+    public static function get_model(string $provider_name, string $default = ''): string
+    {
+        if (self::is_defined($provider_name, self::MODEL)) {
+            return (string) constant(self::get_constant_name($provider_name, self::MODEL));
+        }
+
+        return (string) get_option(self::get_option_name($provider_name, self::MODEL), $default);
+    }
+
+    /**
+     * Get the name of the option storing a setting of a provider.
+     *
+     * @param string $provider_name The provider name.
+     * @param string $setting       API_KEY or MODEL.
+     * @return string The option name.
+     * @private
+     */
+    private static function get_option_name(string $provider_name, string $setting): string
+    {
+        return MSO_AI_Meta_Description::get_option_prefix() . $provider_name . '_' . $setting;
+    }
+
+    /**
+     * Encrypts a value. Without libsodium or key material, the value is returned unchanged.
+     *
+     * @param string $value The plain text value.
+     * @return string The encrypted value, prefixed with ENCRYPTED_PREFIX.
+     * @private
+     */
+    private static function encrypt(string $value): string
+    {
+        $key = self::get_encryption_key();
+        if ($key === '') {
+            return $value;
+        }
+
+        try {
+            $nonce = random_bytes(SODIUM_CRYPTO_SECRETBOX_NONCEBYTES);
+
+            return self::ENCRYPTED_PREFIX . base64_encode($nonce . sodium_crypto_secretbox($value, $nonce, $key));
+        } catch (SodiumException $e) {
+            Logger::error('Could not encrypt the API key', ['exception_message' => $e->getMessage()]);
+
+            return $value;
+        }
+    }
+
+    /**
+     * Decrypts a value. Values without ENCRYPTED_PREFIX (saved in plain text) are returned unchanged.
+     *
+     * @param string $value The stored value.
+     * @return string The plain text value, empty if it cannot be decrypted.
+     * @private
+     */
+    private static function decrypt(string $value): string
+    {
+        if (! str_starts_with($value, self::ENCRYPTED_PREFIX)) {
+            return $value;
+        }
+
+        $key = self::get_encryption_key();
+        $decoded = base64_decode(substr($value, strlen(self::ENCRYPTED_PREFIX)), true);
+
+        if ($key === '' || $decoded === false || strlen($decoded) <= SODIUM_CRYPTO_SECRETBOX_NONCEBYTES) {
+            return '';
+        }
+
+        try {
+            $decrypted = sodium_crypto_secretbox_open(
+                substr($decoded, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES),
+                substr($decoded, 0, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES),
+                $key
+            );
+        } catch (SodiumException) {
+            return '';
+        }
+
+        return $decrypted === false ? '' : $decrypted;
+    }
+
+    /**
+     * Derives the encryption key from the dedicated constant, or from the WordPress security keys.
+     * The constants are read directly, since the providers are loaded before wp_salt() is available.
+     *
+     * @return string The binary key, empty if libsodium or the key material is missing.
+     * @private
+     */
+    private static function get_encryption_key(): string
+    {
+        if (! function_exists('sodium_crypto_secretbox')) {
+            return '';
+        }
+
+        if (defined(self::ENCRYPTION_KEY_CONSTANT)) {
+            $material = (string) constant(self::ENCRYPTION_KEY_CONSTANT);
+        } else {
+            $material = (defined('LOGGED_IN_KEY') ? LOGGED_IN_KEY : '') . (defined('LOGGED_IN_SALT') ? LOGGED_IN_SALT : '');
+        }
+
+        if ($material === '') {
+            return '';
+        }
+
+        return hash_hmac('sha256', 'mso-ai-meta-description-api-keys', $material, true);
+    }
+}
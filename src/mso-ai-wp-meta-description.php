@@ -6,7 +6,7 @@
  * Description: WordPress plugin to add custom meta description tags in the HTML header, with the option to generate by AI.
  * Author: ms-only
  * Version: 1.0.0
- * Requires at least: 6.0
+ * Requires at least: 6.7
  * Requires PHP: 8.1
  * Author URI: https://www.ms-only.fr/
  * License: GPL2 or later
@@ -72,6 +72,12 @@ final class MSO_AI_Meta_Description
     /** The meta key used to store the custom meta description in the post meta table. */
     public const string META_KEY = '_mso_ai_meta_description';
 
+    /** The meta key used to store the optional focus keyword sent to the AI providers. */
+    public const string FOCUS_KEYWORD_META_KEY = '_mso_ai_focus_keyword';
+
+    /** The meta key used to store the optional social description (Open Graph and Twitter Card tags). */
+    public const string SOCIAL_META_KEY = '_mso_ai_social_description';
+
     /** Nonce action string used for verifying the meta box save request. */
     public const string META_BOX_NONCE_ACTION = 'mso_ai_save_meta_description_nonce_action';
     /** Nonce field name used in the meta box form. */
@@ -92,6 +98,11 @@ final class MSO_AI_Meta_Description
     /** Maximum recommended length for a meta description. */
     public const int MAX_DESCRIPTION_LENGTH = 160;
 
+    /** Default number of candidate descriptions requested when generating variants. */
+    public const int DEFAULT_CANDIDATE_COUNT = 3;
+    /** Maximum number of candidate descriptions that can be requested at once. */
+    public const int MAX_CANDIDATE_COUNT = 5;
+
     /** Holds the single instance of this class (Singleton pattern). */
     private static ?MSO_AI_Meta_Description $instance = null;
 
@@ -107,6 +118,9 @@ final class MSO_AI_Meta_Description
     /** Instance of the MetaBox class, handling the meta description. */
     private MetaBox $meta_box;
 
+    /** Instance of the BlockEditor class, handling the block editor panel and post meta registration. */
+    private BlockEditor $block_editor;
+
     /** Instance of the SettingsPage class, handling the plugin's settings page. */
     private SettingsPage $settings_page;
 
@@ -116,6 +130,45 @@ final class MSO_AI_Meta_Description
     /** Instance of the SettingsAjaxHandler class, handling AJAX Settings requests. */
     private SettingsAjaxHandler $settings_ajax_handler;
 
+    /** Instance of the BulkGenerator class, handling the bulk generation tab. */
+    private BulkGenerator $bulk_generator;
+
+    /** Instance of the AutoGenerator class, generating the descriptions on publish. */
+    private AutoGenerator $auto_generator;
+
+    /** Instance of the DescriptionHistory class, recording the history of the descriptions. */
+    private DescriptionHistory $description_history;
+
+    /** Instance of the UsageDashboard class, handling the usage tab. */
+    private UsageDashboard $usage_dashboard;
+
+    /** Instance of the SeoImporter class, handling the import tab. */
+    private SeoImporter $seo_importer;
+
+    /** Instance of the QualityAudit class, handling the audit tab. */
+    private QualityAudit $quality_audit;
+
+    /** Instance of the SettingsTransfer class, handling the export / import tab. */
+    private SettingsTransfer $settings_transfer;
+
+    /** Instance of the SeoCompatibility class, handling the coexistence with the other SEO plugins. */
+    private SeoCompatibility $seo_compatibility;
+
+    /** Instance of the Multilingual class, handling the WPML and Polylang translations. */
+    private Multilingual $multilingual;
+
+    /** Instance of the ListTable class, handling the posts list column, Quick Edit and Bulk Edit. */
+    private ListTable $list_table;
+
+    /** Instance of the ArchiveDescriptions class, handling the term, author and archive descriptions. */
+    private ArchiveDescriptions $archive_descriptions;
+
+    /** Instance of the RestController class, handling the mso-ai/v1 REST routes. */
+    private RestController $rest_controller;
+
+    /** Instance of the CliCommand class, handling the 'wp mso-ai' command. */
+    private CliCommand $cli_command;
+
     /**
      * Private constructor to prevent direct instantiation (Singleton pattern).
      * Use `get_instance()` to get the object.
@@ -165,11 +218,30 @@ final class MSO_AI_Meta_Description
 
         $api_client = new ApiClient();
         $this->meta_box = new MetaBox(self::META_KEY, self::META_BOX_NONCE_ACTION, self::META_BOX_NONCE_NAME, $providers);
+        $this->block_editor = new BlockEditor(self::META_KEY);
         $this->frontend = new Frontend(self::META_KEY);
         $this->ajax = new Ajax($api_client, self::AJAX_NONCE_ACTION, $registered_provider_names);
         $this->settings_page = new SettingsPage($providers);
         $this->settings_registry = new SettingsRegistry($providers, $this->settings_page);
         $this->settings_ajax_handler = new SettingsAjaxHandler($providers);
+        $this->bulk_generator = new BulkGenerator($api_client, self::AJAX_NONCE_ACTION, self::META_KEY, $this->meta_box);
+        $this->settings_page->add_tab($this->bulk_generator);
+        $this->usage_dashboard = new UsageDashboard();
+        $this->description_history = new DescriptionHistory(self::META_KEY);
+        $this->auto_generator = new AutoGenerator($api_client, self::META_KEY);
+        $this->multilingual = new Multilingual(self::META_KEY, $this->auto_generator);
+        $this->settings_page->add_tab($this->usage_dashboard);
+        $this->seo_importer = new SeoImporter(self::AJAX_NONCE_ACTION, self::META_KEY);
+        $this->settings_page->add_tab($this->seo_importer);
+        $this->quality_audit = new QualityAudit();
+        $this->settings_page->add_tab($this->quality_audit);
+        $this->settings_transfer = new SettingsTransfer(self::AJAX_NONCE_ACTION, $providers);
+        $this->settings_page->add_tab($this->settings_transfer);
+        $this->seo_compatibility = new SeoCompatibility(self::META_KEY);
+        $this->archive_descriptions = new ArchiveDescriptions(self::META_KEY, self::META_BOX_NONCE_ACTION, self::META_BOX_NONCE_NAME);
+        $this->list_table = new ListTable(self::META_KEY, self::META_BOX_NONCE_ACTION, self::META_BOX_NONCE_NAME, $this->meta_box);
+        $this->rest_controller = new RestController($api_client, self::META_KEY, $this->bulk_generator, $registered_provider_names);
+        $this->cli_command = new CliCommand($api_client, self::META_KEY);
         $this->admin = new Admin($this->meta_box, $providers);
     }
 
@@ -182,13 +254,26 @@ final class MSO_AI_Meta_Description
         add_action('plugins_loaded', [$this, 'load_plugin_text_domain']);
 
         $this->frontend->register_hooks();
+        $this->block_editor->register_hooks();
         $this->ajax->register_hooks();
         $this->settings_page->register_hooks();
         $this->settings_registry->register_hooks();
         $this->settings_ajax_handler->register_hooks();
+        $this->bulk_generator->register_hooks();
+        $this->description_history->register_hooks();
+        $this->auto_generator->register_hooks();
+        $this->seo_importer->register_hooks();
+        $this->settings_transfer->register_hooks();
+        $this->quality_audit->register_hooks();
+        $this->seo_compatibility->register_hooks();
+        $this->rest_controller->register_hooks();
+        $this->cli_command->register_hooks();
 
         if (is_admin() || (defined('WP_CLI') && WP_CLI)) {
             $this->admin->register_hooks();
+            $this->list_table->register_hooks();
+            $this->archive_descriptions->register_hooks();
+            $this->multilingual->register_hooks();
 
             add_filter('plugin_action_links_' . plugin_basename(__FILE__), [$this->admin, 'add_settings_link']);
         }
@@ -43,7 +43,33 @@ function mso_ai_meta_description_uninstall_site(): void
 
     }
 
+    delete_transient($option_prefix . 'normalized_descriptions');
+
+    global $wpdb;
+    // The transients with an expiration (model lists, generated descriptions) are not autoloaded: wp_load_alloptions() misses them.
+    // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Bulk removal, the cache is flushed at the end.
+    $wpdb->query($wpdb->prepare(
+        "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s OR option_name LIKE %s",
+        $wpdb->esc_like('_transient_' . $option_prefix) . '%',
+        $wpdb->esc_like('_transient_timeout_' . $option_prefix) . '%'
+    ));
+
     delete_post_meta_by_key($meta_key);
+    delete_post_meta_by_key('_mso_ai_focus_keyword');
+    delete_post_meta_by_key('_mso_ai_social_description');
+    delete_post_meta_by_key('_mso_ai_description_history');
+    delete_post_meta_by_key('_mso_ai_auto_generation');
+    // Term and author archive descriptions (the user meta is shared by the sites of a network).
+    delete_metadata('term', 0, $meta_key, '', true);
+    delete_metadata('user', 0, $meta_key, '', true);
+    wp_unschedule_hook('mso_ai_meta_description_auto_generate');
+    // The automatic generation is queued with Action Scheduler when it is available (e.g. with WooCommerce).
+    if (function_exists('as_unschedule_all_actions')) {
+        as_unschedule_all_actions('mso_ai_meta_description_auto_generate');
+    }
+
+    // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange -- Usage table created by the plugin.
+    $wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}mso_ai_usage");
 }
 
 if (is_multisite()) {
@@ -0,0 +1,194 @@
+/**
+ * MSO AI Meta Description mock streaming server
+ *
+ * Local server reproducing the server-sent events of the streamed generation, to check how
+ * they are parsed without calling a real AI provider. Every response is written in small
+ * chunks (7 bytes by default), so the events, their lines, the CRLF line endings and the
+ * multibyte characters are split across reads, like on a slow connection.
+ *
+ * - /v1/models and /v1/chat/completions: OpenAI-compatible API, streamed events end with
+ *   "data: [DONE]". Set the base URL of the OpenAI-compatible provider to http://localhost:8787/v1/
+ *   to check AbstractProvider::dispatch_stream_events() from the post editor.
+ * - /wp-admin/admin-ajax.php: the events of the plugin's own streaming AJAX endpoint, to check
+ *   streamRequest() of mso-ai-main.js from the browser console (see README.md).
+ *
+ * Usage: npm run mock:sse -- [--port=8787] [--chunk-size=7] [--delay=40] [--crlf]
+ *
+ * @package MSO_AI_Meta_Description
+ * @since   1.1.0
+ */
+
+const http = require('http');
+
+const options = {
+    port: 8787,
+    chunkSize: 7,
+    delay: 40,
+    crlf: false,
+};
+
+process.argv.slice(2).forEach(argument => {
+    const [name, value] = argument.replace(/^--/, '').split('=');
+    if (name === 'crlf') {
+        options.crlf = true;
+    } else if (name === 'port' || name === 'chunk-size' || name === 'delay') {
+        options[name.replace(/-(\w)/, (match, letter) => letter.toUpperCase())] = parseInt(value, 10);
+    }
+});
+
+const MODEL = 'mock-sse';
+/** The streamed description, with multibyte characters to split. */
+const DESCRIPTION = 'Discover how to write meta descriptions that get clicks — length, keywords and tone, with examples for every page type of your WordPress site ✨';
+
+/**
+ * Splits the description into the text fragments sent by the model.
+ * @returns {string[]} The fragments, one per word.
+ */
+const getFragments = () => DESCRIPTION.match(/\S+\s*/g);
+
+/**
+ * Formats a server-sent event.
+ * @param {object|string} data - The event data, JSON encoded unless it is a string.
+ * @param {string} [name] - The event name.
+ * @returns {string} The event lines, followed by a blank line.
+ */
+const formatEvent = (data, name) => {
+    const lines = name ? [`event: ${name}`] : [];
+    lines.push(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}`);
+
+    return lines.join('\n') + '\n\n';
+};
+
+/**
+ * Writes a response body in small chunks, then ends the response.
+ * @param {http.ServerResponse} response - The response.
+ * @param {string} body - The full body.
+ */
+const writeInChunks = (response, body) => {
+    const bytes = Buffer.from(options.crlf ? body.replace(/\n/g, '\r\n') : body);
+    let offset = 0;
+
+    const timer = setInterval(() => {
+        if (offset >= bytes.length || response.destroyed) {
+            clearInterval(timer);
+            response.end();
+            return;
+        }
+
+        response.write(bytes.subarray(offset, offset + options.chunkSize));
+        offset += options.chunkSize;
+    }, options.delay);
+};
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} response - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {object} data - The response data.
+ */
+const sendJson = (response, status, data) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
+};
+
+/**
+ * Answers the chat completions requests, streamed or not.
+ * @param {http.ServerResponse} response - The response.
+ * @param {object} request - The decoded request body.
+ */
+const handleChatCompletions = (response, request) => {
+    const usage = { prompt_tokens: 120, completion_tokens: 40, total_tokens: 160 };
+
+    if (!request.stream) {
+        sendJson(response, 200, {
+            id: 'chatcmpl-mock',
+            object: 'chat.completion',
+            model: MODEL,
+            choices: Array.from({ length: request.n || 1 }, (value, index) => ({
+                index,
+                message: { role: 'assistant', content: DESCRIPTION },
+                finish_reason: 'stop',
+            })),
+            usage,
+        });
+        return;
+    }
+
+    const chunk = (delta, finishReason = null) => ({
+        id: 'chatcmpl-mock',
+        object: 'chat.completion.chunk',
+        model: MODEL,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+
+    // Comments and the usage event (without choices) must be ignored by the parser.
+    let body = ': keep-alive\n\n' + formatEvent(chunk({ role: 'assistant', content: '' }));
+    getFragments().forEach(fragment => {
+        body += formatEvent(chunk({ content: fragment }));
+    });
+    body += formatEvent(chunk({}, 'stop'));
+    if (request.stream_options?.include_usage) {
+        body += formatEvent({ id: 'chatcmpl-mock', object: 'chat.completion.chunk', model: MODEL, choices: [], usage });
+    }
+    body += formatEvent('[DONE]');
+
+    response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    writeInChunks(response, body);
+};
+
+/**
+ * Answers like the streaming AJAX endpoint of the plugin (see Ajax::send_event()).
+ * @param {http.IncomingMessage} request - The request.
+ * @param {http.ServerResponse} response - The response.
+ */
+const handleAdminAjax = (request, response) => {
+    let body = '';
+    getFragments().forEach(fragment => {
+        body += formatEvent({ text: fragment }, 'delta');
+    });
+    body += formatEvent({ summary: DESCRIPTION, provider: 'openai_compatible', providerTitle: 'Mock SSE' }, 'done');
+
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=UTF-8',
+        'Cache-Control': 'no-cache',
+        // streamRequest() is called from the admin pages of the site.
+        'Access-Control-Allow-Origin': request.headers.origin || '*',
+    });
+    writeInChunks(response, body);
+};
+
+const server = http.createServer((request, response) => {
+    const path = new URL(request.url, 'http://localhost').pathname.replace(/\/+$/, '');
+    let rawBody = '';
+
+    request.on('data', data => {
+        rawBody += data;
+    });
+
+    request.on('end', () => {
+        console.log(`${request.method} ${path}`);
+
+        if (request.method === 'GET' && path === '/v1/models') {
+            sendJson(response, 200, { object: 'list', data: [{ id: MODEL, object: 'model', owned_by: 'mock' }] });
+        } else if (request.method === 'POST' && path === '/v1/chat/completions') {
+            let decoded = null;
+            try {
+                decoded = JSON.parse(rawBody);
+            } catch {}
+
+            if (decoded === null || typeof decoded !== 'object') {
+                sendJson(response, 400, { error: { message: 'The request body is not valid JSON.' } });
+            } else {
+                handleChatCompletions(response, decoded);
+            }
+        } else if (request.method === 'POST' && path === '/wp-admin/admin-ajax.php') {
+            handleAdminAjax(request, response);
+        } else {
+            sendJson(response, 404, { error: { message: `Unknown endpoint: ${request.method} ${path}` } });
+        }
+    });
+});
+
+server.listen(options.port, () => {
+    console.log(`Mock streaming server listening on http://localhost:${options.port} (chunks of ${options.chunkSize} bytes every ${options.delay} ms${options.crlf ? ', CRLF line endings' : ''}).`);
+});